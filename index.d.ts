@@ -0,0 +1,805 @@
+// Type declarations for verify-privacy-sdk-js. These mirror the JSDoc in
+// lib/ and are checked against the runtime exports by
+// test/privacy/typesTest.js.
+
+/**
+ * The methods of the Node.js EventEmitter, typed for the events of a class.
+ */
+declare class TypedEventEmitter<
+    Events extends Record<keyof Events, (...args: any[]) => void>> {
+  on<E extends keyof Events>(event: E, listener: Events[E]): this;
+  addListener<E extends keyof Events>(event: E, listener: Events[E]): this;
+  prependListener<E extends keyof Events>(event: E,
+      listener: Events[E]): this;
+  once<E extends keyof Events>(event: E, listener: Events[E]): this;
+  prependOnceListener<E extends keyof Events>(event: E,
+      listener: Events[E]): this;
+  off<E extends keyof Events>(event: E, listener: Events[E]): this;
+  removeListener<E extends keyof Events>(event: E,
+      listener: Events[E]): this;
+  removeAllListeners(event?: keyof Events): this;
+  emit<E extends keyof Events>(event: E,
+      ...args: Parameters<Events[E]>): boolean;
+  listeners<E extends keyof Events>(event: E): Array<Events[E]>;
+  rawListeners<E extends keyof Events>(event: E): Array<Events[E]>;
+  listenerCount(event: keyof Events): number;
+  eventNames(): Array<keyof Events>;
+  setMaxListeners(n: number): this;
+  getMaxListeners(): number;
+}
+
+/**
+ * Class representing the Privacy SDK for IBM Security Verify.
+ */
+declare class Privacy extends TypedEventEmitter<Privacy.Events> {
+  constructor(config: Privacy.Config, auth: Privacy.Auth,
+      context?: Privacy.Context);
+
+  /** Evaluate the attributes requested for approval. */
+  assess(items: Privacy.DataItem[],
+      options?: Privacy.CallOptions): Promise<Privacy.WrappedAssessment>;
+
+  /** Remove or mask the fields of an object that are not approved. */
+  filterByConsent<T extends object>(object: T,
+      mapping: Record<string, Privacy.FieldMapping>,
+      options?: Privacy.FilterOptions): Promise<Privacy.WrappedFilterResult<T>>;
+
+  /** Release only the claims the user has approved for a purpose. */
+  filterClaims<T extends object>(claims: T,
+      mapping: Record<string, string | Privacy.ClaimMapping>,
+      purposeId: string,
+      options?: Privacy.CallOptions): Promise<Privacy.WrappedClaims<T>>;
+
+  /** Get consent metadata used to build the consent page. */
+  getConsentMetadata(items: Privacy.DataItem[],
+      options?: Privacy.MetadataCallOptions): Promise<Privacy.WrappedMetadata>;
+
+  /** Fetch user consents. */
+  getUserConsents(options?: Privacy.UserConsentsOptions):
+      Promise<Privacy.WrappedGetUserConsents>;
+
+  /** Iterate over all user consents that match the filter. */
+  iterateUserConsents(filter?: Privacy.ConsentFilter,
+      options?: Privacy.CallOptions): AsyncGenerator<Privacy.Consent, void>;
+
+  /** Store consents for the user. */
+  storeConsents(consents: Privacy.Consent[],
+      options?: Privacy.CallOptions): Promise<Privacy.WrappedStoreUserConsents>;
+
+  /** Revoke consents of the user by removing the consent records. */
+  revokeConsents(targets: Array<Privacy.ConsentTarget | string>,
+      options?: Privacy.CallOptions): Promise<Privacy.WrappedStoreUserConsents>;
+
+  /** Update consents of the user. */
+  updateConsents(updates: Privacy.ConsentUpdate[],
+      options?: Privacy.CallOptions): Promise<Privacy.WrappedStoreUserConsents>;
+
+  /** Apply a mix of consent operations for the user. */
+  applyConsentOperations(operations: Privacy.ConsentOperation[],
+      options?: Privacy.CallOptions): Promise<Privacy.WrappedStoreUserConsents>;
+
+  /** Remove cached consent metadata. */
+  invalidateCache(options?: Privacy.InvalidateOptions): Promise<void>;
+
+  /** Build the consents to store from the metadata and the user choices. */
+  static buildConsents(
+      metadata: Privacy.WrappedMetadata | Privacy.Metadata |
+          Privacy.MetadataRecord[],
+      choices: Privacy.ConsentChoice[],
+      options?: {startTime?: number}): Privacy.Consent[];
+
+  /** Create middleware that enforces the approval of data items. */
+  static requireConsent(
+      items: Privacy.DataItem | Privacy.DataItem[] |
+          ((req: any) => Privacy.DataItem | Privacy.DataItem[] |
+              Promise<Privacy.DataItem | Privacy.DataItem[]>),
+      options: Privacy.RequireConsentOptions):
+      (req: any, res: any, next: (error?: unknown) => void) => Promise<void>;
+}
+
+declare namespace Privacy {
+  // enums
+
+  const ConsentDisplayTypes: {
+    readonly DO_NOT_SHOW: 1;
+    readonly TRANSPARENT: 2;
+    readonly OPTIN_OR_OUT: 3;
+    readonly ALLOW_OR_DENY: 4;
+  };
+
+  const ConsentTypes: {
+    readonly ALLOW: 1;
+    readonly DENY: 2;
+    readonly OPTIN: 3;
+    readonly OPTOUT: 4;
+    readonly TRANSPARENT: 5;
+  };
+
+  type ConsentDisplayType =
+      typeof ConsentDisplayTypes[keyof typeof ConsentDisplayTypes];
+  type ConsentType = typeof ConsentTypes[keyof typeof ConsentTypes];
+
+  // configuration
+
+  interface RetryOptions {
+    maxAttempts?: number;
+    baseDelayMs?: number;
+    maxDelayMs?: number;
+    jitter?: boolean;
+    maxRetryAfterMs?: number;
+    retryableStatuses?: number[];
+    retryableErrors?: string[];
+  }
+
+  type RedactionProfile = 'strict' | 'hash' | 'partial' | 'credentials';
+
+  type RedactionAction = 'mask' | 'hash' | 'partial';
+
+  interface RedactionOptions {
+    profile?: RedactionProfile;
+    action?: RedactionAction;
+    keys?: Array<string | { key: string; action?: RedactionAction }>;
+    paths?: Array<string | { path: string; action?: RedactionAction }>;
+    salt?: string;
+  }
+
+  interface BatchOptions {
+    windowMs?: number;
+    maxBatchSize?: number;
+  }
+
+  interface Config {
+    tenantUrl: string;
+    retry?: RetryOptions | boolean;
+    timeoutMs?: number;
+    throwOnError?: boolean;
+    transport?: Transport;
+    cache?: MetadataCache | MetadataCacheOptions | boolean;
+    batch?: BatchOptions | boolean;
+    openTelemetry?: object | boolean;
+    audit?: AuditSinkLike;
+    redaction?: RedactionProfile | RedactionOptions;
+    assessmentPolicy?: AssessmentPolicy | AssessmentPolicyOptions;
+  }
+
+  interface TokenProvider {
+    getToken(options?: {forceRefresh?: boolean}): Promise<string>;
+  }
+
+  interface Auth {
+    accessToken?: string;
+    tokenProvider?: TokenProvider |
+        ((options: {forceRefresh?: boolean}) => string | Promise<string>);
+    clientId?: string;
+    clientSecret?: string;
+    scope?: string;
+  }
+
+  interface Context {
+    subjectId?: string;
+    isExternalSubject?: boolean;
+    ipAddress?: string;
+  }
+
+  interface CallOptions {
+    signal?: AbortSignal;
+    timeoutMs?: number;
+    context?: Context;
+    correlationId?: string;
+  }
+
+  interface MetadataCallOptions extends CallOptions {
+    cache?: boolean;
+  }
+
+  interface FilterOptions extends CallOptions {
+    mask?: string | ((value: unknown, path: string) => unknown);
+  }
+
+  interface InvalidateOptions {
+    purposeIds?: string[];
+    subjectId?: string;
+  }
+
+  interface RequireConsentOptions {
+    client: Privacy | ((req: any) => Privacy | Promise<Privacy>);
+    subject?: (req: any) => string | null | undefined;
+    isExternalSubject?: (req: any) => boolean | null | undefined;
+    ipAddress?: (req: any) => string | null | undefined;
+    consentUrl?: string |
+        ((req: any, result: WrappedAssessment) => string | Promise<string>);
+    property?: string;
+  }
+
+  // requests
+
+  interface DataItem {
+    purposeId: string;
+    accessTypeId?: string;
+    attributeId?: string;
+    attributeValue?: string;
+  }
+
+  interface FieldMapping {
+    purposeId: string;
+    accessTypeId?: string;
+    attributeId?: string;
+  }
+
+  interface ClaimMapping {
+    attributeId: string;
+    accessTypeId?: string;
+  }
+
+  interface TimeRange {
+    from?: number;
+    to?: number;
+  }
+
+  interface ConsentFilter {
+    filterByCurrentApplication?: boolean;
+    purposeId?: string;
+    attributeId?: string;
+    accessTypeId?: string;
+    state?: ConsentType;
+    status?: 'active' | 'expired' | 'inactive';
+    startTime?: TimeRange;
+    endTime?: TimeRange;
+    sort?: string;
+    limit?: number;
+    offset?: number;
+  }
+
+  interface UserConsentsOptions extends ConsentFilter, CallOptions {}
+
+  interface CustomAttribute {
+    name: string;
+    value: string;
+  }
+
+  interface Consent {
+    id?: string;
+    purposeId: string;
+    accessTypeId?: string;
+    attributeId?: string;
+    attributeValue?: string;
+    startTime?: number;
+    endTime?: number;
+    isGlobal?: boolean;
+    status?: number;
+    state: ConsentType;
+    geoIP?: string;
+    customAttributes?: CustomAttribute[];
+    consentType?: ConsentDisplayType;
+    subjectId?: string;
+    isExternalSubject?: boolean;
+    applicationId?: string;
+    attributeName?: string;
+    createdTime?: number;
+    lastModifiedTime?: number;
+  }
+
+  interface ConsentTarget {
+    id?: string;
+    purposeId?: string;
+    attributeId?: string;
+    accessTypeId?: string;
+    attributeValue?: string;
+    isGlobal?: boolean;
+  }
+
+  interface ConsentValues {
+    state?: ConsentType;
+    startTime?: number;
+    endTime?: number;
+  }
+
+  interface ConsentUpdate {
+    target: ConsentTarget | string;
+    value: ConsentValues;
+  }
+
+  type ConsentOperation =
+    | {op: 'add'; value: Consent}
+    | {op: 'replace'; target: ConsentTarget | string; value: ConsentValues}
+    | {op: 'remove'; target: ConsentTarget | string};
+
+  interface ConsentChoice {
+    purposeId: string;
+    attributeId?: string;
+    accessTypeId?: string;
+    attributeValue?: string;
+    accepted: boolean;
+  }
+
+  // results
+
+  interface VerifyError {
+    messageId: string;
+    messageDescription: string;
+    httpStatus?: number;
+    errors?: Array<{path: string; message: string}>;
+  }
+
+  interface ErrorResult {
+    status: 'error';
+    error: VerifyError;
+    retries?: number;
+  }
+
+  type AssessmentCategory = 'approved' | 'consent_required' | 'opted_out' |
+      'rule_denied' | 'misconfigured' | 'unknown';
+
+  interface AssessmentDecision {
+    attributeId?: string;
+    approved: boolean;
+    requiresConsent?: boolean;
+    category?: AssessmentCategory;
+    reason?: VerifyError;
+  }
+
+  interface Assessment {
+    purposeId: string;
+    accessTypeId?: string;
+    attributeId?: string;
+    attributeValue?: string;
+    result: AssessmentDecision[];
+  }
+
+  type WrappedAssessment = {
+    status: 'approved' | 'consent' | 'multistatus' | 'denied';
+    assessment: Assessment[];
+    retries?: number;
+  } | ErrorResult;
+
+  interface RedactedField {
+    path: string;
+    purposeId: string;
+    accessTypeId?: string;
+    attributeId?: string;
+    action: 'removed' | 'masked';
+    requiresConsent: boolean;
+    category: AssessmentCategory;
+    reason: VerifyError;
+  }
+
+  type WrappedFilterResult<T> = {
+    status: 'done';
+    object: T;
+    redacted: RedactedField[];
+    assessment: Assessment[];
+    retries?: number;
+  } | ErrorResult;
+
+  interface WithheldClaim extends DataItem {
+    claim: string;
+    category: AssessmentCategory;
+    reason: VerifyError;
+  }
+
+  type WrappedClaims<T> = {
+    status: 'done';
+    claims: Partial<T>;
+    consentRequired: WithheldClaim[];
+    denied: WithheldClaim[];
+    assessment: Assessment[];
+    retries?: number;
+  } | ErrorResult;
+
+  interface MetadataRecord {
+    purposeId: string;
+    purposeName: string;
+    accessTypeId: string;
+    accessType: string;
+    attributeId: string;
+    attributeName: string | null;
+    attributeValue: string | null;
+    defaultConsentDuration?: number;
+    assentUIDefault: boolean;
+    consentType: ConsentDisplayType;
+    termsOfUseRef: string | null;
+    status: 'NONE' | 'ACTIVE' | 'NOT_ACTIVE' | 'EXPIRED';
+    consent?: Consent;
+  }
+
+  interface Metadata {
+    eula: MetadataRecord[];
+    default: MetadataRecord[];
+  }
+
+  type WrappedMetadata = {
+    status: 'done';
+    metadata: Metadata;
+    retries?: number;
+  } | ErrorResult;
+
+  type WrappedGetUserConsents = {
+    status: 'done';
+    consents: Consent[];
+    count?: number;
+    retries?: number;
+  } | ErrorResult;
+
+  interface ConsentOpResult {
+    result: 'success' | 'failure' | 'error';
+    value: Partial<Consent> | ConsentOperation;
+    error?: string;
+  }
+
+  type WrappedStoreUserConsents = {
+    status: 'success' | 'fail';
+    results: ConsentOpResult[];
+    applied?: number;
+    error?: VerifyError;
+    retries?: number;
+  } | ErrorResult;
+
+  // events
+
+  interface RequestEvent {
+    method: string;
+    url: string;
+    attempt: number;
+    body?: unknown;
+  }
+
+  interface ResponseEvent extends RequestEvent {
+    status: number;
+    durationMs: number;
+  }
+
+  interface RetryEvent {
+    method: string;
+    url: string;
+    attempt: number;
+    status: number | null;
+    code?: string;
+    delayMs: number;
+  }
+
+  interface DecisionEvent {
+    purposeId: string;
+    accessTypeId?: string;
+    attributeId?: string;
+    approved: boolean;
+    requiresConsent: boolean;
+    category: AssessmentCategory;
+    reason?: VerifyError;
+    durationMs: number;
+  }
+
+  interface ConsentStoredEvent {
+    operation: 'storeConsents' | 'applyConsentOperations';
+    result: 'success' | 'failure' | 'error';
+    value: Partial<Consent> | ConsentOperation;
+    error?: string;
+    durationMs: number;
+  }
+
+  interface ErrorEvent {
+    operation: string;
+    durationMs: number;
+  }
+
+  type Events = {
+    request: (event: RequestEvent) => void;
+    response: (event: ResponseEvent) => void;
+    retry: (event: RetryEvent) => void;
+    decision: (event: DecisionEvent) => void;
+    consentStored: (event: ConsentStoredEvent) => void;
+    error: (error: Errors.PrivacyError, event: ErrorEvent) => void;
+  };
+
+  // transport
+
+  interface TransportRequest {
+    method: string;
+    url: string;
+    headers: Record<string, string>;
+    body?: string;
+    signal?: AbortSignal;
+  }
+
+  interface TransportResponse {
+    status: number;
+    headers: Record<string, string>;
+    body: unknown;
+  }
+
+  interface Transport {
+    request(request: TransportRequest): Promise<TransportResponse>;
+  }
+
+  class AxiosTransport implements Transport {
+    constructor(options?: {axios?: unknown; config?: object});
+    request(request: TransportRequest): Promise<TransportResponse>;
+  }
+
+  class FetchTransport implements Transport {
+    constructor(options?: {fetch?: typeof fetch; init?: object});
+    request(request: TransportRequest): Promise<TransportResponse>;
+  }
+
+  interface AssessmentPolicyOptions {
+    categories?: Record<string, Exclude<AssessmentCategory, 'approved'>>;
+    fallback?: Exclude<AssessmentCategory, 'approved'>;
+  }
+
+  class AssessmentPolicy {
+    constructor(options?: AssessmentPolicyOptions);
+    static from(policy?: AssessmentPolicy | AssessmentPolicyOptions):
+        AssessmentPolicy;
+    static readonly Categories: {
+      APPROVED: 'approved';
+      CONSENT_REQUIRED: 'consent_required';
+      OPTED_OUT: 'opted_out';
+      RULE_DENIED: 'rule_denied';
+      MISCONFIGURED: 'misconfigured';
+      UNKNOWN: 'unknown';
+    };
+    classify(decision: AssessmentDecision): AssessmentCategory;
+  }
+
+  interface FixtureTransportOptions {
+    mode: 'record' | 'replay';
+    path: string;
+    transport?: Transport;
+    redaction?: RedactionProfile | RedactionOptions;
+    ignore?: string[];
+  }
+
+  class FixtureTransport implements Transport {
+    constructor(options: FixtureTransportOptions);
+    readonly mode: 'record' | 'replay';
+    request(request: TransportRequest): Promise<TransportResponse>;
+  }
+
+  // auth
+
+  class ClientCredentialsTokenProvider implements TokenProvider {
+    constructor(config: {
+      tenantUrl?: string;
+      clientId: string;
+      clientSecret: string;
+      scope?: string;
+      tokenEndpoint?: string;
+      refreshSkewSeconds?: number;
+      defaultExpiresInSeconds?: number;
+      transport?: Transport;
+    });
+    getToken(options?: {forceRefresh?: boolean}): Promise<string>;
+    invalidate(): void;
+  }
+
+  // cache
+
+  interface CacheStore {
+    get(key: string): Promise<unknown>;
+    set(key: string, value: unknown, ttlMs: number): Promise<void>;
+    delete(key: string): Promise<void>;
+    clear(prefix: string): Promise<void>;
+  }
+
+  interface MetadataCacheOptions {
+    store?: CacheStore;
+    maxEntries?: number;
+    purposeTtlMs?: number;
+    consentTtlMs?: number;
+    keyPrefix?: string;
+  }
+
+  class MemoryCacheStore implements CacheStore {
+    constructor(options?: {maxEntries?: number});
+    readonly size: number;
+    get(key: string): Promise<unknown>;
+    set(key: string, value: unknown, ttlMs: number): Promise<void>;
+    delete(key: string): Promise<void>;
+    clear(prefix: string): Promise<void>;
+  }
+
+  class MetadataCache {
+    constructor(options?: MetadataCacheOptions);
+    static from(cache: MetadataCache | MetadataCacheOptions | boolean |
+        null | undefined): MetadataCache | null;
+    readonly store: CacheStore;
+    getConsentMetadata(tenantUrl: string, purposeIds: string[],
+        subjectId: string | null | undefined,
+        fetch: (purposeIds: string[]) => Promise<unknown>,
+        options?: {bypass?: boolean,
+          fetchConsents?: (purposeIds: string[]) => Promise<unknown[]>}):
+        Promise<unknown>;
+    invalidate(tenantUrl: string, options?: InvalidateOptions): Promise<void>;
+  }
+
+  // audit
+
+  interface AuditRecord {
+    type: 'decision' | 'consent';
+    time: string;
+    correlationId: string;
+    operation: string;
+    subjectId?: string;
+    purposeId?: string;
+    attributeId?: string;
+    accessTypeId?: string;
+    approved?: boolean;
+    category?: AssessmentCategory;
+    consentId?: string;
+    state?: ConsentType;
+    op?: 'add' | 'replace' | 'remove';
+    result?: 'success' | 'failure' | 'error';
+    messageId?: string;
+    error?: string;
+    prevHash?: string | null;
+    hash?: string;
+  }
+
+  interface AuditSinkLike {
+    write(record: AuditRecord): Promise<unknown>;
+  }
+
+  class AuditSink implements AuditSinkLike {
+    constructor(options?: {chain?: boolean});
+    write(record: AuditRecord): Promise<AuditRecord>;
+    read(): Promise<AuditRecord[]>;
+    static verify(records: AuditRecord[]):
+        {valid: true} | {valid: false; index: number; reason: string};
+    static hash(record: AuditRecord): string;
+  }
+
+  class FileAuditSink extends AuditSink {
+    constructor(path: string, options?: {chain?: boolean});
+  }
+
+  class MemoryAuditSink extends AuditSink {}
+
+  // forms
+
+  interface ConsentFormLabels {
+    optIn?: string;
+    optOut?: string;
+    allow?: string;
+    deny?: string;
+    transparent?: string;
+    termsOfUse?: string;
+  }
+
+  interface ConsentFormTemplates {
+    purpose?: (context: {
+      purposeId: string;
+      purposeName: string;
+      isEula: boolean;
+      termsOfUseRef: string | null;
+      records: string;
+      labels: Required<ConsentFormLabels>;
+    }) => string;
+    record?: (context: {
+      record: MetadataRecord;
+      id: string;
+      label: string;
+      controls: string;
+      labels: Required<ConsentFormLabels>;
+    }) => string;
+    control?: (context: {
+      type: 'radio' | 'hidden';
+      id: string | null;
+      name: string;
+      value: 'accept' | 'decline';
+      checked: boolean;
+      label: string;
+    }) => string;
+  }
+
+  class ConsentForm {
+    constructor(options?: {
+      labels?: ConsentFormLabels;
+      templates?: ConsentFormTemplates;
+      recordLabel?: (record: MetadataRecord) => string;
+      fieldPrefix?: string;
+    });
+    static escape(value: unknown): string;
+    render(metadata: WrappedMetadata | Metadata,
+        options?: {labels?: ConsentFormLabels}): string;
+    parse(metadata: WrappedMetadata | Metadata,
+        body: Record<string, string | string[] | undefined> | string |
+            URLSearchParams,
+        options?: {startTime?: number}): Consent[];
+  }
+
+  // registry
+
+  interface TenantConfig extends Partial<Config> {
+    tenantUrl: string;
+    auth: Auth;
+    context?: Context;
+  }
+
+  class PrivacyRegistry {
+    constructor(config?: {
+      defaults?: Partial<Config>;
+      transport?: Transport;
+      cache?: MetadataCacheOptions | boolean;
+      tenants?: Record<string, TenantConfig>;
+    });
+    readonly keys: string[];
+    add(key: string, tenant: TenantConfig): Privacy;
+    remove(key: string): Promise<boolean>;
+    has(key: string): boolean;
+    get(key: string): Privacy;
+  }
+
+  // errors
+
+  namespace Errors {
+    class PrivacyError extends Error {
+      constructor(messageId: string, messageDescription: string);
+      messageId: string;
+      messageDescription: string;
+      retries?: number;
+      toJSON(): VerifyError;
+    }
+
+    interface VerifyApiErrorDetails {
+      httpStatus?: number;
+      data?: unknown;
+      headers?: Record<string, string>;
+    }
+
+    class VerifyApiError extends PrivacyError {
+      constructor(messageId: string, messageDescription: string,
+          details?: VerifyApiErrorDetails);
+      httpStatus: number | null;
+      data: unknown;
+      headers: Record<string, string>;
+    }
+
+    class ValidationError extends VerifyApiError {
+      constructor(messageId: string, messageDescription: string,
+          details?: VerifyApiErrorDetails &
+              {errors?: Array<{path: string; message: string}>});
+      errors: Array<{path: string; message: string}>;
+    }
+
+    class AuthenticationError extends VerifyApiError {}
+
+    class AuthorizationError extends VerifyApiError {}
+
+    class RateLimitError extends VerifyApiError {
+      retryAfterMs: number | null;
+    }
+
+    class NetworkError extends PrivacyError {
+      constructor(messageDescription: string, code?: string | null,
+          messageId?: string);
+      code: string | null;
+    }
+
+    class TimeoutError extends NetworkError {
+      constructor(timeoutMs: number);
+      timeoutMs: number;
+    }
+
+    class AbortError extends NetworkError {
+      constructor();
+    }
+
+    interface FixtureRequest {
+      method: string;
+      path: string;
+      body: unknown;
+    }
+
+    class FixtureMismatchError extends PrivacyError {
+      constructor(messageDescription: string, request: FixtureRequest,
+          diff?: string[]);
+      request: FixtureRequest;
+      diff: string[];
+    }
+
+    class ConfigurationError extends Error {
+      constructor(message: string);
+    }
+  }
+}
+
+export = Privacy;
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+
+/**
+ * The base class for audit sinks, which record the assessment decisions and
+ * consent writes made by {@link Privacy}. Subclasses implement
+ * <code>_append</code> to store a record and <code>read</code> to return
+ * the stored records.
+ *
+ * Records are written one at a time, in the order <code>write</code> is
+ * called. If hash chaining is enabled, each record includes the hash of the
+ * previous record as <code>prevHash</code> and its own <code>hash</code>, so
+ * {@link AuditSink.verify} can detect records that were changed, removed or
+ * reordered.
+ */
+class AuditSink {
+  /**
+   * Create a new {@link AuditSink} object.
+   * @param {Object} [options] The sink options
+   * @param {boolean} [options.chain=true] Add the hash chain to records
+   */
+  constructor(options = {}) {
+    this._chain = options.chain !== false;
+    this._lastHash = undefined;
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Write a record.
+   * @param {AuditRecord} record The record
+   * @return {Promise<AuditRecord>} The record as stored, including the hash
+   * chain
+   */
+  write(record) {
+    const written = this._queue.then(() => this._write(record));
+    // a failed write must not block later writes
+    this._queue = written.catch(() => {});
+    return written;
+  }
+
+  /**
+   * Read the stored records.
+   * @return {Promise<AuditRecord[]>} The records, oldest first
+   */
+  async read() {
+    throw new Error(`${this.constructor.name} does not implement read`);
+  }
+
+  /**
+   * Check the hash chain of records.
+   * @param {AuditRecord[]} records The records, oldest first
+   * @return {Object} <code>{valid: true}</code>, or <code>valid</code> set
+   * to false with the <code>index</code> of the first record that does not
+   * match the chain and the <code>reason</code>
+   */
+  static verify(records) {
+    let previous = null;
+    for (let index = 0; index < records.length; index++) {
+      const record = records[index];
+      if (record.prevHash !== previous) {
+        return {valid: false, index, reason: 'prevHash does not match the ' +
+            'previous record'};
+      }
+
+      if (record.hash !== AuditSink.hash(record)) {
+        return {valid: false, index, reason: 'hash does not match the record'};
+      }
+
+      previous = record.hash;
+    }
+
+    return {valid: true};
+  }
+
+  /**
+   * Compute the hash of a record, which covers every property except
+   * <code>hash</code>.
+   * @param {AuditRecord} record The record
+   * @return {string} The SHA-256 hash, hex encoded
+   */
+  static hash(record) {
+    const content = {...record};
+    delete content.hash;
+    return crypto.createHash('sha256').update(canonicalize(content))
+        .digest('hex');
+  }
+
+  /**
+   * Add the hash chain to the record and store it.
+   * @param {AuditRecord} record The record
+   * @return {Promise<AuditRecord>} The stored record
+   */
+  async _write(record) {
+    const entry = {...record};
+    if (this._chain) {
+      if (this._lastHash === undefined) {
+        this._lastHash = await this._readLastHash();
+      }
+
+      entry.prevHash = this._lastHash;
+      entry.hash = AuditSink.hash(entry);
+    }
+
+    await this._append(entry);
+    if (this._chain) {
+      this._lastHash = entry.hash;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Store a record.
+   * @param {AuditRecord} record The record
+   */
+  async _append(record) {
+    throw new Error(`${this.constructor.name} does not implement _append`);
+  }
+
+  /**
+   * Get the hash of the last stored record, so the chain continues across
+   * restarts.
+   * @return {Promise<string>} The hash, or null if there are no records
+   */
+  async _readLastHash() {
+    const records = await this.read();
+    return (records.length) ? records[records.length - 1].hash || null : null;
+  }
+}
+
+/**
+ * Serialize a value as JSON with the object keys sorted, so the hash does
+ * not depend on the order properties were added.
+ * @param {*} value The value
+ * @return {string} The JSON text
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+
+  if (value != null && typeof value == 'object') {
+    return `{${Object.keys(value).sort()
+        .filter((key) => value[key] !== undefined)
+        .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+        .join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+module.exports = AuditSink;
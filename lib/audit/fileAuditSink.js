@@ -0,0 +1,94 @@
+const AuditSink = require('./auditSink');
+const fs = require('fs');
+
+/**
+ * An audit sink that appends records to a file, one JSON object per line
+ * (JSONL). Existing records are never modified. If the file already
+ * exists, the hash chain continues from its last record.
+ * @extends AuditSink
+ */
+class FileAuditSink extends AuditSink {
+  /**
+   * Create a new {@link FileAuditSink} object.
+   * @param {string} path The file path. The file is created if it does not
+   * exist.
+   * @param {Object} [options] The sink options
+   * @param {boolean} [options.chain=true] Add the hash chain to records
+   */
+  constructor(path, options = {}) {
+    super(options);
+    this._path = path;
+  }
+
+  /**
+   * Read the stored records.
+   * @return {Promise<AuditRecord[]>} The records, oldest first
+   */
+  async read() {
+    let text;
+    try {
+      text = await fs.promises.readFile(this._path, 'utf8');
+    } catch (error) {
+      if (error.code == 'ENOENT') {
+        return [];
+      }
+
+      throw error;
+    }
+
+    return text.split('\n').filter((line) => line.trim() != '')
+        .map((line) => JSON.parse(line));
+  }
+
+  /**
+   * Append a record to the file.
+   * @param {AuditRecord} record The record
+   */
+  async _append(record) {
+    await fs.promises.appendFile(this._path, JSON.stringify(record) + '\n',
+        {encoding: 'utf8', mode: 0o600});
+  }
+
+  /**
+   * Get the hash of the last record in the file, reading only the end of
+   * the file.
+   * @return {Promise<string>} The hash, or null if there are no records
+   */
+  async _readLastHash() {
+    let handle;
+    try {
+      handle = await fs.promises.open(this._path, 'r');
+    } catch (error) {
+      if (error.code == 'ENOENT') {
+        return null;
+      }
+
+      throw error;
+    }
+
+    try {
+      const {size} = await handle.stat();
+      // read larger blocks from the end until a complete line is found
+      for (let length = 4096; ; length *= 4) {
+        const start = Math.max(0, size - length);
+        const buffer = Buffer.alloc(size - start);
+        await handle.read(buffer, 0, buffer.length, start);
+        const lines = buffer.toString('utf8').split('\n')
+            .filter((line) => line.trim() != '');
+        if (!lines.length) {
+          return null;
+        }
+
+        // the first line may be partial unless the whole file was read
+        if (lines.length > 1 || start == 0) {
+          const last = JSON.parse(lines[lines.length - 1]);
+          return (last.hash) ? last.hash : null;
+        }
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+}
+
+module.exports = FileAuditSink;
@@ -0,0 +1,36 @@
+const AuditSink = require('./auditSink');
+
+/**
+ * An audit sink that keeps records in memory, e.g. for tests or to forward
+ * them in batches.
+ * @extends AuditSink
+ */
+class MemoryAuditSink extends AuditSink {
+  /**
+   * Create a new {@link MemoryAuditSink} object.
+   * @param {Object} [options] The sink options
+   * @param {boolean} [options.chain=true] Add the hash chain to records
+   */
+  constructor(options = {}) {
+    super(options);
+    this._records = [];
+  }
+
+  /**
+   * Read the stored records.
+   * @return {Promise<AuditRecord[]>} Copies of the records, oldest first
+   */
+  async read() {
+    return this._records.map((record) => JSON.parse(record));
+  }
+
+  /**
+   * Store a record.
+   * @param {AuditRecord} record The record
+   */
+  async _append(record) {
+    this._records.push(JSON.stringify(record));
+  }
+}
+
+module.exports = MemoryAuditSink;
@@ -0,0 +1,183 @@
+const AxiosTransport = require('../transport/axiosTransport');
+const ConfigurationError = require('../errors/configurationError');
+const ErrorFactory = require('../errors/errorFactory');
+const PrivacyError = require('../errors/privacyError');
+const StringUtils = require('../utils/stringUtils');
+const debug = require('debug')('verify:clientCredentialsTokenProvider');
+
+/**
+ * A token provider that obtains access tokens from the Verify tenant using
+ * the OAuth 2.0 client credentials grant.
+ *
+ * The token is cached and reused until shortly before it expires. Once the
+ * token enters the refresh window, a new token is requested in the background
+ * while the cached token continues to be served. If the cached token has
+ * expired, callers wait for the new token.
+ */
+class ClientCredentialsTokenProvider {
+  /**
+   * Create a new {@link ClientCredentialsTokenProvider} object.
+   * @param {Object} config The provider configuration.
+   * @param {string} config.tenantUrl The Verify tenant hostname, including
+   * the protocol.
+   * @param {string} config.clientId The API client identifier.
+   * @param {string} config.clientSecret The API client secret.
+   * @param {string} [config.scope] The space-separated scopes to request.
+   * @param {string} [config.tokenEndpoint] The token endpoint. Defaults to
+   * <code>{tenantUrl}/oidc/endpoint/default/token</code>.
+   * @param {number} [config.refreshSkewSeconds=60] The number of seconds
+   * before expiry when the token is refreshed.
+   * @param {number} [config.defaultExpiresInSeconds=3600] The lifetime of
+   * tokens whose response has no numeric <code>expires_in</code>. A token
+   * that Verify rejects earlier is replaced after the first 401.
+   * @param {Transport} [config.transport] The HTTP transport used to call
+   * the token endpoint. Defaults to an {@link AxiosTransport}.
+   * @throws {ConfigurationError} A required property is missing.
+   */
+  constructor(config = {}) {
+    if (!StringUtils.has(config, 'tokenEndpoint') &&
+        !StringUtils.has(config, 'tenantUrl')) {
+      throw new ConfigurationError(
+          `Cannot find property 'tenantUrl' or 'tokenEndpoint' in ` +
+          `client credentials configuration.`);
+    }
+
+    if (!StringUtils.has(config, 'clientId') ||
+        !StringUtils.has(config, 'clientSecret')) {
+      throw new ConfigurationError(
+          `Cannot find properties 'clientId' and 'clientSecret' in ` +
+          `client credentials configuration.`);
+    }
+
+    this._tokenEndpoint = StringUtils.getOrDefault(config, 'tokenEndpoint',
+        `${config.tenantUrl}/oidc/endpoint/default/token`);
+    this._clientId = config.clientId;
+    this._clientSecret = config.clientSecret;
+    this._scope = StringUtils.getOrDefault(config, 'scope', null);
+    this._refreshSkewMs = (typeof config.refreshSkewSeconds == 'number') ?
+        config.refreshSkewSeconds * 1000 : 60000;
+    this._defaultLifetimeMs =
+        (typeof config.defaultExpiresInSeconds == 'number') ?
+        config.defaultExpiresInSeconds * 1000 : 3600000;
+
+    this._transport = (config.transport) ? config.transport :
+        new AxiosTransport();
+
+    this._accessToken = null;
+    this._expiresAt = 0;
+    this._refreshAt = 0;
+    this._pending = null;
+  }
+
+  /**
+   * Get an access token, requesting a new one if needed.
+   * @param {Object} [options] Token options
+   * @param {boolean} [options.forceRefresh=false] Ignore the cached token and
+   * request a new one. This is used when Verify rejects the cached token.
+   * @return {Promise<string>} The access token.
+   * @throws {PrivacyError} The token request failed.
+   */
+  async getToken(options = {}) {
+    const methodName = `${ClientCredentialsTokenProvider.name}:getToken()`;
+    const now = Date.now();
+    if (!options.forceRefresh && this._accessToken != null &&
+        now < this._expiresAt) {
+      if (now >= this._refreshAt && this._pending == null) {
+        debug(`[${methodName}]`, 'refreshing token ahead of expiry');
+        this._refresh().catch((error) => {
+          debug(`[${methodName}]`, 'background refresh failed:',
+              error.message);
+        });
+      }
+
+      return this._accessToken;
+    }
+
+    return await this._refresh();
+  }
+
+  /**
+   * Discard the cached token.
+   */
+  invalidate() {
+    this._accessToken = null;
+    this._expiresAt = 0;
+    this._refreshAt = 0;
+  }
+
+  /**
+   * Request a new token. Concurrent callers share the same request.
+   * @return {Promise<string>} The access token.
+   */
+  _refresh() {
+    if (this._pending == null) {
+      this._pending = this._requestToken().finally(() => {
+        this._pending = null;
+      });
+    }
+
+    return this._pending;
+  }
+
+  /**
+   * Call the token endpoint and cache the result.
+   * @return {Promise<string>} The access token.
+   */
+  async _requestToken() {
+    const methodName = `${ClientCredentialsTokenProvider.name}:_requestToken()`;
+    const data = {
+      grant_type: 'client_credentials',
+      client_id: this._clientId,
+      client_secret: this._clientSecret,
+    };
+
+    if (this._scope != null) {
+      data.scope = this._scope;
+    }
+
+    const headers = {
+      'Accept': 'application/json',
+      'Content-Type': 'application/x-www-form-urlencoded',
+    };
+
+    debug(`[${methodName}]`, 'tokenEndpoint:', this._tokenEndpoint);
+    let response;
+    try {
+      response = await this._transport.request({
+        method: 'POST',
+        url: this._tokenEndpoint,
+        headers,
+        body: new URLSearchParams(data).toString(),
+      });
+    } catch (error) {
+      throw ErrorFactory.fromError(error);
+    }
+
+    if (response.status < 200 || response.status >= 300) {
+      throw ErrorFactory.fromResponse(response);
+    }
+
+    const tokenData = response.body;
+    if (!tokenData || !StringUtils.has(tokenData, 'access_token')) {
+      throw new PrivacyError('INVALID_TOKEN_RESPONSE',
+          'The token response does not contain an access_token');
+    }
+
+    const expiresIn = parseInt(tokenData.expires_in, 10);
+    // without an expiry, the token would be requested for every call
+    const lifetimeMs = isNaN(expiresIn) ? this._defaultLifetimeMs :
+        expiresIn * 1000;
+    const now = Date.now();
+    this._accessToken = tokenData.access_token;
+    this._expiresAt = now + lifetimeMs;
+
+    // short-lived tokens are refreshed halfway through their lifetime
+    this._refreshAt = now + Math.max(lifetimeMs - this._refreshSkewMs,
+        lifetimeMs / 2);
+
+    debug(`[${methodName}]`, 'expires_in:', tokenData.expires_in);
+    return this._accessToken;
+  }
+}
+
+module.exports = ClientCredentialsTokenProvider;
@@ -0,0 +1,25 @@
+/**
+ * A token provider that always returns the same access token. This is used
+ * when the SDK is configured with <code>auth.accessToken</code>.
+ */
+class StaticTokenProvider {
+  /**
+   * Create a new {@link StaticTokenProvider} object.
+   * @param {string} accessToken The OAuth 2.0 access token.
+   */
+  constructor(accessToken) {
+    this._accessToken = accessToken;
+  }
+
+  /**
+   * Get the access token.
+   * @param {Object} [options] Token options. These are ignored because a
+   * static token cannot be refreshed.
+   * @return {Promise<string>} The access token.
+   */
+  async getToken(options = {}) {
+    return this._accessToken;
+  }
+}
+
+module.exports = StaticTokenProvider;
@@ -0,0 +1,77 @@
+const ClientCredentialsTokenProvider =
+    require('./clientCredentialsTokenProvider');
+const StaticTokenProvider = require('./staticTokenProvider');
+const StringUtils = require('../utils/stringUtils');
+
+/**
+ * Checks if the object implements the token provider interface
+ * @param {Object} obj The object
+ * @return {boolean} true if the object has a <code>getToken</code> function
+ */
+function isTokenProvider(obj) {
+  return obj != null && typeof obj == 'object' &&
+      typeof obj.getToken == 'function';
+}
+
+/**
+ * Checks if the auth object contains enough information to build a token
+ * provider
+ * @param {Object} auth The auth object passed to the SDK
+ * @return {boolean} true if a token provider can be resolved
+ */
+function canResolve(auth) {
+  if (auth == null || typeof auth != 'object') {
+    return false;
+  }
+
+  return isTokenProvider(auth.tokenProvider) ||
+      typeof auth.tokenProvider == 'function' ||
+      StringUtils.has(auth, 'accessToken') ||
+      (StringUtils.has(auth, 'clientId') &&
+          StringUtils.has(auth, 'clientSecret'));
+}
+
+/**
+ * Resolves the auth object into a token provider. The following are
+ * supported, in order of precedence -
+ * <br><code>auth.tokenProvider</code> - an object with a
+ * <code>getToken</code> function or an async function returning a token
+ * <br><code>auth.accessToken</code> - a static access token
+ * <br><code>auth.clientId</code> and <code>auth.clientSecret</code> - the
+ * built-in client credentials provider
+ * @param {Object} auth The auth object passed to the SDK
+ * @param {string} tenantUrl The Verify tenant hostname, including the
+ * protocol. This is used by the client credentials provider.
+ * @param {Transport} [transport] The HTTP transport used by the client
+ * credentials provider.
+ * @return {TokenProvider} The token provider, or null if the auth object
+ * cannot be resolved
+ */
+function resolve(auth, tenantUrl, transport) {
+  if (!canResolve(auth)) {
+    return null;
+  }
+
+  if (isTokenProvider(auth.tokenProvider)) {
+    return auth.tokenProvider;
+  }
+
+  if (typeof auth.tokenProvider == 'function') {
+    const fn = auth.tokenProvider;
+    return {
+      getToken: async (options = {}) => await fn(options),
+    };
+  }
+
+  if (StringUtils.has(auth, 'accessToken')) {
+    return new StaticTokenProvider(auth.accessToken);
+  }
+
+  return new ClientCredentialsTokenProvider({
+    tenantUrl,
+    transport,
+    ...auth,
+  });
+}
+
+module.exports = {isTokenProvider, canResolve, resolve};
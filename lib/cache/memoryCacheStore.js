@@ -0,0 +1,97 @@
+/**
+ * An in-memory cache store that evicts the least recently used entry once
+ * the maximum number of entries is reached.
+ *
+ * Values are copied when they are stored and read, so callers cannot modify
+ * cached entries. This matches the behaviour of external stores, which
+ * serialize values.
+ */
+class MemoryCacheStore {
+  /**
+   * Create a new {@link MemoryCacheStore} object.
+   * @param {Object} [options] The store options
+   * @param {number} [options.maxEntries=1000] The maximum number of entries
+   */
+  constructor(options = {}) {
+    this._maxEntries = (typeof options.maxEntries == 'number') ?
+        options.maxEntries : 1000;
+    this._entries = new Map();
+  }
+
+  /**
+   * The number of entries in the store, including expired entries that have
+   * not been evicted yet.
+   * @type {number}
+   */
+  get size() {
+    return this._entries.size;
+  }
+
+  /**
+   * Get a value.
+   * @param {string} key The key
+   * @return {Promise<*>} The value, or undefined if the key is not found or
+   * has expired
+   */
+  async get(key) {
+    const entry = this._entries.get(key);
+    if (entry === undefined) {
+      return undefined;
+    }
+
+    this._entries.delete(key);
+    if (entry.expiresAt != null && entry.expiresAt <= Date.now()) {
+      return undefined;
+    }
+
+    // move to the most recently used position
+    this._entries.set(key, entry);
+    return JSON.parse(entry.value);
+  }
+
+  /**
+   * Set a value.
+   * @param {string} key The key
+   * @param {*} value The value. This must be serializable as JSON.
+   * @param {number} [ttlMs] The time to live, in milliseconds. The entry does
+   * not expire if this is not set.
+   */
+  async set(key, value, ttlMs) {
+    this._entries.delete(key);
+    this._entries.set(key, {
+      value: JSON.stringify(value),
+      expiresAt: (typeof ttlMs == 'number') ? Date.now() + ttlMs : null,
+    });
+
+    while (this._entries.size > this._maxEntries) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Delete a value.
+   * @param {string} key The key
+   */
+  async delete(key) {
+    this._entries.delete(key);
+  }
+
+  /**
+   * Delete all values, or those with keys that start with the prefix.
+   * @param {string} [prefix] The key prefix
+   */
+  async clear(prefix) {
+    if (!prefix) {
+      this._entries.clear();
+      return;
+    }
+
+    for (const key of Array.from(this._entries.keys())) {
+      if (key.startsWith(prefix)) {
+        this._entries.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = MemoryCacheStore;
@@ -0,0 +1,325 @@
+const MemoryCacheStore = require('./memoryCacheStore');
+const debug = require('debug')('verify:metadataCache');
+
+/**
+ * Caches the responses of the data subject presentation API used by
+ * <code>Privacy.getConsentMetadata</code>.
+ *
+ * The response is split into two portions that are cached separately -
+ * <br>the purpose, attribute and access type definitions, cached per purpose
+ * ID, which rarely change
+ * <br>the consents of the subject, cached per subject ID, which change when
+ * the subject stores consents
+ *
+ * The consent portion is only cached when the subject ID is known, i.e. it
+ * is set in the context. Otherwise, the consents of cached purposes are
+ * requested on their own, without requesting the definitions again. Keys
+ * are prefixed with the tenant URL, so a single store may be shared across
+ * tenants. Failures reading from or writing to the store are treated as
+ * cache misses.
+ */
+class MetadataCache {
+  /**
+   * Create a new {@link MetadataCache} object.
+   * @param {Object} [options] The cache options
+   * @param {CacheStore} [options.store] The store. Defaults to a
+   * {@link MemoryCacheStore}.
+   * @param {number} [options.maxEntries=1000] The maximum number of entries
+   * in the default store.
+   * @param {number} [options.purposeTtlMs=300000] The time to live of the
+   * purpose definitions, in milliseconds.
+   * @param {number} [options.consentTtlMs=30000] The time to live of the
+   * subject consents, in milliseconds. Set to <code>0</code> to only cache
+   * the purpose definitions, so the consents are requested on every call.
+   * @param {string} [options.keyPrefix='verify-privacy'] The prefix for
+   * the store keys.
+   */
+  constructor(options = {}) {
+    this._store = (options.store) ? options.store :
+        new MemoryCacheStore({maxEntries: options.maxEntries});
+    this._purposeTtlMs = (typeof options.purposeTtlMs == 'number') ?
+        options.purposeTtlMs : 300000;
+    this._consentTtlMs = (typeof options.consentTtlMs == 'number') ?
+        options.consentTtlMs : 30000;
+    this._keyPrefix = (options.keyPrefix) ? options.keyPrefix :
+        'verify-privacy';
+  }
+
+  /**
+   * Create the cache from the SDK configuration.
+   * @param {MetadataCache|Object|boolean} cache The cache, the options used to
+   * create it or <code>true</code> to use the defaults
+   * @return {MetadataCache} The cache, or null if caching is disabled
+   */
+  static from(cache) {
+    if (cache == null || cache === false) {
+      return null;
+    }
+
+    if (cache instanceof MetadataCache) {
+      return cache;
+    }
+
+    return new MetadataCache((cache === true) ? {} : cache);
+  }
+
+  /**
+   * The store used by the cache.
+   * @type {CacheStore}
+   */
+  get store() {
+    return this._store;
+  }
+
+  /**
+   * Get the data subject presentation response for the purposes, calling
+   * Verify only for the portions that are not cached. Purposes that are not
+   * cached are requested with <code>fetch</code>, which also returns their
+   * consents. The consents of cached purposes, if they are not cached too,
+   * are requested with <code>options.fetchConsents</code>.
+   * @param {string} tenantUrl The Verify tenant
+   * @param {string[]} purposeIds The purpose identifiers
+   * @param {string} subjectId The subject identifier, if known
+   * @param {Function} fetch An async function that accepts the purpose
+   * identifiers and returns the response from Verify
+   * @param {Object} [options] The options
+   * @param {boolean} [options.bypass=false] Ignore cached entries. The
+   * response from Verify is still cached.
+   * @param {Function} [options.fetchConsents] An async function that
+   * accepts the purpose identifiers and returns the consents of the subject
+   * for them. If it is not set, <code>fetch</code> is used instead.
+   * @return {Promise<Object>} The data subject presentation response
+   */
+  async getConsentMetadata(tenantUrl, purposeIds, subjectId, fetch,
+      options = {}) {
+    const methodName = `${MetadataCache.name}:getConsentMetadata()`;
+    const purposes = {};
+    let consents = null;
+    const consentKey = (subjectId && this._consentTtlMs > 0) ?
+        this._key(tenantUrl, 'consents', subjectId) : null;
+    if (!options.bypass) {
+      for (const purposeId of purposeIds) {
+        const entry = await this._get(this._key(tenantUrl, 'purpose',
+            purposeId));
+        if (entry !== undefined) {
+          purposes[purposeId] = entry;
+        }
+      }
+
+      if (consentKey != null) {
+        const entry = await this._get(consentKey);
+        consents = (entry !== undefined) ? entry : null;
+      }
+    }
+
+    const fetched = {};
+    const missing = purposeIds.filter((id) => !purposes[id]);
+    debug(`[${methodName}]`, 'missing:', missing);
+    if (missing.length) {
+      await this._fetchPurposes(tenantUrl, missing, fetch, purposes, fetched);
+    }
+
+    const uncached = purposeIds.filter((id) => purposes[id] &&
+        !fetched[id] && (consents == null || !consents[id]));
+    debug(`[${methodName}]`, 'uncached consents:', uncached);
+    if (uncached.length && options.fetchConsents) {
+      for (const purposeId of uncached) {
+        fetched[purposeId] = {};
+      }
+
+      addConsents(fetched, await options.fetchConsents(uncached));
+    } else if (uncached.length) {
+      await this._fetchPurposes(tenantUrl, uncached, fetch, purposes,
+          fetched);
+    }
+
+    if (!Object.keys(fetched).length) {
+      return assemble(purposeIds, purposes, consents);
+    }
+
+    consents = {...consents, ...fetched};
+    if (consentKey != null) {
+      await this._set(consentKey, consents, this._consentTtlMs);
+    }
+
+    return assemble(purposeIds, purposes, consents);
+  }
+
+  /**
+   * Request the purposes from Verify and cache their definitions.
+   * @param {string} tenantUrl The Verify tenant
+   * @param {string[]} purposeIds The purpose identifiers
+   * @param {Function} fetch The function that calls Verify
+   * @param {Object} purposes The definitions, keyed by purpose identifier,
+   * which are updated
+   * @param {Object} fetched The consents that were requested, keyed by
+   * purpose identifier, which are updated
+   */
+  async _fetchPurposes(tenantUrl, purposeIds, fetch, purposes, fetched) {
+    const response = await fetch(purposeIds);
+    for (const purposeId of purposeIds) {
+      const entry = split(response, purposeId);
+      if (entry == null) {
+        continue;
+      }
+
+      purposes[purposeId] = entry;
+      fetched[purposeId] = {};
+      await this._set(this._key(tenantUrl, 'purpose', purposeId), entry,
+          this._purposeTtlMs);
+    }
+
+    addConsents(fetched, Object.values(response.consents || {}));
+  }
+
+  /**
+   * Remove cached entries for the tenant.
+   * @param {string} tenantUrl The Verify tenant
+   * @param {Object} [options] The entries to remove. If neither is set, all
+   * entries for the tenant are removed.
+   * @param {string[]} [options.purposeIds] The purposes to remove
+   * @param {string} [options.subjectId] The subject whose consents are
+   * removed
+   */
+  async invalidate(tenantUrl, options = {}) {
+    const methodName = `${MetadataCache.name}:invalidate()`;
+    debug(`[${methodName}]`, 'purposeIds:', options.purposeIds,
+        'subject:', options.subjectId != null);
+    try {
+      if (!options.purposeIds && !options.subjectId) {
+        await this._store.clear(this._key(tenantUrl, ''));
+        return;
+      }
+
+      for (const purposeId of options.purposeIds || []) {
+        await this._store.delete(this._key(tenantUrl, 'purpose', purposeId));
+      }
+
+      if (options.subjectId) {
+        await this._store.delete(this._key(tenantUrl, 'consents',
+            options.subjectId));
+      }
+    } catch (error) {
+      debug(`[${methodName}]`, 'error:', error.message);
+    }
+  }
+
+  /**
+   * Build the store key.
+   * @param {string} tenantUrl The Verify tenant
+   * @param {string} type The entry type
+   * @param {string} [id] The entry identifier
+   * @return {string} The key
+   */
+  _key(tenantUrl, type, id) {
+    const base = `${this._keyPrefix}:${tenantUrl}:`;
+    return (id != null) ? `${base}${type}:${id}` : base;
+  }
+
+  /**
+   * Read from the store.
+   * @param {string} key The key
+   * @return {Promise<*>} The value, or undefined if it is not found or the
+   * store fails
+   */
+  async _get(key) {
+    try {
+      const value = await this._store.get(key);
+      return (value == null) ? undefined : value;
+    } catch (error) {
+      debug(`[${MetadataCache.name}:_get(key)]`, 'error:', error.message);
+      return undefined;
+    }
+  }
+
+  /**
+   * Write to the store.
+   * @param {string} key The key
+   * @param {*} value The value
+   * @param {number} ttlMs The time to live, in milliseconds
+   */
+  async _set(key, value, ttlMs) {
+    try {
+      await this._store.set(key, value, ttlMs);
+    } catch (error) {
+      debug(`[${MetadataCache.name}:_set(key)]`, 'error:', error.message);
+    }
+  }
+}
+
+/**
+ * Extract the definitions for a purpose from the response.
+ * @param {Object} response The data subject presentation response
+ * @param {string} purposeId The purpose identifier
+ * @return {Object} The purpose, attributes and access types, or null if the
+ * purpose is not in the response
+ */
+function split(response, purposeId) {
+  const purpose = (response.purposes) ? response.purposes[purposeId] : null;
+  if (!purpose) {
+    return null;
+  }
+
+  const entry = {purpose, attributes: {}, accessTypes: {}};
+  const addAccessTypes = (accessTypes) => {
+    for (const accessType of accessTypes || []) {
+      if (response.accessTypes && response.accessTypes[accessType.id]) {
+        entry.accessTypes[accessType.id] = response.accessTypes[accessType.id];
+      }
+    }
+  };
+
+  addAccessTypes(purpose.accessTypes);
+  for (const attribute of purpose.attributes || []) {
+    if (response.attributes && response.attributes[attribute.id]) {
+      entry.attributes[attribute.id] = response.attributes[attribute.id];
+    }
+
+    addAccessTypes(attribute.accessTypes);
+  }
+
+  return entry;
+}
+
+/**
+ * Add the consents to the purposes they belong to.
+ * @param {Object} fetched The consents, keyed by purpose identifier. Only
+ * the purposes that are set are updated.
+ * @param {Object[]} records The consents
+ */
+function addConsents(fetched, records) {
+  for (const consent of records || []) {
+    if (consent && consent.id && fetched[consent.purposeId]) {
+      fetched[consent.purposeId][consent.id] = consent;
+    }
+  }
+}
+
+/**
+ * Combine the cached portions into a data subject presentation response.
+ * @param {string[]} purposeIds The purpose identifiers
+ * @param {Object} purposes The definitions, keyed by purpose identifier
+ * @param {Object} consents The consents, keyed by purpose identifier
+ * @return {Object} The data subject presentation response
+ */
+function assemble(purposeIds, purposes, consents) {
+  const response = {purposes: {}, attributes: {}, accessTypes: {},
+    consents: {}};
+  for (const purposeId of purposeIds) {
+    const entry = purposes[purposeId];
+    if (!entry) {
+      continue;
+    }
+
+    response.purposes[purposeId] = entry.purpose;
+    Object.assign(response.attributes, entry.attributes);
+    Object.assign(response.accessTypes, entry.accessTypes);
+    if (consents != null && consents[purposeId]) {
+      Object.assign(response.consents, consents[purposeId]);
+    }
+  }
+
+  return response;
+}
+
+module.exports = MetadataCache;
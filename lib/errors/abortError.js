@@ -0,0 +1,17 @@
+const NetworkError = require('./networkError');
+
+/**
+ * Indicate that a request to Verify was cancelled using the
+ * <code>AbortSignal</code> provided by the caller.
+ * @extends NetworkError
+ */
+class AbortError extends NetworkError {
+  /**
+     * Create a {@link AbortError} object.
+     */
+  constructor() {
+    super('The request was aborted', null, 'ABORTED');
+  }
+}
+
+module.exports = AbortError;
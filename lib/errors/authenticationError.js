@@ -0,0 +1,10 @@
+const VerifyApiError = require('./verifyApiError');
+
+/**
+ * Indicate that Verify rejected a request with a 401 HTTP status code
+ * because the access token is missing, invalid or expired.
+ * @extends VerifyApiError
+ */
+class AuthenticationError extends VerifyApiError {}
+
+module.exports = AuthenticationError;
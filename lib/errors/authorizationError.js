@@ -0,0 +1,11 @@
+const VerifyApiError = require('./verifyApiError');
+
+/**
+ * Indicate that Verify rejected a request with a 403 HTTP status code
+ * because the access token does not have the entitlements required for
+ * the request.
+ * @extends VerifyApiError
+ */
+class AuthorizationError extends VerifyApiError {}
+
+module.exports = AuthorizationError;
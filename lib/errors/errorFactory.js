@@ -0,0 +1,55 @@
+const AuthenticationError = require('./authenticationError');
+const AuthorizationError = require('./authorizationError');
+const NetworkError = require('./networkError');
+const PrivacyError = require('./privacyError');
+const RateLimitError = require('./rateLimitError');
+const ValidationError = require('./validationError');
+const VerifyApiError = require('./verifyApiError');
+
+/**
+ * Create the {@link VerifyApiError} that matches an HTTP error response.
+ * @param {TransportResponse} response The HTTP response
+ * @return {VerifyApiError} The error
+ */
+function fromResponse(response) {
+  const status = response.status;
+  const body = response.body;
+  const messageId = (body && body.messageId) ? body.messageId :
+      `HTTP_${status}`;
+  const messageDescription = (body && body.messageDescription) ?
+      body.messageDescription : `Request failed with status code ${status}`;
+  const details = {
+    httpStatus: status,
+    data: body,
+    headers: (response.headers) ? response.headers : {},
+  };
+
+  switch (status) {
+    case 400:
+      return new ValidationError(messageId, messageDescription, details);
+    case 401:
+      return new AuthenticationError(messageId, messageDescription, details);
+    case 403:
+      return new AuthorizationError(messageId, messageDescription, details);
+    case 429:
+      return new RateLimitError(messageId, messageDescription, details);
+    default:
+      return new VerifyApiError(messageId, messageDescription, details);
+  }
+}
+
+/**
+ * Convert any error into a {@link PrivacyError}. Errors that are not
+ * already a {@link PrivacyError} are treated as network errors.
+ * @param {Error} error The error
+ * @return {PrivacyError} The error
+ */
+function fromError(error) {
+  if (error instanceof PrivacyError) {
+    return error;
+  }
+
+  return new NetworkError(error.message, (error.code) ? error.code : null);
+}
+
+module.exports = {fromResponse, fromError};
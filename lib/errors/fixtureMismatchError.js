@@ -0,0 +1,25 @@
+const PrivacyError = require('./privacyError');
+
+/**
+ * Indicate that a {@link FixtureTransport} in replay mode has no recorded
+ * response for a request. The message describes the request and how it
+ * differs from the closest recorded request.
+ * @extends PrivacyError
+ */
+class FixtureMismatchError extends PrivacyError {
+  /**
+     * Create a {@link FixtureMismatchError} object.
+     * @param {string} messageDescription The description of the mismatch.
+     * @param {Object} request The normalized request, with the
+     * <code>method</code>, <code>path</code> and <code>body</code>.
+     * @param {string[]} diff The differences from the closest recorded
+     * request, if any.
+     */
+  constructor(messageDescription, request, diff = []) {
+    super('FIXTURE_MISMATCH', messageDescription);
+    this.request = request;
+    this.diff = diff;
+  }
+}
+
+module.exports = FixtureMismatchError;
@@ -0,0 +1,22 @@
+const PrivacyError = require('./privacyError');
+
+/**
+ * Indicate that no response was received from Verify, for example because
+ * the connection failed.
+ * @extends PrivacyError
+ */
+class NetworkError extends PrivacyError {
+  /**
+     * Create a {@link NetworkError} object.
+     * @param {string} messageDescription The description of the error.
+     * @param {string} [code] The system error code, such as
+     * <code>ECONNRESET</code>.
+     * @param {string} [messageId='NETWORK_ERROR'] The error code.
+     */
+  constructor(messageDescription, code = null, messageId = 'NETWORK_ERROR') {
+    super(messageId, messageDescription);
+    this.code = code;
+  }
+}
+
+module.exports = NetworkError;
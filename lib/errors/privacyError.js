@@ -0,0 +1,32 @@
+/**
+ * The base class for errors raised by SDK calls. The
+ * <code>messageId</code> and <code>messageDescription</code> match the
+ * error details returned when the SDK is not configured to throw errors.
+ */
+class PrivacyError extends Error {
+  /**
+     * Create a {@link PrivacyError} object.
+     * @param {string} messageId The error code.
+     * @param {string} messageDescription The description of the error.
+     */
+  constructor(messageId, messageDescription) {
+    super(messageDescription);
+    this.name = this.constructor.name;
+    this.messageId = messageId;
+    this.messageDescription = messageDescription;
+  }
+
+  /**
+     * Get the error details returned in the <code>error</code> property of
+     * SDK call results.
+     * @return {VerifyError} The error details.
+     */
+  toJSON() {
+    return {
+      messageId: this.messageId,
+      messageDescription: this.messageDescription,
+    };
+  }
+}
+
+module.exports = PrivacyError;
@@ -0,0 +1,29 @@
+const VerifyApiError = require('./verifyApiError');
+const HttpUtils = require('../utils/httpUtils');
+
+/**
+ * Indicate that Verify rejected a request with a 429 HTTP status code
+ * because too many requests were sent.
+ * @extends VerifyApiError
+ */
+class RateLimitError extends VerifyApiError {
+  /**
+     * Create a {@link RateLimitError} object.
+     * @param {string} messageId The Verify error code.
+     * @param {string} messageDescription The description of the error.
+     * @param {Object} [details] Details of the HTTP response. See
+     * {@link VerifyApiError}.
+     */
+  constructor(messageId, messageDescription, details = {}) {
+    super(messageId, messageDescription, details);
+    /**
+     * The number of milliseconds the server asked to wait before sending
+     * another request, or null if it did not say. The
+     * <code>Retry-After</code> header may be in seconds or an HTTP date.
+     * @type {number}
+     */
+    this.retryAfterMs = HttpUtils.parseRetryAfter(this.headers['retry-after']);
+  }
+}
+
+module.exports = RateLimitError;
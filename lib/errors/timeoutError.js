@@ -0,0 +1,20 @@
+const NetworkError = require('./networkError');
+
+/**
+ * Indicate that a request to Verify did not complete within the configured
+ * timeout.
+ * @extends NetworkError
+ */
+class TimeoutError extends NetworkError {
+  /**
+     * Create a {@link TimeoutError} object.
+     * @param {number} timeoutMs The timeout that elapsed, in milliseconds.
+     */
+  constructor(timeoutMs) {
+    super(`The request did not complete within ${timeoutMs}ms`, null,
+        'TIMEOUT');
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+module.exports = TimeoutError;
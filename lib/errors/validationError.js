@@ -0,0 +1,39 @@
+const VerifyApiError = require('./verifyApiError');
+
+/**
+ * Indicate that a request is invalid. This is raised when Verify responds
+ * with a 400 HTTP status code, or before a request is sent when the input
+ * does not have the expected shape.
+ * @extends VerifyApiError
+ */
+class ValidationError extends VerifyApiError {
+  /**
+     * Create a {@link ValidationError} object.
+     * @param {string} messageId The error code.
+     * @param {string} messageDescription The description of the error.
+     * @param {Object} [details] Details of the HTTP response. See
+     * {@link VerifyApiError}.
+     * @param {Object[]} [details.errors] The individual problems found in the
+     * input, each with a <code>path</code> and a <code>message</code>.
+     */
+  constructor(messageId, messageDescription, details = {}) {
+    super(messageId, messageDescription, details);
+    this.errors = (Array.isArray(details.errors)) ? details.errors : [];
+  }
+
+  /**
+     * Get the error details returned in the <code>error</code> property of
+     * SDK call results.
+     * @return {VerifyError} The error details.
+     */
+  toJSON() {
+    const json = super.toJSON();
+    if (this.errors.length) {
+      json.errors = this.errors;
+    }
+
+    return json;
+  }
+}
+
+module.exports = ValidationError;
@@ -0,0 +1,39 @@
+const PrivacyError = require('./privacyError');
+
+/**
+ * Indicate that Verify responded to a request with an error.
+ * @extends PrivacyError
+ */
+class VerifyApiError extends PrivacyError {
+  /**
+     * Create a {@link VerifyApiError} object.
+     * @param {string} messageId The Verify error code.
+     * @param {string} messageDescription The description of the error.
+     * @param {Object} [details] Details of the HTTP response.
+     * @param {number} [details.httpStatus] The HTTP status code.
+     * @param {Object} [details.data] The response body.
+     * @param {Object} [details.headers] The response headers.
+     */
+  constructor(messageId, messageDescription, details = {}) {
+    super(messageId, messageDescription);
+    this.httpStatus = (details.httpStatus) ? details.httpStatus : null;
+    this.data = (details.data) ? details.data : null;
+    this.headers = (details.headers) ? details.headers : {};
+  }
+
+  /**
+     * Get the error details returned in the <code>error</code> property of
+     * SDK call results.
+     * @return {VerifyError} The error details.
+     */
+  toJSON() {
+    const json = super.toJSON();
+    if (this.httpStatus != null) {
+      json.httpStatus = this.httpStatus;
+    }
+
+    return json;
+  }
+}
+
+module.exports = VerifyApiError;
@@ -0,0 +1,356 @@
+const ConsentBuilder = require('../utils/consentBuilder');
+const ValidationError = require('../errors/validationError');
+const {ConsentDisplayTypes: DisplayTypes, ConsentStates} =
+    require('../utils/consentTypes');
+const debug = require('debug')('verify:consentForm');
+
+// Privacy.ConsentTypes that mean the user accepted
+const AcceptedStates = Object.values(ConsentStates).map((states) => states[0]);
+
+const DefaultLabels = {
+  optIn: 'Opt in',
+  optOut: 'Opt out',
+  allow: 'Allow',
+  deny: 'Deny',
+  transparent: 'This data is used for this purpose.',
+  termsOfUse: 'Read the terms of use',
+};
+
+/**
+ * Renders the consent metadata returned by
+ * {@link Privacy#getConsentMetadata} as HTML form fields, and reads the
+ * submitted form back into the consents to store.
+ *
+ * The records are grouped by purpose, with EULAs first, and each purpose
+ * is rendered as a <code>fieldset</code>. The controls depend on the
+ * consent display type of the record - a pair of radio buttons for
+ * <code>OPTIN_OR_OUT</code> and <code>ALLOW_OR_DENY</code>, a notice for
+ * <code>TRANSPARENT</code> and nothing for <code>DO_NOT_SHOW</code>. The
+ * selection reflects the existing consent or, if there is none,
+ * <code>assentUIDefault</code>.
+ *
+ * Only the fields are rendered, so the application provides the
+ * <code>form</code> element, the submit button and any CSRF token. The
+ * submitted form must be parsed with the metadata fetched again on the
+ * server, since the field names only identify the records.
+ */
+class ConsentForm {
+  /**
+   * Create a new {@link ConsentForm} object.
+   * @param {Object} [options] The form options
+   * @param {Object} [options.labels] The text used in the form, for
+   * localization. The keys are <code>optIn</code>, <code>optOut</code>,
+   * <code>allow</code>, <code>deny</code>, <code>transparent</code> and
+   * <code>termsOfUse</code>.
+   * @param {Object} [options.templates] Functions that replace the default
+   * markup. Each is called with an object and returns HTML. Values must be
+   * escaped using {@link ConsentForm.escape}.
+   * <br><code>purpose({purposeId, purposeName, isEula, termsOfUseRef,
+   * records, labels})</code> - a purpose, where <code>records</code> is the
+   * HTML of its records
+   * <br><code>record({record, id, label, controls, labels})</code> - a
+   * record, where <code>controls</code> is the HTML of its controls
+   * <br><code>control({type, id, name, value, checked, label})</code> - a
+   * radio button or hidden input
+   * @param {Function} [options.recordLabel] Returns the text that describes
+   * a record. Defaults to the attribute name and value, or the purpose name
+   * for records without an attribute.
+   * @param {string} [options.fieldPrefix='consent'] The prefix of the field
+   * names and element identifiers
+   */
+  constructor(options = {}) {
+    this._labels = {...DefaultLabels, ...options.labels};
+    this._templates = {...DefaultTemplates, ...options.templates};
+    this._recordLabel = (options.recordLabel) ? options.recordLabel :
+        defaultRecordLabel;
+    this._fieldPrefix = (options.fieldPrefix) ? options.fieldPrefix :
+        'consent';
+  }
+
+  /**
+   * Escape text for use in HTML content and attribute values.
+   * @param {*} value The text
+   * @return {string} The escaped text
+   */
+  static escape(value) {
+    if (value == null) {
+      return '';
+    }
+
+    return String(value).replace(/[&<>"']/g, (c) => HtmlEntities[c]);
+  }
+
+  /**
+   * Render the form fields for the consent metadata.
+   * @param {WrappedMetadata|Metadata} metadata The consent metadata
+   * @param {Object} [options] The render options
+   * @param {Object} [options.labels] Labels that override the form labels
+   * for this call, e.g. for the user's locale
+   * @return {string} The HTML
+   *
+   * @example
+   * const form = new Privacy.ConsentForm();
+   * const r = await client.getConsentMetadata(items);
+   * res.send(`<form method="post" action="/consent">
+   *   ${form.render(r)}
+   *   <button type="submit">Save</button>
+   * </form>`);
+   */
+  render(metadata, options = {}) {
+    const labels = {...this._labels, ...options.labels};
+    const html = [];
+    for (const group of this._groups(metadata)) {
+      const records = group.records.map(({record, index}) =>
+        this._renderRecord(record, index, labels)).join('\n');
+      html.push(this._templates.purpose({
+        purposeId: group.purposeId,
+        purposeName: group.purposeName,
+        isEula: group.isEula,
+        termsOfUseRef: group.termsOfUseRef,
+        records,
+        labels,
+      }));
+    }
+
+    return html.join('\n');
+  }
+
+  /**
+   * Read the submitted form into the consents to store.
+   * @param {WrappedMetadata|Metadata} metadata The consent metadata used to
+   * render the form, fetched again on the server
+   * @param {Object|string|URLSearchParams} body The submitted form, either
+   * parsed into an object or as the URL-encoded string
+   * @param {Object} [options] Options passed to
+   * {@link Privacy.buildConsents}, e.g. <code>startTime</code>
+   * @return {Consent[]} The consents to pass to
+   * {@link Privacy#storeConsents}. Records without a choice are skipped.
+   * @throws {ValidationError} A field has a value that is not allowed for
+   * the record.
+   *
+   * @example
+   * app.post('/consent', express.urlencoded({extended: false}),
+   *     async (req, res) => {
+   *       const r = await client.getConsentMetadata(items);
+   *       const consents = form.parse(r, req.body);
+   *       await client.storeConsents(consents);
+   *     });
+   */
+  parse(metadata, body, options = {}) {
+    const values = (typeof body == 'string' ||
+        body instanceof URLSearchParams) ?
+        Object.fromEntries(new URLSearchParams(body)) : body;
+    if (values == null || typeof values != 'object') {
+      throw new ValidationError('INVALID_DATATYPE', 'body is expected to be ' +
+          `the submitted form. Received ${typeof body}`, {
+        errors: [{path: 'body', message: 'must be an object or a string'}],
+      });
+    }
+
+    const consents = [];
+    const errors = [];
+    for (const group of this._groups(metadata)) {
+      for (const {record} of group.records) {
+        const name = this._fieldName(record);
+        let value = values[name];
+        if (Array.isArray(value)) {
+          value = value[value.length - 1];
+        }
+
+        if (value == null || value === '') {
+          continue;
+        }
+
+        if (value != 'accept' && value != 'decline') {
+          errors.push({path: name, message: 'must be accept or decline'});
+          continue;
+        }
+
+        try {
+          consents.push(...ConsentBuilder.buildConsents([record], [{
+            purposeId: record.purposeId,
+            accepted: value == 'accept',
+          }], options));
+        } catch (error) {
+          if (!(error instanceof ValidationError)) {
+            throw error;
+          }
+
+          errors.push({path: name, message: `cannot be ${value} for ` +
+              `${record.purposeId}`});
+        }
+      }
+    }
+
+    if (errors.length) {
+      const more = (errors.length > 1) ?
+          ` (and ${errors.length - 1} more problems)` : '';
+      throw new ValidationError('INVALID_CHOICE',
+          `${errors[0].path} ${errors[0].message}${more}`, {errors});
+    }
+
+    debug(`[${ConsentForm.name}:parse(metadata, body)]`, 'consents:',
+        consents.length);
+    return consents;
+  }
+
+  /**
+   * Render a record and its controls.
+   * @param {MetadataRecord} record The metadata record
+   * @param {number} index The position of the record in the metadata
+   * @param {Object} labels The labels
+   * @return {string} The HTML
+   */
+  _renderRecord(record, index, labels) {
+    const id = `${this._fieldPrefix}-${index}`;
+    const name = this._fieldName(record);
+    let controls;
+    if (record.consentType == DisplayTypes.TRANSPARENT) {
+      controls = this._templates.control({type: 'hidden', id: null, name,
+        value: 'accept', checked: true, label: labels.transparent});
+    } else {
+      const optIn = record.consentType == DisplayTypes.OPTIN_OR_OUT;
+      const selected = selectedValue(record);
+      controls = [
+        ['accept', (optIn) ? labels.optIn : labels.allow],
+        ['decline', (optIn) ? labels.optOut : labels.deny],
+      ].map(([value, label]) => this._templates.control({type: 'radio',
+        id: `${id}-${value}`, name, value, checked: selected == value,
+        label})).join('\n');
+    }
+
+    return this._templates.record({record, id,
+      label: this._recordLabel(record), controls, labels});
+  }
+
+  /**
+   * Group the records that are shown to the user by purpose, with EULAs
+   * first.
+   * @param {WrappedMetadata|Metadata} metadata The consent metadata
+   * @return {Object[]} The groups
+   */
+  _groups(metadata) {
+    const sections = (metadata != null && metadata.metadata != null) ?
+        metadata.metadata : metadata;
+    if (sections == null || typeof sections != 'object') {
+      throw new ValidationError('INVALID_DATATYPE', 'metadata is expected ' +
+          'to be the result of getConsentMetadata', {
+        errors: [{path: 'metadata', message: 'must contain metadata records'}],
+      });
+    }
+
+    const groups = new Map();
+    let index = 0;
+    for (const isEula of [true, false]) {
+      const records = sections[(isEula) ? 'eula' : 'default'];
+      for (const record of (Array.isArray(records)) ? records : []) {
+        const position = index++;
+        if (record.consentType == DisplayTypes.DO_NOT_SHOW) {
+          continue;
+        }
+
+        if (!groups.has(record.purposeId)) {
+          groups.set(record.purposeId, {
+            purposeId: record.purposeId,
+            purposeName: record.purposeName,
+            isEula,
+            termsOfUseRef: record.termsOfUseRef,
+            records: [],
+          });
+        }
+
+        groups.get(record.purposeId).records.push({record, index: position});
+      }
+    }
+
+    return Array.from(groups.values());
+  }
+
+  /**
+   * Get the field name for a record, e.g.
+   * <code>consent:marketing/3/default/</code>. The name identifies the
+   * record, so it does not depend on the order of the metadata.
+   * @param {MetadataRecord} record The metadata record
+   * @return {string} The field name
+   */
+  _fieldName(record) {
+    return `${this._fieldPrefix}:` + ['purposeId', 'attributeId',
+      'accessTypeId', 'attributeValue'].map((field) =>
+      encodeURIComponent((record[field] != null) ? record[field] : ''))
+        .join('/');
+  }
+}
+
+const HtmlEntities = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\'': '&#39;',
+};
+
+const DefaultTemplates = {
+  purpose: ({purposeId, purposeName, isEula, termsOfUseRef, records,
+    labels}) => {
+    const terms = (isEula && termsOfUseRef) ?
+        `\n  <p><a href="${ConsentForm.escape(termsOfUseRef)}" ` +
+        `target="_blank" rel="noopener noreferrer">` +
+        `${ConsentForm.escape(labels.termsOfUse)}</a></p>` : '';
+    return `<fieldset class="consent-purpose" ` +
+        `data-purpose-id="${ConsentForm.escape(purposeId)}">\n` +
+        `  <legend>${ConsentForm.escape(purposeName)}</legend>${terms}\n` +
+        `${records}\n</fieldset>`;
+  },
+  record: ({record, id, label, controls}) => {
+    // transparent records only have a notice
+    const role = (record.consentType != DisplayTypes.TRANSPARENT) ?
+        ' role="radiogroup"' : '';
+    return `  <div class="consent-record"${role} ` +
+        `aria-labelledby="${ConsentForm.escape(id)}-label">\n` +
+        `    <span id="${ConsentForm.escape(id)}-label">` +
+        `${ConsentForm.escape(label)}</span>\n${controls}\n  </div>`;
+  },
+  control: ({type, id, name, value, checked, label}) => {
+    if (type == 'hidden') {
+      return `    <p>${ConsentForm.escape(label)}</p>\n` +
+          `    <input type="hidden" name="${ConsentForm.escape(name)}" ` +
+          `value="${ConsentForm.escape(value)}">`;
+    }
+
+    return `    <label><input type="radio" id="${ConsentForm.escape(id)}" ` +
+        `name="${ConsentForm.escape(name)}" ` +
+        `value="${ConsentForm.escape(value)}"${(checked) ? ' checked' : ''}>` +
+        ` ${ConsentForm.escape(label)}</label>`;
+  },
+};
+
+/**
+ * Describe the record using the attribute name and value, or the purpose
+ * name if there is no attribute.
+ * @param {MetadataRecord} record The metadata record
+ * @return {string} The text
+ */
+function defaultRecordLabel(record) {
+  const name = (record.attributeName) ? record.attributeName :
+      record.purposeName;
+  return (record.attributeValue) ? `${name} (${record.attributeValue})` :
+      name;
+}
+
+/**
+ * Get the choice to preselect from the existing consent or, if there is
+ * none, the default for the record.
+ * @param {MetadataRecord} record The metadata record
+ * @return {string} <code>accept</code>, <code>decline</code> or null
+ */
+function selectedValue(record) {
+  if ((record.status == 'ACTIVE' || record.status == 'NOT_ACTIVE') &&
+      record.consent != null) {
+    return (AcceptedStates.includes(record.consent.state)) ?
+        'accept' : 'decline';
+  }
+
+  return (record.assentUIDefault) ? 'accept' : null;
+}
+
+module.exports = ConsentForm;
@@ -0,0 +1,177 @@
+const PrivacyError = require('../errors/privacyError');
+const Redactor = require('../utils/redactor');
+const debug = require('debug')('verify:requireConsent');
+
+// errors may carry response bodies and headers with personal data
+const redactor = new Redactor();
+
+/**
+ * Create middleware that only lets a request through if the data items it
+ * uses are approved for the subject of the request. It works with Express,
+ * Connect and other frameworks that use <code>(req, res, next)</code>
+ * middleware, since only the Node.js request and response APIs are used.
+ * <br><br>The subject and IP address are taken from the request and passed
+ * to {@link Privacy#assess} as the call context, and the
+ * {@link WrappedAssessment} is attached to the request. Depending on the
+ * status -
+ * <br><code>approved</code> - the next handler is called
+ * <br><code>consent</code> - the response redirects to
+ * <code>options.consentUrl</code> or, if it is not set, is a 403
+ * <br><code>multistatus</code> and <code>denied</code> - the response is
+ * a 403
+ * <br><code>error</code> - <code>next</code> is called with the
+ * {@link PrivacyError}, so the application error handler responds
+ * <br><br>Errors thrown by the option functions, including
+ * <code>consentUrl</code>, are also passed to <code>next</code>.
+ * <br><br>The body of a 403 response is JSON, e.g.
+ * <code>{"status": "consent", "error": {"messageId": "CONSENT_REQUIRED",
+ * "messageDescription": "..."}, "assessment": [...]}</code>.
+ *
+ * @param {Object|Object[]|Function} items The data items that require
+ * approval, as for {@link Privacy#assess}, or a function that returns them
+ * for the request, e.g. <code>{purposeId, attributeId, accessTypeId}</code>
+ * @param {Object} options The middleware options
+ * @param {Privacy|Function} options.client The client, or a function that
+ * returns the client for the request, e.g. from a
+ * {@link PrivacyRegistry}
+ * @param {Function} [options.subject] Returns the subject identifier for
+ * the request. Defaults to <code>req.user.id</code>, if set. If no
+ * subject is returned, the client context is used.
+ * @param {Function} [options.isExternalSubject] Returns true if the subject
+ * is not a Verify user
+ * @param {Function} [options.ipAddress] Returns the IP address of the user
+ * agent. Defaults to <code>req.ip</code> or the socket address.
+ * @param {string|Function} [options.consentUrl] The URL to redirect to if
+ * consent is required, or a function that returns it for the request and
+ * the assessment
+ * @param {string} [options.property='privacy'] The request property the
+ * assessment is attached to
+ * @return {Function} The middleware
+ *
+ * @example
+ * app.get('/profile/phone', Privacy.requireConsent({
+ *   purposeId: 'marketing',
+ *   attributeId: 'mobile_number',
+ * }, {
+ *   client,
+ *   subject: (req) => req.session.userId,
+ *   consentUrl: (req) => `/consent?returnTo=${encodeURIComponent(req.url)}`,
+ * }), (req, res) => {
+ *   // the mobile number may be used
+ * });
+ */
+function requireConsent(items, options = {}) {
+  if (options.client == null) {
+    throw new TypeError('options.client is required');
+  }
+
+  const property = (options.property) ? options.property : 'privacy';
+  const subject = (options.subject) ? options.subject : defaultSubject;
+  const ipAddress = (options.ipAddress) ? options.ipAddress :
+      defaultIpAddress;
+
+  return async (req, res, next) => {
+    const methodName = 'requireConsent(req, res, next)';
+    let result;
+    try {
+      const client = (typeof options.client == 'function') ?
+          await options.client(req) : options.client;
+      const requested = (typeof items == 'function') ?
+          await items(req) : items;
+      const context = {};
+      addValue(context, 'subjectId', subject(req));
+      addValue(context, 'ipAddress', ipAddress(req));
+      if (options.isExternalSubject) {
+        addValue(context, 'isExternalSubject', options.isExternalSubject(req));
+      }
+
+      result = await client.assess(
+          (Array.isArray(requested)) ? requested : [requested], {context});
+    } catch (error) {
+      debug(`[${methodName}]`, 'error:', redactor.redact(error));
+      next(error);
+      return;
+    }
+
+    req[property] = result;
+    debug(`[${methodName}]`, 'status:', result.status);
+    if (result.status == 'approved') {
+      next();
+      return;
+    }
+
+    if (result.status == 'error') {
+      const error = new PrivacyError(result.error.messageId,
+          result.error.messageDescription);
+      next(Object.assign(error, result.error));
+      return;
+    }
+
+    if (result.status == 'consent' && options.consentUrl) {
+      try {
+        const location = (typeof options.consentUrl == 'function') ?
+            await options.consentUrl(req, result) : options.consentUrl;
+        res.statusCode = 302;
+        res.setHeader('Location', location);
+        res.end();
+      } catch (error) {
+        debug(`[${methodName}]`, 'error:', redactor.redact(error));
+        next(error);
+      }
+
+      return;
+    }
+
+    const required = result.status == 'consent';
+    res.statusCode = 403;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({
+      status: result.status,
+      error: {
+        messageId: (required) ? 'CONSENT_REQUIRED' : 'ACCESS_DENIED',
+        messageDescription: (required) ?
+            'The subject has not consented to the use of the data.' :
+            'The use of the data is not approved for the subject.',
+      },
+      assessment: result.assessment,
+    }));
+  };
+}
+
+/**
+ * Get the subject from the authenticated user, as set by Passport and
+ * similar libraries.
+ * @param {Object} req The request
+ * @return {string} The subject identifier, if any
+ */
+function defaultSubject(req) {
+  return (req.user != null) ? req.user.id : null;
+}
+
+/**
+ * Get the IP address of the user agent. Express sets <code>req.ip</code>
+ * from the forwarding headers if the app trusts the proxy.
+ * @param {Object} req The request
+ * @return {string} The IP address, if known
+ */
+function defaultIpAddress(req) {
+  if (req.ip) {
+    return req.ip;
+  }
+
+  return (req.socket != null) ? req.socket.remoteAddress : null;
+}
+
+/**
+ * Set the property if the value is set.
+ * @param {Object} obj The object
+ * @param {string} key The property name
+ * @param {*} value The value
+ */
+function addValue(obj, key, value) {
+  if (value != null && value !== '') {
+    obj[key] = value;
+  }
+}
+
+module.exports = requireConsent;
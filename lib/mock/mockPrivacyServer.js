@@ -0,0 +1,921 @@
+const ConsentEnums = require('../utils/consentTypes');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const debug = require('debug')('verify:mockPrivacyServer');
+
+/**
+ * The message identifiers returned by the mock server. These match the
+ * identifiers returned by Verify and relied upon by
+ * <code>DPCMService.processAssessment</code>.
+ */
+const MessageIds = {
+  INVALID_REQUEST: 'CSIBT0004E',
+  INVALID_PURPOSE: 'CSIBT0022E',
+  INVALID_ATTRIBUTE: 'CSIBT0036E',
+  INVALID_ATTRIBUTE_ACCESS_TYPE: 'CSIBT0037E',
+  INVALID_ACCESS_TYPE: 'CSIBT0038E',
+  OPTED_OUT: 'CSIBT0040I',
+  DENIED: 'CSIBT0041I',
+  CONSENT_REQUIRED: 'CSIBT0042I',
+  RULE_DENIED: 'CSIBT0060I',
+  CONSENTS_STORED: 'CSIBT0070I',
+  CONSENTS_FAILED: 'CSIBT0071W',
+  UNAUTHORIZED: 'CSIAH0401E',
+  NOT_FOUND: 'CSIBT0404E',
+};
+
+const Descriptions = {
+  CSIBT0022E: 'The purpose is either invalid or has no active version.',
+  CSIBT0036E: 'The specified attribute does not belong to the active ' +
+      'purpose.',
+  CSIBT0037E: 'The requested attribute\'s access type is not configured ' +
+      'in the purpose.',
+  CSIBT0038E: 'The specified access type does not belong to the active ' +
+      'purpose.',
+  CSIBT0040I: 'The user has opted out.',
+  CSIBT0041I: 'The user has denied consent.',
+  CSIBT0042I: 'The user has not consented.',
+  CSIBT0060I: 'The rule decision is deny.',
+};
+
+const ConsentStates = Object.values(ConsentEnums.ConsentTypes);
+const ApprovingStates = Object.values(ConsentEnums.ConsentStates)
+    .map((states) => states[0]);
+const DO_NOT_SHOW = ConsentEnums.ConsentDisplayTypes.DO_NOT_SHOW;
+
+/**
+ * An in-process HTTP server that emulates the Verify data privacy and
+ * consent APIs used by the SDK. Point the SDK at it by setting
+ * <code>config.tenantUrl</code> to the server URL.
+ *
+ * The tenant is described by a fixture that lists the purposes,
+ * attributes, access types, rules, subjects, API clients and existing
+ * consents. Consents created through the server are kept in memory until
+ * {@link MockPrivacyServer#reset} is called or the server is discarded.
+ *
+ * The following endpoints are implemented -
+ * <br><code>POST /v1.0/privacy/data-usage-approval</code>
+ * <br><code>POST /v1.0/privacy/data-subject-presentation</code>
+ * <br><code>PATCH /v1.0/privacy/consents</code>
+ * <br><code>GET /config/v1.0/privacy/consents</code>
+ * <br><code>POST /oidc/endpoint/default/token</code> (client credentials)
+ *
+ * @example
+ * const MockPrivacyServer =
+ *     require('verify-privacy-sdk-js/lib/mock/mockPrivacyServer');
+ * const server = new MockPrivacyServer({fixture: './tenant.json'});
+ * const tenantUrl = await server.start();
+ * const client = new Privacy({tenantUrl}, {accessToken: 'mock-token'});
+ * // ...
+ * await server.stop();
+ */
+class MockPrivacyServer {
+  /**
+   * Create a new {@link MockPrivacyServer} object.
+   * @param {Object} [options] The server options
+   * @param {Object|string} [options.fixture] The fixture object or the path
+   * to a JSON fixture file. Defaults to the fixture shipped with the SDK.
+   * @param {number} [options.port=0] The port to listen on. A random port
+   * is used by default.
+   * @param {string} [options.host='127.0.0.1'] The interface to listen on.
+   * @param {boolean} [options.unref=false] Allow the process to exit while
+   * the server is running.
+   */
+  constructor(options = {}) {
+    this._fixture = MockPrivacyServer.loadFixture(options.fixture);
+    this._port = (typeof options.port == 'number') ? options.port : 0;
+    this._host = (options.host) ? options.host : '127.0.0.1';
+    this._unref = options.unref === true;
+    this._server = null;
+    this._url = null;
+    this.reset();
+  }
+
+  /**
+   * Load a fixture.
+   * @param {Object|string} [fixture] The fixture object or the path to a
+   * JSON fixture file. Defaults to the fixture shipped with the SDK.
+   * @return {Object} The fixture with defaults for missing sections
+   */
+  static loadFixture(fixture) {
+    if (fixture == null) {
+      fixture = path.join(__dirname, 'fixtures', 'default.json');
+    }
+
+    if (typeof fixture == 'string') {
+      fixture = JSON.parse(fs.readFileSync(fixture, 'utf8'));
+    }
+
+    return {
+      clients: [],
+      subjects: [],
+      accessTypes: {},
+      attributes: {},
+      purposes: {},
+      rules: [],
+      consents: [],
+      ...fixture,
+    };
+  }
+
+  /**
+   * The server URL to use as the tenant URL, once started.
+   * @type {string}
+   */
+  get url() {
+    return this._url;
+  }
+
+  /**
+   * The consent records currently stored by the server.
+   * @type {Object[]}
+   */
+  get consents() {
+    return Array.from(this._consents.values());
+  }
+
+  /**
+   * Start listening.
+   * @return {Promise<string>} The server URL
+   */
+  async start() {
+    if (this._server != null) {
+      return this._url;
+    }
+
+    this._server = http.createServer((req, res) => this._dispatch(req, res));
+    if (this._unref) {
+      this._server.unref();
+      this._server.on('connection', (socket) => socket.unref());
+    }
+
+    await new Promise((resolve, reject) => {
+      this._server.once('error', reject);
+      this._server.listen(this._port, this._host, resolve);
+    });
+
+    this._url = `http://${this._host}:${this._server.address().port}`;
+    debug(`[${MockPrivacyServer.name}:start()]`, 'url:', this._url);
+    return this._url;
+  }
+
+  /**
+   * Stop listening and close open connections.
+   * @return {Promise} Resolves when the server is closed
+   */
+  async stop() {
+    if (this._server == null) {
+      return;
+    }
+
+    const server = this._server;
+    this._server = null;
+    this._url = null;
+    await new Promise((resolve) => {
+      server.close(resolve);
+      if (typeof server.closeAllConnections == 'function') {
+        server.closeAllConnections();
+      }
+    });
+  }
+
+  /**
+   * Discard consents created through the server and restore the consents
+   * listed in the fixture.
+   */
+  reset() {
+    this._consents = new Map();
+    for (const consent of this._fixture.consents) {
+      const id = (consent.id) ? consent.id : crypto.randomUUID();
+      this._consents.set(id, {
+        isGlobal: false,
+        applicationId: null,
+        attributeId: null,
+        attributeValue: null,
+        accessTypeId: 'default',
+        endTime: null,
+        ...consent,
+        id,
+      });
+    }
+  }
+
+  /**
+   * Read the request and route it to the matching handler.
+   * @param {Object} req The request
+   * @param {Object} res The response
+   */
+  _dispatch(req, res) {
+    let raw = '';
+    req.on('data', (chunk) => raw += chunk);
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const route = `${req.method} ${url.pathname}`;
+      debug(`[${MockPrivacyServer.name}:_dispatch(req, res)]`, route);
+      let reply;
+      try {
+        if (route == 'POST /oidc/endpoint/default/token') {
+          reply = this._issueToken(new URLSearchParams(raw));
+        } else {
+          reply = this._route(req, route, url, raw);
+        }
+      } catch (error) {
+        debug(`[${MockPrivacyServer.name}:_dispatch(req, res)]`,
+            'error:', error);
+        reply = errorReply(500, 'CSIBT0500E', error.message);
+      }
+
+      res.writeHead(reply.status, {'Content-Type': 'application/json'});
+      res.end(JSON.stringify(reply.body));
+    });
+  }
+
+  /**
+   * Authenticate and route a privacy API request.
+   * @param {Object} req The request
+   * @param {string} route The method and path
+   * @param {URL} url The request URL
+   * @param {string} raw The request body
+   * @return {Object} The reply <code>status</code> and <code>body</code>
+   */
+  _route(req, route, url, raw) {
+    const client = this._authenticate(req.headers['authorization']);
+    if (client == null) {
+      return errorReply(401, MessageIds.UNAUTHORIZED,
+          'The access token is invalid or expired.');
+    }
+
+    let body = null;
+    if (raw.length) {
+      try {
+        body = JSON.parse(raw);
+      } catch (error) {
+        return errorReply(400, MessageIds.INVALID_REQUEST,
+            'The request body is not valid JSON.');
+      }
+    }
+
+    switch (route) {
+      case 'POST /v1.0/privacy/data-usage-approval':
+        return this._approve(client, body);
+      case 'POST /v1.0/privacy/data-subject-presentation':
+        return this._present(client, body);
+      case 'PATCH /v1.0/privacy/consents':
+        return this._patchConsents(client, body);
+      case 'GET /config/v1.0/privacy/consents':
+        return this._listConsents(client, url.searchParams);
+      default:
+        return errorReply(404, MessageIds.NOT_FOUND,
+            `${route} is not supported by the mock server.`);
+    }
+  }
+
+  /**
+   * Find the API client that owns the bearer token.
+   * @param {string} authorization The Authorization header
+   * @return {Object} The client or null
+   */
+  _authenticate(authorization) {
+    if (!authorization || !authorization.startsWith('Bearer ')) {
+      return null;
+    }
+
+    const token = authorization.substring('Bearer '.length);
+    const client = this._fixture.clients.find((c) => c.accessToken == token);
+    return (client) ? client : null;
+  }
+
+  /**
+   * Handle the client credentials grant.
+   * @param {URLSearchParams} form The request body
+   * @return {Object} The reply <code>status</code> and <code>body</code>
+   */
+  _issueToken(form) {
+    const client = this._fixture.clients.find((c) => c.clientId &&
+        c.clientId == form.get('client_id') &&
+        c.clientSecret == form.get('client_secret'));
+    if (form.get('grant_type') != 'client_credentials' || !client) {
+      return {status: 401, body: {
+        error: 'invalid_client',
+        error_description: 'The client credentials are invalid.',
+      }};
+    }
+
+    return {status: 200, body: {
+      access_token: client.accessToken,
+      token_type: 'Bearer',
+      expires_in: 7200,
+    }};
+  }
+
+  /**
+   * Determine the subject of the request.
+   * @param {Object} client The authenticated client
+   * @param {string} subjectId The subject in the request, if any
+   * @param {boolean} isExternalSubject Indicates if the subject is claimed
+   * to be unknown to Verify
+   * @return {Object} The <code>subjectId</code> or an <code>error</code>
+   */
+  _resolveSubject(client, subjectId, isExternalSubject) {
+    const id = (subjectId) ? subjectId : client.subjectId;
+    if (!id) {
+      return {error: 'The subject could not be determined.'};
+    }
+
+    const known = this._fixture.subjects.some((s) => s.id == id);
+    if (isExternalSubject && known) {
+      return {error: `The subject ${id} is not an external subject.`};
+    }
+
+    if (!isExternalSubject && !known) {
+      return {error: `The subject ${id} is not found.`};
+    }
+
+    return {subjectId: id};
+  }
+
+  /**
+   * Handle the data usage approval request.
+   * @param {Object} client The authenticated client
+   * @param {Object} body The request body
+   * @return {Object} The reply <code>status</code> and <code>body</code>
+   */
+  _approve(client, body) {
+    if (body == null || !Array.isArray(body.items) ||
+        body.items.some((i) => i == null || typeof i != 'object')) {
+      return errorReply(400, MessageIds.INVALID_REQUEST,
+          'The items are expected to be an array of objects.');
+    }
+
+    const subject = this._resolveSubject(client, body.subjectId,
+        body.isExternalSubject === true);
+    if (subject.error) {
+      return errorReply(400, MessageIds.INVALID_REQUEST, subject.error);
+    }
+
+    let allApproved = true;
+    const assessment = body.items.map((item) => {
+      const accessTypeId = (item.accessTypeId) ? item.accessTypeId : 'default';
+      const result = [];
+      const purpose = this._activePurpose(item.purposeId);
+      if (purpose == null) {
+        result.push(denial(MessageIds.INVALID_PURPOSE));
+      } else if (item.attributeId) {
+        const attribute = this._purposeAttribute(purpose, item.attributeId);
+        result.push((attribute == null) ?
+            denial(MessageIds.INVALID_ATTRIBUTE) :
+            this._decide(client, subject.subjectId, purpose, attribute,
+                accessTypeId, item.attributeValue));
+      } else if (Array.isArray(purpose.attributes) &&
+          purpose.attributes.length) {
+        for (const attribute of purpose.attributes) {
+          result.push({
+            attributeId: attribute.id,
+            ...this._decide(client, subject.subjectId, purpose, attribute,
+                accessTypeId, item.attributeValue),
+          });
+        }
+      } else {
+        result.push(this._decide(client, subject.subjectId, purpose, null,
+            accessTypeId, item.attributeValue));
+      }
+
+      allApproved = allApproved && result.every((r) => r.approved);
+      return {...item, accessTypeId, result};
+    });
+
+    return {status: (allApproved) ? 200 : 207, body: assessment};
+  }
+
+  /**
+   * Decide whether a single purpose, attribute and access type may be used.
+   * @param {Object} client The authenticated client
+   * @param {string} subjectId The subject identifier
+   * @param {Object} purpose The purpose
+   * @param {Object} attribute The purpose attribute or null
+   * @param {string} accessTypeId The access type identifier
+   * @param {string} attributeValue The attribute value, if any
+   * @return {Object} The assessment decision
+   */
+  _decide(client, subjectId, purpose, attribute, accessTypeId,
+      attributeValue) {
+    const accessTypes = (attribute != null) ? attribute.accessTypes :
+        purpose.accessTypes;
+    const accessType = (accessTypes || []).find((a) => a.id == accessTypeId);
+    if (!accessType) {
+      return denial((attribute != null) ?
+          MessageIds.INVALID_ATTRIBUTE_ACCESS_TYPE :
+          MessageIds.INVALID_ACCESS_TYPE);
+    }
+
+    const attributeId = (attribute != null) ? attribute.id : null;
+    const rule = this._fixture.rules.find((r) => r.purposeId == purpose.id &&
+        (!r.attributeId || r.attributeId == attributeId) &&
+        (!r.accessTypeId || r.accessTypeId == accessTypeId));
+    if (rule) {
+      return denial((rule.messageId) ? rule.messageId : MessageIds.RULE_DENIED,
+          rule.messageDescription);
+    }
+
+    if (accessType.legalCategory == DO_NOT_SHOW) {
+      return {approved: true};
+    }
+
+    const consent = this._activeConsent(client, subjectId, purpose.id,
+        attributeId, accessTypeId, attributeValue);
+    if (consent == null) {
+      return denial(MessageIds.CONSENT_REQUIRED);
+    }
+
+    if (ApprovingStates.includes(consent.state)) {
+      return {approved: true};
+    }
+
+    return denial((consent.state == 4) ? MessageIds.OPTED_OUT :
+        MessageIds.DENIED);
+  }
+
+  /**
+   * Handle the data subject presentation request.
+   * @param {Object} client The authenticated client
+   * @param {Object} body The request body
+   * @return {Object} The reply <code>status</code> and <code>body</code>
+   */
+  _present(client, body) {
+    if (body == null || !Array.isArray(body.purposeId)) {
+      return errorReply(400, MessageIds.INVALID_REQUEST,
+          'The purposeId is expected to be an array.');
+    }
+
+    const subject = this._resolveSubject(client, body.subjectId,
+        body.isExternalSubject === true);
+    if (subject.error) {
+      return errorReply(400, MessageIds.INVALID_REQUEST, subject.error);
+    }
+
+    const response = {
+      purposes: {},
+      attributes: {},
+      accessTypes: {},
+      consents: {},
+    };
+
+    const addAccessTypes = (accessTypes) => {
+      for (const accessType of accessTypes || []) {
+        response.accessTypes[accessType.id] =
+            this._fixture.accessTypes[accessType.id];
+      }
+    };
+
+    for (const purposeId of body.purposeId) {
+      const purpose = this._activePurpose(purposeId);
+      if (purpose == null) {
+        return errorReply(400, MessageIds.INVALID_PURPOSE,
+            `${Descriptions[MessageIds.INVALID_PURPOSE]} (${purposeId})`);
+      }
+
+      response.purposes[purpose.id] = purpose;
+      addAccessTypes(purpose.accessTypes);
+      for (const attribute of purpose.attributes || []) {
+        response.attributes[attribute.id] =
+            this._fixture.attributes[attribute.id];
+        addAccessTypes(attribute.accessTypes);
+      }
+    }
+
+    for (const consent of this._consents.values()) {
+      if (consent.subjectId == subject.subjectId &&
+          response.purposes[consent.purposeId] &&
+          this._isVisible(client, consent)) {
+        response.consents[consent.id] = this._withStatus(consent);
+      }
+    }
+
+    return {status: 200, body: response};
+  }
+
+  /**
+   * Handle the consent PATCH request.
+   * @param {Object} client The authenticated client
+   * @param {Array} body The consent operations
+   * @return {Object} The reply <code>status</code> and <code>body</code>
+   */
+  _patchConsents(client, body) {
+    if (!Array.isArray(body) || !body.length || body.length > 10) {
+      return errorReply(400, MessageIds.INVALID_REQUEST,
+          'Between 1 and 10 consent operations are expected.');
+    }
+
+    const results = body.map((op) => {
+      let error;
+      switch ((op) ? op.op : null) {
+        case 'add':
+          return this._addConsent(client, op.value);
+        case 'replace':
+        case 'remove':
+          return this._changeConsent(client, op);
+        default:
+          error = `The operation ${(op) ? op.op : op} is not supported.`;
+          return {result: 'failure', value: op, error};
+      }
+    });
+
+    const failed = results.some((r) => r.result != 'success');
+    return {status: (failed) ? 207 : 200, body: {
+      messageId: (failed) ? MessageIds.CONSENTS_FAILED :
+          MessageIds.CONSENTS_STORED,
+      messageDescription: (failed) ? 'Some consents could not be stored.' :
+          'The consents were stored.',
+      results,
+    }};
+  }
+
+  /**
+   * Create a consent record.
+   * @param {Object} client The authenticated client
+   * @param {Object} value The consent
+   * @return {ConsentOpResult} The operation result
+   */
+  _addConsent(client, value) {
+    const failure = (error) => ({result: 'failure', value, error});
+    if (value == null || typeof value != 'object') {
+      return failure('The consent is expected to be an object.');
+    }
+
+    const subject = this._resolveSubject(client, value.subjectId,
+        value.isExternalSubject === true);
+    if (subject.error) {
+      return failure(subject.error);
+    }
+
+    const purpose = this._activePurpose(value.purposeId);
+    if (purpose == null) {
+      return failure(Descriptions[MessageIds.INVALID_PURPOSE]);
+    }
+
+    let attribute = null;
+    if (value.attributeId) {
+      attribute = this._purposeAttribute(purpose, value.attributeId);
+      if (attribute == null) {
+        return failure(Descriptions[MessageIds.INVALID_ATTRIBUTE]);
+      }
+    }
+
+    const accessTypeId = (value.accessTypeId) ? value.accessTypeId :
+        'default';
+    const accessTypes = (attribute != null) ? attribute.accessTypes :
+        purpose.accessTypes;
+    if (!(accessTypes || []).some((a) => a.id == accessTypeId)) {
+      return failure(Descriptions[(attribute != null) ?
+          MessageIds.INVALID_ATTRIBUTE_ACCESS_TYPE :
+          MessageIds.INVALID_ACCESS_TYPE]);
+    }
+
+    if (!ConsentStates.includes(value.state)) {
+      return failure(`The state ${value.state} is not valid.`);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const startTime = (typeof value.startTime == 'number') ?
+        value.startTime : now;
+    let endTime = (typeof value.endTime == 'number') ? value.endTime : null;
+    if (endTime == null && purpose.defaultConsentDuration) {
+      endTime = startTime + purpose.defaultConsentDuration * 86400;
+    }
+
+    const isGlobal = value.isGlobal === true;
+    const consent = {
+      id: crypto.randomUUID(),
+      subjectId: subject.subjectId,
+      purposeId: purpose.id,
+      purposeVersion: purpose.version,
+      isGlobal,
+      applicationId: (isGlobal) ? null : client.applicationId,
+      attributeId: (attribute != null) ? attribute.id : null,
+      attributeValue: (value.attributeValue) ? value.attributeValue : null,
+      accessTypeId,
+      geoIP: (value.geoIP) ? value.geoIP : null,
+      state: value.state,
+      createdTime: now,
+      lastModifiedTime: now,
+      startTime,
+      endTime,
+      version: 1,
+      customAttributes: (value.customAttributes) ?
+          value.customAttributes : [],
+    };
+
+    // the new consent supersedes an existing one for the same item
+    for (const [id, existing] of this._consents) {
+      if (existing.subjectId == consent.subjectId &&
+          existing.purposeId == consent.purposeId &&
+          existing.attributeId == consent.attributeId &&
+          existing.accessTypeId == consent.accessTypeId &&
+          existing.attributeValue == consent.attributeValue &&
+          existing.isGlobal == consent.isGlobal &&
+          existing.applicationId == consent.applicationId) {
+        this._consents.delete(id);
+      }
+    }
+
+    this._consents.set(consent.id, consent);
+    return {result: 'success', value: {
+      id: consent.id,
+      purposeId: consent.purposeId,
+      attributeId: consent.attributeId,
+      attributeValue: consent.attributeValue,
+      accessTypeId: consent.accessTypeId,
+      state: consent.state,
+    }};
+  }
+
+  /**
+   * Replace a field of, or remove, an existing consent record. The path
+   * is <code>/{consentId}</code> for a remove operation and
+   * <code>/{consentId}/{field}</code> for a replace operation.
+   * @param {Object} client The authenticated client
+   * @param {Object} op The consent operation
+   * @return {ConsentOpResult} The operation result
+   */
+  _changeConsent(client, op) {
+    const failure = (error) => ({result: 'failure', value: op, error});
+    const parts = String(op.path || '').split('/').filter((p) => p != '');
+    const consent = this._consents.get(parts[0]);
+    if (!consent || (!client.privileged &&
+        consent.subjectId != client.subjectId)) {
+      return failure(`The consent ${parts[0]} is not found.`);
+    }
+
+    if (op.op == 'remove') {
+      if (parts.length != 1) {
+        return failure(`The path ${op.path} is not valid for remove.`);
+      }
+
+      this._consents.delete(consent.id);
+    } else {
+      const field = parts[1];
+      if (parts.length != 2 ||
+          !['state', 'startTime', 'endTime'].includes(field)) {
+        return failure(`The path ${op.path} is not valid for replace.`);
+      }
+
+      if (field == 'state' && !ConsentStates.includes(op.value)) {
+        return failure(`The state ${op.value} is not valid.`);
+      }
+
+      if (field != 'state' && op.value != null &&
+          typeof op.value != 'number') {
+        return failure(`The ${field} is expected to be a number.`);
+      }
+
+      consent[field] = op.value;
+      consent.lastModifiedTime = Math.floor(Date.now() / 1000);
+      consent.version++;
+    }
+
+    return {result: 'success', value: {
+      id: consent.id,
+      purposeId: consent.purposeId,
+      attributeId: consent.attributeId,
+      attributeValue: consent.attributeValue,
+      accessTypeId: consent.accessTypeId,
+      state: consent.state,
+    }};
+  }
+
+  /**
+   * Handle the consent search request.
+   * @param {Object} client The authenticated client
+   * @param {URLSearchParams} query The query parameters
+   * @return {Object} The reply <code>status</code> and <code>body</code>
+   */
+  _listConsents(client, query) {
+    const conditions = parseSearch(query.get('search'));
+    const subject = conditions.find((c) => c.field == 'subjectId');
+    // like Verify, a privileged client sees the consents of every subject
+    // unless the search names one
+    const subjectId = (subject) ? subject.value : client.subjectId;
+    const appOnly = query.get('scope') == 'app';
+    let consents = [];
+    for (const consent of this._consents.values()) {
+      if ((subjectId != null && consent.subjectId != subjectId) ||
+          !this._isVisible(client, consent)) {
+        continue;
+      }
+
+      if (appOnly && consent.applicationId != client.applicationId) {
+        continue;
+      }
+
+      const record = this._withStatus(consent);
+      if (conditions.every((c) => this._matches(record, c))) {
+        consents.push(record);
+      }
+    }
+
+    const sort = query.get('sort');
+    if (sort) {
+      const field = sort.replace(/^[-+]/, '');
+      const direction = (sort.startsWith('-')) ? -1 : 1;
+      consents.sort((a, b) => {
+        if (a[field] == b[field]) {
+          return 0;
+        }
+
+        return ((a[field] == null || a[field] < b[field]) ? -1 : 1) *
+            direction;
+      });
+    }
+
+    const count = consents.length;
+    const offset = parseInt(query.get('offset'), 10);
+    const limit = parseInt(query.get('limit'), 10);
+    consents = consents.slice((isNaN(offset)) ? 0 : offset);
+    if (!isNaN(limit)) {
+      consents = consents.slice(0, limit);
+    }
+
+    return {status: 200, body: {consents, count}};
+  }
+
+  /**
+   * Check if the consent matches a search condition. The attribute may be
+   * matched by identifier or name.
+   * @param {Object} consent The consent with its status
+   * @param {Object} condition The <code>field</code>,
+   * <code>operator</code> and <code>value</code>
+   * @return {boolean} true if the consent matches
+   */
+  _matches(consent, condition) {
+    let actual = consent[condition.field];
+    const expected = condition.value;
+    if (condition.field == 'subjectId') {
+      return true;
+    }
+
+    if (condition.field == 'attributeId' && actual != expected &&
+        this._fixture.attributes[actual]) {
+      actual = this._fixture.attributes[actual].name;
+    }
+
+    switch (condition.operator) {
+      case '>=':
+        return actual != null && actual >= expected;
+      case '<=':
+        return actual != null && actual <= expected;
+      case '>':
+        return actual != null && actual > expected;
+      case '<':
+        return actual != null && actual < expected;
+      default:
+        return actual == expected;
+    }
+  }
+
+  /**
+   * Find an active purpose by identifier.
+   * @param {string} purposeId The purpose identifier
+   * @return {Object} The purpose or null
+   */
+  _activePurpose(purposeId) {
+    const purpose = this._fixture.purposes[purposeId];
+    if (!purpose || (purpose.state != null && purpose.state != 1)) {
+      return null;
+    }
+
+    return {id: purposeId, ...purpose};
+  }
+
+  /**
+   * Find an attribute of the purpose by identifier or name.
+   * @param {Object} purpose The purpose
+   * @param {string} attributeId The attribute identifier or name
+   * @return {Object} The purpose attribute or null
+   */
+  _purposeAttribute(purpose, attributeId) {
+    const attribute = (purpose.attributes || []).find((a) =>
+      a.id == attributeId || (this._fixture.attributes[a.id] &&
+          this._fixture.attributes[a.id].name == attributeId));
+    return (attribute) ? attribute : null;
+  }
+
+  /**
+   * Find the consent that applies to an item. An application consent takes
+   * precedence over a global consent and a consent for the specific
+   * attribute value takes precedence over one without a value.
+   * @param {Object} client The authenticated client
+   * @param {string} subjectId The subject identifier
+   * @param {string} purposeId The purpose identifier
+   * @param {string} attributeId The attribute identifier or null
+   * @param {string} accessTypeId The access type identifier
+   * @param {string} attributeValue The attribute value, if any
+   * @return {Object} The active consent or null
+   */
+  _activeConsent(client, subjectId, purposeId, attributeId, accessTypeId,
+      attributeValue) {
+    const candidates = Array.from(this._consents.values()).filter((c) =>
+      c.subjectId == subjectId && c.purposeId == purposeId &&
+        c.attributeId == attributeId && c.accessTypeId == accessTypeId &&
+        this._isVisible(client, c) && consentStatus(c) == 1 &&
+        (!c.attributeValue || c.attributeValue == attributeValue));
+
+    const score = (c) => ((c.isGlobal) ? 0 : 2) + ((c.attributeValue) ? 1 : 0);
+    candidates.sort((a, b) => score(b) - score(a));
+    return (candidates.length) ? candidates[0] : null;
+  }
+
+  /**
+   * Check if the client may see the consent.
+   * @param {Object} client The authenticated client
+   * @param {Object} consent The consent
+   * @return {boolean} true if the consent is global or belongs to the
+   * client application
+   */
+  _isVisible(client, consent) {
+    return consent.isGlobal || consent.applicationId == client.applicationId;
+  }
+
+  /**
+   * Copy the consent and set its current status.
+   * @param {Object} consent The consent
+   * @return {Object} The consent with <code>status</code>
+   */
+  _withStatus(consent) {
+    return {...consent, status: consentStatus(consent)};
+  }
+}
+
+/**
+ * Compute the status of a consent.
+ * @param {Object} consent The consent
+ * @return {number} <code>1</code> if active, <code>2</code> if expired and
+ * <code>3</code> if the consent starts in the future
+ */
+function consentStatus(consent) {
+  const now = Math.floor(Date.now() / 1000);
+  if (consent.startTime > now) {
+    return 3;
+  }
+
+  if (consent.endTime != null && consent.endTime <= now) {
+    return 2;
+  }
+
+  return 1;
+}
+
+/**
+ * Parse the consent search expression, e.g.
+ * <code>subjectId="abc"&startTime>=1600000000</code>.
+ * @param {string} search The search expression
+ * @return {Object[]} The conditions, each with a <code>field</code>,
+ * <code>operator</code> and <code>value</code>
+ */
+function parseSearch(search) {
+  const conditions = [];
+  const pattern = /(\w+)\s*(>=|<=|=|>|<)\s*("([^"]*)"|[-\d.]+)/g;
+  let match;
+  while ((match = pattern.exec(search || '')) != null) {
+    conditions.push({
+      field: match[1],
+      operator: match[2],
+      value: (match[4] != null) ? match[4] : Number(match[3]),
+    });
+  }
+
+  return conditions;
+}
+
+/**
+ * Build a denied assessment decision.
+ * @param {string} messageId The reason
+ * @param {string} [messageDescription] The reason description
+ * @return {Object} The assessment decision
+ */
+function denial(messageId, messageDescription) {
+  return {
+    approved: false,
+    reason: {
+      messageId,
+      messageDescription: (messageDescription) ? messageDescription :
+          Descriptions[messageId],
+    },
+  };
+}
+
+/**
+ * Build an error reply.
+ * @param {number} status The HTTP status code
+ * @param {string} messageId The error code
+ * @param {string} messageDescription The error description
+ * @return {Object} The reply <code>status</code> and <code>body</code>
+ */
+function errorReply(status, messageId, messageDescription) {
+  return {status, body: {messageId, messageDescription}};
+}
+
+MockPrivacyServer.MessageIds = MessageIds;
+
+module.exports = MockPrivacyServer;
@@ -1,6 +1,40 @@
+const ClientCredentialsTokenProvider =
+    require('./auth/clientCredentialsTokenProvider');
+const AbortError = require('./errors/abortError');
+const AuthenticationError = require('./errors/authenticationError');
+const AuthorizationError = require('./errors/authorizationError');
+const AssessBatcher = require('./services/assessBatcher');
+const AssessmentPolicy = require('./services/assessmentPolicy');
+const AuditSink = require('./audit/auditSink');
+const AxiosTransport = require('./transport/axiosTransport');
 const ConfigurationError = require('./errors/configurationError');
+const ConsentBuilder = require('./utils/consentBuilder');
+const ConsentForm = require('./forms/consentForm');
+const ConsentEnums = require('./utils/consentTypes');
+const crypto = require('crypto');
 const DPCMService = require('./services/dpcm/dpcmService');
+const EventEmitter = require('events');
+const FetchTransport = require('./transport/fetchTransport');
+const FileAuditSink = require('./audit/fileAuditSink');
+const FixtureMismatchError = require('./errors/fixtureMismatchError');
+const FixtureTransport = require('./transport/fixtureTransport');
+const MemoryAuditSink = require('./audit/memoryAuditSink');
+const MemoryCacheStore = require('./cache/memoryCacheStore');
+const MetadataCache = require('./cache/metadataCache');
+const NetworkError = require('./errors/networkError');
+const ObjectPath = require('./utils/objectPath');
+const PrivacyError = require('./errors/privacyError');
+const RateLimitError = require('./errors/rateLimitError');
+const Redactor = require('./utils/redactor');
+const RetryPolicy = require('./services/retryPolicy');
+const requireConsent = require('./middleware/requireConsent');
 const StringUtils = require('./utils/stringUtils');
+const Telemetry = require('./services/telemetry');
+const TimeoutError = require('./errors/timeoutError');
+const TokenProvider = require('./auth/tokenProvider');
+const Validation = require('./utils/validation');
+const ValidationError = require('./errors/validationError');
+const VerifyApiError = require('./errors/verifyApiError');
 const debug = require('debug')('verify:privacy');
 
 /**
@@ -12,22 +46,133 @@ const debug = require('debug')('verify:privacy');
  * Class representing the Privacy SDK for IBM Security Verify. Used to
  * perform privacy assessment for attributes being requested and metadata
  * required to build consent experiences.
+ * <br><br>The client is an <code>EventEmitter</code>, so metrics and
+ * tracing can be added without wrapping every call. Personal data, such as
+ * the subject and attribute values, is masked in the event payloads.
+ * <br><code>request</code> - a request is sent to Verify
+ * ({@link RequestEvent})
+ * <br><code>response</code> - Verify responds, with the time taken
+ * ({@link ResponseEvent})
+ * <br><code>retry</code> - a failed request will be sent again
+ * ({@link RetryEvent})
+ * <br><code>decision</code> - for each {@link AssessmentDecision} returned
+ * by {@link Privacy#assess} ({@link DecisionEvent})
+ * <br><code>consentStored</code> - for each {@link ConsentOpResult} returned
+ * when consents are stored or changed ({@link ConsentStoredEvent})
+ * <br><code>error</code> - a call fails, with the {@link PrivacyError} and
+ * {@link ErrorEvent} details. Unlike other emitters, the error is not thrown
+ * if there is no listener.
+ * <br><br>Errors thrown by listeners are ignored.
  *
+ * @example
+ * client.on("response", (e) => {
+ *   histogram.observe({path: new URL(e.url).pathname, status: e.status},
+ *       e.durationMs);
+ * });
+ * client.on("decision", (e) => {
+ *   counter.inc({purposeId: e.purposeId, approved: e.approved});
+ * });
+ *
+ * @extends EventEmitter
  * @author Vivek Shankar
  */
-class Privacy {
+class Privacy extends EventEmitter {
   /**
    * Create a new {@link Privacy} object.
    *
    * @param {Object} config Global configuration for the SDK
    * @param {string} config.tenantUrl The Verify tenant hostname, including
    * the protocol.
+   * @param {Object|RetryPolicy|boolean} config.retry The retry policy, or the
+   * options used to create a {@link RetryPolicy}, for requests that fail with
+   * a 429, 502, 503 or 504 HTTP status code or a connection error. Set to
+   * <code>false</code> to disable retries. Consent updates are only retried
+   * when the request is known not to have been applied.
+   * @param {number} config.timeoutMs The default time, in milliseconds,
+   * allowed for each SDK call, including any retries and the time taken to
+   * get an access token. A call that exceeds
+   * this returns an error with <code>messageId</code> set to
+   * <code>TIMEOUT</code>. This may be overridden per call.
+   * @param {boolean} config.throwOnError If set to true, calls throw a
+   * {@link PrivacyError} instead of returning a result with the status set
+   * to <code>error</code>. The error is a {@link VerifyApiError} subclass
+   * when Verify responds with an error and a {@link NetworkError} when no
+   * response is received.
+   * @param {Transport} config.transport The HTTP transport used to send
+   * requests to Verify. Defaults to an {@link AxiosTransport}. Use a
+   * {@link FetchTransport} in runtimes that provide <code>fetch</code> but
+   * not Node's HTTP modules, or provide a custom object with a
+   * <code>request</code> function.
+   * @param {MetadataCache|Object|boolean} config.cache Cache the purpose
+   * definitions and subject consents used by
+   * {@link Privacy#getConsentMetadata}. Set to <code>true</code> to use an
+   * in-memory cache, or to the options used to create a
+   * {@link MetadataCache}, e.g. <code>{store, purposeTtlMs,
+   * consentTtlMs}</code>. Caching is disabled by default.
+   * @param {Object|boolean} config.batch Combine the items from concurrent
+   * {@link Privacy#assess} calls for the same subject into a single request
+   * to Verify. Set to <code>true</code> to use the defaults, or to
+   * <code>{windowMs, maxBatchSize}</code> to control how long calls are
+   * collected for and the number of items that causes the batch to be sent
+   * early. Calls with identical items share the same request. Calls that
+   * set <code>signal</code> or <code>timeoutMs</code> are sent on their own.
+   * Batching is disabled by default.
+   * @param {Object|boolean} config.openTelemetry Trace SDK calls with
+   * OpenTelemetry. <code>assess</code>, <code>getConsentMetadata</code>,
+   * <code>getUserConsents</code> and <code>storeConsents</code> each start a
+   * span, with a child span for every HTTP request, and the trace context is
+   * sent to Verify in the request headers. The spans include the purpose
+   * IDs, status, Verify <code>messageId</code> and retry count, but never
+   * subject IDs or attribute values. Defaults to the
+   * <code>@opentelemetry/api</code> package if it is installed, which does
+   * nothing until the application registers an OpenTelemetry SDK. Set to
+   * <code>false</code> to disable tracing, or to the API object to use a
+   * specific copy.
+   * @param {AuditSinkLike} config.audit Record every assessment decision and
+   * consent write in an audit log, e.g. a {@link FileAuditSink}. Each
+   * {@link AuditRecord} has the time, the call's
+   * <code>correlationId</code>, the subject, purpose, attribute and access
+   * type, and the decision or result. Attribute values are not recorded.
+   * The call does not complete until its records are written. If a record
+   * cannot be written, the <code>error</code> event is emitted with the
+   * <code>AUDIT_FAILED</code> message ID, but the call is not failed.
+   * @param {string|Object} config.redaction How credentials and personal
+   * data are redacted from the debug log and event payloads. Set to a
+   * profile - <code>strict</code>, the default, masks subject IDs,
+   * attribute values and IP addresses, <code>hash</code> replaces them with
+   * a keyed hash, <code>partial</code> keeps their first and last
+   * characters and <code>credentials</code> leaves them as is for local
+   * debugging - or to the options <code>{profile, action, keys, paths,
+   * salt}</code> to redact additional keys or paths, e.g.
+   * <code>{keys: ['email'], paths: ['items[*].value']}</code>. Credentials
+   * are always masked.
+   * @param {AssessmentPolicy|Object} config.assessmentPolicy Classifies each
+   * assessment decision into a <code>category</code>, such as
+   * <code>consent_required</code>, <code>opted_out</code> or
+   * <code>rule_denied</code>, from the Verify message ID. Set to the options
+   * <code>{categories, fallback}</code> to map additional message IDs or to
+   * change the category of message IDs that are not mapped, which defaults
+   * to <code>consent_required</code>, or to an {@link AssessmentPolicy}
+   * subclass.
    * @param {Object} auth Auth object contains property values to authorize
-   * requests to Verify
+   * requests to Verify. One of <code>tokenProvider</code>,
+   * <code>accessToken</code> or <code>clientId</code> and
+   * <code>clientSecret</code> is required.
    * @param {string} auth.accessToken The OAuth 2.0 token used to authorize
    * requests. If the access token is generated using a privileged API client
    * (as opposed to one generated on a user authentication flow), the
    * <code>context.subjectId</code> is required.
+   * @param {TokenProvider|Function} auth.tokenProvider An object with a
+   * <code>getToken</code> function, or an async function, that returns the
+   * OAuth 2.0 token. It is called before every request, which allows
+   * long-running processes to use tokens that expire.
+   * @param {string} auth.clientId The API client identifier. If this and
+   * <code>auth.clientSecret</code> are provided, tokens are obtained from the
+   * tenant using the client credentials grant and refreshed before they
+   * expire.
+   * @param {string} auth.clientSecret The API client secret.
+   * @param {string} auth.scope The scopes requested with the client
+   * credentials grant. This is optional.
    * @param {Object} context Context object contains Privacy SDK specific
    * context
    * @param {string} context.subjectId The user/subject identifier that may be
@@ -37,6 +182,10 @@ class Privacy {
    * @param {string} context.ipAddress The IP address of the user agent. If this
    * library is used in a backend system, this IP should be obtained from the
    * request headers that contain the actual user agent IP address.
+   * <br><br>Any of these may be overridden per call using
+   * <code>options.context</code>, so a client created with a privileged
+   * token may be shared across requests for different subjects. The context
+   * object is never modified.
    *
    * @example
    * const Privacy = require('verify-privacy-sdk-js');
@@ -47,21 +196,45 @@ class Privacy {
    * }, {
    *   "ipAddress": "1.2.3.4"
    * });
+   *
+   * // tokens are fetched and refreshed using the client credentials grant
+   * const backendClient = new Privacy({
+   *   "tenantUrl": "https://abc.verify.ibm.com"
+   * }, {
+   *   "clientId": "dfdsafdsgfsdfgsdf",
+   *   "clientSecret": "xMy3S7f3cgsDFrc"
+   * }, {
+   *   "subjectId": "123456"
+   * });
    */
   constructor(config, auth, context = {}) {
+    super();
     if (!StringUtils.has(config, 'tenantUrl')) {
       throw new ConfigurationError(
           `Cannot find property 'tenantUrl' in configuration settings.`);
     }
 
-    if (!StringUtils.has(auth, 'accessToken')) {
+    if (!TokenProvider.canResolve(auth)) {
       throw new ConfigurationError(
-          `Cannot find property 'accessToken' in auth`);
+          `Cannot find property 'tokenProvider', 'accessToken' or ` +
+          `'clientId' and 'clientSecret' in auth`);
     }
 
     this._config = config;
-    this._auth = auth;
+    this._transport = (config.transport) ? config.transport :
+        new AxiosTransport();
+    this._auth = {
+      tokenProvider: TokenProvider.resolve(auth, config.tenantUrl,
+          this._transport),
+    };
     this._context = context;
+    this._retryPolicy = RetryPolicy.from(config.retry);
+    this._cache = MetadataCache.from(config.cache);
+    this._batcher = AssessBatcher.from(config.batch);
+    this._telemetry = Telemetry.from(config.openTelemetry);
+    this._audit = (config.audit) ? config.audit : null;
+    this._redactor = Redactor.from(config.redaction);
+    this._assessmentPolicy = AssessmentPolicy.from(config.assessmentPolicy);
   }
 
   /**
@@ -86,6 +259,7 @@ class Privacy {
    * @param {string} items.attributeValue The attribute value for the attribute.
    * This is typically used when the user has more than one value for the
    * attribute. This is optional.
+   * @param {CallOptions} [options] Options for this call
    *
    * @return {Promise<WrappedAssessment>} The status of the assessment
    * and additional details
@@ -115,26 +289,48 @@ class Privacy {
    *   // examine the assessment and show an appropriate error
    * }
    */
-  async assess(items) {
+  async assess(items, options = {}) {
+    return await this._trace('assess', purposeIdsOf(items),
+        () => this._assess(items, options));
+  }
+
+  /**
+   * Evaluate the attributes requested for approval. See
+   * {@link Privacy#assess}.
+   * @param {Array} items The data items that require approval for use
+   * @param {CallOptions} options Options for this call
+   * @return {Promise<WrappedAssessment>} The status of the assessment
+   */
+  async _assess(items, options) {
     const methodName = `${Privacy.name}:assess(items)`;
-    const service = new DPCMService(
-        this._auth, this._config.tenantUrl, this._context);
+    const invalid = Validation.validateItems(items);
+    if (invalid != null) {
+      return this._handleError(methodName, null, invalid);
+    }
+
+    const service = this._createService(options);
     try {
-      const assessment = await service.requestApproval(items);
+      let assessment;
+      let batchRetries = 0;
+      if (this._canBatch(items, options)) {
+        const context = this._callContext(options);
+        const batch = await this._batcher.load(this._batchKey(context),
+            items, (batchItems) => this._requestBatchApproval(batchItems,
+                context));
+        assessment = batch.assessment;
+        batchRetries = batch.retries;
+      } else {
+        assessment = await service.requestApproval(items);
+      }
+
       debug(`[${methodName}]`, 'assessment:',
-          JSON.stringify(assessment));
+          JSON.stringify(this._redactor.redact(assessment)));
 
       // process the response
       if (!Array.isArray(assessment)) {
         const desc = 'assessment is expected to be an array. Received ' +
             `${typeof assessment}`;
-        return {
-          status: 'error',
-          error: {
-            'messageId': 'INVALID_DATATYPE',
-            'messageDescription': desc,
-          },
-        };
+        throw new PrivacyError('INVALID_DATATYPE', desc);
       }
 
       let status = await service.processAssessment(assessment);
@@ -143,20 +339,363 @@ class Privacy {
         status = 'denied';
       }
 
-      return {
+      const result = this._withRetries(service, {
         status: status,
         assessment,
-      };
+      });
+      if (batchRetries > 0) {
+        result.retries = batchRetries;
+      }
+
+      this._notifyDecisions(assessment, service.elapsedMs);
+      await this._auditDecisions(assessment, options);
+      return result;
     } catch (error) {
-      const jsonResp = {status: 'error'};
-      if (error.response.data) {
-        jsonResp.error = error.response.data;
-        debug(`[${methodName}]`, 'error data:', error.response.data);
+      return this._handleError(methodName, service, error);
+    }
+  }
+
+  /**
+   * Emit a <code>decision</code> event for each decision in the assessment.
+   * @param {Assessment[]} assessment The assessment
+   * @param {number} durationMs The time taken by the call
+   */
+  _notifyDecisions(assessment, durationMs) {
+    for (const item of assessment) {
+      const decisions = (item != null && Array.isArray(item.result)) ?
+          item.result : [];
+      for (const decision of decisions) {
+        this._notify('decision', () => ({
+          purposeId: item.purposeId,
+          accessTypeId: item.accessTypeId,
+          attributeId: (decision.attributeId) ? decision.attributeId :
+              item.attributeId,
+          approved: decision.approved === true,
+          requiresConsent: decision.requiresConsent === true,
+          category: decision.category,
+          reason: decision.reason,
+          durationMs,
+        }));
+      }
+    }
+  }
+
+  /**
+   * Check if the assess call may be added to a batch.
+   * @param {Array} items The data items that require approval for use
+   * @param {CallOptions} options The options for the call
+   * @return {boolean} true if batching is enabled and the call does not
+   * have its own signal or timeout
+   */
+  _canBatch(items, options) {
+    return this._batcher != null && Array.isArray(items) &&
+        items.length > 0 && options.signal == null &&
+        typeof options.timeoutMs != 'number';
+  }
+
+  /**
+   * Build the key that identifies calls that may be sent together. The
+   * context properties included in the approval request must match.
+   * @param {Object} context The context for the call
+   * @return {string} The batch key
+   */
+  _batchKey(context) {
+    return JSON.stringify([
+      StringUtils.getOrDefault(context, 'subjectId', null),
+      context.isExternalSubject === true,
+      StringUtils.getOrDefault(context, 'ipAddress', null),
+    ]);
+  }
+
+  /**
+   * Send the items of a batch to Verify.
+   * @param {Array} items The data items of all calls in the batch
+   * @param {Object} context The context shared by the calls in the batch
+   * @return {Promise<Object>} The <code>assessment</code> and the number of
+   * <code>retries</code>
+   */
+  async _requestBatchApproval(items, context) {
+    const service = this._createService({context});
+    try {
+      const assessment = await service.requestApproval(items);
+      return {assessment, retries: service.retries};
+    } catch (error) {
+      if (error instanceof PrivacyError && service.retries > 0) {
+        error.retries = service.retries;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the fields of an object that are not approved for use, such as
+   * the attributes of a user profile, SCIM resource or userinfo response.
+   * <br><br>The fields are assessed in a single {@link Privacy#assess} call
+   * and a copy of the object is returned. Fields whose assessment is not
+   * approved, because consent is required or the use is denied, are removed
+   * or, if <code>options.mask</code> is set, masked. Mapped paths that are
+   * not in the object are ignored.
+   *
+   * @param {Object} object The object to filter. It is not modified.
+   * @param {Object<string, Object>} mapping The data item for each path in
+   * the object, as for {@link Privacy#assess}. Paths use dots and
+   * brackets, e.g. <code>name.givenName</code> or
+   * <code>emails[*].value</code>, where <code>*</code> matches every
+   * element of an array.
+   * @param {CallOptions} [options] Options for this call
+   * @param {string|Function} [options.mask] Replace unapproved values
+   * instead of removing them. Set to the replacement, or to a function that
+   * is called with the value and path and returns the replacement.
+   *
+   * @return {Promise<WrappedFilterResult>} The filtered copy and the fields
+   * that were redacted
+   *
+   * @example
+   * let r = await client.filterByConsent(profile, {
+   *   "phoneNumber": { "purposeId": "marketing",
+   *       "attributeId": "mobile_number" },
+   *   "emails[*].value": { "purposeId": "marketing",
+   *       "attributeId": "email" },
+   * });
+   *
+   * if (r.status == "done") {
+   *   res.json(r.object);
+   * }
+   */
+  async filterByConsent(object, mapping, options = {}) {
+    const methodName = `${Privacy.name}:filterByConsent(object, mapping)`;
+    if (object == null || typeof object != 'object') {
+      return this._handleError(methodName, null, new ValidationError(
+          'INVALID_DATATYPE', 'object is expected to be an object. ' +
+          `Received ${typeof object}`, {
+            errors: [{path: 'object', message: 'must be an object'}],
+          }));
+    }
+
+    const invalid = Validation.validateMapping(mapping);
+    if (invalid != null) {
+      return this._handleError(methodName, null, invalid);
+    }
+
+    const copy = JSON.parse(JSON.stringify(object));
+
+    // the fields in the object, with one item per distinct data item
+    const items = [];
+    const itemKeys = new Map();
+    const fields = [];
+    for (const path of Object.keys(mapping)) {
+      const item = {
+        purposeId: mapping[path].purposeId,
+        attributeId: mapping[path].attributeId,
+        accessTypeId: mapping[path].accessTypeId,
+      };
+      const itemKey = JSON.stringify(item);
+      for (const match of ObjectPath.find(copy, path)) {
+        if (!itemKeys.has(itemKey)) {
+          itemKeys.set(itemKey, items.length);
+          items.push(JSON.parse(itemKey));
+        }
+
+        fields.push({...match, item, index: itemKeys.get(itemKey)});
+      }
+    }
+
+    if (!items.length) {
+      return {status: 'done', object: copy, redacted: [], assessment: []};
+    }
+
+    const result = await this.assess(items, options);
+    if (result.status == 'error') {
+      return result;
+    }
+
+    const redacted = [];
+    const removed = [];
+    for (const field of fields) {
+      const assessment = result.assessment[field.index];
+      const decisions = (assessment && Array.isArray(assessment.result)) ?
+          assessment.result : [];
+      const denied = decisions.find((decision) => !decision.approved);
+      if (decisions.length && denied == null) {
+        continue;
+      }
+
+      const entry = {path: field.path, ...field.item};
+      if (options.mask != null) {
+        ObjectPath.set(copy, field.segments,
+            (typeof options.mask == 'function') ?
+            options.mask(field.value, field.path) : options.mask);
+        entry.action = 'masked';
       } else {
-        debug(`[${methodName}]`, 'error:', error);
+        removed.push(field.segments);
+        entry.action = 'removed';
       }
-      return jsonResp;
+
+      entry.requiresConsent = denied != null && denied.requiresConsent === true;
+      entry.category = (denied != null) ? denied.category :
+          AssessmentPolicy.Categories.UNKNOWN;
+      entry.reason = (denied != null && denied.reason) ? denied.reason :
+          {messageId: 'NO_DECISION',
+            messageDescription: 'Verify did not return a decision.'};
+      redacted.push(entry);
+    }
+
+    ObjectPath.removeAll(copy, removed);
+    debug(`[${methodName}]`, 'redacted:', redacted.map((r) => r.path));
+
+    const filtered = {status: 'done', object: copy, redacted,
+      assessment: result.assessment};
+    if (result.retries) {
+      filtered.retries = result.retries;
     }
+
+    return filtered;
+  }
+
+  /**
+   * Release only the claims that the user has approved for a purpose, e.g.
+   * before issuing an ID token or a userinfo response to a relying party.
+   * <br><br>The mapped claims are assessed in a single
+   * {@link Privacy#assess} call. Each value of a multi-valued claim, such as
+   * <code>groups</code>, is assessed with its <code>attributeValue</code>,
+   * and only the approved values are released. Empty values are assessed
+   * without an <code>attributeValue</code>. Claims that are not mapped,
+   * such as <code>sub</code> and <code>iss</code>, are released unchanged.
+   * <br><br>The claims that need consent are returned as data items that can
+   * be passed to {@link Privacy#getConsentMetadata} to build the consent
+   * page.
+   *
+   * @param {Object} claims The claims set. It is not modified.
+   * @param {Object<string, string|Object>} mapping The attribute of each
+   * claim. Set to the attribute ID, or to an object with
+   * <code>attributeId</code> and <code>accessTypeId</code>.
+   * @param {string} purposeId The purpose the claims are released for, e.g.
+   * the purpose of the client application
+   * @param {CallOptions} [options] Options for this call
+   *
+   * @return {Promise<WrappedClaims>} The released claims and the claims that
+   * need consent or are denied
+   *
+   * @example
+   * let r = await client.filterClaims(claims, {
+   *   "email": "email",
+   *   "phone_number": {"attributeId": "mobile_number",
+   *       "accessTypeId": "read"},
+   *   "groups": "groups",
+   * }, "profilemgmt", {"context": {"subjectId": claims.sub}});
+   *
+   * if (r.status == "done" && r.consentRequired.length) {
+   *   let metadata = await client.getConsentMetadata(r.consentRequired);
+   *   // render the consent page
+   * }
+   */
+  async filterClaims(claims, mapping, purposeId, options = {}) {
+    const methodName = `${Privacy.name}:filterClaims(claims, mapping, ` +
+        `${purposeId})`;
+    if (claims == null || typeof claims != 'object' ||
+        Array.isArray(claims)) {
+      return this._handleError(methodName, null, new ValidationError(
+          'INVALID_DATATYPE', 'claims are expected to be an object. ' +
+          `Received ${typeof claims}`, {
+            errors: [{path: 'claims', message: 'must be an object'}],
+          }));
+    }
+
+    const invalid = Validation.validateClaimsMapping(mapping, purposeId);
+    if (invalid != null) {
+      return this._handleError(methodName, null, invalid);
+    }
+
+    // one item per claim, or per value of a multi-valued claim
+    const items = [];
+    for (const claim of Object.keys(mapping)) {
+      const value = claims[claim];
+      if (value == null) {
+        continue;
+      }
+
+      const entry = (typeof mapping[claim] == 'string') ?
+          {attributeId: mapping[claim]} : mapping[claim];
+      const item = {purposeId, attributeId: entry.attributeId};
+      if (entry.accessTypeId) {
+        item.accessTypeId = entry.accessTypeId;
+      }
+
+      if (!Array.isArray(value)) {
+        items.push({claim, item});
+        continue;
+      }
+
+      // objects and empty strings are assessed without an attribute value
+      value.forEach((element, index) => {
+        items.push((typeof element == 'object' && element != null ||
+            element === '') ? {claim, index, item} :
+            {claim, index, item: {...item, attributeValue: `${element}`}});
+      });
+    }
+
+    const released = JSON.parse(JSON.stringify(claims));
+    if (!items.length) {
+      return {status: 'done', claims: released, consentRequired: [],
+        denied: [], assessment: []};
+    }
+
+    const result = await this.assess(items.map((i) => i.item), options);
+    if (result.status == 'error') {
+      return result;
+    }
+
+    const consentRequired = [];
+    const denied = [];
+    const removed = new Map();
+    items.forEach(({claim, index, item}, i) => {
+      const assessment = result.assessment[i];
+      const decisions = (assessment && Array.isArray(assessment.result)) ?
+          assessment.result : [];
+      const decision = decisions.find((d) => !d.approved);
+      if (decisions.length && decision == null) {
+        return;
+      }
+
+      const entry = {claim, ...item};
+      entry.category = (decision != null) ? decision.category :
+          AssessmentPolicy.Categories.UNKNOWN;
+      entry.reason = (decision != null && decision.reason) ?
+          decision.reason : {messageId: 'NO_DECISION',
+            messageDescription: 'Verify did not return a decision.'};
+      if (decision != null && decision.requiresConsent === true) {
+        consentRequired.push(entry);
+      } else {
+        denied.push(entry);
+      }
+
+      if (!removed.has(claim)) {
+        removed.set(claim, new Set());
+      }
+
+      removed.get(claim).add(index);
+    });
+
+    for (const [claim, indexes] of removed) {
+      const values = (Array.isArray(released[claim])) ?
+          released[claim].filter((value, index) => !indexes.has(index)) : [];
+      if (values.length) {
+        released[claim] = values;
+      } else {
+        delete released[claim];
+      }
+    }
+
+    debug(`[${methodName}]`, 'withheld:', Array.from(removed.keys()));
+
+    const filtered = {status: 'done', claims: released, consentRequired,
+      denied, assessment: result.assessment};
+    if (result.retries) {
+      filtered.retries = result.retries;
+    }
+
+    return filtered;
   }
 
   /**
@@ -177,6 +716,10 @@ class Privacy {
    * @param {string} items.attributeValue The attribute value for the attribute.
    * This is typically used when the user has more than one value for the
    * attribute. This is optional.
+   * @param {CallOptions} [options] Options for this call
+   * @param {boolean} [options.cache=true] Set to <code>false</code> to
+   * ignore cached metadata. The metadata retrieved from Verify is still
+   * cached.
    *
    * @return {Promise<WrappedMetadata>} The status of the request
    * and any consent metadata
@@ -199,10 +742,26 @@ class Privacy {
    *   // render the page based on the r.metadata
    * }
    */
-  async getConsentMetadata(items) {
+  async getConsentMetadata(items, options = {}) {
+    return await this._trace('getConsentMetadata', purposeIdsOf(items),
+        () => this._getConsentMetadata(items, options));
+  }
+
+  /**
+   * Get consent metadata for the data items. See
+   * {@link Privacy#getConsentMetadata}.
+   * @param {Array} items The data items
+   * @param {MetadataCallOptions} options Options for this call
+   * @return {Promise<WrappedMetadata>} The metadata
+   */
+  async _getConsentMetadata(items, options) {
     const methodName = `${Privacy.name}:getConsentMetadata(items)`;
-    const service = new DPCMService(this._auth, this._config.tenantUrl,
-        this._context);
+    const invalid = Validation.validateItems(items);
+    if (invalid != null) {
+      return this._handleError(methodName, null, invalid);
+    }
+
+    const service = this._createService(options);
     try {
       // retrieve the list of purposes
       const purposes = new Set();
@@ -227,24 +786,27 @@ class Privacy {
       }
 
       // get metadata
-      const response = await service.getConsentMetadata(Array.from(purposes));
-      debug(`[${methodName}]`, 'response:', JSON.stringify(response));
+      const fetch = (purposeIds) => service.getConsentMetadata(purposeIds);
+      const fetchConsents = (purposeIds) =>
+        service.getPurposeConsents(purposeIds);
+      const response = (this._cache == null) ?
+          await fetch(Array.from(purposes)) :
+          await this._cache.getConsentMetadata(this._config.tenantUrl,
+              Array.from(purposes), this._callContext(options).subjectId,
+              fetch,
+              {bypass: options.cache === false, fetchConsents});
+      debug(`[${methodName}]`, 'response:',
+          JSON.stringify(this._redactor.redact(response)));
 
       // filter and normalize
       const metadata = await service.processConsentMetadata(
           itemFilter, response);
-      debug(`[${methodName}]`, 'metadata:', JSON.stringify(metadata));
+      debug(`[${methodName}]`, 'metadata:',
+          JSON.stringify(this._redactor.redact(metadata)));
 
-      return {status: 'done', metadata};
+      return this._withRetries(service, {status: 'done', metadata});
     } catch (error) {
-      const jsonResp = {status: 'error'};
-      if (error.response.data) {
-        jsonResp.error = error.response.data;
-        debug(`[${methodName}]`, 'error data:', error.response.data);
-      } else {
-        debug(`[${methodName}]`, 'error:', error);
-      }
-      return jsonResp;
+      return this._handleError(methodName, service, error);
     }
   }
 
@@ -254,6 +816,30 @@ class Privacy {
     * @param {Object} options An optional parameter object
     * @param {boolean} options.filterByCurrentApplication If set to true,
     *  filters consentsby the application id present in the authentication token
+    * @param {string} options.purposeId Only include consents for the purpose
+    * @param {string} options.attributeId Only include consents for the
+    * attribute
+    * @param {string} options.accessTypeId Only include consents for the
+    * access type
+    * @param {ConsentTypesEnum} options.state Only include consents of the
+    * consent type, e.g. <code>Privacy.ConsentTypes.OPTIN</code>
+    * @param {string} options.status Only include consents that are
+    * <code>active</code>, <code>expired</code> or <code>inactive</code>
+    * (not started yet)
+    * @param {TimeRange} options.startTime Only include consents that start
+    * within the range
+    * @param {TimeRange} options.endTime Only include consents that end within
+    * the range
+    * @param {string} options.sort The consent property to sort by, e.g.
+    * <code>startTime</code>. Prefix with <code>-</code> to sort in
+    * descending order.
+    * @param {number} options.limit The maximum number of consents to return
+    * @param {number} options.offset The number of consents to skip
+    * @param {AbortSignal} options.signal A signal used to cancel the call
+    * @param {number} options.timeoutMs The time allowed for the call, in
+    * milliseconds. This overrides <code>config.timeoutMs</code>.
+    * @param {Object} options.context Overrides the client context for this
+    * call. See {@link CallOptions}.
     * @return {Promise<WrappedGetUserConsents>}
     *
     * @example
@@ -261,29 +847,131 @@ class Privacy {
     * if (r.status == "done") {
     *   // render the page based on the r.consents
     * }
+    *
+    * // the second page of active marketing consents, newest first
+    * r = await client.getUserConsents({
+    *   purposeId: "marketing",
+    *   status: "active",
+    *   sort: "-startTime",
+    *   limit: 20,
+    *   offset: 20,
+    * })
     */
-  async getUserConsents(options) {
+  async getUserConsents(options = {}) {
+    return await this._trace('getUserConsents',
+        purposeIdsOf([options]), () => this._getUserConsents(options));
+  }
+
+  /**
+   * Fetch user consents. See {@link Privacy#getUserConsents}.
+   * @param {Object} options The filter and options for this call
+   * @return {Promise<WrappedGetUserConsents>} The consents
+   */
+  async _getUserConsents(options) {
     const methodName = `${Privacy.name}:getUserConsents()`;
-    const service = new DPCMService(this._auth, this._config.tenantUrl,
-        this._context);
+    const service = this._createService(options);
     try {
       const resp = await service.getUserConsents(options);
       debug(`[${methodName}]`, 'response:',
-          resp);
+          this._redactor.redact(resp));
 
-      return {status: 'done', consents: resp.consents};
+      const result = {status: 'done', consents: resp.consents};
+      if (typeof resp.count == 'number') {
+        result.count = resp.count;
+      }
+
+      return this._withRetries(service, result);
     } catch (error) {
-      const jsonResp = {status: 'error'};
-      if (error.response && error.response.data) {
-        jsonResp.error = error.response.data;
-        debug(`[${methodName}]`, 'error data:', error.response.data);
-      } else {
-        debug(`[${methodName}]`, 'error:', error);
+      return this._handleError(methodName, service, error);
+    }
+  }
+
+  /**
+    * Iterate over all user consents that match the filter, fetching them a
+    * page at a time.
+    * <br><br>Unlike other calls, errors are always thrown, since they cannot
+    * be returned as a result.
+    *
+    * @param {Object} [filter] The filter, sort order and page size. The
+    * properties are the same as {@link Privacy#getUserConsents}, with
+    * <code>limit</code> used as the page size. Defaults to 100.
+    * @param {CallOptions} [options] Options applied to each page request
+    * @return {AsyncIterable<Consent>} The consents
+    * @throws {PrivacyError} A page could not be fetched.
+    *
+    * @example
+    * for await (const consent of client.iterateUserConsents({
+    *   status: "active",
+    * })) {
+    *   // render the consent
+    * }
+    */
+  async* iterateUserConsents(filter = {}, options = {}) {
+    const methodName = `${Privacy.name}:iterateUserConsents()`;
+    const limit = (filter.limit) ? filter.limit : 100;
+    let offset = (filter.offset) ? filter.offset : 0;
+    while (true) {
+      const service = this._createService(options);
+      let resp;
+      try {
+        resp = await service.getUserConsents({...filter, limit, offset});
+      } catch (error) {
+        throw (error instanceof PrivacyError) ? error :
+            new PrivacyError('UNEXPECTED_ERROR', error.message);
+      }
+
+      const consents = (resp && Array.isArray(resp.consents)) ?
+          resp.consents : [];
+      debug(`[${methodName}]`, 'offset:', offset, 'count:', consents.length);
+      yield* consents;
+
+      offset += consents.length;
+      if (consents.length < limit ||
+          (typeof resp.count == 'number' && offset >= resp.count)) {
+        return;
       }
-      return jsonResp;
     }
   }
 
+  /**
+   * Build the consents to store from the consent metadata and the choices
+   * made by the user, e.g. on a consent page rendered from
+   * {@link Privacy#getConsentMetadata}.
+   * <br><br>Each choice applies to the metadata records that match the
+   * properties it sets, so a choice with only the <code>purposeId</code>
+   * applies to every record of the purpose. The state is derived from the
+   * consent display type of the record - <code>OPTIN_OR_OUT</code> records
+   * become <code>OPTIN</code> or <code>OPTOUT</code>,
+   * <code>ALLOW_OR_DENY</code> records become <code>ALLOW</code> or
+   * <code>DENY</code> and <code>TRANSPARENT</code> records, which may only
+   * be accepted, become <code>TRANSPARENT</code>. No consent is built for
+   * <code>DO_NOT_SHOW</code> records or records without a choice. If the
+   * purpose has a default consent duration, the end time is set from it.
+   *
+   * @param {WrappedMetadata|Metadata|MetadataRecord[]} metadata The consent
+   * metadata
+   * @param {ConsentChoice[]} choices The choices made by the user
+   * @param {Object} [options] Options
+   * @param {number} [options.startTime] The time since Epoch (in seconds)
+   * the consents start, used to compute the end time. Defaults to now.
+   * @return {Consent[]} The consents to pass to {@link Privacy#storeConsents}
+   * @throws {ValidationError} A choice does not match any record, conflicts
+   * with another choice or is not allowed for the record, e.g. declining a
+   * <code>TRANSPARENT</code> record.
+   *
+   * @example
+   * let r = await client.getConsentMetadata(items);
+   * const consents = Privacy.buildConsents(r, [
+   *   { "purposeId": "marketing", "attributeId": "email", "accepted": true },
+   *   { "purposeId": "marketing", "attributeId": "mobile_number",
+   *     "accepted": false },
+   * ]);
+   * r = await client.storeConsents(consents);
+   */
+  static buildConsents(metadata, choices, options = {}) {
+    return ConsentBuilder.buildConsents(metadata, choices, options);
+  }
+
   /**
     * Store consents for the user.
     * <br><br>Consents may only be created typically, except if the consent
@@ -292,6 +980,7 @@ class Privacy {
     *
     * @param {Consent[]} consents The full consent records that need to be
     * created or updated
+    * @param {CallOptions} [options] Options for this call
     *
     * @return {Promise<WrappedStoreUserConsents>} Consent operation response
     * @example
@@ -309,37 +998,552 @@ class Privacy {
     *   // loop through the r.results to determine what failed and why
     * }
     */
-  async storeConsents(consents) {
+  async storeConsents(consents, options = {}) {
+    return await this._trace('storeConsents', purposeIdsOf(consents),
+        () => this._storeConsents(consents, options));
+  }
+
+  /**
+   * Store consents for the user. See {@link Privacy#storeConsents}.
+   * @param {Consent[]} consents The consents
+   * @param {CallOptions} options Options for this call
+   * @return {Promise<WrappedStoreUserConsents>} Consent operation response
+   */
+  async _storeConsents(consents, options) {
     const methodName = `${Privacy.name}:storeConsents(auth, consents)`;
-    if (!Array.isArray(consents)) {
-      const desc = 'consents are expected to be an array. Received ' +
-          `${typeof consents}`;
-      return {
-        status: 'error',
-        error: {
-          'messageId': 'INVALID_DATATYPE',
-          'messageDescription': desc,
-        },
-      };
+    const invalid = Validation.validateConsents(consents);
+    if (invalid != null) {
+      return this._handleError(methodName, null, invalid);
     }
-    const service = new DPCMService(this._auth, this._config.tenantUrl,
-        this._context);
+
+    const service = this._createService(options);
     try {
       const r = await service.storeConsents(consents);
       debug(`[${methodName}]`, 'response:',
-          r);
+          this._redactor.redact(r));
 
       // parse the response
       const status = (r.messageId != 'CSIBT0070I') ? 'fail' : 'success';
-      return {status: status, results: r.results};
+      this._notifyConsentResults('storeConsents', r.results, service);
+      await this._auditConsents('storeConsents', r.results, options);
+      return this._withRetries(service, {status: status, results: r.results});
     } catch (error) {
-      debug(`[${methodName}]`, 'error:', error);
-      const jsonResp = {status: 'deny'};
-      if (error.response.data) {
-        jsonResp.error = error.response.data;
+      await this._auditConsents('storeConsents', consents.map((value) =>
+        ({result: 'error', value})), options, error);
+      return this._handleError(methodName, service, error);
+    } finally {
+      await this._invalidateConsents(consents, options);
+    }
+  }
+
+  /**
+    * Revoke consents of the user by removing the consent records.
+    *
+    * @param {Array<ConsentTarget|string>} targets The consents to revoke,
+    * identified by the consent record identifier or by the purpose,
+    * attribute, access type and attribute value.
+    * @param {CallOptions} [options] Options for this call
+    *
+    * @return {Promise<WrappedStoreUserConsents>} Consent operation response
+    * @example
+    * // revoke all marketing consents of the user
+    * let r = await client.revokeConsents([
+    *   { "purposeId": "marketing" }
+    * ])
+    */
+  async revokeConsents(targets, options = {}) {
+    const methodName = `${Privacy.name}:revokeConsents(targets)`;
+    const invalid = Validation.validateConsentTargets(targets);
+    if (invalid != null) {
+      return this._handleError(methodName, null, invalid);
+    }
+
+    return await this.applyConsentOperations(
+        targets.map((target) => ({op: 'remove', target})), options);
+  }
+
+  /**
+    * Update consents of the user, for example to extend the end time or
+    * change the state.
+    *
+    * @param {ConsentUpdate[]} updates The consents to update and the new
+    * values
+    * @param {CallOptions} [options] Options for this call
+    *
+    * @return {Promise<WrappedStoreUserConsents>} Consent operation response
+    * @example
+    * let r = await client.updateConsents([
+    *   {
+    *     "target": { "purposeId": "marketing", "attributeId": "11" },
+    *     "value": { "endTime": 1893456000 }
+    *   }
+    * ])
+    */
+  async updateConsents(updates, options = {}) {
+    const methodName = `${Privacy.name}:updateConsents(updates)`;
+    const invalid = Validation.validateConsentUpdates(updates);
+    if (invalid != null) {
+      return this._handleError(methodName, null, invalid);
+    }
+
+    return await this.applyConsentOperations(updates.map((update) => ({
+      op: 'replace',
+      target: update.target,
+      value: update.value,
+    })), options);
+  }
+
+  /**
+    * Apply a mix of consent operations for the user. New consents are added,
+    * and existing consents are updated or removed.
+    * <br><br>Existing consents may be identified by the consent record
+    * identifier or by the purpose, attribute, access type and attribute
+    * value. The latter matches every consent with the same values for the
+    * properties that are set. Targets that do not match any consent are
+    * reported in <code>results</code> as failures. With a privileged token,
+    * set <code>context.subjectId</code> to target consents by their
+    * properties; otherwise the targets are reported as failures if the
+    * consents of more than one subject are found.
+    * <br><br>The operations are sent to Verify 10 at a time. If a request
+    * fails after earlier requests were applied, the status is
+    * <code>fail</code>, the <code>error</code> is set and
+    * <code>applied</code> is the number of operations that succeeded. The
+    * operations of the failed request are reported with the result
+    * <code>error</code>, and the operations that were not sent as failures.
+    *
+    * @param {ConsentOperation[]} operations The consent operations
+    * @param {CallOptions} [options] Options for this call
+    *
+    * @return {Promise<WrappedStoreUserConsents>} Consent operation response
+    * @example
+    * let r = await client.applyConsentOperations([
+    *   {
+    *     "op": "add",
+    *     "value": { "purposeId": "marketing", "attributeId": "email",
+    *         "state": 3 }
+    *   },
+    *   {
+    *     "op": "replace",
+    *     "target": "a4c5ce7b-8f0e-4dd3-a66e-d0b9f3c8d1f2",
+    *     "value": { "state": 4 }
+    *   },
+    *   {
+    *     "op": "remove",
+    *     "target": { "purposeId": "newsletter" }
+    *   }
+    * ])
+    */
+  async applyConsentOperations(operations, options = {}) {
+    const methodName = `${Privacy.name}:applyConsentOperations(operations)`;
+    const invalid = Validation.validateConsentOperations(operations);
+    if (invalid != null) {
+      return this._handleError(methodName, null, invalid);
+    }
+
+    const service = this._createService(options);
+    try {
+      const r = await service.applyConsentOperations(operations);
+      debug(`[${methodName}]`, 'response:', this._redactor.redact(r));
+
+      const status = (r.messageId != 'CSIBT0070I') ? 'fail' : 'success';
+      this._notifyConsentResults('applyConsentOperations', r.results,
+          service);
+      if (r.error != null) {
+        // only the operations of the failed request are audited as errors
+        for (const result of r.results) {
+          await this._auditConsents('applyConsentOperations', [result],
+              options, (result.result == 'error') ? r.error : undefined);
+        }
+
+        const error = (r.error instanceof PrivacyError) ? r.error :
+            new PrivacyError('UNEXPECTED_ERROR', r.error.message);
+        return this._withRetries(service, {status, results: r.results,
+          applied: r.applied, error: error.toJSON()});
+      }
+
+      await this._auditConsents('applyConsentOperations', r.results,
+          options);
+      return this._withRetries(service, {status: status, results: r.results});
+    } catch (error) {
+      await this._auditConsents('applyConsentOperations',
+          operations.map((value) => ({result: 'error', value})), options,
+          error);
+      return this._handleError(methodName, service, error);
+    } finally {
+      await this._invalidateConsents(operations.map((operation) =>
+        (operation.op == 'add') ? operation.value : {}), options);
+    }
+  }
+
+  /**
+   * Emit a <code>consentStored</code> event for each consent operation
+   * result.
+   * @param {string} operation The SDK call
+   * @param {ConsentOpResult[]} results The results
+   * @param {DPCMService} service The service used for the call
+   */
+  _notifyConsentResults(operation, results, service) {
+    for (const result of (Array.isArray(results)) ? results : []) {
+      this._notify('consentStored', () => ({
+        operation,
+        result: result.result,
+        value: this._redactor.redact(result.value),
+        error: result.error,
+        durationMs: service.elapsedMs,
+      }));
+    }
+  }
+
+  /**
+   * Write an audit record for each decision in the assessment.
+   * @param {Assessment[]} assessment The assessment
+   * @param {CallOptions} options The options for the call
+   */
+  async _auditDecisions(assessment, options) {
+    if (this._audit == null) {
+      return;
+    }
+
+    const base = this._auditBase('decision', 'assess', options);
+    for (const item of assessment) {
+      const decisions = (item != null && Array.isArray(item.result)) ?
+          item.result : [];
+      for (const decision of decisions) {
+        await this._writeAudit({
+          ...base,
+          purposeId: item.purposeId,
+          attributeId: (decision.attributeId) ? decision.attributeId :
+              item.attributeId,
+          accessTypeId: item.accessTypeId,
+          approved: decision.approved === true,
+          category: decision.category,
+          messageId: (decision.reason) ? decision.reason.messageId : null,
+        });
+      }
+    }
+  }
+
+  /**
+   * Write an audit record for each consent write.
+   * @param {string} operation The SDK call
+   * @param {ConsentOpResult[]} results The results of the writes
+   * @param {CallOptions} options The options for the call
+   * @param {Error} [error] The error, if the call failed
+   */
+  async _auditConsents(operation, results, options, error) {
+    if (this._audit == null) {
+      return;
+    }
+
+    const base = this._auditBase('consent', operation, options);
+    for (const result of (Array.isArray(results)) ? results : []) {
+      const value = (result.value != null &&
+          typeof result.value == 'object') ? result.value : {};
+      const target = (value.target != null &&
+          typeof value.target == 'object') ? value.target : {};
+      const consent = {...target, ...((value.op) ? value.value : value)};
+      let consentId = (typeof value.target == 'string') ? value.target :
+          consent.id;
+      if (consentId == null && typeof value.path == 'string') {
+        consentId = value.path.split('/')[1];
+      }
+
+      await this._writeAudit({
+        ...base,
+        purposeId: consent.purposeId,
+        attributeId: consent.attributeId,
+        accessTypeId: consent.accessTypeId,
+        consentId,
+        state: consent.state,
+        op: value.op,
+        result: result.result,
+        messageId: (error) ? (error.messageId || 'UNEXPECTED_ERROR') : null,
+        error: result.error,
+      });
+    }
+  }
+
+  /**
+   * Build the properties shared by the audit records of a call.
+   * @param {string} type The record type
+   * @param {string} operation The SDK call
+   * @param {CallOptions} options The options for the call
+   * @return {Object} The properties
+   */
+  _auditBase(type, operation, options) {
+    const context = this._callContext(options);
+    return {
+      type,
+      time: new Date().toISOString(),
+      correlationId: (options.correlationId) ? options.correlationId :
+          crypto.randomUUID(),
+      operation,
+      subjectId: (context.subjectId) ? context.subjectId : null,
+    };
+  }
+
+  /**
+   * Write an audit record without the properties that have no value. A
+   * failure is reported as an <code>error</code> event, since the call
+   * itself has completed.
+   * @param {AuditRecord} record The record
+   */
+  async _writeAudit(record) {
+    for (const key of Object.keys(record)) {
+      if (record[key] == null) {
+        delete record[key];
+      }
+    }
+
+    try {
+      await this._audit.write(record);
+    } catch (error) {
+      debug(`[${Privacy.name}:_writeAudit(record)]`, 'error:',
+          this._redactor.redact(error));
+      if (this.listenerCount('error') > 0) {
+        try {
+          this.emit('error', new PrivacyError('AUDIT_FAILED',
+              `The audit record could not be written. ${error.message}`), {
+            operation: record.operation,
+            durationMs: 0,
+          });
+        } catch (listenerError) {
+          debug(`[${Privacy.name}:_writeAudit(record)]`, 'listener error:',
+              this._redactor.redact(listenerError));
+        }
+      }
+    }
+  }
+
+  /**
+   * Remove cached consent metadata. This is only needed if consents or
+   * purposes are changed outside of this object, since
+   * {@link Privacy#storeConsents} removes the cached consents of the subjects
+   * it updates.
+   *
+   * @param {Object} [options] The entries to remove. If neither is set, all
+   * entries for the tenant are removed.
+   * @param {string[]} [options.purposeIds] The purposes whose definitions are
+   * removed
+   * @param {string} [options.subjectId] The subject whose consents are
+   * removed
+   * @return {Promise} Resolves when the entries are removed
+   *
+   * @example
+   * // the purpose was updated on Verify
+   * await client.invalidateCache({purposeIds: ["marketing"]});
+   */
+  async invalidateCache(options = {}) {
+    if (this._cache != null) {
+      await this._cache.invalidate(this._config.tenantUrl, options);
+    }
+  }
+
+  /**
+   * Remove the cached consents of the subjects whose consents are stored.
+   * @param {Consent[]} consents The consents
+   * @param {CallOptions} options The options for the call
+   */
+  async _invalidateConsents(consents, options) {
+    if (this._cache == null) {
+      return;
+    }
+
+    const subjects = new Set();
+    for (const consent of consents) {
+      const subjectId = (consent && consent.subjectId) ? consent.subjectId :
+          this._callContext(options).subjectId;
+      if (subjectId) {
+        subjects.add(subjectId);
+      }
+    }
+
+    for (const subjectId of subjects) {
+      await this._cache.invalidate(this._config.tenantUrl, {subjectId});
+    }
+  }
+
+  /**
+   * Merge the context override for a call with the client context. Neither
+   * is modified.
+   * @param {CallOptions} options The options for the call
+   * @return {Object} The context for the call
+   */
+  _callContext(options) {
+    if (options == null || options.context == null) {
+      return this._context;
+    }
+
+    return {...this._context, ...options.context};
+  }
+
+  /**
+   * Create the service used to call Verify for a single operation.
+   * @param {CallOptions} options The options for the call
+   * @return {DPCMService} The service object
+   */
+  _createService(options) {
+    const timeoutMs = (typeof options.timeoutMs == 'number') ?
+        options.timeoutMs : this._config.timeoutMs;
+    return new DPCMService(this._auth, this._config.tenantUrl,
+        this._callContext(options), {
+          retryPolicy: this._retryPolicy,
+          transport: this._transport,
+          timeoutMs,
+          signal: options.signal,
+          emitter: this,
+          telemetry: this._telemetry,
+          redactor: this._redactor,
+          assessmentPolicy: this._assessmentPolicy,
+        });
+  }
+
+  /**
+   * Convert an error raised during a call into the error result or, if
+   * <code>config.throwOnError</code> is set, throw it.
+   * @param {string} methodName The calling method, used for logging
+   * @param {DPCMService} service The service used for the call, if any
+   * @param {Error} error The error
+   * @return {Object} The result with the status set to <code>error</code>
+   * @throws {Error} The error, if <code>config.throwOnError</code> is set
+   */
+  _handleError(methodName, service, error) {
+    const privacyError = (error instanceof PrivacyError) ? error :
+        new PrivacyError('UNEXPECTED_ERROR', error.message);
+    if (privacyError instanceof VerifyApiError) {
+      debug(`[${methodName}]`, 'error data:',
+          this._redactor.redact(privacyError.data));
+    } else {
+      debug(`[${methodName}]`, 'error:', this._redactor.redact(error));
+    }
+
+    if (service != null && service.retries > 0) {
+      privacyError.retries = service.retries;
+    }
+
+    // an unhandled error event would throw, so it is only emitted if
+    // something is listening
+    if (this.listenerCount('error') > 0) {
+      try {
+        this.emit('error', privacyError, {
+          operation: methodName.replace(/^.*:/, '').replace(/\(.*$/, ''),
+          durationMs: (service != null) ? service.elapsedMs : 0,
+        });
+      } catch (listenerError) {
+        debug(`[${methodName}]`, 'listener error:',
+            this._redactor.redact(listenerError));
+      }
+    }
+
+    if (this._config.throwOnError === true) {
+      throw (error instanceof PrivacyError) ? privacyError : error;
+    }
+
+    const result = {status: 'error', error: privacyError.toJSON()};
+    return (service != null) ? this._withRetries(service, result) : result;
+  }
+
+  /**
+   * Run an SDK call in a span if tracing is enabled. The status, Verify
+   * <code>messageId</code> and retry count of the result are added to the
+   * span.
+   * @param {string} operation The SDK call
+   * @param {string[]} purposeIds The purposes the call applies to
+   * @param {Function} call Makes the call and returns the result
+   * @return {Promise<Object>} The result of the call
+   */
+  async _trace(operation, purposeIds, call) {
+    if (this._telemetry == null) {
+      return await call();
+    }
+
+    return await this._telemetry.call(`Privacy.${operation}`, {
+      'verify.privacy.operation': operation,
+      'verify.privacy.purpose_ids': purposeIds,
+    }, async (span) => {
+      let result;
+      try {
+        result = await call();
+      } catch (error) {
+        // config.throwOnError is set
+        span.setAttribute('verify.privacy.status', 'error');
+        addErrorAttributes(span, error);
+        throw error;
       }
-      return jsonResp;
+
+      span.setAttribute('verify.privacy.status', result.status);
+      if (result.status == 'error') {
+        addErrorAttributes(span, {...result.error, retries: result.retries});
+        this._telemetry.fail(span, result.error.messageDescription);
+      } else if (result.retries) {
+        span.setAttribute('verify.privacy.retries', result.retries);
+      }
+
+      return result;
+    });
+  }
+
+  /**
+   * Emit an event if it has listeners. The payload is only built when it is
+   * needed, and errors thrown by listeners are logged and ignored.
+   * @param {string} name The event name
+   * @param {Function} payload Returns the event payload
+   */
+  _notify(name, payload) {
+    if (this.listenerCount(name) == 0) {
+      return;
+    }
+
+    try {
+      this.emit(name, payload());
+    } catch (error) {
+      debug(`[${Privacy.name}:_notify(name, payload)]`, 'listener error:',
+          name, this._redactor.redact(error));
+    }
+  }
+
+  /**
+   * Add the retry count to the result if any requests were retried.
+   * @param {DPCMService} service The service used for the operation
+   * @param {Object} result The result object
+   * @return {Object} The result object
+   */
+  _withRetries(service, result) {
+    if (service.retries > 0) {
+      result.retries = service.retries;
     }
+
+    return result;
+  }
+}
+
+/**
+ * Get the distinct purpose IDs of the data items or consents, for tracing.
+ * @param {Object[]} items The data items or consents
+ * @return {string[]} The purpose IDs
+ */
+function purposeIdsOf(items) {
+  if (!Array.isArray(items)) {
+    return [];
+  }
+
+  return Array.from(new Set(items
+      .filter((item) => item != null && typeof item.purposeId == 'string')
+      .map((item) => item.purposeId)));
+}
+
+/**
+ * Add the Verify error details to a span.
+ * @param {Object} span The span
+ * @param {Object} error The error, or the error of a result
+ */
+function addErrorAttributes(span, error) {
+  if (error.messageId) {
+    span.setAttribute('verify.message_id', error.messageId);
+  }
+
+  if (error.retries) {
+    span.setAttribute('verify.privacy.retries', error.retries);
   }
 }
 
@@ -348,24 +1552,133 @@ class Privacy {
  * @enum {ConsentDisplayTypesEnum}
  * @readonly
  */
-Privacy.ConsentDisplayTypes = {
-  DO_NOT_SHOW: 1,
-  TRANSPARENT: 2,
-  OPTIN_OR_OUT: 3,
-  ALLOW_OR_DENY: 4,
-};
+Privacy.ConsentDisplayTypes = ConsentEnums.ConsentDisplayTypes;
 
 /**
  * Enumeration of different possible consent types
  * @enum {ConsentTypesEnum}
  * @readonly
  */
-Privacy.ConsentTypes = {
-  ALLOW: 1,
-  DENY: 2,
-  OPTIN: 3,
-  OPTOUT: 4,
-  TRANSPARENT: 5,
+Privacy.ConsentTypes = ConsentEnums.ConsentTypes;
+
+/**
+ * Token provider that uses the OAuth 2.0 client credentials grant. Use this
+ * to share a single provider across multiple {@link Privacy} objects.
+ * @type {ClientCredentialsTokenProvider}
+ * @readonly
+ */
+Privacy.ClientCredentialsTokenProvider = ClientCredentialsTokenProvider;
+
+/**
+ * The default HTTP transport, based on axios.
+ * @type {AxiosTransport}
+ * @readonly
+ */
+Privacy.AxiosTransport = AxiosTransport;
+
+/**
+ * HTTP transport based on the <code>fetch</code> API.
+ * @type {FetchTransport}
+ * @readonly
+ */
+Privacy.FetchTransport = FetchTransport;
+
+/**
+ * Classifies assessment decisions. Use its <code>Categories</code> to
+ * compare the <code>category</code> of decisions, or extend it to classify
+ * decisions differently.
+ * @type {AssessmentPolicy}
+ * @readonly
+ */
+Privacy.AssessmentPolicy = AssessmentPolicy;
+
+/**
+ * HTTP transport that records the requests and responses of a tenant in a
+ * fixture file, or replays them without network access.
+ * @type {FixtureTransport}
+ * @readonly
+ */
+Privacy.FixtureTransport = FixtureTransport;
+
+/**
+ * Cache for the metadata used by {@link Privacy#getConsentMetadata}. Use
+ * this to share a single cache across multiple {@link Privacy} objects.
+ * @type {MetadataCache}
+ * @readonly
+ */
+Privacy.MetadataCache = MetadataCache;
+
+/**
+ * The default cache store, which holds entries in memory.
+ * @type {MemoryCacheStore}
+ * @readonly
+ */
+Privacy.MemoryCacheStore = MemoryCacheStore;
+
+/**
+ * The base class for audit sinks, with hash chaining and
+ * {@link AuditSink.verify} to check a log.
+ * @type {AuditSink}
+ * @readonly
+ */
+Privacy.AuditSink = AuditSink;
+
+/**
+ * Audit sink that appends records to a JSONL file.
+ * @type {FileAuditSink}
+ * @readonly
+ */
+Privacy.FileAuditSink = FileAuditSink;
+
+/**
+ * Audit sink that keeps records in memory.
+ * @type {MemoryAuditSink}
+ * @readonly
+ */
+Privacy.MemoryAuditSink = MemoryAuditSink;
+
+/**
+ * Renders consent metadata as HTML form fields and parses the submitted
+ * form into consents.
+ * @type {ConsentForm}
+ * @readonly
+ */
+Privacy.ConsentForm = ConsentForm;
+
+/**
+ * Create middleware that enforces the approval of data items for the
+ * subject of each request. See {@link requireConsent}.
+ * @type {Function}
+ * @readonly
+ */
+Privacy.requireConsent = requireConsent;
+
+/**
+ * The errors raised by the SDK. {@link ConfigurationError} is thrown by
+ * constructors. The others extend {@link PrivacyError} and are thrown by
+ * calls when <code>config.throwOnError</code> is set.
+ * @readonly
+ */
+Privacy.Errors = {
+  PrivacyError,
+  VerifyApiError,
+  ValidationError,
+  AuthenticationError,
+  AuthorizationError,
+  RateLimitError,
+  NetworkError,
+  TimeoutError,
+  AbortError,
+  FixtureMismatchError,
+  ConfigurationError,
 };
 
 module.exports = Privacy;
+
+/**
+ * Registry of clients for several Verify tenants. This is assigned after the
+ * export, since the registry requires this module.
+ * @type {PrivacyRegistry}
+ * @readonly
+ */
+Privacy.PrivacyRegistry = require('./privacyRegistry');
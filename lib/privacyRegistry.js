@@ -0,0 +1,171 @@
+const AxiosTransport = require('./transport/axiosTransport');
+const ConfigurationError = require('./errors/configurationError');
+const MemoryCacheStore = require('./cache/memoryCacheStore');
+const MetadataCache = require('./cache/metadataCache');
+const Privacy = require('./privacy');
+const debug = require('debug')('verify:privacyRegistry');
+
+/**
+ * Holds a {@link Privacy} client for each of several Verify tenants, looked
+ * up by a tenant key.
+ *
+ * The clients share the HTTP transport, so connections are pooled across
+ * tenants, and the cache store, with keys prefixed by the tenant key.
+ * Everything else is kept per tenant - the token provider, the context,
+ * batching and the tenant configuration. Tenants may be added and removed
+ * while the registry is in use.
+ */
+class PrivacyRegistry {
+  /**
+   * Create a new {@link PrivacyRegistry} object.
+   * @param {Object} [config] The registry configuration
+   * @param {Object} [config.defaults] The configuration applied to every
+   * tenant unless the tenant overrides it, e.g. <code>retry</code>,
+   * <code>timeoutMs</code>, <code>throwOnError</code> or
+   * <code>batch</code>. See {@link Privacy}.
+   * @param {Transport} [config.transport] The HTTP transport shared by all
+   * tenants. Defaults to an {@link AxiosTransport}.
+   * @param {Object|boolean} [config.cache] Enable the metadata cache for all
+   * tenants. Set to <code>true</code> or to the {@link MetadataCache}
+   * options. A single store is shared and each tenant uses its own keys.
+   * @param {Object<string, TenantConfig>} [config.tenants] The initial
+   * tenants, keyed by tenant key
+   * @throws {ConfigurationError} A tenant configuration is invalid.
+   *
+   * @example
+   * const registry = new Privacy.PrivacyRegistry({
+   *   defaults: { timeoutMs: 5000 },
+   *   cache: true,
+   *   tenants: {
+   *     acme: {
+   *       tenantUrl: "https://acme.verify.ibm.com",
+   *       auth: { clientId: "...", clientSecret: "..." },
+   *     },
+   *   },
+   * });
+   *
+   * const r = await registry.get("acme").assess(items, {
+   *   context: { subjectId: "123456" },
+   * });
+   */
+  constructor(config = {}) {
+    this._defaults = (config.defaults) ? config.defaults : {};
+    this._transport = (config.transport) ? config.transport :
+        new AxiosTransport();
+
+    this._cacheOptions = null;
+    if (config.cache != null && config.cache !== false) {
+      this._cacheOptions = (config.cache === true) ? {} : config.cache;
+      this._cacheStore = (this._cacheOptions.store) ?
+          this._cacheOptions.store :
+          new MemoryCacheStore({maxEntries: this._cacheOptions.maxEntries});
+    }
+
+    this._clients = new Map();
+    const tenants = (config.tenants) ? config.tenants : {};
+    for (const key of Object.keys(tenants)) {
+      this.add(key, tenants[key]);
+    }
+  }
+
+  /**
+   * The keys of the registered tenants.
+   * @type {string[]}
+   */
+  get keys() {
+    return Array.from(this._clients.keys());
+  }
+
+  /**
+   * Register a tenant.
+   * @param {string} key The tenant key
+   * @param {TenantConfig} tenant The tenant configuration
+   * @return {Privacy} The client for the tenant
+   * @throws {ConfigurationError} The key is already registered or the
+   * tenant configuration is invalid.
+   */
+  add(key, tenant) {
+    if (!key) {
+      throw new ConfigurationError('The tenant key is required.');
+    }
+
+    if (this._clients.has(key)) {
+      throw new ConfigurationError(`The tenant '${key}' is already ` +
+          `registered. Remove it before adding it again.`);
+    }
+
+    if (tenant == null || typeof tenant != 'object') {
+      throw new ConfigurationError(`Cannot find the configuration for ` +
+          `tenant '${key}'.`);
+    }
+
+    const {auth, context, ...overrides} = tenant;
+    const config = {
+      ...this._defaults,
+      ...overrides,
+      transport: this._transport,
+    };
+
+    if (overrides.cache == null && this._cacheOptions != null) {
+      config.cache = new MetadataCache({
+        ...this._cacheOptions,
+        store: this._cacheStore,
+        keyPrefix: `${(this._cacheOptions.keyPrefix) ?
+            this._cacheOptions.keyPrefix : 'verify-privacy'}:${key}`,
+      });
+    }
+
+    const client = new Privacy(config, auth, (context) ? context : {});
+    this._clients.set(key, client);
+    debug(`[${PrivacyRegistry.name}:add(key, tenant)]`, 'key:', key,
+        'tenantUrl:', config.tenantUrl);
+    return client;
+  }
+
+  /**
+   * Unregister a tenant and remove its cached metadata. Calls already in
+   * progress are not affected.
+   * @param {string} key The tenant key
+   * @return {Promise<boolean>} true if the tenant was registered
+   */
+  async remove(key) {
+    const client = this._clients.get(key);
+    if (client == null) {
+      return false;
+    }
+
+    this._clients.delete(key);
+    debug(`[${PrivacyRegistry.name}:remove(key)]`, 'key:', key);
+    if (this._cacheOptions != null) {
+      await client.invalidateCache();
+    }
+
+    return true;
+  }
+
+  /**
+   * Check if a tenant is registered.
+   * @param {string} key The tenant key
+   * @return {boolean} true if the tenant is registered
+   */
+  has(key) {
+    return this._clients.has(key);
+  }
+
+  /**
+   * Get the client for a tenant.
+   * @param {string} key The tenant key
+   * @return {Privacy} The client
+   * @throws {ConfigurationError} The tenant is not registered.
+   */
+  get(key) {
+    const client = this._clients.get(key);
+    if (client == null) {
+      throw new ConfigurationError(`The tenant '${key}' is not registered.`);
+    }
+
+    return client;
+  }
+}
+
+module.exports = PrivacyRegistry;
@@ -0,0 +1,203 @@
+const ValidationError = require('../errors/validationError');
+const debug = require('debug')('verify:assessBatcher');
+
+/**
+ * Collects the items from concurrent <code>assess</code> calls for the same
+ * subject and sends them to Verify as a single data usage approval request.
+ * The assessment returned by Verify is split back into a slice for each
+ * call, in the order the items were added.
+ *
+ * Calls with identical items that are queued or in flight share the same
+ * request. If Verify rejects a batch with a validation error or returns an
+ * unexpected number of assessments, each call in the batch is sent on its
+ * own, so one call with invalid items does not fail the others.
+ */
+class AssessBatcher {
+  /**
+   * Create a new {@link AssessBatcher} object.
+   * @param {Object} [options] The batching options
+   * @param {number} [options.windowMs=10] The time, in milliseconds, to
+   * wait for more calls after the first call in a batch.
+   * @param {number} [options.maxBatchSize=100] The number of items that
+   * causes a batch to be sent before the window ends.
+   */
+  constructor(options = {}) {
+    this._windowMs = (typeof options.windowMs == 'number') ?
+        options.windowMs : 10;
+    this._maxBatchSize = (typeof options.maxBatchSize == 'number') ?
+        options.maxBatchSize : 100;
+    this._queues = new Map();
+    this._pending = new Map();
+  }
+
+  /**
+   * Create the batcher from the SDK configuration.
+   * @param {Object|boolean} batch The batching options, or <code>true</code>
+   * to use the defaults
+   * @return {AssessBatcher} The batcher, or null if batching is disabled
+   */
+  static from(batch) {
+    if (batch == null || batch === false) {
+      return null;
+    }
+
+    return new AssessBatcher((batch === true) ? {} : batch);
+  }
+
+  /**
+   * Add items to the batch for the subject.
+   * @param {string} batchKey Identifies the subject and any other request
+   * properties that must match for calls to be sent together
+   * @param {Array} items The data items that require approval for use
+   * @param {Function} send An async function that sends the items and
+   * returns an object with the <code>assessment</code> array and the number
+   * of <code>retries</code>
+   * @return {Promise<Object>} A copy of the <code>assessment</code> for the
+   * items and the number of <code>retries</code>. If the request fails, the
+   * promise is rejected with a copy of the error.
+   */
+  load(batchKey, items, send) {
+    const requestKey = `${batchKey}|${JSON.stringify(items)}`;
+    let promise = this._pending.get(requestKey);
+    if (promise == null) {
+      promise = new Promise((resolve, reject) => {
+        this._enqueue(batchKey, {items, resolve, reject}, send);
+      });
+
+      const done = () => this._pending.delete(requestKey);
+      promise.then(done, done);
+      this._pending.set(requestKey, promise);
+    } else {
+      // the key holds the subject and attribute values, so only the
+      // purposes are logged
+      debug(`[${AssessBatcher.name}:load()]`, 'sharing request:',
+          items.length, 'items for', purposeIdsOf(items));
+    }
+
+    // each caller gets its own copy, since the assessment is annotated
+    // while it is processed and the error while it is handled
+    return promise.then((result) => ({
+      assessment: JSON.parse(JSON.stringify(result.assessment)),
+      retries: result.retries,
+    }), (error) => {
+      throw copyError(error);
+    });
+  }
+
+  /**
+   * Add the entry to the queue for the batch key, sending the queue when
+   * the window ends or it is full.
+   * @param {string} batchKey The batch key
+   * @param {Object} entry The items and the promise callbacks
+   * @param {Function} send The function that sends the items
+   */
+  _enqueue(batchKey, entry, send) {
+    let queue = this._queues.get(batchKey);
+    if (queue == null) {
+      queue = {entries: [], size: 0, send};
+      queue.timer = setTimeout(() => this._flush(batchKey), this._windowMs);
+      this._queues.set(batchKey, queue);
+    }
+
+    queue.entries.push(entry);
+    queue.size += entry.items.length;
+    if (queue.size >= this._maxBatchSize) {
+      this._flush(batchKey);
+    }
+  }
+
+  /**
+   * Send the queue for the batch key.
+   * @param {string} batchKey The batch key
+   */
+  _flush(batchKey) {
+    const queue = this._queues.get(batchKey);
+    if (queue == null) {
+      return;
+    }
+
+    clearTimeout(queue.timer);
+    this._queues.delete(batchKey);
+    this._dispatch(queue.entries, queue.send);
+  }
+
+  /**
+   * Send the items of the entries in a single request and settle each
+   * entry with its slice of the assessment.
+   * @param {Object[]} entries The entries
+   * @param {Function} send The function that sends the items
+   */
+  async _dispatch(entries, send) {
+    const methodName = `${AssessBatcher.name}:_dispatch()`;
+    const items = [].concat(...entries.map((e) => e.items));
+    debug(`[${methodName}]`, 'calls:', entries.length, 'items:', items.length);
+
+    let result;
+    try {
+      result = await send(items);
+    } catch (error) {
+      if (entries.length > 1 && error instanceof ValidationError) {
+        debug(`[${methodName}]`, 'batch rejected, sending calls separately');
+        entries.forEach((entry) => this._dispatch([entry], send));
+        return;
+      }
+
+      entries.forEach((entry) => entry.reject(error));
+      return;
+    }
+
+    if (entries.length == 1) {
+      entries[0].resolve(result);
+      return;
+    }
+
+    if (!Array.isArray(result.assessment) ||
+        result.assessment.length != items.length) {
+      debug(`[${methodName}]`, 'unexpected assessment, sending calls ' +
+          'separately');
+      entries.forEach((entry) => this._dispatch([entry], send));
+      return;
+    }
+
+    let offset = 0;
+    for (const entry of entries) {
+      entry.resolve({
+        assessment: result.assessment.slice(offset,
+            offset + entry.items.length),
+        retries: result.retries,
+      });
+      offset += entry.items.length;
+    }
+  }
+}
+
+/**
+ * List the distinct purposes of the items.
+ * @param {Array} items The data items
+ * @return {string[]} The purpose identifiers
+ */
+function purposeIdsOf(items) {
+  return Array.from(new Set(items.map((item) =>
+    (item != null) ? item.purposeId : null)));
+}
+
+/**
+ * Copy an error, keeping its class, message, stack and other properties.
+ * @param {Error} error The error
+ * @return {Error} The copy
+ */
+function copyError(error) {
+  if (error == null || typeof error != 'object') {
+    return error;
+  }
+
+  const copy = Object.create(Object.getPrototypeOf(error));
+  for (const key of Object.getOwnPropertyNames(error)) {
+    Object.defineProperty(copy, key,
+        Object.getOwnPropertyDescriptor(error, key));
+  }
+
+  return copy;
+}
+
+module.exports = AssessBatcher;
@@ -0,0 +1,140 @@
+const ConfigurationError = require('../errors/configurationError');
+
+/**
+ * The categories of assessment decisions.
+ */
+const Categories = {
+  APPROVED: 'approved',
+  CONSENT_REQUIRED: 'consent_required',
+  OPTED_OUT: 'opted_out',
+  RULE_DENIED: 'rule_denied',
+  MISCONFIGURED: 'misconfigured',
+  UNKNOWN: 'unknown',
+};
+
+/**
+ * The category of the Verify message IDs that deny the use outright. Any
+ * other reason means the user has not consented yet.
+ */
+const DEFAULT_CATEGORIES = {
+  // the user opted out or denied consent
+  CSIBT0040I: Categories.OPTED_OUT,
+  CSIBT0041I: Categories.OPTED_OUT,
+  // the rule decision is deny
+  CSIBT0060I: Categories.RULE_DENIED,
+  // the application to purpose mapping is not valid
+  CSIBT0016E: Categories.MISCONFIGURED,
+  // the purpose is invalid or has no active version
+  CSIBT0022E: Categories.MISCONFIGURED,
+  // the attribute does not belong to the active purpose
+  CSIBT0036E: Categories.MISCONFIGURED,
+  // the attribute's access type is not configured in the purpose
+  CSIBT0037E: Categories.MISCONFIGURED,
+  // the access type does not belong to the active purpose
+  CSIBT0038E: Categories.MISCONFIGURED,
+};
+
+/**
+ * Classifies the decisions of an assessment, so callers can act on the
+ * category instead of the Verify message ID. Approved decisions are
+ * <code>approved</code>, and the others are mapped from the
+ * <code>messageId</code> of their reason. Only the codes that deny the use
+ * outright are mapped by default. Any other code, including the ones
+ * Verify returns when the user has not consented, falls back to
+ * <code>consent_required</code>, so the user is asked for consent. Set
+ * <code>fallback</code> to <code>unknown</code> to treat codes that are not
+ * mapped as a denial instead.
+ *
+ * Only <code>consent_required</code> decisions set
+ * <code>requiresConsent</code>, so the overall status is
+ * <code>consent</code> only if asking the user can change the decision.
+ * Override {@link AssessmentPolicy#classify} to classify decisions
+ * differently.
+ */
+class AssessmentPolicy {
+  /**
+   * Create a new {@link AssessmentPolicy} object.
+   * @param {Object} [options] The policy options
+   * @param {Object} [options.categories] The category of additional message
+   * IDs, which take precedence over the defaults, e.g.
+   * <code>{CSIBT0099I: 'opted_out'}</code>
+   * @param {string} [options.fallback='consent_required'] The category of
+   * message IDs that are not mapped. Set to <code>unknown</code> to deny
+   * the use instead of asking the user for consent.
+   * @throws {ConfigurationError} A category is not supported.
+   */
+  constructor(options = {}) {
+    this._categories = {...DEFAULT_CATEGORIES};
+    for (const [messageId, category] of Object.entries(
+        (options.categories) ? options.categories : {})) {
+      this._categories[messageId] = checkCategory(category);
+    }
+
+    this._fallback = checkCategory((options.fallback) ? options.fallback :
+        Categories.CONSENT_REQUIRED);
+  }
+
+  /**
+   * Create the policy from the SDK configuration.
+   * @param {AssessmentPolicy|Object} [policy] The policy or its options
+   * @return {AssessmentPolicy} The policy
+   * @throws {ConfigurationError} The configuration is not valid.
+   */
+  static from(policy) {
+    if (policy instanceof AssessmentPolicy) {
+      return policy;
+    }
+
+    return new AssessmentPolicy((policy != null &&
+        typeof policy == 'object') ? policy : {});
+  }
+
+  /**
+   * Classify an assessment decision.
+   * @param {AssessmentDecision} decision The decision returned by Verify
+   * @return {string} The category, one of
+   * {@link AssessmentPolicy.Categories}
+   */
+  classify(decision) {
+    if (decision.approved === true) {
+      return Categories.APPROVED;
+    }
+
+    const messageId = (decision.reason) ? decision.reason.messageId : null;
+    return (messageId != null &&
+        Object.prototype.hasOwnProperty.call(this._categories, messageId)) ?
+        this._categories[messageId] : this._fallback;
+  }
+}
+
+/**
+ * Check that the category is supported.
+ * @param {string} category The category
+ * @return {string} The category
+ * @throws {ConfigurationError} The category is not supported.
+ */
+function checkCategory(category) {
+  const categories = Object.values(Categories);
+  if (!categories.includes(category) || category == Categories.APPROVED) {
+    throw new ConfigurationError(`The assessment category '${category}' ` +
+        `is not supported. Use one of ${categories.slice(1).join(', ')}.`);
+  }
+
+  return category;
+}
+
+/**
+ * The categories of assessment decisions.
+ * <br><code>approved</code> - the use is approved
+ * <br><code>consent_required</code> - the user has not consented yet
+ * <br><code>opted_out</code> - the user opted out or denied consent
+ * <br><code>rule_denied</code> - a policy rule denies the use
+ * <br><code>misconfigured</code> - the purpose, attribute, access type or
+ * application is not configured on Verify
+ * <br><code>unknown</code> - the message ID is not mapped
+ * @type {Object}
+ * @readonly
+ */
+AssessmentPolicy.Categories = Categories;
+
+module.exports = AssessmentPolicy;
@@ -1,5 +1,7 @@
+const AssessmentPolicy = require('../assessmentPolicy');
 const Service = require('../service');
 const StringUtils = require('../../utils/stringUtils');
+const ValidationError = require('../../errors/validationError');
 const debug = require('debug')('verify:dpcmService');
 
 /**
@@ -23,9 +25,15 @@ class DPCMService extends Service {
     * @param {string} context.ipAddress The IP address of the user agent.
     * If this library is used in a backend system, this IP should be obtained
     * from the request headers that contain the actual user agent IP address.
+    * @param {Object} [options] Additional service options. See
+    * {@link Service}.
+    * @param {AssessmentPolicy} [options.assessmentPolicy] Classifies the
+    * assessment decisions. Defaults to an {@link AssessmentPolicy} with
+    * default settings.
     */
-  constructor(auth, baseURL, context) {
-    super(auth, baseURL, context);
+  constructor(auth, baseURL, context, options = {}) {
+    super(auth, baseURL, context, 'json', 'json', options);
+    this._assessmentPolicy = AssessmentPolicy.from(options.assessmentPolicy);
   }
 
   /**
@@ -78,12 +86,16 @@ class DPCMService extends Service {
       req.geoIP = this._context.ipAddress;
     }
 
-    const response = await this.post('/v1.0/privacy/data-usage-approval', req);
+    // the approval request does not change state and is safe to retry
+    const response = await this.post('/v1.0/privacy/data-usage-approval', req,
+        {}, {idempotent: true});
     return response.data;
   }
 
   /**
-   * Processes the assessment obtained from DUA
+   * Processes the assessment obtained from DUA. Each decision is classified
+   * by the assessment policy, which sets its <code>category</code> and
+   * <code>requiresConsent</code>.
    * @param {Object} assessment The assessment object returned by
    * <code>requestApproval</code>
    * @return {string} The overall status
@@ -96,6 +108,7 @@ class DPCMService extends Service {
       }
 
       for (const iaresult of ia.result) {
+        iaresult.category = this._assessmentPolicy.classify(iaresult);
         iaresult.requiresConsent = false;
         if (iaresult.approved) {
           if (status == null) {
@@ -104,31 +117,16 @@ class DPCMService extends Service {
             // mix of approved and not approved
             status = 'multistatus';
           }
-        } else {
-          // User has already opted out or denied consent.
-          // Rule decision is deny.
-          // The input application {{appID}} to purpose mapping {{purpose}}
-          // is not valid.
-          // The purpose is either invalid or has no active version.
-          // The specified attribute doesn’t belong to the active
-          // purpose: CSIBT0036E.
-          // The requested attribute’s accesstype isn’t configured
-          // in the purpose: CSIBT0037E.
-          // The specified access type doesn’t belong to active
-          // purpose: CSIBT0038E.
-          if (!['CSIBT0040I', 'CSIBT0041I', 'CSIBT0060I',
-            'CSIBT0016E', 'CSIBT0022E', 'CSIBT0036E',
-            'CSIBT0037E', 'CSIBT0038E']
-              .includes(iaresult.reason.messageId)) {
-            // at least one item requires consent
-            status = 'consent';
-            iaresult.requiresConsent = true;
-          } else if (status == 'approved') {
-            // mix of approved and not approved
-            status = 'multistatus';
-          } else if (status == null) {
-            status = 'denied';
-          }
+        } else if (iaresult.category ==
+            AssessmentPolicy.Categories.CONSENT_REQUIRED) {
+          // at least one item requires consent
+          status = 'consent';
+          iaresult.requiresConsent = true;
+        } else if (status == 'approved') {
+          // mix of approved and not approved
+          status = 'multistatus';
+        } else if (status == null) {
+          status = 'denied';
         }
       }
     }
@@ -178,7 +176,8 @@ class DPCMService extends Service {
     }
 
     const response = await this.post(
-        '/v1.0/privacy/data-subject-presentation', req);
+        '/v1.0/privacy/data-subject-presentation', req, {},
+        {idempotent: true});
     return response.data;
   }
 
@@ -230,7 +229,7 @@ class DPCMService extends Service {
         }
 
         debug(`Eval ${name}`);
-        this._buildMetadataRecords(response, purpose,
+        await this._buildMetadataRecords(response, purpose,
             attrID, accessType.id,
             (accessType.assentUIDefault) ? accessType.assentUIDefault : false,
             (accessType.legalCategory) ? accessType.legalCategory : 4,
@@ -338,22 +337,12 @@ class DPCMService extends Service {
   async storeConsents(consents) {
     const consentOps = [];
     consents.forEach((consent, index) => {
-      if (this._context.subjectId && this._context.subjectId != null) {
-        consent.subjectId = this._context.subjectId;
-      }
-
-      if (this._context.isExternalSubject &&
-        this._context.isExternalSubject != null) {
-        consent.isExternalSubject = this._context.isExternalSubject;
-      }
-
-      if (this._context.ipAddress && this._context.ipAddress != null) {
-        consent.geoIP = this._context.ipAddress;
-      }
-
+      const value = {...consent};
+      delete value.consentType;
+      this._addContext(value);
       consentOps.push({
         op: 'add',
-        value: consent,
+        value,
       });
     });
 
@@ -361,30 +350,297 @@ class DPCMService extends Service {
     return response.data;
   }
 
+  /**
+    * Apply a mix of consent operations for the user.
+    *
+    * Operations that target existing consents by purpose, attribute, access
+    * type and attribute value are resolved to consent record identifiers
+    * using the consents of the subject, searched by purpose. A target
+    * matches every consent of the subject with the same values for the
+    * properties that are set, so a single operation may apply to several
+    * consents. Targets that do not match any consent are reported as
+    * failures without calling Verify. If the subject is not set in the
+    * context, e.g. with a user token, the search must only return the
+    * consents of one subject, so a privileged token cannot change the
+    * consents of every user by mistake.
+    *
+    * The operations are sent in requests of up to 10 operations each and the
+    * results are combined in the order of the operations. If a request
+    * fails after earlier requests were applied, the operations of the
+    * failed request are reported as errors, and the operations that follow
+    * are reported as failures without sending them.
+    *
+    * @param {ConsentOperation[]} operations The consent operations
+    *
+    * @return {Promise<Object>} The <code>messageId</code> is
+    * <code>CSIBT0070I</code> if every operation succeeded. The
+    * <code>results</code> contain the result of each operation, and
+    * <code>applied</code> the number of operations that succeeded. The
+    * <code>error</code> is set if a request failed after earlier requests
+    * were applied.
+    * @throws {Error} An error response is received for the first request.
+    */
+  async applyConsentOperations(operations) {
+    const searches = new Map();
+    const planned = [];
+    for (const operation of operations) {
+      if (operation.op == 'add') {
+        const consent = {...operation.value};
+        delete consent.consentType;
+        this._addContext(consent);
+        planned.push({patch: {op: 'add', value: consent}});
+        continue;
+      }
+
+      let records = [];
+      const target = operation.target;
+      if (target != null && typeof target == 'object' && target.id == null &&
+          target.purposeId) {
+        if (!searches.has(target.purposeId)) {
+          searches.set(target.purposeId, await this._getAllUserConsents({
+            purposeId: target.purposeId,
+          }));
+        }
+
+        records = searches.get(target.purposeId);
+      }
+
+      const subjectError = this._checkSubjects(records);
+      if (subjectError != null) {
+        planned.push({failure: {
+          result: 'failure',
+          value: operation,
+          error: subjectError,
+        }});
+        continue;
+      }
+
+      const ids = findConsentIds(target, records);
+      if (!ids.length) {
+        planned.push({failure: {
+          result: 'failure',
+          value: operation,
+          error: 'No consent matches the target.',
+        }});
+        continue;
+      }
+
+      for (const id of ids) {
+        if (operation.op == 'remove') {
+          planned.push({patch: {op: 'remove', path: `/${id}`}});
+          continue;
+        }
+
+        for (const field of Object.keys(operation.value || {})) {
+          planned.push({patch: {
+            op: 'replace',
+            path: `/${id}/${field}`,
+            value: operation.value[field],
+          }});
+        }
+      }
+    }
+
+    const patchOps = planned.filter((p) => p.patch).map((p) => p.patch);
+    const serverResults = [];
+    let messageId = 'CSIBT0070I';
+    let error = null;
+    for (let i = 0; i < patchOps.length; i += 10) {
+      const chunk = patchOps.slice(i, i + 10);
+      let response;
+      try {
+        response = await this.patch('/v1.0/privacy/consents', chunk);
+      } catch (e) {
+        if (i == 0) {
+          throw e;
+        }
+
+        // the earlier requests were applied, so report the operations
+        // instead of failing the call
+        error = e;
+        messageId = (e.messageId) ? e.messageId : 'UNEXPECTED_ERROR';
+        serverResults.push(...chunk.map((value) => ({
+          result: 'error', value, error: e.message,
+        })));
+        serverResults.push(...patchOps.slice(i + 10).map((value) => ({
+          result: 'failure', value,
+          error: 'The operation was not sent because an earlier request ' +
+              'failed.',
+        })));
+        break;
+      }
+
+      if (response.data.messageId != 'CSIBT0070I') {
+        messageId = response.data.messageId;
+      }
+
+      serverResults.push(...(response.data.results || []));
+    }
+
+    const results = planned.map((p) => (p.failure) ? p.failure :
+        serverResults.shift());
+    if (error == null && planned.some((p) => p.failure)) {
+      messageId = 'CONSENT_TARGET_NOT_FOUND';
+    }
+
+    const applied = results.filter((r) => r && r.result == 'success').length;
+    debug(`[${DPCMService.name}:applyConsentOperations()]`, 'messageId:',
+        messageId, 'applied:', applied);
+    return {messageId, results, applied, error};
+  }
+
+  /**
+   * Get the consents of the subject for the purposes with a single consent
+   * search, e.g. to complete cached consent metadata. The search is only
+   * filtered by purpose if there is one purpose.
+   * @param {string[]} purposeIds The purpose identifiers
+   * @return {Promise<Array>} The consents
+   * @throws {ValidationError} The subject is not set in the context and the
+   * consents of more than one subject were found.
+   * @throws {Error} An error response is received.
+   */
+  async getPurposeConsents(purposeIds) {
+    const records = await this._getAllUserConsents(
+        (purposeIds.length == 1) ? {purposeId: purposeIds[0]} : {});
+    const subjectError = this._checkSubjects(records);
+    if (subjectError != null) {
+      throw new ValidationError('INVALID_CONTEXT', subjectError, {errors: [{
+        path: 'context.subjectId', message: 'is required',
+      }]});
+    }
+
+    return records.filter((consent) => purposeIds.includes(consent.purposeId));
+  }
+
+  /**
+   * Get every consent of the subject that matches the filter, one page at a
+   * time.
+   * @param {Object} [filter] The consent filter, e.g.
+   * <code>{purposeId}</code>
+   * @return {Promise<Array>} The consents
+   * @throws {Error} An error response is received.
+   */
+  async _getAllUserConsents(filter = {}) {
+    const limit = 100;
+    const records = [];
+    while (true) {
+      const response = await this.getUserConsents({...filter, limit,
+        offset: records.length});
+      const consents = (response && Array.isArray(response.consents)) ?
+          response.consents : [];
+      records.push(...consents);
+      if (consents.length < limit || (typeof response.count == 'number' &&
+          records.length >= response.count)) {
+        return records;
+      }
+    }
+  }
+
+  /**
+   * Check that the consents searched to resolve a target belong to the
+   * subject in the context or, if it is not set, to a single subject.
+   * @param {Array} records The consents
+   * @return {string} The reason the target cannot be resolved, or null
+   */
+  _checkSubjects(records) {
+    const subjects = new Set(records.map((consent) => consent.subjectId)
+        .filter((subjectId) => subjectId != null));
+    const subjectId = this._context.subjectId;
+    if (subjectId != null) {
+      subjects.delete(subjectId);
+      return (subjects.size) ? 'The consent search returned consents of ' +
+          'other subjects.' : null;
+    }
+
+    return (subjects.size > 1) ? 'Consents of more than one subject were ' +
+        'found for the target. Set the subjectId in the context.' : null;
+  }
+
   /**
    * Gets the user consents
    *
    * @param {Object} options An optional parameter object
    * @param {boolean} options.filterByCurrentApplication If set to true,
    * filters consents by the application id present in the authentication token
+   * @param {string} options.purposeId Only include consents for the purpose
+   * @param {string} options.attributeId Only include consents for the
+   * attribute
+   * @param {string} options.accessTypeId Only include consents for the access
+   * type
+   * @param {ConsentTypesEnum} options.state Only include consents with the
+   * consent type
+   * @param {string} options.status Only include consents that are
+   * <code>active</code>, <code>expired</code> or <code>inactive</code>
+   * @param {TimeRange} options.startTime Only include consents that start
+   * within the range
+   * @param {TimeRange} options.endTime Only include consents that end within
+   * the range
+   * @param {string} options.sort The property to sort by. Prefix with
+   * <code>-</code> to sort in descending order.
+   * @param {number} options.limit The maximum number of consents to return
+   * @param {number} options.offset The number of consents to skip
    * @return {Array} Gets user consent records
+   * @throws {ValidationError} The filter is not valid.
    */
   async getUserConsents(options) {
     let url = '/config/v1.0/privacy/consents';
+    const filter = (options) ? options : {};
     const queryParams = [];
-    if (this._context.subjectId && this._context.subjectId != '') {
-      queryParams.push('search=' +
-          encodeURIComponent('subjectId="' + this._context.subjectId + '"'));
+    const search = buildConsentSearch(this._context.subjectId, filter);
+    if (search != '') {
+      queryParams.push('search=' + encodeURIComponent(search));
     }
-    if (options && options.filterByCurrentApplication === true) {
+    if (filter.filterByCurrentApplication === true) {
       queryParams.push('scope=app');
     }
-    if (queryParams) url += '?' + queryParams.join('&');
+    if (filter.sort) {
+      const field = filter.sort.replace(/^[-+]/, '');
+      if (!SortFields.includes(field)) {
+        throw new ValidationError('INVALID_FILTER', `sort must be one of ` +
+            `${SortFields.join(', ')}`, {errors: [{
+          path: 'sort', message: `unsupported property ${field}`,
+        }]});
+      }
+
+      queryParams.push('sort=' + encodeURIComponent(filter.sort));
+    }
+    for (const param of ['limit', 'offset']) {
+      if (filter[param] != null) {
+        if (!Number.isInteger(filter[param]) || filter[param] < 0) {
+          throw new ValidationError('INVALID_FILTER',
+              `${param} must be a non-negative integer`, {errors: [{
+                path: param, message: 'must be a non-negative integer',
+              }]});
+        }
+
+        queryParams.push(`${param}=${filter[param]}`);
+      }
+    }
+    if (queryParams.length) url += '?' + queryParams.join('&');
 
     const response = await this.get(url);
     return response.data;
   }
 
+  /**
+   * Add the subject and IP address from the context to the consent.
+   * @param {Object} consent The consent being added
+   */
+  _addContext(consent) {
+    if (this._context.subjectId && this._context.subjectId != null) {
+      consent.subjectId = this._context.subjectId;
+    }
+
+    if (this._context.isExternalSubject &&
+      this._context.isExternalSubject != null) {
+      consent.isExternalSubject = this._context.isExternalSubject;
+    }
+
+    if (this._context.ipAddress && this._context.ipAddress != null) {
+      consent.geoIP = this._context.ipAddress;
+    }
+  }
+
   /**
    * Builds the flattened metadata record
    * @param {Object} response DSP response object
@@ -400,7 +656,7 @@ class DPCMService extends Service {
    */
   async _buildMetadataRecords(response, purpose, attributeID, accessTypeID,
       assentUIDefault, legalCategory, attrValues, commitFn) {
-    const attrName = (attributeID != null) ?
+    const attrName = (attributeID) ?
         response.attributes[attributeID].name : null;
     const termsOfUseRef = (purpose.termsOfUse && purpose.termsOfUse.ref) ?
         purpose.termsOfUse.ref : null;
@@ -426,4 +682,130 @@ class DPCMService extends Service {
   }
 }
 
+const ConsentStatuses = {active: 1, expired: 2, inactive: 3};
+const SortFields = ['purposeId', 'attributeId', 'accessTypeId', 'state',
+  'status', 'startTime', 'endTime', 'createdTime', 'lastModifiedTime'];
+
+/**
+ * Build the consent search expression, e.g.
+ * <code>subjectId="abc"&purposeId="marketing"&startTime>=1600000000</code>.
+ * @param {string} subjectId The subject identifier, if known
+ * @param {Object} filter The consent filter
+ * @return {string} The search expression
+ * @throws {ValidationError} The filter is not valid.
+ */
+function buildConsentSearch(subjectId, filter) {
+  const terms = [];
+  if (subjectId && subjectId != '') {
+    terms.push(`subjectId="${checkSearchValue('subjectId', subjectId)}"`);
+  }
+
+  for (const field of ['purposeId', 'attributeId', 'accessTypeId']) {
+    if (filter[field] != null) {
+      terms.push(`${field}="${checkSearchValue(field, filter[field])}"`);
+    }
+  }
+
+  if (filter.state != null) {
+    if (!Number.isInteger(filter.state)) {
+      throw new ValidationError('INVALID_FILTER', 'state must be a number',
+          {errors: [{path: 'state', message: 'must be a number'}]});
+    }
+
+    terms.push(`state=${filter.state}`);
+  }
+
+  if (filter.status != null) {
+    const status = ConsentStatuses[filter.status];
+    if (status == null) {
+      throw new ValidationError('INVALID_FILTER', 'status must be one of ' +
+          Object.keys(ConsentStatuses).join(', '), {errors: [{
+        path: 'status', message: `unsupported value ${filter.status}`,
+      }]});
+    }
+
+    terms.push(`status=${status}`);
+  }
+
+  for (const field of ['startTime', 'endTime']) {
+    const range = filter[field];
+    if (range == null) {
+      continue;
+    }
+
+    for (const [bound, operator] of [['from', '>='], ['to', '<=']]) {
+      if (range[bound] == null) {
+        continue;
+      }
+
+      if (typeof range[bound] != 'number') {
+        throw new ValidationError('INVALID_FILTER',
+            `${field}.${bound} must be a number`, {errors: [{
+              path: `${field}.${bound}`, message: 'must be a number',
+            }]});
+      }
+
+      terms.push(`${field}${operator}${range[bound]}`);
+    }
+  }
+
+  return terms.join('&');
+}
+
+/**
+ * Check that a value can be quoted in the consent search expression. The
+ * expression has no escape sequences, so a quote would end the value and
+ * an ampersand would start another term.
+ * @param {string} path The filter property
+ * @param {*} value The value
+ * @return {string} The value
+ * @throws {ValidationError} The value contains a quote or an ampersand.
+ */
+function checkSearchValue(path, value) {
+  const text = String(value);
+  if (/["&]/.test(text)) {
+    throw new ValidationError('INVALID_FILTER',
+        `${path} must not contain " or &`, {errors: [{
+          path, message: 'must not contain " or &',
+        }]});
+  }
+
+  return text;
+}
+
+/**
+ * Find the consents that match the target.
+ * @param {ConsentTarget|string} target The consent record identifier or the
+ * properties of the consents
+ * @param {Array} records The consents of the subject
+ * @return {string[]} The consent record identifiers
+ */
+function findConsentIds(target, records) {
+  if (target == null) {
+    return [];
+  }
+
+  if (typeof target == 'string') {
+    return [target];
+  }
+
+  if (target.id != null) {
+    return [target.id];
+  }
+
+  if (!target.purposeId) {
+    return [];
+  }
+
+  const matches = (consent, key) => target[key] == null ||
+      consent[key] == target[key];
+  return records.filter((consent) => matches(consent, 'purposeId') &&
+      (matches(consent, 'attributeId') ||
+          consent.attributeName == target.attributeId) &&
+      matches(consent, 'accessTypeId') &&
+      matches(consent, 'attributeValue') &&
+      matches(consent, 'isGlobal'))
+      .map((consent) => consent.id);
+}
+
 module.exports = DPCMService;
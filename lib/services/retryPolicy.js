@@ -0,0 +1,154 @@
+const HttpUtils = require('../utils/httpUtils');
+
+/**
+ * HTTP status codes that indicate that the request was not processed
+ * and may be sent again regardless of the request method.
+ */
+const NOT_APPLIED_STATUSES = [429];
+
+/**
+ * Network error codes that indicate that the request never reached the
+ * server and may be sent again regardless of the request method.
+ */
+const NOT_APPLIED_ERRORS = ['ECONNREFUSED', 'EAI_AGAIN'];
+
+/**
+ * Decides whether a failed request should be sent again and how long to wait
+ * before doing so. Delays grow exponentially with each attempt and, by
+ * default, include full jitter. A <code>Retry-After</code> header on a 429
+ * or 503 response takes precedence over the computed delay.
+ *
+ * Requests that are not idempotent, such as the consent PATCH, are only
+ * retried when the failure shows that the request was not applied - a 429
+ * response or a connection that could not be established.
+ */
+class RetryPolicy {
+  /**
+   * Create a new {@link RetryPolicy} object.
+   * @param {Object} [options] The retry options
+   * @param {number} [options.maxAttempts=3] The maximum number of attempts,
+   * including the first request. Set to 1 to disable retries.
+   * @param {number} [options.baseDelayMs=200] The delay before the first
+   * retry. This doubles with each attempt.
+   * @param {number} [options.maxDelayMs=5000] The maximum computed delay
+   * between attempts.
+   * @param {boolean} [options.jitter=true] Randomize the computed delay
+   * between zero and the exponential delay.
+   * @param {number} [options.maxRetryAfterMs=60000] The longest
+   * <code>Retry-After</code> delay that is honored. If the server asks for a
+   * longer delay, the error is returned to the caller instead.
+   * @param {number[]} [options.retryableStatuses=[429, 502, 503, 504]] The
+   * HTTP status codes that may be retried.
+   * @param {string[]} [options.retryableErrors] The network error codes that
+   * may be retried. Defaults to <code>ECONNRESET</code>,
+   * <code>ECONNREFUSED</code>, <code>ETIMEDOUT</code>, <code>EPIPE</code>
+   * and <code>EAI_AGAIN</code>.
+   */
+  constructor(options = {}) {
+    this.maxAttempts = (typeof options.maxAttempts == 'number') ?
+        Math.max(1, options.maxAttempts) : 3;
+    this.baseDelayMs = (typeof options.baseDelayMs == 'number') ?
+        options.baseDelayMs : 200;
+    this.maxDelayMs = (typeof options.maxDelayMs == 'number') ?
+        options.maxDelayMs : 5000;
+    this.jitter = options.jitter !== false;
+    this.maxRetryAfterMs = (typeof options.maxRetryAfterMs == 'number') ?
+        options.maxRetryAfterMs : 60000;
+    this.retryableStatuses = (Array.isArray(options.retryableStatuses)) ?
+        options.retryableStatuses : [429, 502, 503, 504];
+    this.retryableErrors = (Array.isArray(options.retryableErrors)) ?
+        options.retryableErrors :
+        ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+  }
+
+  /**
+   * Build a retry policy from the SDK configuration.
+   * @param {RetryPolicy|Object|boolean} [retry] A policy, the options used
+   * to create one or <code>false</code> to disable retries.
+   * @return {RetryPolicy} The retry policy
+   */
+  static from(retry) {
+    if (retry instanceof RetryPolicy) {
+      return retry;
+    }
+
+    if (retry === false) {
+      return new RetryPolicy({maxAttempts: 1});
+    }
+
+    return new RetryPolicy((retry != null && typeof retry == 'object') ?
+        retry : {});
+  }
+
+  /**
+   * Determine if the request should be sent again.
+   * @param {number} attempt The attempt that failed, starting at 1
+   * @param {Object} outcome The failure
+   * @param {number} outcome.status The HTTP status code, if a response was
+   * received
+   * @param {Object} outcome.headers The response headers
+   * @param {string} outcome.code The network error code, if no response was
+   * received
+   * @param {boolean} idempotent Indicates if the request can be safely
+   * applied more than once
+   * @return {boolean} true if the request should be retried
+   */
+  shouldRetry(attempt, outcome, idempotent) {
+    if (attempt >= this.maxAttempts) {
+      return false;
+    }
+
+    if (outcome.status != null) {
+      if (!this.retryableStatuses.includes(outcome.status)) {
+        return false;
+      }
+
+      if (!idempotent && !NOT_APPLIED_STATUSES.includes(outcome.status)) {
+        return false;
+      }
+
+      const retryAfterMs = this._parseRetryAfter(outcome);
+      return retryAfterMs == null || retryAfterMs <= this.maxRetryAfterMs;
+    }
+
+    if (!this.retryableErrors.includes(outcome.code)) {
+      return false;
+    }
+
+    return idempotent || NOT_APPLIED_ERRORS.includes(outcome.code);
+  }
+
+  /**
+   * Get the delay before the next attempt.
+   * @param {number} attempt The attempt that failed, starting at 1
+   * @param {Object} outcome The failure, as passed to
+   * <code>shouldRetry</code>
+   * @return {number} The delay in milliseconds
+   */
+  getDelay(attempt, outcome) {
+    const retryAfterMs = this._parseRetryAfter(outcome);
+    if (retryAfterMs != null) {
+      return retryAfterMs;
+    }
+
+    const delay = Math.min(this.maxDelayMs,
+        this.baseDelayMs * Math.pow(2, attempt - 1));
+    return (this.jitter) ? Math.floor(Math.random() * delay) : delay;
+  }
+
+  /**
+   * Parse the <code>Retry-After</code> header of a 429 or 503 response.
+   * @param {Object} outcome The failure
+   * @return {number} The delay in milliseconds or null if there is no
+   * usable header
+   */
+  _parseRetryAfter(outcome) {
+    if (![429, 503].includes(outcome.status) || !outcome.headers) {
+      return null;
+    }
+
+    return HttpUtils.parseRetryAfter(outcome.headers['retry-after']);
+  }
+}
+
+module.exports = RetryPolicy;
@@ -1,6 +1,10 @@
-const axios = require('axios');
-const querystring = require('querystring');
-const securityUtils = require('../utils/securityUtils');
+const AbortError = require('../errors/abortError');
+const AxiosTransport = require('../transport/axiosTransport');
+const ErrorFactory = require('../errors/errorFactory');
+const Redactor = require('../utils/redactor');
+const RetryPolicy = require('./retryPolicy');
+const TimeoutError = require('../errors/timeoutError');
+const TokenProvider = require('../auth/tokenProvider');
 const debug = require('debug')('verify:service');
 
 /**
@@ -10,11 +14,13 @@ const debug = require('debug')('verify:service');
 class Service {
   /**
     * Create a new {@link Service} object.
-    * @param {Object} auth The credentials to authorize requests.
-    * Only an <code>accessToken</code> may be used at the moment. The
+    * @param {Object} auth The credentials to authorize requests. The
     * requests are further constrained by the entitlements on the token.
     * @param {string} [auth.accessToken] The access token to authorize
     * the request.
+    * @param {TokenProvider|Function} [auth.tokenProvider] The provider
+    * used to obtain the access token before each request. This takes
+    * precedence over <code>accessToken</code>.
     * @param {string} baseURL The base URL for the API, normally the tenant URL.
     * @param {Object} context The context to include in the request.
     * @param {string} context.subjectId The user/subject identifier that
@@ -30,59 +36,114 @@ class Service {
     * @param {string} [acceptHeader='json'] The type of content to receive
     * in the response. Sets the <code>Accept</code> header of the requests
     * appropriately.
+    * @param {Object} [options] Additional service options.
+    * @param {RetryPolicy} [options.retryPolicy] The policy that decides
+    * whether failed requests are sent again. Defaults to a
+    * {@link RetryPolicy} with default settings.
+    * @param {number} [options.timeoutMs] The time allowed for all requests
+    * sent by this object, including retries. The clock starts when the
+    * object is created.
+    * @param {AbortSignal} [options.signal] A signal that cancels requests
+    * sent by this object.
+    * @param {Transport} [options.transport] The HTTP transport. Defaults to
+    * an {@link AxiosTransport}.
+    * @param {Telemetry} [options.telemetry] Traces each request in a
+    * client span and propagates the trace context in the request headers.
+    * @param {EventEmitter} [options.emitter] Receives the
+    * <code>request</code>, <code>response</code> and <code>retry</code>
+    * events for the requests sent by this object.
+    * @param {Redactor} [options.redactor] Redacts the values written to the
+    * debug log and passed to event listeners. Defaults to the
+    * <code>strict</code> profile.
     */
   constructor(auth, baseURL, context, contentTypeHeader = 'json',
-      acceptHeader = 'json') {
+      acceptHeader = 'json', options = {}) {
     this._baseURL = baseURL;
     this._contentTypeHeader = contentTypeHeader;
     this._acceptHeader = acceptHeader;
-    this._context = context;
-    this._context.subjectId = (this._context.subjectId &&
-        this._context.subjectId != '') ? this._context.subjectId : null;
-    this._context.isExternalSubject = (this._context.isExternalSubject) ?
-        this._context.isExternalSubject : false;
-    this._context.ipAddress = (this._context.ipAddress &&
-        this._context.ipAddress != '') ? this._context.ipAddress : null;
 
-    this._authorizationHeader = `Bearer ${auth.accessToken}`;
+    // normalize a copy, so the caller's context is never modified
+    const ctx = (context) ? context : {};
+    this._context = {
+      ...ctx,
+      subjectId: (ctx.subjectId && ctx.subjectId != '') ?
+          ctx.subjectId : null,
+      isExternalSubject: (ctx.isExternalSubject) ?
+          ctx.isExternalSubject : false,
+      ipAddress: (ctx.ipAddress && ctx.ipAddress != '') ?
+          ctx.ipAddress : null,
+    };
+
+    this._transport = (options.transport) ? options.transport :
+        new AxiosTransport();
+    this._tokenProvider = TokenProvider.resolve(auth, baseURL,
+        this._transport);
+    this._retryPolicy = RetryPolicy.from(options.retryPolicy);
+    this._retries = 0;
+    this._timeoutMs = (typeof options.timeoutMs == 'number' &&
+        options.timeoutMs > 0) ? options.timeoutMs : null;
+    this._deadline = (this._timeoutMs != null) ?
+        Date.now() + this._timeoutMs : null;
+    this._signal = (options.signal) ? options.signal : null;
+    this._emitter = (options.emitter) ? options.emitter : null;
+    this._telemetry = (options.telemetry) ? options.telemetry : null;
+    this._redactor = (options.redactor) ? options.redactor : new Redactor();
+    this._startTime = Date.now();
 
     debug(`[${Service.name}:constructor(auth, baseURL, context, ` +
             `contentTypeHeader='json', acceptHeader='json')]`,
     'baseURL:', this._baseURL);
     debug(`[${Service.name}:constructor(auth, baseURL, context, ` +
             `contentTypeHeader='json', acceptHeader='json')]`,
-    'context:', this._context);
+    'context:', this._redactor.redact(this._context));
     debug(`[${Service.name}:constructor(auth, baseURL, context, ` +
             `contentTypeHeader='json', acceptHeader='json')]`,
     'contentTypeHeader:', this._contentTypeHeader);
     debug(`[${Service.name}:constructor(auth, baseURL, context, ` +
             `contentTypeHeader='json', acceptHeader='json')]`,
     'acceptHeader:', this._acceptHeader);
-    debug(`[${Service.name}:constructor(auth, baseURL, context, ` +
-            `contentTypeHeader='json', acceptHeader='json')]`,
-    'authorizationHeader:', '****');
+  }
+
+  /**
+    * The number of times requests sent by this object were retried because
+    * of the retry policy.
+    * @type {number}
+    */
+  get retries() {
+    return this._retries;
+  }
+
+  /**
+    * The time, in milliseconds, since this object was created.
+    * @type {number}
+    */
+  get elapsedMs() {
+    return Date.now() - this._startTime;
   }
 
   /**
     * Send a HTTP GET request.
     * @param {string} path The path on the base URL to send the request to.
     * @param {Object} params The URL parameters to be sent with the request.
+    * @param {Object} [options] Request options.
+    * @param {boolean} [options.idempotent=true] Indicates if the request
+    * may be retried after any retryable failure.
     * @return {Promise<Object>} The response to the HTTP request.
     */
-  async get(path, params = {}) {
+  async get(path, params = {}, options = {}) {
     const headers = {
       'Accept': `application/${this._acceptHeader}`,
-      'Authorization': this._authorizationHeader,
     };
 
     debug(`[${Service.name}:get(path, params={})]`,
-        'path:', path);
+        'path:', this._redactor.redactUrl(path));
     debug(`[${Service.name}:get(path, params={})]`,
-        'params:', securityUtils.maskObject(params));
+        'params:', this._redactor.redact(params));
     debug(`[${Service.name}:get(path, params={})]`,
-        'headers:', securityUtils.maskObject(headers));
+        'headers:', this._redactor.redact(headers));
 
-    return await axios.get(this._baseURL + path, {params, headers});
+    return await this._send('get', path, undefined, params, headers,
+        {idempotent: true, ...options});
   }
 
   /**
@@ -90,32 +151,32 @@ class Service {
     * @param {string} path The path on the base URL to send the request to.
     * @param {Object} data The POST body to send with the request.
     * @param {Object} params The URL parameters to send with the request.
+    * @param {Object} [options] Request options.
+    * @param {boolean} [options.idempotent=false] Indicates if the request
+    * may be retried after any retryable failure. Otherwise, it is only
+    * retried when the failure shows that it was not applied.
     * @return {Promise<Object>} The response to the HTTP request.
     */
-  async post(path, data = {}, params = {}) {
+  async post(path, data = {}, params = {}, options = {}) {
     const headers = {
       'Accept': `application/${this._acceptHeader}`,
       'Content-Type': `application/${this._contentTypeHeader}`,
-      'Authorization': this._authorizationHeader,
     };
 
-    let dataMasked = securityUtils.maskObject(data);
-
     if (this._contentTypeHeader === 'x-www-form-urlencoded') {
-      data = querystring.stringify(data);
-      dataMasked = querystring.stringify(dataMasked);
+      data = new URLSearchParams(data).toString();
     }
 
     debug(`[${Service.name}:post(path, data={}, params={})]`,
-        'path:', path);
+        'path:', this._redactor.redactUrl(path));
     debug(`[${Service.name}:post(path, data={}, params={})]`,
-        'data:', dataMasked);
+        'data:', this._redactor.redactBody(data));
     debug(`[${Service.name}:post(path, data={}, params={})]`,
-        'params:', securityUtils.maskObject(params));
+        'params:', this._redactor.redact(params));
     debug(`[${Service.name}:post(path, data={}, params={})]`,
-        'headers:', securityUtils.maskObject(headers));
+        'headers:', this._redactor.redact(headers));
 
-    return await axios.post(this._baseURL + path, data, {params, headers});
+    return await this._send('post', path, data, params, headers, options);
   }
 
   /**
@@ -123,33 +184,378 @@ class Service {
     * @param {string} path The path on the base URL to send the request to.
     * @param {Object} data The POST body to send with the request.
     * @param {Object} params The URL parameters to send with the request.
+    * @param {Object} [options] Request options.
+    * @param {boolean} [options.idempotent=false] Indicates if the request
+    * may be retried after any retryable failure. Otherwise, it is only
+    * retried when the failure shows that it was not applied.
     * @return {Promise<Object>} The response to the HTTP request.
     */
-  async patch(path, data = {}, params = {}) {
+  async patch(path, data = {}, params = {}, options = {}) {
     const headers = {
       'Accept': `application/${this._acceptHeader}`,
       'Content-Type': `application/${this._contentTypeHeader}`,
-      'Authorization': this._authorizationHeader,
     };
 
-    let dataMasked = securityUtils.maskObject(data);
-
     if (this._contentTypeHeader === 'x-www-form-urlencoded') {
-      data = querystring.stringify(data);
-      dataMasked = querystring.stringify(dataMasked);
+      data = new URLSearchParams(data).toString();
     }
 
     debug(`[${Service.name}:patch(path, data={}, params={})]`,
-        'path:', path);
+        'path:', this._redactor.redactUrl(path));
     debug(`[${Service.name}:patch(path, data={}, params={})]`,
-        'data:', dataMasked);
+        'data:', this._redactor.redactBody(data));
     debug(`[${Service.name}:patch(path, data={}, params={})]`,
-        'params:', securityUtils.maskObject(params));
+        'params:', this._redactor.redact(params));
     debug(`[${Service.name}:patch(path, data={}, params={})]`,
-        'headers:', securityUtils.maskObject(headers));
+        'headers:', this._redactor.redact(headers));
+
+    return await this._send('patch', path, data, params, headers, options);
+  }
+
+  /**
+    * Get the value of the <code>Authorization</code> header.
+    * @param {boolean} [forceRefresh=false] Request a new token instead of
+    * using a cached one.
+    * @param {AbortSignal} [signal] A signal that stops waiting for the
+    * token. The token request itself is not cancelled, since the token
+    * provider may share it with other calls.
+    * @return {Promise<string>} The header value.
+    */
+  async _getAuthorizationHeader(forceRefresh = false, signal = null) {
+    const token = await untilAborted(
+        this._tokenProvider.getToken({forceRefresh}), signal);
+    return `Bearer ${token}`;
+  }
+
+  /**
+    * Send the HTTP request with a current access token. If Verify rejects
+    * the token and the token provider issues a different one, the request
+    * is sent again once. Other failures are retried according to the
+    * retry policy.
+    * @param {string} method The HTTP method.
+    * @param {string} path The path on the base URL to send the request to.
+    * @param {Object|string} data The request body.
+    * @param {Object} params The URL parameters to send with the request.
+    * @param {Object} headers The request headers, excluding
+    * <code>Authorization</code>.
+    * @param {Object} options Request options.
+    * @param {boolean} options.idempotent Indicates if the request may be
+    * retried after any retryable failure.
+    * @return {Promise<Object>} The response to the HTTP request.
+    * @throws {PrivacyError} The request failed. The error is a
+    * {@link VerifyApiError} if Verify responded and a {@link NetworkError}
+    * otherwise.
+    */
+  async _send(method, path, data, params, headers, options) {
+    const methodName = `${Service.name}:_send(method, path, data, ` +
+        `params, headers, options)`;
+    const idempotent = options.idempotent === true;
+    const url = this._buildURL(path, params);
+    const body = (data === undefined || typeof data == 'string') ?
+        data : JSON.stringify(data);
+    // the URL in events omits the query, which may contain personal data
+    const event = {url: this._buildURL(path.replace(/\?.*$/, ''))};
+    let authorization = null;
+    let tokenRefreshed = false;
+    let attempt = 0;
+    for (;;) {
+      attempt++;
+      const cancellation = this._createCancellation();
+      try {
+        let error;
+        try {
+          if (authorization == null) {
+            authorization = await this._getAuthorizationHeader(false,
+                cancellation.signal);
+          }
+
+          const sent = Date.now();
+          this._notify('request', () => ({
+            method: method.toUpperCase(),
+            url: event.url,
+            attempt,
+            body: this._redactor.redactBody(body),
+          }));
+          const response = await this._request({
+            method: method.toUpperCase(),
+            url,
+            headers: {...headers, 'Authorization': authorization},
+            body,
+            signal: cancellation.signal,
+          }, attempt, event.url);
+
+          this._notify('response', () => ({
+            method: method.toUpperCase(),
+            url: event.url,
+            attempt,
+            status: response.status,
+            durationMs: Date.now() - sent,
+            body: this._redactor.redactBody(response.body),
+          }));
+          if (response.status >= 200 && response.status < 300) {
+            return {
+              status: response.status,
+              headers: response.headers,
+              data: response.body,
+            };
+          }
+
+          error = ErrorFactory.fromResponse(response);
+        } catch (thrown) {
+          if (cancellation.reason() != null) {
+            debug(`[${methodName}]`, 'cancelled:', cancellation.reason());
+            throw this._cancellationError(cancellation.reason());
+          }
+
+          error = ErrorFactory.fromError(thrown);
+        }
+
+        const outcome = {
+          status: (error.httpStatus) ? error.httpStatus : null,
+          headers: (error.headers) ? error.headers : {},
+          code: error.code,
+        };
+
+        if (outcome.status == 401 && !tokenRefreshed) {
+          tokenRefreshed = true;
+          let refreshed;
+          try {
+            refreshed = await this._getAuthorizationHeader(true,
+                cancellation.signal);
+          } catch (refreshError) {
+            if (cancellation.reason() != null) {
+              debug(`[${methodName}]`, 'cancelled:', cancellation.reason());
+              throw this._cancellationError(cancellation.reason());
+            }
+
+            throw refreshError;
+          }
+
+          if (refreshed != authorization) {
+            debug(`[${methodName}]`, 'retrying with a refreshed token');
+            authorization = refreshed;
+            attempt--;
+            continue;
+          }
+        }
+
+        if (!this._retryPolicy.shouldRetry(attempt, outcome, idempotent)) {
+          throw error;
+        }
+
+        const delay = this._retryPolicy.getDelay(attempt, outcome);
+        this._retries++;
+        this._notify('retry', () => ({
+          method: method.toUpperCase(),
+          url: event.url,
+          attempt,
+          status: outcome.status,
+          code: outcome.code,
+          delayMs: delay,
+        }));
+        debug(`[${methodName}]`, `retry ${attempt}/` +
+            `${this._retryPolicy.maxAttempts - 1}:`,
+        method.toUpperCase(), this._redactor.redactUrl(path),
+        'reason:', (outcome.status != null) ? outcome.status : outcome.code,
+        'delayMs:', delay);
+        authorization = null;
+        try {
+          await sleep(delay, cancellation.signal);
+        } catch (sleepError) {
+          debug(`[${methodName}]`, 'cancelled:', cancellation.reason());
+          throw this._cancellationError(cancellation.reason());
+        }
+      } finally {
+        cancellation.release();
+      }
+    }
+  }
+
+  /**
+    * Send a request using the transport, in a client span if tracing is
+    * enabled.
+    * @param {TransportRequest} request The request.
+    * @param {number} attempt The attempt number, starting at 1.
+    * @param {string} url The request URL without the query, which may
+    * contain personal data.
+    * @return {Promise<TransportResponse>} The response.
+    */
+  async _request(request, attempt, url) {
+    if (this._telemetry == null) {
+      return await this._transport.request(request);
+    }
+
+    return await this._telemetry.request(request.method, {
+      'http.request.method': request.method,
+      'url.full': url,
+      'server.address': new URL(url).hostname,
+      'http.request.resend_count': (attempt > 1) ? attempt - 1 : null,
+    }, async (span, traceHeaders) => {
+      const response = await this._transport.request({
+        ...request,
+        headers: {...request.headers, ...traceHeaders},
+      });
+
+      span.setAttribute('http.response.status_code', response.status);
+      if (response.status >= 400) {
+        const messageId = (response.body != null &&
+            typeof response.body == 'object') ? response.body.messageId : null;
+        span.setAttribute('error.type', `${response.status}`);
+        if (messageId) {
+          span.setAttribute('verify.message_id', messageId);
+        }
+
+        this._telemetry.fail(span, `HTTP ${response.status}`);
+      }
 
-    return await axios.patch(this._baseURL + path, data, {params, headers});
+      return response;
+    });
   }
+
+  /**
+    * Emit an event if it has listeners. The payload is only built when it
+    * is needed, and errors thrown by listeners are logged and ignored, so
+    * they cannot fail the request.
+    * @param {string} name The event name.
+    * @param {Function} payload Returns the event payload.
+    */
+  _notify(name, payload) {
+    if (this._emitter == null || this._emitter.listenerCount(name) == 0) {
+      return;
+    }
+
+    try {
+      this._emitter.emit(name, payload());
+    } catch (error) {
+      debug(`[${Service.name}:_notify(name, payload)]`, 'listener error:',
+          name, this._redactor.redact(error));
+    }
+  }
+
+  /**
+    * Build the request URL.
+    * @param {string} path The path on the base URL.
+    * @param {Object} params The URL parameters.
+    * @return {string} The URL.
+    */
+  _buildURL(path, params) {
+    const query = new URLSearchParams(
+        (params != null) ? params : {}).toString();
+    if (query == '') {
+      return this._baseURL + path;
+    }
+
+    return this._baseURL + path + ((path.includes('?')) ? '&' : '?') + query;
+  }
+
+  /**
+    * Create a signal that is aborted when the caller aborts or the
+    * timeout elapses, whichever comes first.
+    * @return {Object} The <code>signal</code>, a <code>reason</code>
+    * function that returns <code>TIMEOUT</code>, <code>ABORTED</code> or
+    * null, and a <code>release</code> function that removes listeners and
+    * timers.
+    */
+  _createCancellation() {
+    const controller = new AbortController();
+    let reason = null;
+    const abort = (why) => {
+      if (reason == null) {
+        reason = why;
+        controller.abort();
+      }
+    };
+
+    const cleanup = [];
+    if (this._signal != null) {
+      if (this._signal.aborted) {
+        abort('ABORTED');
+      } else {
+        const listener = () => abort('ABORTED');
+        this._signal.addEventListener('abort', listener);
+        cleanup.push(() =>
+          this._signal.removeEventListener('abort', listener));
+      }
+    }
+
+    if (this._deadline != null && reason == null) {
+      const timer = setTimeout(() => abort('TIMEOUT'),
+          Math.max(0, this._deadline - Date.now()));
+      cleanup.push(() => clearTimeout(timer));
+    }
+
+    return {
+      signal: controller.signal,
+      reason: () => reason,
+      release: () => cleanup.forEach((fn) => fn()),
+    };
+  }
+
+  /**
+    * Create the error thrown when a request is cancelled.
+    * @param {string} reason <code>TIMEOUT</code> or <code>ABORTED</code>
+    * @return {Error} The error
+    */
+  _cancellationError(reason) {
+    return (reason == 'TIMEOUT') ?
+        new TimeoutError(this._timeoutMs) : new AbortError();
+  }
+}
+
+/**
+ * Wait for the specified time.
+ * @param {number} ms The time in milliseconds
+ * @param {AbortSignal} [signal] A signal that ends the wait early
+ * @return {Promise} A promise that resolves after the time elapses or
+ * rejects if the signal is aborted
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new Error('aborted'));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error('aborted'));
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, {once: true});
+    }
+  });
+}
+
+/**
+ * Wait for the promise until the signal is aborted.
+ * @param {Promise} promise The promise
+ * @param {AbortSignal} [signal] A signal that ends the wait early
+ * @return {Promise} A promise that settles with the promise, or rejects if
+ * the signal is aborted first
+ */
+function untilAborted(promise, signal) {
+  if (signal == null) {
+    return promise;
+  }
+
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(new Error('aborted'));
+      return;
+    }
+
+    const onAbort = () => reject(new Error('aborted'));
+    signal.addEventListener('abort', onAbort, {once: true});
+    promise.then(resolve, reject).finally(() =>
+      signal.removeEventListener('abort', onAbort));
+  });
 }
 
 module.exports = Service;
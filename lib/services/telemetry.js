@@ -0,0 +1,150 @@
+const debug = require('debug')('verify:telemetry');
+const {version} = require('../../package.json');
+
+// the values of the OpenTelemetry SpanKind and SpanStatusCode enums
+const SpanKind = {INTERNAL: 0, CLIENT: 2};
+const ErrorStatus = 2;
+
+/**
+ * Traces SDK calls and the HTTP requests they send using the OpenTelemetry
+ * API. Spans are started as children of the active span, so they join the
+ * trace of the application flow, and the trace context is added to the
+ * headers of requests to Verify.
+ *
+ * The application installs <code>@opentelemetry/api</code> and registers
+ * the SDK and exporters. If the API is not installed, no telemetry object is
+ * created and calls are not traced.
+ */
+class Telemetry {
+  /**
+   * Create a new {@link Telemetry} object.
+   * @param {Object} api The OpenTelemetry API, i.e. the
+   * <code>@opentelemetry/api</code> module
+   */
+  constructor(api) {
+    this._api = api;
+    this._tracer = api.trace.getTracer('verify-privacy-sdk-js', version);
+  }
+
+  /**
+   * Create the telemetry object from the SDK configuration.
+   * @param {Object|Telemetry|boolean} [openTelemetry] The OpenTelemetry API,
+   * <code>false</code> to disable tracing, or nothing to use
+   * <code>@opentelemetry/api</code> if it is installed
+   * @return {Telemetry} The telemetry object, or null if tracing is disabled
+   * or the API is not available
+   */
+  static from(openTelemetry) {
+    if (openTelemetry === false) {
+      return null;
+    }
+
+    if (openTelemetry instanceof Telemetry) {
+      return openTelemetry;
+    }
+
+    const api = (openTelemetry != null && typeof openTelemetry == 'object') ?
+        openTelemetry : loadApi();
+    if (api == null || api.trace == null) {
+      return null;
+    }
+
+    return new Telemetry(api);
+  }
+
+  /**
+   * Run the function in a new span for an SDK call. The span ends when the
+   * function completes, and is marked as failed if it throws.
+   * @param {string} name The span name
+   * @param {Object} attributes The span attributes. Attributes without a
+   * value are omitted.
+   * @param {Function} fn An async function that is called with the span
+   * @return {Promise<*>} The result of the function
+   */
+  async call(name, attributes, fn) {
+    return await this._span(name, SpanKind.INTERNAL, attributes, fn);
+  }
+
+  /**
+   * Run the function in a new client span for a HTTP request. The function
+   * is called with the span and the headers that propagate the trace
+   * context.
+   * @param {string} name The span name
+   * @param {Object} attributes The span attributes
+   * @param {Function} fn An async function that is called with the span and
+   * the trace context headers
+   * @return {Promise<*>} The result of the function
+   */
+  async request(name, attributes, fn) {
+    return await this._span(name, SpanKind.CLIENT, attributes, (span) => {
+      const headers = {};
+      this._api.propagation.inject(this._api.context.active(), headers);
+      return fn(span, headers);
+    });
+  }
+
+  /**
+   * Mark the span as failed.
+   * @param {Object} span The span
+   * @param {string} message The status message
+   */
+  fail(span, message) {
+    span.setStatus({code: ErrorStatus, message});
+  }
+
+  /**
+   * Start an active span and end it when the function completes.
+   * @param {string} name The span name
+   * @param {number} kind The span kind
+   * @param {Object} attributes The span attributes
+   * @param {Function} fn An async function that is called with the span
+   * @return {Promise<*>} The result of the function
+   */
+  async _span(name, kind, attributes, fn) {
+    return await this._tracer.startActiveSpan(name,
+        {kind, attributes: withValues(attributes)}, async (span) => {
+          try {
+            return await fn(span);
+          } catch (error) {
+            span.recordException(error);
+            this.fail(span, error.message);
+            throw error;
+          } finally {
+            span.end();
+          }
+        });
+  }
+}
+
+/**
+ * Load the OpenTelemetry API, if it is installed.
+ * @return {Object} The API, or null
+ */
+function loadApi() {
+  try {
+    return require('@opentelemetry/api');
+  } catch (error) {
+    debug('[loadApi()]', '@opentelemetry/api is not available:',
+        error.message);
+    return null;
+  }
+}
+
+/**
+ * Remove attributes that have no value.
+ * @param {Object} attributes The attributes
+ * @return {Object} The attributes with values
+ */
+function withValues(attributes) {
+  const result = {};
+  for (const [key, value] of Object.entries(attributes)) {
+    if (value != null && value !== '' &&
+        !(Array.isArray(value) && !value.length)) {
+      result[key] = value;
+    }
+  }
+
+  return result;
+}
+
+module.exports = Telemetry;
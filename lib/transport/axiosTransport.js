@@ -0,0 +1,77 @@
+const NetworkError = require('../errors/networkError');
+
+/**
+ * The default HTTP transport, which sends requests using axios.
+ *
+ * Use the <code>config</code> option to set proxies, custom agents or any
+ * other axios request configuration. For example, to reuse connections -
+ * <pre>
+ * new AxiosTransport({
+ *   config: { httpsAgent: new https.Agent({ keepAlive: true }) },
+ * });
+ * </pre>
+ */
+class AxiosTransport {
+  /**
+   * Create a new {@link AxiosTransport} object.
+   * @param {Object} [options] The transport options
+   * @param {Object} [options.axios] The axios instance to use, for example
+   * one created with <code>axios.create</code>. Defaults to the axios module.
+   * @param {Object} [options.config] Additional axios request configuration
+   * applied to every request.
+   */
+  constructor(options = {}) {
+    this._axios = (options.axios) ? options.axios : require('axios');
+    this._config = (options.config) ? options.config : {};
+  }
+
+  /**
+   * Send the HTTP request.
+   * @param {TransportRequest} request The request description
+   * @return {Promise<TransportResponse>} The response, including error
+   * responses
+   * @throws {NetworkError} No response was received
+   */
+  async request(request) {
+    const source = this._axios.CancelToken.source();
+    const onAbort = () => source.cancel('aborted');
+    if (request.signal) {
+      if (request.signal.aborted) {
+        onAbort();
+      } else {
+        request.signal.addEventListener('abort', onAbort);
+      }
+    }
+
+    try {
+      const response = await this._axios.request({
+        ...this._config,
+        method: request.method,
+        url: request.url,
+        headers: request.headers,
+        data: request.body,
+        cancelToken: source.token,
+        // error responses are handled by the caller
+        validateStatus: () => true,
+      });
+
+      return {
+        status: response.status,
+        headers: response.headers,
+        body: response.data,
+      };
+    } catch (error) {
+      if (this._axios.isCancel(error)) {
+        throw new NetworkError('The request was aborted', 'ABORT_ERR');
+      }
+
+      throw new NetworkError(error.message, (error.code) ? error.code : null);
+    } finally {
+      if (request.signal) {
+        request.signal.removeEventListener('abort', onAbort);
+      }
+    }
+  }
+}
+
+module.exports = AxiosTransport;
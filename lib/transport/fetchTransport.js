@@ -0,0 +1,90 @@
+const NetworkError = require('../errors/networkError');
+
+/**
+ * An HTTP transport that sends requests using the <code>fetch</code> API.
+ * This works in Node 18+, browsers and edge runtimes.
+ *
+ * Use the <code>init</code> option to add settings to every request, such as
+ * an undici <code>dispatcher</code> for proxies or mTLS.
+ */
+class FetchTransport {
+  /**
+   * Create a new {@link FetchTransport} object.
+   * @param {Object} [options] The transport options
+   * @param {Function} [options.fetch] The fetch implementation. Defaults to
+   * the global <code>fetch</code>.
+   * @param {Object} [options.init] Additional fetch options applied to every
+   * request.
+   * @throws {Error} No fetch implementation is available.
+   */
+  constructor(options = {}) {
+    this._fetch = (options.fetch) ? options.fetch :
+        (typeof fetch == 'function') ? fetch : null;
+    if (this._fetch == null) {
+      throw new Error('fetch is not available. Provide options.fetch.');
+    }
+
+    this._init = (options.init) ? options.init : {};
+  }
+
+  /**
+   * Send the HTTP request.
+   * @param {TransportRequest} request The request description
+   * @return {Promise<TransportResponse>} The response, including error
+   * responses
+   * @throws {NetworkError} No response was received
+   */
+  async request(request) {
+    let response;
+    let text;
+    try {
+      response = await this._fetch(request.url, {
+        ...this._init,
+        method: request.method,
+        headers: request.headers,
+        body: request.body,
+        signal: request.signal,
+      });
+      text = await response.text();
+    } catch (error) {
+      if (error.name == 'AbortError') {
+        throw new NetworkError('The request was aborted', 'ABORT_ERR');
+      }
+
+      // undici reports the system error code as the cause
+      const code = (error.cause && error.cause.code) ? error.cause.code :
+          (error.code) ? error.code : null;
+      throw new NetworkError(error.message, code);
+    }
+
+    const headers = {};
+    response.headers.forEach((value, name) => {
+      headers[name.toLowerCase()] = value;
+    });
+
+    return {
+      status: response.status,
+      headers,
+      body: parseBody(text),
+    };
+  }
+}
+
+/**
+ * Parse a response body as JSON, falling back to the raw text.
+ * @param {string} text The response body
+ * @return {Object|string} The parsed body
+ */
+function parseBody(text) {
+  if (text == null || text === '') {
+    return null;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+module.exports = FetchTransport;
@@ -0,0 +1,340 @@
+const fs = require('fs');
+const path = require('path');
+const AxiosTransport = require('./axiosTransport');
+const ConfigurationError = require('../errors/configurationError');
+const FixtureMismatchError = require('../errors/fixtureMismatchError');
+const NetworkError = require('../errors/networkError');
+const Redactor = require('../utils/redactor');
+const debug = require('debug')('verify:fixtureTransport');
+
+const MODES = ['record', 'replay'];
+
+/**
+ * An HTTP transport that records the requests sent to a tenant and their
+ * responses in a fixture file, or replays the responses from the file
+ * without sending any requests. Record the interactions once against a real
+ * tenant, and replay them in CI.
+ *
+ * Requests are matched on the method, the path and query, and the body.
+ * The tenant URL is not part of the match, so fixtures replay against any
+ * <code>tenantUrl</code>. Query parameters and JSON properties are compared
+ * regardless of their order, and the <code>startTime</code> and
+ * <code>endTime</code> properties, which the SDK sets to the current time,
+ * are not compared. Each recorded response is replayed once, in the order
+ * it was recorded, so repeated requests get the responses the tenant gave
+ * at the time.
+ *
+ * Credentials, such as tokens and secrets, are masked in the recorded
+ * requests and responses, and the <code>Authorization</code> header is not
+ * recorded. Use the <code>redaction</code> option to also redact personal
+ * data. The same redaction is applied to requests before they are matched,
+ * so it must not change between recording and replaying.
+ */
+class FixtureTransport {
+  /**
+   * Create a new {@link FixtureTransport} object.
+   * @param {Object} options The transport options
+   * @param {string} options.mode <code>record</code> or <code>replay</code>
+   * @param {string} options.path The fixture file. Recording replaces the
+   * file.
+   * @param {Transport} [options.transport] The transport that sends the
+   * requests being recorded. Defaults to an {@link AxiosTransport}.
+   * @param {string|Object} [options.redaction='credentials'] The redaction
+   * profile or options applied to the recorded requests and responses. Use
+   * <code>{profile: 'hash', salt}</code> with a fixed salt to record hashes
+   * of subject IDs and attribute values that still match when replayed.
+   * @param {string[]} [options.ignore=['startTime', 'endTime']] The
+   * properties of JSON bodies that are not compared when matching requests.
+   * @throws {ConfigurationError} The mode or path is not valid.
+   */
+  constructor(options = {}) {
+    if (!MODES.includes(options.mode)) {
+      throw new ConfigurationError(`The fixture mode '${options.mode}' is ` +
+          `not supported. Use one of ${MODES.join(', ')}.`);
+    }
+
+    if (typeof options.path != 'string' || options.path == '') {
+      throw new ConfigurationError('The fixture path is required.');
+    }
+
+    this._mode = options.mode;
+    this._path = options.path;
+    this._transport = (options.transport) ? options.transport :
+        new AxiosTransport();
+    this._redactor = Redactor.from((options.redaction) ?
+        options.redaction : 'credentials');
+    this._ignore = (Array.isArray(options.ignore)) ? options.ignore :
+        ['startTime', 'endTime'];
+    this._interactions = null;
+    this._replayed = new Set();
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * The transport mode, <code>record</code> or <code>replay</code>.
+   * @type {string}
+   */
+  get mode() {
+    return this._mode;
+  }
+
+  /**
+   * Send the HTTP request and record the response, or replay the recorded
+   * response.
+   * @param {TransportRequest} request The request description
+   * @return {Promise<TransportResponse>} The response, including error
+   * responses
+   * @throws {FixtureMismatchError} The request was not recorded.
+   * @throws {ConfigurationError} The fixture file does not exist.
+   * @throws {NetworkError} No response was received
+   */
+  async request(request) {
+    const normalized = this._normalize(request);
+    if (this._mode == 'replay') {
+      return await this._replay(normalized, request.signal);
+    }
+
+    const response = await this._transport.request(request);
+    await this._record(normalized, response);
+    return response;
+  }
+
+  /**
+   * Find the first recorded response to the request that was not yet
+   * replayed.
+   * @param {Object} normalized The normalized request
+   * @param {AbortSignal} [signal] The request signal
+   * @return {Promise<TransportResponse>} A copy of the recorded response
+   * @throws {FixtureMismatchError} The request was not recorded.
+   */
+  async _replay(normalized, signal) {
+    if (signal && signal.aborted) {
+      throw new NetworkError('The request was aborted', 'ABORT_ERR');
+    }
+
+    const interactions = await this._load();
+    const key = this._matchKey(normalized);
+    const matches = [];
+    interactions.forEach((interaction, index) => {
+      if (this._matchKey(interaction.request) == key) {
+        matches.push(index);
+      }
+    });
+
+    const index = matches.find((i) => !this._replayed.has(i));
+    if (index == null) {
+      throw this._mismatch(normalized, interactions, matches.length);
+    }
+
+    this._replayed.add(index);
+    debug(`[${FixtureTransport.name}:_replay(normalized, signal)]`,
+        'replaying:', index, normalized.method, normalized.path);
+    return JSON.parse(JSON.stringify(interactions[index].response));
+  }
+
+  /**
+   * Add the interaction to the fixture file.
+   * @param {Object} normalized The normalized request
+   * @param {TransportResponse} response The response
+   * @return {Promise} A promise that resolves when the file is written
+   */
+  _record(normalized, response) {
+    const written = this._queue.then(async () => {
+      if (this._interactions == null) {
+        this._interactions = [];
+        await fs.promises.mkdir(path.dirname(this._path), {recursive: true});
+      }
+
+      this._interactions.push({
+        request: normalized,
+        response: {
+          status: response.status,
+          headers: this._redactor.redact(response.headers),
+          body: this._redactor.redact(response.body),
+        },
+      });
+      await fs.promises.writeFile(this._path, JSON.stringify({
+        interactions: this._interactions,
+      }, null, 2) + '\n', {mode: 0o600});
+    });
+    // a failed write must not block later writes
+    this._queue = written.catch(() => {});
+    return written;
+  }
+
+  /**
+   * Read the recorded interactions.
+   * @return {Promise<Object[]>} The interactions
+   * @throws {ConfigurationError} The fixture file does not exist.
+   */
+  async _load() {
+    if (this._interactions == null) {
+      let text;
+      try {
+        text = await fs.promises.readFile(this._path, 'utf8');
+      } catch (error) {
+        if (error.code != 'ENOENT') {
+          throw error;
+        }
+
+        throw new ConfigurationError(`The fixture file ${this._path} does ` +
+            `not exist. Record it first with a FixtureTransport in ` +
+            `record mode.`);
+      }
+
+      this._interactions = JSON.parse(text).interactions;
+    }
+
+    return this._interactions;
+  }
+
+  /**
+   * Normalize the request for recording and matching. The body is parsed,
+   * the query parameters are sorted and both are redacted.
+   * @param {TransportRequest} request The request
+   * @return {Object} The <code>method</code>, <code>path</code> and
+   * <code>body</code>
+   */
+  _normalize(request) {
+    const url = new URL(request.url);
+    url.searchParams.sort();
+    const query = this._redactor.redactQuery(url.searchParams.toString());
+    const body = (request.body == null || request.body === '') ? null :
+        this._redactor.redactBody(request.body);
+    return {
+      method: request.method.toUpperCase(),
+      path: url.pathname + ((query != '') ? `?${query}` : ''),
+      body: (typeof body == 'string') ? sortQuery(body) : sortKeys(body),
+    };
+  }
+
+  /**
+   * Get the key used to compare normalized requests.
+   * @param {Object} normalized The normalized request
+   * @return {string} The key
+   */
+  _matchKey(normalized) {
+    return JSON.stringify([normalized.method, normalized.path,
+      sortKeys(normalized.body, this._ignore)]);
+  }
+
+  /**
+   * Create the error for a request that cannot be replayed, with the
+   * differences from the closest recorded request.
+   * @param {Object} normalized The normalized request
+   * @param {Object[]} interactions The recorded interactions
+   * @param {number} replayed The number of matching responses that were
+   * already replayed
+   * @return {FixtureMismatchError} The error
+   */
+  _mismatch(normalized, interactions, replayed) {
+    const request = `${normalized.method} ${normalized.path}`;
+    if (replayed > 0) {
+      return new FixtureMismatchError(`The ${replayed} recorded ` +
+          `response(s) to ${request} in ${this._path} were already ` +
+          `replayed.`, normalized);
+    }
+
+    let closest = null;
+    for (const interaction of interactions) {
+      const diff = this._diff(interaction.request, normalized);
+      if (closest == null || diff.length < closest.length) {
+        closest = diff;
+      }
+    }
+
+    if (closest == null) {
+      return new FixtureMismatchError(`No response to ${request} is ` +
+          `recorded in ${this._path}. The fixture is empty.`, normalized);
+    }
+
+    return new FixtureMismatchError(`No response to ${request} is ` +
+        `recorded in ${this._path}. The closest recorded request differs ` +
+        `in:\n${closest.join('\n')}`, normalized, closest);
+  }
+
+  /**
+   * List the differences between a recorded and a sent request.
+   * @param {Object} recorded The normalized recorded request
+   * @param {Object} sent The normalized request that was sent
+   * @return {string[]} The differences, one per line, e.g.
+   * <code>body.items[0].attributeId: recorded "email", sent "phone"</code>
+   */
+  _diff(recorded, sent) {
+    const expected = flatten({method: recorded.method, path: recorded.path,
+      body: sortKeys(recorded.body, this._ignore)});
+    const actual = flatten({method: sent.method, path: sent.path,
+      body: sortKeys(sent.body, this._ignore)});
+    const diff = [];
+    for (const key of new Set([...expected.keys(), ...actual.keys()])) {
+      const a = expected.get(key);
+      const b = actual.get(key);
+      if (a !== b) {
+        diff.push(`  ${key}: recorded ${(a === undefined) ? 'nothing' : a}` +
+            `, sent ${(b === undefined) ? 'nothing' : b}`);
+      }
+    }
+
+    return diff;
+  }
+}
+
+/**
+ * Copy a JSON value with the object properties sorted.
+ * @param {*} value The value
+ * @param {string[]} [omit=[]] The properties to leave out
+ * @return {*} The sorted copy
+ */
+function sortKeys(value, omit = []) {
+  if (Array.isArray(value)) {
+    return value.map((item) => sortKeys(item, omit));
+  }
+
+  if (value == null || typeof value != 'object') {
+    return value;
+  }
+
+  const result = {};
+  for (const key of Object.keys(value).sort()) {
+    if (!omit.includes(key)) {
+      result[key] = sortKeys(value[key], omit);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Sort the parameters of a form body.
+ * @param {string} body The form body
+ * @return {string} The sorted body
+ */
+function sortQuery(body) {
+  const params = new URLSearchParams(body);
+  params.sort();
+  return params.toString();
+}
+
+/**
+ * Flatten a JSON value into its leaf values.
+ * @param {*} value The value
+ * @param {string} [prefix=''] The path of the value
+ * @param {Map} [leaves] The map to add the leaves to
+ * @return {Map} The JSON text of each leaf value by path, e.g.
+ * <code>body.items[0].purposeId</code>
+ */
+function flatten(value, prefix = '', leaves = new Map()) {
+  if (value != null && typeof value == 'object' &&
+      Object.keys(value).length) {
+    for (const key of Object.keys(value)) {
+      flatten(value[key], (Array.isArray(value)) ? `${prefix}[${key}]` :
+          (prefix == '') ? key : `${prefix}.${key}`, leaves);
+    }
+  } else {
+    leaves.set(prefix, JSON.stringify(value));
+  }
+
+  return leaves;
+}
+
+module.exports = FixtureTransport;
@@ -0,0 +1,171 @@
+const ValidationError = require('../errors/validationError');
+const {ConsentDisplayTypes: DisplayTypes, ConsentStates} =
+    require('./consentTypes');
+
+const MatchFields = ['attributeId', 'accessTypeId', 'attributeValue'];
+
+/**
+ * Build the consents to store from the consent metadata records and the
+ * choices made by the user. See {@link Privacy.buildConsents}.
+ * @param {WrappedMetadata|Metadata|MetadataRecord[]} metadata The consent
+ * metadata
+ * @param {ConsentChoice[]} choices The choices made by the user
+ * @param {Object} [options] Options
+ * @param {number} [options.startTime] The time since Epoch (in seconds) used
+ * to compute the end time. Defaults to now.
+ * @return {Consent[]} The consents
+ * @throws {ValidationError} A choice is not valid for the metadata.
+ */
+function buildConsents(metadata, choices, options = {}) {
+  const records = getRecords(metadata);
+  if (records == null) {
+    throw new ValidationError('INVALID_DATATYPE', 'metadata is expected to ' +
+        'be the result of getConsentMetadata', {
+      errors: [{path: 'metadata', message: 'must contain metadata records'}],
+    });
+  }
+
+  if (!Array.isArray(choices)) {
+    throw new ValidationError('INVALID_DATATYPE', 'choices are expected to ' +
+        `be an array. Received ${typeof choices}`, {
+      errors: [{path: 'choices', message: 'must be an array'}],
+    });
+  }
+
+  // the choice for each record, by record index
+  const chosen = new Map();
+  const errors = [];
+  choices.forEach((choice, i) => {
+    const path = `choices[${i}]`;
+    if (choice == null || typeof choice != 'object' || !choice.purposeId) {
+      errors.push({path, message: 'must be an object with a purposeId'});
+      return;
+    }
+
+    if (typeof choice.accepted != 'boolean') {
+      errors.push({path: `${path}.accepted`, message: 'must be a boolean'});
+      return;
+    }
+
+    const matched = records
+        .map((record, index) => (matches(choice, record)) ? index : -1)
+        .filter((index) => index >= 0);
+    if (!matched.length) {
+      errors.push({path, message: 'does not match any metadata record'});
+      return;
+    }
+
+    for (const index of matched) {
+      const record = records[index];
+      const states = ConsentStates[record.consentType];
+      if (record.consentType != DisplayTypes.DO_NOT_SHOW && states == null) {
+        errors.push({path, message: 'matches a record with an unknown ' +
+            `consent type ${record.consentType}`});
+      } else if (states != null && !choice.accepted && states[1] == null) {
+        errors.push({path: `${path}.accepted`, message: 'cannot be false ' +
+            'for a record with consent type TRANSPARENT'});
+      } else if (chosen.has(index) &&
+          chosen.get(index).choice.accepted != choice.accepted) {
+        errors.push({path, message: 'conflicts with ' +
+            `choices[${chosen.get(index).position}]`});
+      } else {
+        chosen.set(index, {choice, position: i});
+      }
+    }
+  });
+
+  if (errors.length) {
+    const more = (errors.length > 1) ?
+        ` (and ${errors.length - 1} more problems)` : '';
+    throw new ValidationError('INVALID_CHOICE',
+        `${errors[0].path} ${errors[0].message}${more}`, {errors});
+  }
+
+  const startTime = (typeof options.startTime == 'number') ?
+      options.startTime : Math.floor(Date.now() / 1000);
+  const consents = [];
+  records.forEach((record, index) => {
+    // nothing is recorded for DO_NOT_SHOW records
+    if (!chosen.has(index) ||
+        record.consentType == DisplayTypes.DO_NOT_SHOW) {
+      return;
+    }
+
+    const accepted = chosen.get(index).choice.accepted;
+    consents.push(toConsent(record,
+        ConsentStates[record.consentType][(accepted) ? 0 : 1], startTime));
+  });
+
+  return consents;
+}
+
+/**
+ * Build the consent for a metadata record.
+ * @param {MetadataRecord} record The metadata record
+ * @param {ConsentTypesEnum} state The consent type
+ * @param {number} startTime The time since Epoch (in seconds) used to
+ * compute the end time
+ * @return {Consent} The consent
+ */
+function toConsent(record, state, startTime) {
+  const consent = {purposeId: record.purposeId};
+  for (const field of MatchFields) {
+    if (record[field] != null && record[field] !== '') {
+      consent[field] = record[field];
+    }
+  }
+
+  consent.state = state;
+  consent.consentType = record.consentType;
+  if (typeof record.defaultConsentDuration == 'number' &&
+      record.defaultConsentDuration > 0) {
+    // the duration is in days
+    consent.startTime = startTime;
+    consent.endTime = startTime + record.defaultConsentDuration * 86400;
+  }
+
+  return consent;
+}
+
+/**
+ * Get the metadata records.
+ * @param {WrappedMetadata|Metadata|MetadataRecord[]} metadata The consent
+ * metadata
+ * @return {MetadataRecord[]} The records, or null if the metadata is not
+ * recognized
+ */
+function getRecords(metadata) {
+  if (Array.isArray(metadata)) {
+    return metadata;
+  }
+
+  if (metadata == null || typeof metadata != 'object') {
+    return null;
+  }
+
+  const sections = (metadata.metadata != null) ? metadata.metadata : metadata;
+  if (!Array.isArray(sections.eula) && !Array.isArray(sections.default)) {
+    return null;
+  }
+
+  return [].concat(sections.eula || [], sections.default || []);
+}
+
+/**
+ * Check if the choice applies to the metadata record. The attribute may be
+ * identified by ID or name.
+ * @param {ConsentChoice} choice The choice
+ * @param {MetadataRecord} record The metadata record
+ * @return {boolean} true if the choice applies to the record
+ */
+function matches(choice, record) {
+  if (choice.purposeId != record.purposeId) {
+    return false;
+  }
+
+  return MatchFields.every((field) => choice[field] == null ||
+      choice[field] == record[field] ||
+      (field == 'attributeId' && choice[field] == record.attributeName));
+}
+
+module.exports = {buildConsents};
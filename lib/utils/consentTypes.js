@@ -0,0 +1,38 @@
+/**
+ * The consent display types of metadata records. Exported as
+ * <code>Privacy.ConsentDisplayTypes</code>.
+ */
+const ConsentDisplayTypes = {
+  DO_NOT_SHOW: 1,
+  TRANSPARENT: 2,
+  OPTIN_OR_OUT: 3,
+  ALLOW_OR_DENY: 4,
+};
+
+/**
+ * The consent types, i.e. states, of consents. Exported as
+ * <code>Privacy.ConsentTypes</code>.
+ */
+const ConsentTypes = {
+  ALLOW: 1,
+  DENY: 2,
+  OPTIN: 3,
+  OPTOUT: 4,
+  TRANSPARENT: 5,
+};
+
+/**
+ * The consent types recorded for each consent display type, as
+ * <code>[accepted, declined]</code>. Nothing is recorded for
+ * <code>DO_NOT_SHOW</code>, and <code>TRANSPARENT</code> may only be
+ * accepted.
+ */
+const ConsentStates = {
+  [ConsentDisplayTypes.TRANSPARENT]: [ConsentTypes.TRANSPARENT, null],
+  [ConsentDisplayTypes.OPTIN_OR_OUT]: [ConsentTypes.OPTIN,
+    ConsentTypes.OPTOUT],
+  [ConsentDisplayTypes.ALLOW_OR_DENY]: [ConsentTypes.ALLOW,
+    ConsentTypes.DENY],
+};
+
+module.exports = {ConsentDisplayTypes, ConsentTypes, ConsentStates};
@@ -0,0 +1,21 @@
+/**
+ * Parse the value of a <code>Retry-After</code> header, given either as a
+ * number of seconds or as an HTTP date.
+ * @param {string} value The header value
+ * @return {number} The delay in milliseconds, or null if the value is
+ * missing or not valid. A date in the past is a delay of 0.
+ */
+function parseRetryAfter(value) {
+  if (value == null || String(value).trim() === '') {
+    return null;
+  }
+
+  if (/^\d+$/.test(String(value).trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+module.exports = {parseRetryAfter};
@@ -1,6 +1,145 @@
 /**
  * The standard error response type
  * @typedef {Object} VerifyError
- * @property {string} messageId Error code
+ * @property {string} messageId Error code. This is the Verify message
+ * identifier if Verify responded with an error. Otherwise, it is one of
+ * <code>NETWORK_ERROR</code>, <code>TIMEOUT</code>, <code>ABORTED</code>,
+ * <code>INVALID_DATATYPE</code> or <code>UNEXPECTED_ERROR</code>.
  * @property {string} messageDescription Localized description of the error
+ * @property {number} httpStatus The HTTP status code if Verify responded
+ * with an error
+ * @property {Object[]} errors The individual input problems, each with a
+ * <code>path</code> and <code>message</code>, if the request is invalid
+ */
+
+/**
+ * A source of OAuth 2.0 access tokens used to authorize requests to Verify.
+ * The SDK calls <code>getToken</code> before every request, so providers
+ * should cache tokens and only contact the authorization server when needed.
+ * @typedef {Object} TokenProvider
+ * @property {Function} getToken Returns a promise that resolves to the access
+ * token. It is called with <code>{forceRefresh: true}</code> after Verify
+ * rejects a token with a 401 HTTP status code, in which case the provider
+ * should not return the cached token.
+ */
+
+/**
+ * Options that apply to a single SDK call
+ * @typedef {Object} CallOptions
+ * @property {AbortSignal} signal A signal used to cancel the call. If the
+ * signal is aborted, the call returns an error with <code>messageId</code>
+ * set to <code>ABORTED</code>.
+ * @property {number} timeoutMs The time allowed for the call, in
+ * milliseconds, including any retries. This overrides
+ * <code>config.timeoutMs</code>. If the time elapses, the call returns an
+ * error with <code>messageId</code> set to <code>TIMEOUT</code>.
+ * @property {Object} context Overrides the context passed to the
+ * {@link Privacy} constructor for this call only. The properties are merged
+ * with the constructor context, e.g. <code>{subjectId: "123456"}</code>
+ * keeps the <code>ipAddress</code> from the constructor. This allows a
+ * single client to be shared by concurrent requests for different subjects.
+ * @property {string} correlationId Identifies the call in the audit log,
+ * e.g. the ID of the incoming request. Calls that share the ID can be
+ * correlated. Defaults to a random UUID.
+ */
+
+/**
+ * An HTTP transport used to send requests to Verify. The SDK ships with
+ * <code>AxiosTransport</code>, the default, <code>FetchTransport</code> and
+ * <code>FixtureTransport</code>, which records and replays requests.
+ * Custom transports only need to implement <code>request</code>.
+ * @typedef {Object} Transport
+ * @property {Function} request Sends a {@link TransportRequest} and returns
+ * a promise that resolves to a {@link TransportResponse}. Error responses,
+ * such as a 400 HTTP status code, must be resolved rather than rejected.
+ * The promise should only be rejected when no response is received.
+ */
+
+/**
+ * The HTTP request passed to a {@link Transport}
+ * @typedef {Object} TransportRequest
+ * @property {string} method The HTTP method in upper case
+ * @property {string} url The full URL, including any query string
+ * @property {Object} headers The request headers
+ * @property {string} body The serialized request body, if any
+ * @property {AbortSignal} signal A signal that is aborted when the request
+ * times out or is cancelled by the caller
+ */
+
+/**
+ * The HTTP response returned by a {@link Transport}
+ * @typedef {Object} TransportResponse
+ * @property {number} status The HTTP status code
+ * @property {Object} headers The response headers with lower case names
+ * @property {Object|string} body The response body, parsed as JSON if
+ * possible
+ */
+
+/**
+ * A key-value store used by {@link MetadataCache}. The SDK provides
+ * <code>MemoryCacheStore</code>. Stores backed by Redis or similar services
+ * only need to implement these functions.
+ * @typedef {Object} CacheStore
+ * @property {Function} get <code>async get(key)</code> returns the value,
+ * or undefined if the key is not found or has expired
+ * @property {Function} set <code>async set(key, value, ttlMs)</code> stores
+ * a JSON serializable value that expires after <code>ttlMs</code>
+ * milliseconds
+ * @property {Function} delete <code>async delete(key)</code> removes the
+ * value
+ * @property {Function} clear <code>async clear(prefix)</code> removes all
+ * values with keys that start with the prefix
+ */
+
+/**
+ * The configuration of a tenant in a {@link PrivacyRegistry}. Any other
+ * property overrides the registry defaults, e.g. <code>retry</code> or
+ * <code>cache</code>. See {@link Privacy} for the properties.
+ * @typedef {Object} TenantConfig
+ * @property {string} tenantUrl The Verify tenant hostname, including the
+ * protocol
+ * @property {Object} auth The auth object, e.g. <code>{tokenProvider}</code>
+ * or <code>{clientId, clientSecret}</code>
+ * @property {Object} context The default context for the tenant's client
+ */
+
+/**
+ * A destination for audit records, such as a {@link FileAuditSink}. Custom
+ * sinks may extend {@link AuditSink} to get hash chaining, or implement
+ * <code>write</code> directly.
+ * @typedef {Object} AuditSinkLike
+ * @property {Function} write Stores an {@link AuditRecord}. Returns a
+ * promise that resolves when the record is stored.
+ */
+
+/**
+ * A record in the audit log
+ * @typedef {Object} AuditRecord
+ * @property {string} type <code>decision</code> for an assessment decision
+ * or <code>consent</code> for a consent write
+ * @property {string} time The time of the record, as an ISO 8601 string
+ * @property {string} correlationId Identifies the SDK call
+ * @property {string} operation The SDK call, e.g. <code>assess</code>
+ * @property {string} subjectId The subject the decision or consent applies
+ * to, if known
+ * @property {string} purposeId The purpose ID
+ * @property {string} attributeId The attribute ID, if any
+ * @property {string} accessTypeId The access type ID, if any
+ * @property {boolean} approved For decisions, indicates if the use is
+ * approved
+ * @property {string} category For decisions, the category of the decision
+ * @property {string} consentId For consent writes, the consent record ID,
+ * if known
+ * @property {number} state For consent writes, the consent state
+ * @property {string} op For consent writes that failed, the operation, e.g.
+ * <code>remove</code>
+ * @property {string} result For consent writes, <code>success</code>,
+ * <code>failure</code> or <code>error</code> if the call failed
+ * @property {string} messageId The Verify reason for a decision that is not
+ * approved, or the error of a failed call
+ * @property {string} error For consent writes, the reason for a failure
+ * @property {string} prevHash The hash of the previous record, if hash
+ * chaining is enabled
+ * @property {string} hash The hash of this record, if hash chaining is
+ * enabled
  */
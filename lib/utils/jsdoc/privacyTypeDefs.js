@@ -7,6 +7,11 @@
  * @property {boolean} requiresConsent Indicates if user consent is required.
  * This does not imply that an existing consent is positive if this value
  * is set to false.
+ * @property {string} category The category of the decision, set by the
+ * {@link AssessmentPolicy}: <code>approved</code>,
+ * <code>consent_required</code>, <code>opted_out</code>,
+ * <code>rule_denied</code>, <code>misconfigured</code> or
+ * <code>unknown</code>
  * @property {VerifyError} reason If "approved" is false, the details
  * of the denial
  */
@@ -43,6 +48,195 @@
  * @property {Assessment[]} assessment The assessment details for each requested
  * item
  * @property {VerifyError} error The error details if the status is "error"
+ * @property {number} retries The number of times requests were retried
+ * because of a transient failure. This is only included if a retry occurred.
+ */
+
+/**
+ * Identifies existing consents of the user. If <code>id</code> is not set,
+ * the target matches every consent with the same values for the other
+ * properties that are set.
+ * @typedef {Object} ConsentTarget
+ * @property {string} id The consent record identifier
+ * @property {string} purposeId The purpose or EULA ID. This is required if
+ * <code>id</code> is not set.
+ * @property {string} attributeId The attribute ID on Verify
+ * @property {string} accessTypeId The access type ID
+ * @property {string} attributeValue The attribute value
+ * @property {boolean} isGlobal Indicates if the consent applies to all
+ * applications
+ */
+
+/**
+ * A change to existing consents
+ * @typedef {Object} ConsentUpdate
+ * @property {ConsentTarget|string} target The consents to update, or the
+ * consent record identifier
+ * @property {Object} value The new values. Only <code>state</code>,
+ * <code>startTime</code> and <code>endTime</code> may be set.
+ */
+
+/**
+ * A choice made by the user on a consent page
+ * @typedef {Object} ConsentChoice
+ * @property {string} purposeId The purpose or EULA ID
+ * @property {string} [attributeId] The attribute ID or name. If not set, the
+ * choice applies to all attributes of the purpose.
+ * @property {string} [accessTypeId] The access type ID. If not set, the
+ * choice applies to all access types.
+ * @property {string} [attributeValue] The attribute value. If not set, the
+ * choice applies to all values.
+ * @property {boolean} accepted Indicates if the user accepted
+ */
+
+/**
+ * A field removed or masked by <code>filterByConsent</code>
+ * @typedef {Object} RedactedField
+ * @property {string} path The path of the field, e.g.
+ * <code>emails[1].value</code>
+ * @property {string} purposeId The purpose ID the field was assessed for
+ * @property {string} attributeId The attribute ID, if mapped
+ * @property {string} accessTypeId The access type ID, if mapped
+ * @property {string} action <code>removed</code> or <code>masked</code>
+ * @property {boolean} requiresConsent Indicates if the field may be used
+ * once the user consents
+ * @property {string} category The category of the decision, or
+ * <code>unknown</code> if there is no decision
+ * @property {VerifyError} reason The reason the use was not approved, from
+ * the assessment decision
+ */
+
+/**
+ * The response object for <code>filterByConsent</code>
+ * @typedef {Object} WrappedFilterResult
+ * @property {string} status The status of the call.
+ * <br><code>done</code> - the object is filtered
+ * <br><code>error</code> - invalid request or system error
+ * @property {Object} object The filtered copy of the object
+ * @property {RedactedField[]} redacted The fields that were removed or
+ * masked
+ * @property {Assessment[]} assessment The assessment of the mapped data
+ * items
+ * @property {VerifyError} error The error details if the status is "error"
+ * @property {number} retries The number of times requests were retried
+ * because of a transient failure. This is only included if a retry occurred.
+ */
+
+/**
+ * A claim, or a value of a multi-valued claim, withheld by
+ * <code>filterClaims</code>
+ * @typedef {Object} WithheldClaim
+ * @property {string} claim The claim name
+ * @property {string} purposeId The purpose ID
+ * @property {string} attributeId The attribute ID of the claim
+ * @property {string} accessTypeId The access type ID, if mapped
+ * @property {string} attributeValue The value of a multi-valued claim that
+ * was withheld
+ * @property {string} category The category of the decision, or
+ * <code>unknown</code> if there is no decision
+ * @property {VerifyError} reason The reason the claim was not approved,
+ * from the assessment decision
+ */
+
+/**
+ * The response object for <code>filterClaims</code>
+ * @typedef {Object} WrappedClaims
+ * @property {string} status The status of the call.
+ * <br><code>done</code> - the claims are filtered
+ * <br><code>error</code> - invalid request or system error
+ * @property {Object} claims The claims that may be released
+ * @property {WithheldClaim[]} consentRequired The claims that may be
+ * released once the user consents. These can be passed to
+ * <code>getConsentMetadata</code>.
+ * @property {WithheldClaim[]} denied The claims that may not be released
+ * @property {Assessment[]} assessment The assessment of the mapped claims
+ * @property {VerifyError} error The error details if the status is "error"
+ * @property {number} retries The number of times requests were retried
+ * because of a transient failure. This is only included if a retry occurred.
+ */
+
+/**
+ * The payload of the <code>request</code> event
+ * @typedef {Object} RequestEvent
+ * @property {string} method The HTTP method
+ * @property {string} url The request URL, without the query
+ * @property {number} attempt The attempt number, starting at 1
+ * @property {Object} body The masked request body, if any
+ */
+
+/**
+ * The payload of the <code>response</code> event
+ * @typedef {Object} ResponseEvent
+ * @property {string} method The HTTP method
+ * @property {string} url The request URL, without the query
+ * @property {number} attempt The attempt number, starting at 1
+ * @property {number} status The HTTP status code
+ * @property {number} durationMs The time taken by the attempt
+ * @property {Object} body The masked response body, if any
+ */
+
+/**
+ * The payload of the <code>retry</code> event
+ * @typedef {Object} RetryEvent
+ * @property {string} method The HTTP method
+ * @property {string} url The request URL, without the query
+ * @property {number} attempt The attempt that failed
+ * @property {number} status The HTTP status code, or null if no response
+ * was received
+ * @property {string} code The error code if no response was received, e.g.
+ * <code>ECONNRESET</code>
+ * @property {number} delayMs The time before the request is sent again
+ */
+
+/**
+ * The payload of the <code>decision</code> event
+ * @typedef {Object} DecisionEvent
+ * @property {string} purposeId The purpose ID
+ * @property {string} accessTypeId The access type ID
+ * @property {string} attributeId The attribute ID, if any
+ * @property {boolean} approved Indicates if the use is approved
+ * @property {boolean} requiresConsent Indicates if consent is required
+ * @property {string} category The category of the decision
+ * @property {VerifyError} reason The reason the use is not approved
+ * @property {number} durationMs The time taken by the assess call
+ */
+
+/**
+ * The payload of the <code>consentStored</code> event
+ * @typedef {Object} ConsentStoredEvent
+ * @property {string} operation The SDK call, <code>storeConsents</code> or
+ * <code>applyConsentOperations</code>
+ * @property {string} result <code>success</code> or <code>failure</code>
+ * @property {Object} value The masked consent or operation
+ * @property {string} error The reason for a failure
+ * @property {number} durationMs The time taken by the call
+ */
+
+/**
+ * The details passed with the error to <code>error</code> event listeners
+ * @typedef {Object} ErrorEvent
+ * @property {string} operation The SDK call that failed, e.g.
+ * <code>assess</code>
+ * @property {number} durationMs The time taken by the call
+ */
+
+/**
+ * A consent operation
+ * @typedef {Object} ConsentOperation
+ * @property {string} op The operation - <code>add</code>,
+ * <code>replace</code> or <code>remove</code>
+ * @property {ConsentTarget|string} target The consents to replace or remove,
+ * or the consent record identifier. This is not used for <code>add</code>.
+ * @property {Consent|Object} value The consent to add or, for
+ * <code>replace</code>, the new <code>state</code>, <code>startTime</code>
+ * or <code>endTime</code>
+ */
+
+/**
+ * A time range used to filter consents. Either bound may be omitted.
+ * @typedef {Object} TimeRange
+ * @property {number} from The earliest time since Epoch (in seconds)
+ * @property {number} to The latest time since Epoch (in seconds)
  */
 
 /**
@@ -76,6 +270,10 @@
  * @property {Array} customAttributes This is a list of optional attributes.
  * Object type within the array is
  * <code>{ "name": "somekey", "value": "somevalue" }</code>
+ * @property {ConsentDisplayTypesEnum} [consentType] The consent display type
+ * of the purpose, e.g. from {@link MetadataRecord}. If set, the state is
+ * checked against the display type before the consent is stored. This is
+ * not sent to Verify.
  */
 
 /**
@@ -133,6 +331,8 @@
  * <br><code>error</code> - invalid request or system error
  * @property {Metadata} metadata The metadata for rendering a consent page
  * @property {VerifyError} error The error details if the status is "error"
+ * @property {number} retries The number of times requests were retried
+ * because of a transient failure. This is only included if a retry occurred.
  */
 
 /**
@@ -143,7 +343,11 @@
  * <br><code>done</code> - the consents are retrieved
  * <br><code>error</code> - invalid request or system error
  * @property {Consent[]} consents The list of consents
+ * @property {number} count The total number of consents that match the
+ * filter, if returned by Verify
  * @property {VerifyError} error The error details if the status is "error"
+ * @property {number} retries The number of times requests were retried
+ * because of a transient failure. This is only included if a retry occurred.
  */
 
 /**
@@ -168,13 +372,17 @@
  * The consent operation result
  * @typedef {Object} ConsentOpResult
  * @property {string} result The result of the operation can be
- * <code>success</code> or <code>failure</code>
+ * <code>success</code>, <code>failure</code> or <code>error</code> if the
+ * request that sent it failed
  * @property {ConsentOpResultValue} value The consent storage request record
- * @property {string} error The error if the result is <code>failure<code>
+ * @property {string} error The error if the result is <code>failure</code>
+ * or <code>error</code>
  */
 
 /**
- * The response object for <code>storeUserConsents</code>
+ * The response object for <code>storeConsents</code>,
+ * <code>revokeConsents</code>, <code>updateConsents</code> and
+ * <code>applyConsentOperations</code>
  * @typedef {Object} WrappedStoreUserConsents
  * @property {string} status The overall status is computed based on whether
  * the data was received or not.
@@ -184,7 +392,12 @@
  * <br><code>error</code> - invalid request or system error
  * @property {ConsentOpResult[]} results The results of consent operation.
  * This should be consulted when the status is <code>fail</code>
- * @property {VerifyError} error The error details if the status is "error"
+ * @property {number} applied The number of operations that succeeded. This
+ * is only included if a request failed after earlier requests were applied.
+ * @property {VerifyError} error The error details if the status is "error",
+ * or if a request failed after earlier requests were applied
+ * @property {number} retries The number of times requests were retried
+ * because of a transient failure. This is only included if a retry occurred.
  */
 
 /**
@@ -0,0 +1,137 @@
+/**
+ * Split a path such as <code>emails[*].value</code> or
+ * <code>name.givenName</code> into its segments. <code>*</code> matches
+ * every element of an array or property of an object.
+ * @param {string} path The path
+ * @return {string[]} The segments, e.g. <code>['emails', '*', 'value']</code>
+ */
+function parse(path) {
+  return path.replace(/\[([^\]]*)\]/g, '.$1').split('.')
+      .filter((segment) => segment != '');
+}
+
+/**
+ * Find the values in the object that match the path.
+ * @param {Object} obj The object
+ * @param {string} path The path, which may contain wildcards
+ * @return {Object[]} The matches, each with the concrete
+ * <code>path</code>, its <code>segments</code> and the <code>value</code>
+ */
+function find(obj, path) {
+  const matches = [];
+  const visit = (value, segments, concrete) => {
+    if (!segments.length) {
+      matches.push({path: format(concrete), segments: concrete, value});
+      return;
+    }
+
+    if (value == null || typeof value != 'object') {
+      return;
+    }
+
+    const [segment, ...rest] = segments;
+    const keys = (segment == '*') ? Object.keys(value) : [segment];
+    for (const key of keys) {
+      if (Object.prototype.hasOwnProperty.call(value, key) &&
+          value[key] !== undefined) {
+        visit(value[key], rest, concrete.concat(key));
+      }
+    }
+  };
+
+  visit(obj, parse(path), []);
+  return matches;
+}
+
+/**
+ * Replace the value at the concrete path.
+ * @param {Object} obj The object
+ * @param {string[]} segments The path segments, without wildcards
+ * @param {*} value The new value
+ */
+function set(obj, segments, value) {
+  const parent = getParent(obj, segments);
+  if (parent != null) {
+    parent[segments[segments.length - 1]] = value;
+  }
+}
+
+/**
+ * Remove the values at the concrete paths. Array elements are removed and
+ * the remaining elements moved up, so all paths are removed together.
+ * @param {Object} obj The object
+ * @param {Array<string[]>} paths The path segments of each value, without
+ * wildcards
+ */
+function removeAll(obj, paths) {
+  // remove later array elements first, so earlier indexes stay valid
+  const sorted = paths.slice().sort(compareDescending);
+  for (const segments of sorted) {
+    const parent = getParent(obj, segments);
+    const key = segments[segments.length - 1];
+    if (parent == null || !Object.prototype.hasOwnProperty.call(parent,
+        key)) {
+      continue;
+    }
+
+    if (Array.isArray(parent)) {
+      parent.splice(Number(key), 1);
+    } else {
+      delete parent[key];
+    }
+  }
+}
+
+/**
+ * Order paths so that array elements with higher indexes, and the values
+ * inside an element, come before the elements they follow or are inside.
+ * @param {string[]} a The path segments
+ * @param {string[]} b The path segments
+ * @return {number} The order
+ */
+function compareDescending(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] == b[i]) {
+      continue;
+    }
+
+    if (/^\d+$/.test(a[i]) && /^\d+$/.test(b[i])) {
+      return Number(b[i]) - Number(a[i]);
+    }
+
+    return (a[i] < b[i]) ? 1 : -1;
+  }
+
+  return b.length - a.length;
+}
+
+/**
+ * Get the object that holds the value at the concrete path.
+ * @param {Object} obj The object
+ * @param {string[]} segments The path segments
+ * @return {Object} The parent, or null if the path does not exist
+ */
+function getParent(obj, segments) {
+  let parent = obj;
+  for (const segment of segments.slice(0, -1)) {
+    if (parent == null || typeof parent != 'object') {
+      return null;
+    }
+
+    parent = parent[segment];
+  }
+
+  return (parent != null && typeof parent == 'object') ? parent : null;
+}
+
+/**
+ * Format path segments, e.g. <code>emails[0].value</code>.
+ * @param {string[]} segments The path segments
+ * @return {string} The path
+ */
+function format(segments) {
+  return segments.map((segment, i) => (/^\d+$/.test(segment)) ?
+    `[${segment}]` : ((i > 0) ? '.' : '') + segment).join('');
+}
+
+module.exports = {parse, find, set, removeAll};
@@ -0,0 +1,315 @@
+const crypto = require('crypto');
+const ConfigurationError = require('../errors/configurationError');
+const ObjectPath = require('./objectPath');
+
+/**
+ * Keys whose values are always masked, whatever the profile or rules.
+ */
+const CREDENTIAL_KEYS = ['password', 'otp', 'authorization', 'assertion',
+  'token', 'access_token', 'accesstoken', 'refresh_token', 'refreshtoken',
+  'id_token', 'client_secret', 'clientsecret', 'cookie', 'set-cookie'];
+
+/**
+ * Keys whose values identify the user or hold their personal data.
+ */
+const PERSONAL_KEYS = ['subjectid', 'attributevalue', 'geoip', 'ipaddress'];
+
+/**
+ * The action applied to personal data by each profile. The
+ * <code>credentials</code> profile leaves personal data as is.
+ */
+const PROFILES = {strict: 'mask', hash: 'hash', partial: 'partial',
+  credentials: null};
+
+const ACTIONS = ['mask', 'hash', 'partial'];
+
+const MASK = '****';
+
+/**
+ * Redacts credentials and personal data from values before they are
+ * written to debug logs or passed to event listeners. Objects and arrays
+ * are redacted recursively, and querystrings, form bodies and search
+ * expressions such as <code>subjectId="abc"</code> are redacted by
+ * parameter name.
+ *
+ * Values are matched by key, ignoring case, or by path from the root of the
+ * value, e.g. <code>items[*].attributeValue</code>. The matched value is
+ * masked, replaced with a keyed hash, so log entries for the same value can
+ * be correlated without revealing it, or partially masked. Credentials are
+ * always masked.
+ */
+class Redactor {
+  /**
+   * Create a new {@link Redactor} object.
+   * @param {Object} [options] The redaction options
+   * @param {string} [options.profile='strict'] The action for personal data
+   * such as subject IDs, attribute values and IP addresses.
+   * <code>strict</code> masks them, <code>hash</code> replaces them with a
+   * hash, <code>partial</code> keeps the first and last characters and
+   * <code>credentials</code> leaves them as is.
+   * @param {string} [options.action] The action for the personal data keys
+   * and the additional rules. Overrides the action of the profile.
+   * @param {Array<string|Object>} [options.keys] Additional keys to redact,
+   * each a key or <code>{key, action}</code>
+   * @param {Array<string|Object>} [options.paths] Additional paths to
+   * redact, each a path or <code>{path, action}</code>. <code>*</code>
+   * matches every element of an array or property of an object.
+   * @param {string} [options.salt] The key used to hash values. Defaults to
+   * a random key, so hashes can only be correlated within the process.
+   * @throws {ConfigurationError} The profile or an action is not supported.
+   */
+  constructor(options = {}) {
+    const profile = (options.profile) ? options.profile : 'strict';
+    if (!Object.prototype.hasOwnProperty.call(PROFILES, profile)) {
+      throw new ConfigurationError(`The redaction profile '${profile}' ` +
+          `is not supported. Use one of ${Object.keys(PROFILES).join(', ')}.`);
+    }
+
+    const action = (options.action) ? checkAction(options.action) :
+        PROFILES[profile];
+    this._keys = new Map();
+    for (const key of (PROFILES[profile] != null) ? PERSONAL_KEYS : []) {
+      this._keys.set(key, action);
+    }
+
+    for (const rule of (options.keys) ? options.keys : []) {
+      const key = (typeof rule == 'string') ? rule : rule.key;
+      this._keys.set(key.toLowerCase(),
+          (rule.action) ? checkAction(rule.action) : withDefault(action));
+    }
+
+    for (const key of CREDENTIAL_KEYS) {
+      this._keys.set(key, 'mask');
+    }
+
+    this._paths = ((options.paths) ? options.paths : []).map((rule) => ({
+      segments: ObjectPath.parse((typeof rule == 'string') ? rule : rule.path),
+      action: (rule.action) ? checkAction(rule.action) : withDefault(action),
+    }));
+    this._salt = (options.salt) ? options.salt :
+        crypto.randomBytes(16).toString('hex');
+
+    const keys = Array.from(this._keys.keys()).map(escapeRegExp);
+    // a key followed by = or : and a quoted or unquoted value
+    this._expression = new RegExp(`(^|[^\\w-])(${keys.join('|')})` +
+        `(\\s*[=:]\\s*)("[^"]*"|[^\\s"&,;]+)`, 'gi');
+  }
+
+  /**
+   * Create the redactor from the SDK configuration.
+   * @param {Redactor|Object|string} [redaction] The redactor, its options,
+   * or a profile name. Defaults to the <code>strict</code> profile.
+   * @return {Redactor} The redactor
+   * @throws {ConfigurationError} The configuration is not valid.
+   */
+  static from(redaction) {
+    if (redaction instanceof Redactor) {
+      return redaction;
+    }
+
+    if (typeof redaction == 'string') {
+      return new Redactor({profile: redaction});
+    }
+
+    return new Redactor((redaction != null && typeof redaction == 'object') ?
+        redaction : {});
+  }
+
+  /**
+   * Redact a value. Objects and arrays are copied, and strings are redacted
+   * as search expressions.
+   * @param {*} value The value, which is not modified
+   * @return {*} The redacted copy
+   */
+  redact(value) {
+    return this._redact(value, []);
+  }
+
+  /**
+   * Redact a request or response body, which may be JSON or form encoded
+   * text.
+   * @param {*} body The body
+   * @return {*} The redacted body. JSON text is returned as the parsed and
+   * redacted value.
+   */
+  redactBody(body) {
+    if (typeof body != 'string') {
+      return this.redact(body);
+    }
+
+    try {
+      return this.redact(JSON.parse(body));
+    } catch (error) {
+      return this.redactQuery(body);
+    }
+  }
+
+  /**
+   * Redact the parameters of a querystring or form body.
+   * @param {string} query The querystring, without the leading
+   * <code>?</code>
+   * @return {string} The redacted querystring
+   */
+  redactQuery(query) {
+    const params = new URLSearchParams(query);
+    const redacted = new URLSearchParams();
+    for (const [key, value] of params) {
+      redacted.append(key, this._redact(value, [key]));
+    }
+
+    return redacted.toString();
+  }
+
+  /**
+   * Redact the query of a URL or path.
+   * @param {string} url The URL or path
+   * @return {string} The redacted URL
+   */
+  redactUrl(url) {
+    if (typeof url != 'string' || !url.includes('?')) {
+      return url;
+    }
+
+    const index = url.indexOf('?');
+    return url.substring(0, index + 1) +
+        this.redactQuery(url.substring(index + 1));
+  }
+
+  /**
+   * Redact a value at the path.
+   * @param {*} value The value
+   * @param {string[]} path The path of the value from the root
+   * @return {*} The redacted value
+   */
+  _redact(value, path) {
+    const action = this._actionFor(path);
+    if (action != null && value != null && value !== '') {
+      return this._apply(action, value);
+    }
+
+    if (typeof value == 'string') {
+      return this._redactString(value);
+    }
+
+    if (value instanceof Error) {
+      return this._redactString((value.stack) ? value.stack : `${value}`);
+    }
+
+    if (Array.isArray(value)) {
+      return value.map((item, index) => this._redact(item, path.concat(
+          `${index}`)));
+    }
+
+    if (value == null || typeof value != 'object') {
+      return value;
+    }
+
+    const result = {};
+    for (const key of Object.keys(value)) {
+      result[key] = this._redact(value[key], path.concat(key));
+    }
+
+    return result;
+  }
+
+  /**
+   * Redact the sensitive parameters of search expressions and
+   * querystrings in the text.
+   * @param {string} text The text
+   * @return {string} The redacted text
+   */
+  _redactString(text) {
+    return text.replace(this._expression, (match, prefix, key, separator,
+        value) => {
+      const action = this._keys.get(key.toLowerCase());
+      const quoted = value.startsWith('"');
+      const redacted = this._apply(action, (quoted) ?
+          value.slice(1, -1) : value);
+      return prefix + key + separator +
+          ((quoted) ? `"${redacted}"` : redacted);
+    });
+  }
+
+  /**
+   * Find the action for the value at the path.
+   * @param {string[]} path The path of the value from the root
+   * @return {string} The action, or null if the value is not sensitive
+   */
+  _actionFor(path) {
+    if (!path.length) {
+      return null;
+    }
+
+    const key = path[path.length - 1].toLowerCase();
+    if (CREDENTIAL_KEYS.includes(key)) {
+      return 'mask';
+    }
+
+    const rule = this._paths.find((r) => r.segments.length == path.length &&
+        r.segments.every((s, i) => s == '*' || s == path[i]));
+    if (rule != null) {
+      return rule.action;
+    }
+
+    return (this._keys.has(key)) ? this._keys.get(key) : null;
+  }
+
+  /**
+   * Apply the action to the value.
+   * @param {string} action The action
+   * @param {*} value The value
+   * @return {string} The redacted value
+   */
+  _apply(action, value) {
+    if (action == 'mask' || (value != null && typeof value == 'object')) {
+      return MASK;
+    }
+
+    const text = `${value}`;
+    if (action == 'hash') {
+      return 'sha256:' + crypto.createHmac('sha256', this._salt)
+          .update(text).digest('hex').substring(0, 16);
+    }
+
+    // partial; short values would be revealed by their first and last
+    // characters
+    return (text.length <= 4) ? MASK :
+        text[0] + MASK + text[text.length - 1];
+  }
+}
+
+/**
+ * Check that the action is supported.
+ * @param {string} action The action
+ * @return {string} The action
+ * @throws {ConfigurationError} The action is not supported.
+ */
+function checkAction(action) {
+  if (!ACTIONS.includes(action)) {
+    throw new ConfigurationError(`The redaction action '${action}' is not ` +
+        `supported. Use one of ${ACTIONS.join(', ')}.`);
+  }
+
+  return action;
+}
+
+/**
+ * Get the action for a rule without one. Rules mask values if the profile
+ * leaves personal data as is.
+ * @param {string} action The action of the profile or options
+ * @return {string} The action
+ */
+function withDefault(action) {
+  return (action != null) ? action : 'mask';
+}
+
+/**
+ * Escape the characters of a regular expression.
+ * @param {string} text The text
+ * @return {string} The escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = Redactor;
@@ -17,24 +17,18 @@
  * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
  * SOFTWARE.
  */
+const Redactor = require('./redactor');
+
+const strict = new Redactor();
 
 /**
- * Mask sensitive properties of an object.
+ * Mask credentials and personal data anywhere in an object, using the
+ * strict {@link Redactor} profile.
  * @param {Object} object The object whose sensitive properties to mask.
- * @return {Object} The masked object.
+ * @return {Object} The masked copy.
  */
 function maskObject(object) {
-  const sensitiveProperties = ['password', 'otp', 'Authorization', 'assertion',
-    'token', 'access_token', 'refresh_token'];
-
-  const clone = {...object};
-  for (sensitiveProperty of sensitiveProperties) {
-    if (clone[sensitiveProperty]) {
-      clone[sensitiveProperty] = '****';
-    }
-  }
-
-  return clone;
+  return strict.redact(object);
 }
 
 module.exports = {maskObject};
@@ -0,0 +1,438 @@
+const ValidationError = require('../errors/validationError');
+const ConsentEnums = require('./consentTypes');
+
+// values of Privacy.ConsentTypes and Privacy.ConsentDisplayTypes
+const ConsentTypes = Object.values(ConsentEnums.ConsentTypes);
+const ConsentDisplayTypes = Object.values(ConsentEnums.ConsentDisplayTypes);
+
+const UpdatableFields = ['state', 'startTime', 'endTime'];
+const MaxConsents = 10;
+
+/**
+ * Check the data items passed to <code>assess</code> and
+ * <code>getConsentMetadata</code>.
+ * @param {Array} items The data items
+ * @return {ValidationError} The error, or null if the items are valid
+ */
+function validateItems(items) {
+  if (!Array.isArray(items)) {
+    return notAnArray('items', items);
+  }
+
+  const errors = [];
+  if (!items.length) {
+    errors.push({path: 'items', message: 'must contain at least one item'});
+  }
+
+  items.forEach((item, i) => {
+    const path = `items[${i}]`;
+    if (!isObject(item)) {
+      errors.push({path, message: 'must be an object'});
+      return;
+    }
+
+    requireString(errors, item, path, 'purposeId');
+    for (const field of ['attributeId', 'accessTypeId', 'attributeValue']) {
+      optionalString(errors, item, path, field);
+    }
+  });
+
+  return toError(errors);
+}
+
+/**
+ * Check the mapping passed to <code>filterByConsent</code>.
+ * @param {Object<string, Object>} mapping The data item for each object path
+ * @return {ValidationError} The error, or null if the mapping is valid
+ */
+function validateMapping(mapping) {
+  if (!isObject(mapping)) {
+    return new ValidationError('INVALID_DATATYPE', 'mapping is expected to ' +
+        `be an object. Received ${typeof mapping}`, {
+      errors: [{path: 'mapping', message: 'must be an object'}],
+    });
+  }
+
+  const errors = [];
+  for (const key of Object.keys(mapping)) {
+    const path = `mapping[${JSON.stringify(key)}]`;
+    if (!isObject(mapping[key])) {
+      errors.push({path, message: 'must be an object'});
+      continue;
+    }
+
+    requireString(errors, mapping[key], path, 'purposeId');
+    for (const field of ['attributeId', 'accessTypeId']) {
+      optionalString(errors, mapping[key], path, field);
+    }
+  }
+
+  return toError(errors);
+}
+
+/**
+ * Check the purpose and claim mapping passed to <code>filterClaims</code>.
+ * @param {Object<string, string|Object>} mapping The attribute for each
+ * claim
+ * @param {string} purposeId The purpose the claims are released for
+ * @return {ValidationError} The error, or null if the input is valid
+ */
+function validateClaimsMapping(mapping, purposeId) {
+  if (!isObject(mapping)) {
+    return new ValidationError('INVALID_DATATYPE', 'mapping is expected to ' +
+        `be an object. Received ${typeof mapping}`, {
+      errors: [{path: 'mapping', message: 'must be an object'}],
+    });
+  }
+
+  const errors = [];
+  if (typeof purposeId != 'string' || purposeId == '') {
+    errors.push({path: 'purposeId', message: 'is required and must be a ' +
+        'string'});
+  }
+
+  for (const claim of Object.keys(mapping)) {
+    const path = `mapping[${JSON.stringify(claim)}]`;
+    if (typeof mapping[claim] == 'string' && mapping[claim] != '') {
+      continue;
+    }
+
+    if (!isObject(mapping[claim])) {
+      errors.push({path, message: 'must be an attribute ID or an object'});
+      continue;
+    }
+
+    requireString(errors, mapping[claim], path, 'attributeId');
+    optionalString(errors, mapping[claim], path, 'accessTypeId');
+  }
+
+  return toError(errors);
+}
+
+/**
+ * Check the consents passed to <code>storeConsents</code>.
+ * @param {Consent[]} consents The consents
+ * @return {ValidationError} The error, or null if the consents are valid
+ */
+function validateConsents(consents) {
+  if (!Array.isArray(consents)) {
+    return notAnArray('consents', consents);
+  }
+
+  const errors = [];
+  if (consents.length > MaxConsents) {
+    errors.push({path: 'consents',
+      message: `must not contain more than ${MaxConsents} consents`});
+  }
+
+  consents.forEach((consent, i) => {
+    checkConsent(errors, consent, `consents[${i}]`);
+  });
+
+  return toError(errors);
+}
+
+/**
+ * Check the operations passed to <code>applyConsentOperations</code>.
+ * @param {ConsentOperation[]} operations The consent operations
+ * @return {ValidationError} The error, or null if the operations are valid
+ */
+function validateConsentOperations(operations) {
+  if (!Array.isArray(operations)) {
+    return notAnArray('operations', operations);
+  }
+
+  const errors = [];
+  operations.forEach((operation, i) => {
+    const path = `operations[${i}]`;
+    const op = (isObject(operation)) ? operation.op : null;
+    if (!['add', 'replace', 'remove'].includes(op)) {
+      errors.push({path: `${path}.op`,
+        message: 'must be one of add, replace or remove'});
+      return;
+    }
+
+    if (op == 'add') {
+      checkConsent(errors, operation.value, `${path}.value`);
+      return;
+    }
+
+    checkTarget(errors, operation.target, `${path}.target`);
+    if (op == 'replace') {
+      checkUpdate(errors, operation.value, `${path}.value`);
+    }
+  });
+
+  return toError(errors, 'INVALID_OPERATION');
+}
+
+/**
+ * Check the targets passed to <code>revokeConsents</code>.
+ * @param {Array<ConsentTarget|string>} targets The consents to revoke
+ * @return {ValidationError} The error, or null if the targets are valid
+ */
+function validateConsentTargets(targets) {
+  if (!Array.isArray(targets)) {
+    return notAnArray('targets', targets);
+  }
+
+  const errors = [];
+  targets.forEach((target, i) => {
+    checkTarget(errors, target, `targets[${i}]`);
+  });
+
+  return toError(errors, 'INVALID_OPERATION');
+}
+
+/**
+ * Check the updates passed to <code>updateConsents</code>.
+ * @param {ConsentUpdate[]} updates The consents to update and the new values
+ * @return {ValidationError} The error, or null if the updates are valid
+ */
+function validateConsentUpdates(updates) {
+  if (!Array.isArray(updates)) {
+    return notAnArray('updates', updates);
+  }
+
+  const errors = [];
+  updates.forEach((update, i) => {
+    const path = `updates[${i}]`;
+    if (!isObject(update)) {
+      errors.push({path, message: 'must be an object'});
+      return;
+    }
+
+    checkTarget(errors, update.target, `${path}.target`);
+    checkUpdate(errors, update.value, `${path}.value`);
+  });
+
+  return toError(errors, 'INVALID_OPERATION');
+}
+
+/**
+ * Check a consent.
+ * @param {Object[]} errors The errors found so far
+ * @param {Consent} consent The consent
+ * @param {string} path The path of the consent
+ */
+function checkConsent(errors, consent, path) {
+  if (!isObject(consent)) {
+    errors.push({path, message: 'must be an object'});
+    return;
+  }
+
+  requireString(errors, consent, path, 'purposeId');
+  for (const field of ['attributeId', 'accessTypeId', 'attributeValue']) {
+    optionalString(errors, consent, path, field);
+  }
+
+  if (!ConsentTypes.includes(consent.state)) {
+    errors.push({path: `${path}.state`,
+      message: 'must be one of Privacy.ConsentTypes'});
+  }
+
+  checkTimes(errors, consent, path);
+  if (consent.isGlobal != null && typeof consent.isGlobal != 'boolean') {
+    errors.push({path: `${path}.isGlobal`, message: 'must be a boolean'});
+  }
+
+  if (consent.customAttributes != null) {
+    if (!Array.isArray(consent.customAttributes)) {
+      errors.push({path: `${path}.customAttributes`,
+        message: 'must be an array'});
+    } else {
+      consent.customAttributes.forEach((attribute, i) => {
+        const attrPath = `${path}.customAttributes[${i}]`;
+        if (!isObject(attribute)) {
+          errors.push({path: attrPath,
+            message: 'must be an object with a name and value'});
+          return;
+        }
+
+        requireString(errors, attribute, attrPath, 'name');
+        if (typeof attribute.value != 'string') {
+          errors.push({path: `${attrPath}.value`, message: 'must be a string'});
+        }
+      });
+    }
+  }
+
+  if (consent.consentType != null) {
+    // the consent types that may be stored for the display type
+    const allowed = (ConsentEnums.ConsentStates[consent.consentType] || [])
+        .filter((state) => state != null);
+    if (!ConsentDisplayTypes.includes(consent.consentType)) {
+      errors.push({path: `${path}.consentType`,
+        message: 'must be one of Privacy.ConsentDisplayTypes'});
+    } else if (!allowed.length) {
+      errors.push({path: `${path}.consentType`,
+        message: 'must not be DO_NOT_SHOW, since no consent is recorded'});
+    } else if (ConsentTypes.includes(consent.state) &&
+        !allowed.includes(consent.state)) {
+      errors.push({path: `${path}.state`,
+        message: `must be one of ${allowed.join(', ')} for consent type ` +
+            `${consent.consentType}`});
+    }
+  }
+}
+
+/**
+ * Check the target of a replace or remove operation.
+ * @param {Object[]} errors The errors found so far
+ * @param {ConsentTarget|string} target The target
+ * @param {string} path The path of the target
+ */
+function checkTarget(errors, target, path) {
+  if (typeof target == 'string') {
+    if (target == '') {
+      errors.push({path, message: 'must not be empty'});
+    }
+
+    return;
+  }
+
+  if (!isObject(target)) {
+    errors.push({path,
+      message: 'must be a consent record identifier or an object'});
+    return;
+  }
+
+  if (target.id != null) {
+    requireString(errors, target, path, 'id');
+    return;
+  }
+
+  requireString(errors, target, path, 'purposeId');
+  for (const field of ['attributeId', 'accessTypeId', 'attributeValue']) {
+    optionalString(errors, target, path, field);
+  }
+}
+
+/**
+ * Check the new values of a replace operation.
+ * @param {Object[]} errors The errors found so far
+ * @param {Object} value The new values
+ * @param {string} path The path of the values
+ */
+function checkUpdate(errors, value, path) {
+  if (!isObject(value) || !Object.keys(value).length) {
+    errors.push({path,
+      message: `must set at least one of ${UpdatableFields.join(', ')}`});
+    return;
+  }
+
+  for (const field of Object.keys(value)) {
+    if (!UpdatableFields.includes(field)) {
+      errors.push({path: `${path}.${field}`, message: 'cannot be changed'});
+    }
+  }
+
+  if (value.state !== undefined && !ConsentTypes.includes(value.state)) {
+    errors.push({path: `${path}.state`,
+      message: 'must be one of Privacy.ConsentTypes'});
+  }
+
+  checkTimes(errors, value, path);
+}
+
+/**
+ * Check the start and end times.
+ * @param {Object[]} errors The errors found so far
+ * @param {Object} obj The consent or the new values
+ * @param {string} path The path of the object
+ */
+function checkTimes(errors, obj, path) {
+  for (const field of ['startTime', 'endTime']) {
+    if (obj[field] != null &&
+        (typeof obj[field] != 'number' || !isFinite(obj[field]) ||
+            obj[field] < 0)) {
+      errors.push({path: `${path}.${field}`,
+        message: 'must be a non-negative number of seconds since Epoch'});
+    }
+  }
+
+  if (typeof obj.startTime == 'number' && typeof obj.endTime == 'number' &&
+      obj.endTime <= obj.startTime) {
+    errors.push({path: `${path}.endTime`,
+      message: 'must be later than startTime'});
+  }
+}
+
+/**
+ * Check that a required property is a non-empty string.
+ * @param {Object[]} errors The errors found so far
+ * @param {Object} obj The object
+ * @param {string} path The path of the object
+ * @param {string} field The property name
+ */
+function requireString(errors, obj, path, field) {
+  if (typeof obj[field] != 'string' || obj[field] == '') {
+    errors.push({path: `${path}.${field}`,
+      message: 'is required and must be a string'});
+  }
+}
+
+/**
+ * Check that an optional property, if set, is a non-empty string.
+ * @param {Object[]} errors The errors found so far
+ * @param {Object} obj The object
+ * @param {string} path The path of the object
+ * @param {string} field The property name
+ */
+function optionalString(errors, obj, path, field) {
+  if (obj[field] != null && (typeof obj[field] != 'string' ||
+      obj[field] == '')) {
+    errors.push({path: `${path}.${field}`,
+      message: 'must be a non-empty string'});
+  }
+}
+
+/**
+ * Checks if the value is a non-null object that is not an array.
+ * @param {*} value The value
+ * @return {boolean} true if the value is an object
+ */
+function isObject(value) {
+  return value != null && typeof value == 'object' && !Array.isArray(value);
+}
+
+/**
+ * Build the error for a parameter that is not an array.
+ * @param {string} name The parameter name
+ * @param {*} value The parameter value
+ * @return {ValidationError} The error
+ */
+function notAnArray(name, value) {
+  return new ValidationError('INVALID_DATATYPE',
+      `${name} are expected to be an array. Received ${typeof value}`, {
+        errors: [{path: name, message: 'must be an array'}],
+      });
+}
+
+/**
+ * Build the error for the problems found.
+ * @param {Object[]} errors The problems, each with a <code>path</code> and
+ * <code>message</code>
+ * @param {string} [messageId='INVALID_INPUT'] The error code
+ * @return {ValidationError} The error, or null if there are no problems
+ */
+function toError(errors, messageId = 'INVALID_INPUT') {
+  if (!errors.length) {
+    return null;
+  }
+
+  const first = `${errors[0].path} ${errors[0].message}`;
+  const more = (errors.length > 1) ?
+      ` (and ${errors.length - 1} more problems)` : '';
+  return new ValidationError(messageId, first + more, {errors});
+}
+
+module.exports = {
+  validateItems,
+  validateMapping,
+  validateClaimsMapping,
+  validateConsents,
+  validateConsentOperations,
+  validateConsentTargets,
+  validateConsentUpdates,
+};
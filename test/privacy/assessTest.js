@@ -187,7 +187,7 @@ describe('Privacy', () => {
         const client = new Privacy(config, auth, context);
         const ret = await client.assess({});
         assert.strictEqual(ret.status, 'error');
-        assert.strictEqual(ret.error.messageId, 'CSIBT0004E');
+        assert.strictEqual(ret.error.messageId, 'INVALID_DATATYPE');
       });
       it(`should return error if isExternalSubject
         is specified incorrectly`, async () => {
@@ -0,0 +1,151 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Privacy = require('../../lib/privacy');
+const MockPrivacyServer = require('../../lib/mock/mockPrivacyServer');
+
+describe('Privacy', () => {
+  let server;
+  let tenantUrl;
+  let dir;
+
+  before(async () => {
+    server = new MockPrivacyServer();
+    tenantUrl = await server.start();
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'privacy-audit-'));
+  });
+
+  after(async () => {
+    await server.stop();
+    await fs.promises.rm(dir, {recursive: true, force: true});
+  });
+
+  const newClient = (audit) => new Privacy({tenantUrl, audit},
+      {accessToken: 'mock-privileged-token'}, {subjectId: 'jdoe'});
+
+  const email = {purposeId: 'marketing', attributeId: 'email',
+    attributeValue: 'jdoe@example.com'};
+  const mobile = {purposeId: 'marketing', attributeId: 'mobile_number'};
+
+  describe('#audit', () => {
+    it('should record each assessment decision', async () => {
+      const sink = new Privacy.MemoryAuditSink();
+      await newClient(sink).assess([email, mobile],
+          {correlationId: 'req-1'});
+
+      const records = await sink.read();
+      assert.strictEqual(records.length, 2);
+      assert.strictEqual(records[0].type, 'decision');
+      assert.strictEqual(records[0].operation, 'assess');
+      assert.strictEqual(records[0].correlationId, 'req-1');
+      assert.strictEqual(records[0].subjectId, 'jdoe');
+      assert.strictEqual(records[0].purposeId, 'marketing');
+      assert.strictEqual(records[0].attributeId, 'email');
+      assert.strictEqual(records[0].approved, false);
+      assert.strictEqual(records[0].category, 'consent_required');
+      assert.strictEqual(records[0].messageId,
+          MockPrivacyServer.MessageIds.CONSENT_REQUIRED);
+      assert.ok(!isNaN(Date.parse(records[0].time)));
+      assert.ok(!JSON.stringify(records).includes('jdoe@example.com'));
+
+      assert.strictEqual(records[1].approved, true);
+      assert.strictEqual(records[1].messageId, undefined);
+    });
+
+    it('should record each consent write', async () => {
+      const sink = new Privacy.MemoryAuditSink();
+      const client = newClient(sink);
+      await client.storeConsents([{
+        purposeId: 'marketing',
+        attributeId: 'email',
+        accessTypeId: 'default',
+        state: Privacy.ConsentTypes.OPTIN,
+      }]);
+      await client.revokeConsents(['not-a-consent']);
+
+      const records = await sink.read();
+      assert.strictEqual(records.length, 2);
+      assert.strictEqual(records[0].type, 'consent');
+      assert.strictEqual(records[0].operation, 'storeConsents');
+      assert.strictEqual(records[0].result, 'success');
+      assert.strictEqual(records[0].state, Privacy.ConsentTypes.OPTIN);
+      assert.ok(records[0].consentId);
+      assert.ok(records[0].correlationId);
+
+      assert.strictEqual(records[1].operation, 'applyConsentOperations');
+      assert.strictEqual(records[1].result, 'failure');
+      assert.strictEqual(records[1].op, 'remove');
+      assert.strictEqual(records[1].consentId, 'not-a-consent');
+      assert.ok(records[1].error);
+      assert.notStrictEqual(records[1].correlationId,
+          records[0].correlationId);
+    });
+
+    it('should record consent writes of failed calls', async () => {
+      const sink = new Privacy.MemoryAuditSink();
+      await newClient(sink).storeConsents([{purposeId: 'marketing',
+        state: Privacy.ConsentTypes.OPTIN}], {context: {subjectId: 'nobody'},
+        signal: AbortSignal.abort()});
+
+      const [record] = await sink.read();
+      assert.strictEqual(record.result, 'error');
+      assert.strictEqual(record.messageId, 'ABORTED');
+      assert.strictEqual(record.subjectId, 'nobody');
+    });
+
+    it('should chain the records of a file', async () => {
+      const file = path.join(dir, 'audit.jsonl');
+      await newClient(new Privacy.FileAuditSink(file)).assess([email]);
+      // a new sink continues the chain of the existing file
+      await newClient(new Privacy.FileAuditSink(file)).assess([mobile]);
+
+      const records = await new Privacy.FileAuditSink(file).read();
+      assert.strictEqual(records.length, 2);
+      assert.strictEqual(records[0].prevHash, null);
+      assert.strictEqual(records[1].prevHash, records[0].hash);
+      assert.deepStrictEqual(Privacy.AuditSink.verify(records), {valid: true});
+
+      const lines = (await fs.promises.readFile(file, 'utf8')).split('\n');
+      assert.strictEqual(lines.length, 3);
+      assert.strictEqual(JSON.parse(lines[1]).hash, records[1].hash);
+    });
+
+    it('should detect changed and removed records', async () => {
+      const sink = new Privacy.MemoryAuditSink();
+      await newClient(sink).assess([email, mobile, email]);
+      const records = await sink.read();
+
+      const changed = records.map((r) => ({...r}));
+      changed[1].approved = false;
+      assert.deepStrictEqual(Privacy.AuditSink.verify(changed), {
+        valid: false,
+        index: 1,
+        reason: 'hash does not match the record',
+      });
+
+      const removed = [records[0], records[2]];
+      assert.strictEqual(Privacy.AuditSink.verify(removed).index, 1);
+    });
+
+    it('should not chain records if disabled', async () => {
+      const sink = new Privacy.MemoryAuditSink({chain: false});
+      await newClient(sink).assess([mobile]);
+      const [record] = await sink.read();
+      assert.strictEqual(record.hash, undefined);
+      assert.strictEqual(record.prevHash, undefined);
+    });
+
+    it('should report records that cannot be written', async () => {
+      const client = newClient({write: async () => {
+        throw new Error('disk full');
+      }});
+      const errors = [];
+      client.on('error', (error) => errors.push(error));
+
+      const r = await client.assess([mobile]);
+      assert.strictEqual(r.status, 'approved');
+      assert.strictEqual(errors[0].messageId, 'AUDIT_FAILED');
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const assert = require('assert');
+const Privacy = require('../../lib/privacy');
+const MockPrivacyServer = require('../../lib/mock/mockPrivacyServer');
+
+describe('Privacy', () => {
+  let server;
+  let tenantUrl;
+  let requests;
+
+  const axiosTransport = new Privacy.AxiosTransport();
+  const transport = {
+    request: async (request) => {
+      const body = JSON.parse(request.body);
+      requests.push(body);
+      if (body.items.some((item) => item.purposeId == 'unavailable')) {
+        return {status: 503, headers: {}, body: {
+          messageId: 'CSIBT0001E',
+          messageDescription: 'The service is unavailable.',
+        }};
+      }
+
+      if (body.items.some((item) => item.purposeId == 'rejected')) {
+        return {status: 400, headers: {}, body: {
+          messageId: 'CSIBT0004E',
+          messageDescription: 'The request is not valid.',
+        }};
+      }
+
+      return await axiosTransport.request(request);
+    },
+  };
+
+  before(async () => {
+    server = new MockPrivacyServer();
+    tenantUrl = await server.start();
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  const newClient = (context = {subjectId: 'jdoe'}, config = {}) =>
+    new Privacy({tenantUrl, transport, batch: true, ...config},
+        {accessToken: 'mock-privileged-token'}, context);
+
+  const email = {purposeId: 'marketing', attributeId: 'email'};
+  const mobile = {purposeId: 'marketing', attributeId: 'mobile_number'};
+  const invalid = {purposeId: 'unknown'};
+
+  describe('#batch', () => {
+    it('should send concurrent calls in one request', async () => {
+      const client = newClient();
+      const results = await Promise.all([
+        client.assess([email]),
+        client.assess([mobile]),
+        client.assess([invalid, mobile]),
+      ]);
+
+      assert.strictEqual(requests.length, 1);
+      assert.strictEqual(requests[0].items.length, 4);
+      assert.deepStrictEqual(results.map((r) => r.status),
+          ['consent', 'approved', 'multistatus']);
+      assert.strictEqual(results[2].assessment[0].purposeId, 'unknown');
+      assert.strictEqual(results[2].assessment.length, 2);
+    });
+
+    it('should share identical requests', async () => {
+      const client = newClient();
+      const results = await Promise.all([
+        client.assess([email]),
+        client.assess([email]),
+      ]);
+
+      assert.strictEqual(requests.length, 1);
+      assert.strictEqual(requests[0].items.length, 1);
+      assert.deepStrictEqual(results[0], results[1]);
+      assert.notStrictEqual(results[0].assessment, results[1].assessment);
+    });
+
+    it('should not combine calls for different subjects', async () => {
+      const batch = {windowMs: 20};
+      const results = await Promise.all([
+        newClient({subjectId: 'jdoe'}, {batch}).assess([mobile]),
+        newClient({subjectId: 'asmith'}, {batch}).assess([mobile]),
+      ]);
+
+      assert.strictEqual(requests.length, 2);
+      assert.deepStrictEqual(results.map((r) => r.status),
+          ['approved', 'consent']);
+    });
+
+    it('should send a full batch before the window ends', async () => {
+      const client = newClient({subjectId: 'jdoe'}, {
+        batch: {windowMs: 60000, maxBatchSize: 2},
+      });
+      const results = await Promise.all([
+        client.assess([email]),
+        client.assess([mobile]),
+      ]);
+
+      assert.strictEqual(requests.length, 1);
+      assert.deepStrictEqual(results.map((r) => r.status),
+          ['consent', 'approved']);
+    });
+
+    it('should send calls separately if the batch is rejected', async () => {
+      const client = newClient();
+      const results = await Promise.all([
+        client.assess([email]),
+        client.assess([email, {purposeId: 'rejected'}]),
+      ]);
+
+      assert.strictEqual(requests.length, 3);
+      assert.strictEqual(results[0].status, 'consent');
+      assert.strictEqual(results[1].status, 'error');
+    });
+
+    it('should give each call its own copy of a batch error', async () => {
+      const client = newClient({subjectId: 'jdoe'}, {
+        throwOnError: true,
+        retry: {maxAttempts: 2, baseDelayMs: 0, jitter: false},
+      });
+      const unavailable = {purposeId: 'unavailable'};
+      const errors = await Promise.all([
+        client.assess([email, unavailable]).catch((e) => e),
+        client.assess([email, unavailable]).catch((e) => e),
+        client.assess([mobile]).catch((e) => e),
+      ]);
+
+      assert.strictEqual(requests.length, 2);
+      assert.ok(errors.every((e) =>
+        e instanceof Privacy.Errors.VerifyApiError));
+      assert.strictEqual(new Set(errors).size, 3);
+      assert.ok(errors.every((e) => e.retries == 1 &&
+          e.messageId == 'CSIBT0001E' && e.stack == errors[0].stack));
+
+      errors[0].retries = 5;
+      assert.strictEqual(errors[1].retries, 1);
+    });
+
+    it('should not batch calls with their own signal', async () => {
+      const client = newClient();
+      const signal = new AbortController().signal;
+      await Promise.all([
+        client.assess([email]),
+        client.assess([mobile], {signal}),
+      ]);
+
+      assert.strictEqual(requests.length, 2);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const assert = require('assert');
+const Privacy = require('../../lib/privacy');
+const MockPrivacyServer = require('../../lib/mock/mockPrivacyServer');
+
+describe('Privacy', () => {
+  let server;
+  let client;
+
+  before(async () => {
+    server = new MockPrivacyServer({
+      fixture: {...MockPrivacyServer.loadFixture(), consents: []},
+    });
+    const tenantUrl = await server.start();
+    client = new Privacy({tenantUrl}, {accessToken: 'mock-token'});
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  const Types = Privacy.ConsentTypes;
+  const DisplayTypes = Privacy.ConsentDisplayTypes;
+  const record = (attributeId, consentType, extra = {}) => ({
+    purposeId: 'newsletter',
+    attributeId,
+    attributeName: `${attributeId}_name`,
+    accessTypeId: 'default',
+    attributeValue: null,
+    consentType,
+    ...extra,
+  });
+
+  describe('#buildConsents', () => {
+    it('should build consents for the metadata from Verify', async () => {
+      const metadata = await client.getConsentMetadata([
+        {purposeId: 'marketing', attributeId: 'email'},
+        {purposeId: 'marketing', attributeId: 'mobile_number'},
+        {purposeId: 'defaultEULA'},
+      ]);
+      assert.strictEqual(metadata.status, 'done');
+
+      const consents = Privacy.buildConsents(metadata, [
+        {purposeId: 'marketing', attributeId: 'email', accepted: true},
+        {purposeId: 'marketing', attributeId: '11', accepted: false},
+        {purposeId: 'defaultEULA', accepted: true},
+      ], {startTime: 1600000000});
+
+      assert.deepStrictEqual(consents.map((c) => [c.purposeId,
+        c.attributeId, c.state]), [
+        ['defaultEULA', undefined, Types.ALLOW],
+        ['marketing', '3', Types.OPTIN],
+        ['marketing', '11', Types.OPTOUT],
+      ]);
+      assert.strictEqual(consents[1].endTime, 1600000000 + 365 * 86400);
+
+      const result = await client.storeConsents(consents);
+      assert.strictEqual(result.status, 'success');
+      assert.strictEqual(server.consents.length, 3);
+    });
+
+    it('should map each display type', () => {
+      const consents = Privacy.buildConsents([
+        record('1', DisplayTypes.DO_NOT_SHOW),
+        record('2', DisplayTypes.TRANSPARENT),
+        record('3', DisplayTypes.OPTIN_OR_OUT, {attributeValue: 'a@b.com'}),
+        record('4', DisplayTypes.ALLOW_OR_DENY),
+      ], [{purposeId: 'newsletter', accepted: true}]);
+
+      assert.deepStrictEqual(consents, [
+        {purposeId: 'newsletter', attributeId: '2', accessTypeId: 'default',
+          state: Types.TRANSPARENT, consentType: DisplayTypes.TRANSPARENT},
+        {purposeId: 'newsletter', attributeId: '3', accessTypeId: 'default',
+          attributeValue: 'a@b.com', state: Types.OPTIN,
+          consentType: DisplayTypes.OPTIN_OR_OUT},
+        {purposeId: 'newsletter', attributeId: '4', accessTypeId: 'default',
+          state: Types.ALLOW, consentType: DisplayTypes.ALLOW_OR_DENY},
+      ]);
+    });
+
+    it('should reject impossible choices', () => {
+      const records = [
+        record('2', DisplayTypes.TRANSPARENT),
+        record('3', DisplayTypes.OPTIN_OR_OUT),
+      ];
+
+      assert.throws(() => Privacy.buildConsents(records, [
+        {purposeId: 'newsletter', attributeId: '2_name', accepted: false},
+        {purposeId: 'newsletter', attributeId: '3', accepted: true},
+        {purposeId: 'newsletter', attributeId: '3', accepted: false},
+        {purposeId: 'newsletter', attributeId: '5', accepted: true},
+        {purposeId: 'newsletter', attributeId: '3', accepted: 'yes'},
+      ]), (error) => {
+        assert.ok(error instanceof Privacy.Errors.ValidationError);
+        assert.strictEqual(error.messageId, 'INVALID_CHOICE');
+        assert.deepStrictEqual(error.errors.map((e) => e.path), [
+          'choices[0].accepted',
+          'choices[2]',
+          'choices[3]',
+          'choices[4].accepted',
+        ]);
+        return true;
+      });
+    });
+
+    it('should reject input that is not metadata', () => {
+      assert.throws(() => Privacy.buildConsents({status: 'error'}, []),
+          Privacy.Errors.ValidationError);
+      assert.throws(() => Privacy.buildConsents([], {}),
+          Privacy.Errors.ValidationError);
+    });
+  });
+});
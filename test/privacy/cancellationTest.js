@@ -0,0 +1,133 @@
+const assert = require('assert');
+const Privacy = require('../../lib/privacy');
+const TestServer = require('../utils/server');
+
+describe('Privacy', () => {
+  let server;
+  let delayMs;
+  let statuses;
+
+  before(async () => {
+    server = await TestServer.start((req, res, body) => {
+      const status = (statuses.length) ? statuses.shift() : 200;
+      setTimeout(() => {
+        if (req.url == '/v1.0/privacy/consents') {
+          TestServer.json(res, status, {
+            messageId: 'CSIBT0070I',
+            results: [{result: 'success'}],
+          });
+        } else if (req.url.startsWith('/config/v1.0/privacy/consents')) {
+          TestServer.json(res, status, {consents: []});
+        } else {
+          TestServer.json(res, status, [{
+            purposeId: 'marketing',
+            result: [{approved: true}],
+          }]);
+        }
+      }, delayMs);
+    });
+  });
+
+  beforeEach(() => {
+    delayMs = 0;
+    statuses = [];
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  const items = [{purposeId: 'marketing'}];
+  const newClient = (config = {}) => new Privacy({
+    tenantUrl: server.url,
+    ...config,
+  }, {accessToken: 'token'}, {subjectId: 'user1'});
+
+  describe('#timeout', () => {
+    it('should time out using the global timeout', async () => {
+      delayMs = 200;
+      const result = await newClient({timeoutMs: 50}).assess(items);
+      assert.strictEqual(result.status, 'error');
+      assert.strictEqual(result.error.messageId, 'TIMEOUT');
+    });
+
+    it('should let the call override the global timeout', async () => {
+      delayMs = 100;
+      const client = newClient({timeoutMs: 20});
+      const result = await client.assess(items, {timeoutMs: 2000});
+      assert.strictEqual(result.status, 'approved');
+
+      const metadata = await newClient().getConsentMetadata(items,
+          {timeoutMs: 20});
+      assert.strictEqual(metadata.status, 'error');
+      assert.strictEqual(metadata.error.messageId, 'TIMEOUT');
+    });
+
+    it('should include retries in the timeout', async () => {
+      statuses.push(503, 503);
+      const client = newClient({retry: {baseDelayMs: 1000, jitter: false}});
+      const started = Date.now();
+      const result = await client.assess(items, {timeoutMs: 100});
+      assert.strictEqual(result.error.messageId, 'TIMEOUT');
+      assert.ok(Date.now() - started < 1000, 'Backoff was not interrupted');
+    });
+
+    it('should include getting the token in the timeout', async () => {
+      const client = new Privacy({tenantUrl: server.url, timeoutMs: 50}, {
+        tokenProvider: () => new Promise((resolve) =>
+          setTimeout(() => resolve('token'), 200)),
+      }, {subjectId: 'user1'});
+      const started = Date.now();
+      const result = await client.assess(items);
+      assert.strictEqual(result.error.messageId, 'TIMEOUT');
+      assert.ok(Date.now() - started < 200, 'Token wait was not interrupted');
+    });
+
+    it('should time out consent updates with an error', async () => {
+      delayMs = 200;
+      const result = await newClient().storeConsents([{
+        purposeId: 'marketing',
+        state: 3,
+      }], {timeoutMs: 20});
+      assert.strictEqual(result.status, 'error');
+      assert.strictEqual(result.error.messageId, 'TIMEOUT');
+    });
+  });
+
+  describe('#abort', () => {
+    it('should abort an in-flight call', async () => {
+      delayMs = 200;
+      const controller = new AbortController();
+      const promise = newClient().getUserConsents({
+        signal: controller.signal,
+      });
+      setTimeout(() => controller.abort(), 20);
+      const result = await promise;
+      assert.strictEqual(result.status, 'error');
+      assert.strictEqual(result.error.messageId, 'ABORTED');
+    });
+
+    it('should abort a call waiting for the token', async () => {
+      const controller = new AbortController();
+      const client = new Privacy({tenantUrl: server.url}, {
+        tokenProvider: () => new Promise((resolve) =>
+          setTimeout(() => resolve('token'), 200)),
+      }, {subjectId: 'user1'});
+      const promise = client.assess(items, {signal: controller.signal});
+      setTimeout(() => controller.abort(), 20);
+      const result = await promise;
+      assert.strictEqual(result.status, 'error');
+      assert.strictEqual(result.error.messageId, 'ABORTED');
+    });
+
+    it('should not send a call that is already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      const result = await newClient().assess(items, {
+        signal: controller.signal,
+      });
+      assert.strictEqual(result.status, 'error');
+      assert.strictEqual(result.error.messageId, 'ABORTED');
+    });
+  });
+});
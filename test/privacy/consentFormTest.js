@@ -0,0 +1,129 @@
+const assert = require('assert');
+const Privacy = require('../../lib/privacy');
+const MockPrivacyServer = require('../../lib/mock/mockPrivacyServer');
+
+describe('Privacy', () => {
+  let server;
+  let client;
+
+  before(async () => {
+    server = new MockPrivacyServer();
+    const tenantUrl = await server.start();
+    client = new Privacy({tenantUrl}, {accessToken: 'mock-token'});
+  });
+
+  beforeEach(() => {
+    server.reset();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  const items = [
+    {purposeId: 'marketing', attributeId: 'email'},
+    {purposeId: 'marketing', attributeId: 'mobile_number'},
+    {purposeId: 'profilemgmt', attributeId: 'given_name',
+      accessTypeId: 'write'},
+    {purposeId: 'defaultEULA'},
+  ];
+
+  const record = (extra) => ({
+    purposeId: 'newsletter',
+    purposeName: 'News & <offers>',
+    attributeId: '3',
+    attributeName: 'email',
+    accessTypeId: 'default',
+    attributeValue: null,
+    assentUIDefault: false,
+    consentType: Privacy.ConsentDisplayTypes.OPTIN_OR_OUT,
+    termsOfUseRef: null,
+    status: 'NONE',
+    ...extra,
+  });
+
+  describe('ConsentForm', () => {
+    it('should render the purposes of the metadata', async () => {
+      const metadata = await client.getConsentMetadata(items);
+      const html = new Privacy.ConsentForm().render(metadata);
+
+      const legends = html.match(/<legend>[^<]*<\/legend>/g);
+      assert.deepStrictEqual(legends, ['<legend>Terms of use</legend>',
+        '<legend>Marketing</legend>']);
+      assert.ok(html.includes('<a href="https://example.com/terms"'));
+      assert.ok(html.includes('name="consent:marketing/11/default/" ' +
+          'value="accept" checked>'));
+      assert.ok(!html.includes('consent:marketing/3/default/" ' +
+          'value="accept" checked'));
+      assert.ok(html.includes('> Allow</label>'));
+      assert.ok(!html.includes('profilemgmt'));
+    });
+
+    it('should store the submitted choices', async () => {
+      const metadata = await client.getConsentMetadata(items);
+      const form = new Privacy.ConsentForm();
+      const consents = form.parse(metadata,
+          'consent%3Amarketing%2F3%2Fdefault%2F=accept&' +
+          'consent%3AdefaultEULA%2F%2Fdefault%2F=decline');
+
+      assert.deepStrictEqual(consents.map((c) => [c.purposeId, c.state]), [
+        ['defaultEULA', Privacy.ConsentTypes.DENY],
+        ['marketing', Privacy.ConsentTypes.OPTIN],
+      ]);
+
+      const result = await client.storeConsents(consents);
+      assert.strictEqual(result.status, 'success');
+    });
+
+    it('should escape the metadata', () => {
+      const html = new Privacy.ConsentForm().render({eula: [], default: [
+        record({attributeValue: '"><script>'}),
+      ]});
+
+      assert.ok(html.includes('<legend>News &amp; &lt;offers&gt;</legend>'));
+      assert.ok(html.includes('email (&quot;&gt;&lt;script&gt;)'));
+      assert.ok(!html.includes('<script>'));
+    });
+
+    it('should use the labels and templates', () => {
+      const form = new Privacy.ConsentForm({
+        labels: {optIn: 'Oui'},
+        templates: {
+          purpose: ({purposeName, records}) =>
+            `<section>${Privacy.ConsentForm.escape(purposeName)}` +
+            `${records}</section>`,
+        },
+      });
+      const metadata = {eula: [], default: [
+        record({assentUIDefault: true}),
+        record({attributeId: '11', attributeName: 'mobile_number',
+          consentType: Privacy.ConsentDisplayTypes.TRANSPARENT}),
+      ]};
+
+      const html = form.render(metadata, {labels: {optOut: 'Non'}});
+      assert.ok(html.startsWith('<section>News &amp; &lt;offers&gt;'));
+      assert.ok(html.includes('value="accept" checked> Oui</label>'));
+      assert.ok(html.includes('> Non</label>'));
+      assert.ok(html.includes('<input type="hidden" ' +
+          'name="consent:newsletter/11/default/" value="accept">'));
+    });
+
+    it('should reject choices the record does not allow', () => {
+      const metadata = {eula: [], default: [record({
+        consentType: Privacy.ConsentDisplayTypes.TRANSPARENT,
+      })]};
+
+      assert.throws(() => new Privacy.ConsentForm().parse(metadata,
+          {'consent:newsletter/3/default/': 'decline'}), (error) => {
+        assert.ok(error instanceof Privacy.Errors.ValidationError);
+        assert.deepStrictEqual(error.errors.map((e) => e.path),
+            ['consent:newsletter/3/default/']);
+        return true;
+      });
+
+      assert.throws(() => new Privacy.ConsentForm().parse(metadata,
+          {'consent:newsletter/3/default/': 'maybe'}),
+      Privacy.Errors.ValidationError);
+    });
+  });
+});
@@ -32,7 +32,7 @@ describe('Privacy', () => {
         'attributeId': 'display_name',
         'accessTypeId': 'read',
         'state': 3,
-        'startTime': 1749508768,
+        'startTime': Math.floor(Date.now() / 1000) + 86400,
       },
       {
         // Opt out
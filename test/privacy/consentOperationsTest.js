@@ -0,0 +1,228 @@
+const assert = require('assert');
+const Privacy = require('../../lib/privacy');
+const MockPrivacyServer = require('../../lib/mock/mockPrivacyServer');
+
+describe('Privacy', () => {
+  let server;
+  let tenantUrl;
+  let client;
+
+  before(async () => {
+    server = new MockPrivacyServer();
+    tenantUrl = await server.start();
+    client = new Privacy({tenantUrl}, {accessToken: 'mock-token'});
+  });
+
+  beforeEach(() => {
+    server.reset();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  const seedConsentId = '9a4f2c1e-0b7d-4c55-8f0e-5d2b7c3a1e01';
+
+  describe('#revokeConsents', () => {
+    it('should remove a consent by record identifier', async () => {
+      const result = await client.revokeConsents([seedConsentId]);
+      assert.strictEqual(result.status, 'success');
+      assert.strictEqual(result.results.length, 1);
+      assert.strictEqual(server.consents.length, 0);
+    });
+
+    it('should remove all consents matching the target', async () => {
+      await client.storeConsents([
+        {purposeId: 'marketing', attributeId: 'email', state: 3},
+        {purposeId: 'profilemgmt', attributeId: 'given_name',
+          accessTypeId: 'read', state: 3},
+      ]);
+
+      const result = await client.revokeConsents([{purposeId: 'marketing'}]);
+      assert.strictEqual(result.status, 'success');
+      assert.strictEqual(result.results.length, 2);
+      assert.deepStrictEqual(server.consents.map((c) => c.purposeId),
+          ['profilemgmt']);
+    });
+
+    it('should report targets that do not match', async () => {
+      const result = await client.revokeConsents([
+        {purposeId: 'marketing', attributeId: '3'},
+        {purposeId: 'marketing', attributeId: '11'},
+      ]);
+
+      assert.strictEqual(result.status, 'fail');
+      assert.deepStrictEqual(result.results.map((r) => r.result),
+          ['failure', 'success']);
+      assert.strictEqual(server.consents.length, 0);
+    });
+
+    it('should not revoke the consents of every subject', async () => {
+      const privileged = (context) => new Privacy({tenantUrl},
+          {accessToken: 'mock-privileged-token'}, context);
+      await privileged({subjectId: 'asmith'}).storeConsents([
+        {purposeId: 'marketing', attributeId: 'email', state: 3},
+      ]);
+
+      let result = await privileged({}).revokeConsents([
+        {purposeId: 'marketing'},
+      ]);
+      assert.strictEqual(result.status, 'fail');
+      assert.strictEqual(result.results[0].result, 'failure');
+      assert.ok(result.results[0].error.includes('more than one subject'));
+      assert.strictEqual(server.consents.length, 2);
+
+      result = await privileged({subjectId: 'asmith'}).revokeConsents([
+        {purposeId: 'marketing'},
+      ]);
+      assert.strictEqual(result.status, 'success');
+      assert.deepStrictEqual(server.consents.map((c) => c.subjectId),
+          ['jdoe']);
+    });
+
+    it('should return an error for invalid input', async () => {
+      const result = await client.revokeConsents('marketing');
+      assert.strictEqual(result.status, 'error');
+      assert.strictEqual(result.error.messageId, 'INVALID_DATATYPE');
+    });
+  });
+
+  describe('#updateConsents', () => {
+    it('should change the end time and state', async () => {
+      const endTime = Math.floor(Date.now() / 1000) + 86400;
+      const result = await client.updateConsents([{
+        target: {purposeId: 'marketing', attributeId: '11',
+          accessTypeId: 'default'},
+        value: {endTime, state: 4},
+      }]);
+
+      assert.strictEqual(result.status, 'success');
+      assert.strictEqual(result.results.length, 2);
+      assert.strictEqual(server.consents[0].endTime, endTime);
+      assert.strictEqual(server.consents[0].state, 4);
+    });
+
+    it('should reject fields that cannot be changed', async () => {
+      const result = await client.updateConsents([{
+        target: seedConsentId,
+        value: {purposeId: 'profilemgmt'},
+      }]);
+
+      assert.strictEqual(result.status, 'error');
+      assert.strictEqual(result.error.messageId, 'INVALID_OPERATION');
+    });
+  });
+
+  describe('#applyConsentOperations', () => {
+    it('should apply mixed operations in order', async () => {
+      const result = await client.applyConsentOperations([
+        {op: 'add', value: {purposeId: 'marketing', attributeId: 'email',
+          state: 3}},
+        {op: 'replace', target: {id: seedConsentId}, value: {state: 4}},
+        {op: 'remove', target: {purposeId: 'profilemgmt'}},
+      ]);
+
+      assert.strictEqual(result.status, 'fail');
+      assert.deepStrictEqual(result.results.map((r) => r.result),
+          ['success', 'success', 'failure']);
+      assert.strictEqual(server.consents.length, 2);
+    });
+
+    it('should send more than 10 operations in batches', async () => {
+      const operations = [];
+      for (let i = 0; i < 12; i++) {
+        operations.push({op: 'add', value: {
+          purposeId: 'marketing', attributeId: 'email',
+          attributeValue: `user${i}@example.com`, state: 3,
+        }});
+      }
+
+      const result = await client.applyConsentOperations(operations);
+      assert.strictEqual(result.status, 'success');
+      assert.strictEqual(result.results.length, 12);
+      assert.strictEqual(server.consents.length, 13);
+    });
+
+    it('should find targets past the first page of consents', async () => {
+      const operations = [];
+      for (let i = 0; i < 105; i++) {
+        operations.push({op: 'add', value: {
+          purposeId: 'marketing', attributeId: 'email',
+          attributeValue: `user${i}@example.com`, state: 3,
+        }});
+      }
+      await client.applyConsentOperations(operations);
+
+      const transport = new Privacy.AxiosTransport();
+      const searches = [];
+      const paging = new Privacy({tenantUrl, transport: {
+        request: async (request) => {
+          if (request.method == 'GET') {
+            const params = new URL(request.url).searchParams;
+            assert.strictEqual(params.get('search'), 'purposeId="marketing"');
+            searches.push(params.get('offset'));
+          }
+
+          return await transport.request(request);
+        },
+      }}, {accessToken: 'mock-token'});
+      const result = await paging.revokeConsents([{purposeId: 'marketing',
+        attributeValue: 'user104@example.com'}]);
+      assert.strictEqual(result.status, 'success');
+      assert.deepStrictEqual(searches, ['0', '100']);
+      assert.strictEqual(server.consents.length, 105);
+    });
+
+    it('should report the operations applied before a failure', async () => {
+      const transport = new Privacy.AxiosTransport();
+      let patches = 0;
+      const audit = new Privacy.MemoryAuditSink();
+      const failing = new Privacy({
+        tenantUrl,
+        retry: false,
+        audit,
+        transport: {
+          request: async (request) => {
+            if (request.method == 'PATCH' && ++patches == 2) {
+              return {status: 500, headers: {}, body: {
+                messageId: 'CSIBT0001E', messageDescription: 'unavailable',
+              }};
+            }
+
+            return await transport.request(request);
+          },
+        },
+      }, {accessToken: 'mock-token'});
+      const operations = [];
+      for (let i = 0; i < 25; i++) {
+        operations.push({op: 'add', value: {
+          purposeId: 'marketing', attributeId: 'email',
+          attributeValue: `user${i}@example.com`, state: 3,
+        }});
+      }
+
+      const result = await failing.applyConsentOperations(operations);
+      assert.strictEqual(result.status, 'fail');
+      assert.strictEqual(result.applied, 10);
+      assert.strictEqual(result.error.messageId, 'CSIBT0001E');
+      assert.deepStrictEqual(result.results.map((r) => r.result), [
+        ...Array(10).fill('success'),
+        ...Array(10).fill('error'),
+        ...Array(5).fill('failure'),
+      ]);
+      assert.strictEqual(server.consents.length, 11);
+
+      const records = await audit.read();
+      assert.strictEqual(records.filter((r) => r.messageId != null).length,
+          10);
+      assert.deepStrictEqual(records.map((r) => r.result),
+          result.results.map((r) => r.result));
+    });
+
+    it('should return an error for an unknown operation', async () => {
+      const result = await client.applyConsentOperations([{op: 'move'}]);
+      assert.strictEqual(result.status, 'error');
+      assert.strictEqual(result.error.messageId, 'INVALID_OPERATION');
+    });
+  });
+});
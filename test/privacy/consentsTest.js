@@ -91,8 +91,13 @@ describe('Privacy', () => {
       const client = new Privacy(
           config, {...auth, accessToken: 'someinvalidtoken'}, context,
       );
-      const ret = await client.storeConsents([{}]);
-      assert.strictEqual(ret.status, 'deny');
+      const ret = await client.storeConsents([{
+        'purposeId': 'marketing',
+        'attributeId': 'mobile_number',
+        'state': 3,
+      }]);
+      assert.strictEqual(ret.status, 'error');
+      assert.strictEqual(ret.error.messageId, 'CSIAH0401E');
     });
     it(`should return failure when an internal user
      poses as an externalSubject`, async () => {
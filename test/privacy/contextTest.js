@@ -0,0 +1,66 @@
+const assert = require('assert');
+const Privacy = require('../../lib/privacy');
+const MockPrivacyServer = require('../../lib/mock/mockPrivacyServer');
+
+describe('Privacy', () => {
+  let server;
+  let client;
+  let context;
+
+  before(async () => {
+    server = new MockPrivacyServer();
+    const tenantUrl = await server.start();
+    context = Object.freeze({ipAddress: '1.2.3.4'});
+    client = new Privacy({tenantUrl, batch: true},
+        {accessToken: 'mock-privileged-token'}, context);
+  });
+
+  beforeEach(() => {
+    server.reset();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  const items = [{purposeId: 'marketing', attributeId: 'mobile_number'}];
+  const forSubject = (subjectId) => ({context: {subjectId}});
+
+  describe('#context', () => {
+    it('should apply the context override to each call', async () => {
+      const results = await Promise.all([
+        client.assess(items, forSubject('jdoe')),
+        client.assess(items, forSubject('asmith')),
+        client.getUserConsents(forSubject('jdoe')),
+        client.getUserConsents(forSubject('asmith')),
+      ]);
+
+      assert.deepStrictEqual(results.map((r) => r.status),
+          ['approved', 'consent', 'done', 'done']);
+      assert.strictEqual(results[2].consents.length, 1);
+      assert.strictEqual(results[3].consents.length, 0);
+    });
+
+    it('should not modify the client context or the input', async () => {
+      const consents = [{purposeId: 'marketing', attributeId: 'email',
+        state: 3}];
+      const result = await client.storeConsents(consents,
+          forSubject('asmith'));
+
+      assert.strictEqual(result.status, 'success');
+      assert.deepStrictEqual(consents, [{purposeId: 'marketing',
+        attributeId: 'email', state: 3}]);
+      assert.deepStrictEqual(context, {ipAddress: '1.2.3.4'});
+
+      const stored = server.consents.find((c) => c.attributeId == '3');
+      assert.strictEqual(stored.subjectId, 'asmith');
+      assert.strictEqual(stored.geoIP, '1.2.3.4');
+    });
+
+    it('should fall back to the client context', async () => {
+      const result = await client.assess(items);
+      assert.strictEqual(result.status, 'error');
+      assert.strictEqual(result.error.messageId, 'CSIBT0004E');
+    });
+  });
+});
@@ -0,0 +1,162 @@
+const assert = require('assert');
+const Privacy = require('../../lib/privacy');
+const RetryPolicy = require('../../lib/services/retryPolicy');
+const TestServer = require('../utils/server');
+const {
+  PrivacyError, VerifyApiError, ValidationError, AuthenticationError,
+  AuthorizationError, RateLimitError, NetworkError,
+} = Privacy.Errors;
+
+describe('Privacy', () => {
+  let server;
+  let response;
+
+  before(async () => {
+    server = await TestServer.start((req, res, body) => {
+      TestServer.json(res, response.status, response.body, response.headers);
+    });
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  const items = [{purposeId: 'marketing'}];
+  const newClient = (tenantUrl, config = {}) => new Privacy({
+    tenantUrl,
+    retry: false,
+    ...config,
+  }, {accessToken: 'token'}, {subjectId: 'user1'});
+
+  const fail = (status, messageId, headers) => {
+    response = {
+      status,
+      body: {messageId, messageDescription: `Failed with ${status}`},
+      headers,
+    };
+  };
+
+  describe('#errorResult', () => {
+    it('should return the same error shape for a network error', async () => {
+      const closed = await TestServer.start(() => {});
+      await closed.close();
+      const client = newClient(closed.url);
+
+      const results = [
+        await client.assess(items),
+        await client.getConsentMetadata(items),
+        await client.getUserConsents(),
+        await client.storeConsents([{purposeId: 'marketing', state: 3}]),
+      ];
+      for (const result of results) {
+        assert.strictEqual(result.status, 'error');
+        assert.strictEqual(result.error.messageId, 'NETWORK_ERROR');
+        assert.ok(result.error.messageDescription);
+      }
+    });
+
+    it('should return the Verify error details', async () => {
+      fail(400, 'CSIBT0004E');
+      const client = newClient(server.url);
+
+      const results = [
+        await client.assess(items),
+        await client.getConsentMetadata(items),
+        await client.getUserConsents(),
+        await client.storeConsents([{purposeId: 'marketing', state: 3}]),
+      ];
+      for (const result of results) {
+        assert.deepStrictEqual(result, {
+          status: 'error',
+          error: {
+            messageId: 'CSIBT0004E',
+            messageDescription: 'Failed with 400',
+            httpStatus: 400,
+          },
+        });
+      }
+    });
+  });
+
+  describe('#throwOnError', () => {
+    const expectThrow = async (promise, errorClass, httpStatus) => {
+      try {
+        await promise;
+        assert.fail(`should throw ${errorClass.name}`);
+      } catch (error) {
+        assert.ok(error instanceof errorClass,
+            `Unexpected error: ${error.name}`);
+        assert.ok(error instanceof PrivacyError);
+        assert.strictEqual(error.httpStatus, httpStatus);
+        return error;
+      }
+    };
+
+    it('should throw typed errors for HTTP status codes', async () => {
+      const client = newClient(server.url, {throwOnError: true});
+
+      fail(400, 'CSIBT0004E');
+      const error = await expectThrow(client.assess(items), ValidationError,
+          400);
+      assert.strictEqual(error.messageId, 'CSIBT0004E');
+
+      fail(401, 'CSIAH0401E');
+      await expectThrow(client.getConsentMetadata(items),
+          AuthenticationError, 401);
+
+      fail(403, 'CSIAH0403E');
+      await expectThrow(client.getUserConsents(), AuthorizationError, 403);
+
+      fail(429, 'CSIAQ0429E', {'Retry-After': '3'});
+      const rateLimited = await expectThrow(client.storeConsents([{
+        purposeId: 'marketing', state: 3,
+      }]), RateLimitError, 429);
+      assert.strictEqual(rateLimited.retryAfterMs, 3000);
+
+      const retryAt = new Date(Date.now() + 120000).toUTCString();
+      fail(429, 'CSIAQ0429E', {'Retry-After': retryAt});
+      const dated = await expectThrow(client.storeConsents([{
+        purposeId: 'marketing', state: 3,
+      }]), RateLimitError, 429);
+      assert.ok(dated.retryAfterMs > 100000 && dated.retryAfterMs <= 120000);
+      assert.ok(new RetryPolicy().getDelay(1, {
+        status: 429, headers: {'retry-after': retryAt},
+      }) > 100000);
+
+      fail(500, 'CSIBT0500E');
+      await expectThrow(client.assess(items), VerifyApiError, 500);
+    });
+
+    it('should throw a network error', async () => {
+      const closed = await TestServer.start(() => {});
+      await closed.close();
+      const client = newClient(closed.url, {throwOnError: true});
+
+      const error = await expectThrow(client.assess(items), NetworkError,
+          undefined);
+      assert.strictEqual(error.code, 'ECONNREFUSED');
+    });
+
+    it('should throw for invalid input', async () => {
+      const client = newClient(server.url, {throwOnError: true});
+      const error = await expectThrow(client.storeConsents({}),
+          ValidationError, null);
+      assert.strictEqual(error.messageId, 'INVALID_DATATYPE');
+    });
+
+    it('should still return partial consent failures', async () => {
+      response = {
+        status: 207,
+        body: {
+          messageId: 'CSIBT0071W',
+          results: [{result: 'failure', error: 'invalid purpose'}],
+        },
+      };
+      const client = newClient(server.url, {throwOnError: true});
+      const result = await client.storeConsents([{
+        purposeId: 'marketing', state: 3,
+      }]);
+      assert.strictEqual(result.status, 'fail');
+    });
+  });
+});
@@ -0,0 +1,163 @@
+const assert = require('assert');
+const Privacy = require('../../lib/privacy');
+const MockPrivacyServer = require('../../lib/mock/mockPrivacyServer');
+
+describe('Privacy', () => {
+  let server;
+  let tenantUrl;
+  let unavailable;
+
+  const axiosTransport = new Privacy.AxiosTransport();
+  const transport = {
+    request: async (request) => {
+      if (unavailable > 0) {
+        unavailable--;
+        return {status: 503, headers: {}, body: {}};
+      }
+
+      return await axiosTransport.request(request);
+    },
+  };
+
+  before(async () => {
+    server = new MockPrivacyServer();
+    tenantUrl = await server.start();
+  });
+
+  beforeEach(() => {
+    unavailable = 0;
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  const newClient = (config = {}) => new Privacy({
+    tenantUrl,
+    transport,
+    retry: {baseDelayMs: 1},
+    ...config,
+  }, {accessToken: 'mock-privileged-token'}, {subjectId: 'jdoe'});
+
+  /**
+   * Record the events emitted by the client.
+   * @param {Privacy} client The client
+   * @return {Object[]} The events, each with a <code>name</code> and the
+   * listener <code>args</code>
+   */
+  function record(client) {
+    const events = [];
+    for (const name of ['request', 'response', 'retry', 'decision',
+      'consentStored', 'error']) {
+      client.on(name, (...args) => events.push({name, args}));
+    }
+
+    return events;
+  }
+
+  const email = {purposeId: 'marketing', attributeId: 'email'};
+  const mobile = {purposeId: 'marketing', attributeId: 'mobile_number'};
+
+  describe('#events', () => {
+    it('should emit request and response events', async () => {
+      const client = newClient();
+      const events = record(client);
+      await client.assess([{...mobile, attributeValue: '555-0100'}]);
+
+      const [request, response] = events;
+      assert.strictEqual(request.name, 'request');
+      assert.strictEqual(request.args[0].method, 'POST');
+      assert.strictEqual(request.args[0].url,
+          `${tenantUrl}/v1.0/privacy/data-usage-approval`);
+      assert.strictEqual(request.args[0].attempt, 1);
+      assert.strictEqual(request.args[0].body.subjectId, '****');
+      assert.strictEqual(request.args[0].body.items[0].attributeValue,
+          '****');
+      assert.strictEqual(request.args[0].body.items[0].purposeId,
+          'marketing');
+
+      assert.strictEqual(response.name, 'response');
+      assert.strictEqual(response.args[0].status, 200);
+      assert.ok(response.args[0].durationMs >= 0);
+      assert.strictEqual(response.args[0].body[0].attributeValue, '****');
+    });
+
+    it('should emit a decision event per decision', async () => {
+      const client = newClient();
+      const events = record(client);
+      await client.assess([email, mobile]);
+
+      const decisions = events.filter((e) => e.name == 'decision')
+          .map((e) => e.args[0]);
+      assert.deepStrictEqual(decisions.map((d) =>
+        [d.attributeId, d.approved, d.requiresConsent]), [
+        ['email', false, true],
+        ['mobile_number', true, false],
+      ]);
+      assert.strictEqual(decisions[0].purposeId, 'marketing');
+      assert.strictEqual(decisions[0].reason.messageId,
+          MockPrivacyServer.MessageIds.CONSENT_REQUIRED);
+      assert.ok(decisions[0].durationMs >= 0);
+    });
+
+    it('should emit retry events', async () => {
+      unavailable = 2;
+      const client = newClient();
+      const events = record(client);
+      const r = await client.assess([mobile]);
+      assert.strictEqual(r.status, 'approved');
+
+      assert.deepStrictEqual(events.map((e) => e.name), ['request',
+        'response', 'retry', 'request', 'response', 'retry', 'request',
+        'response', 'decision']);
+      const retry = events[2].args[0];
+      assert.strictEqual(retry.attempt, 1);
+      assert.strictEqual(retry.status, 503);
+      assert.ok(retry.delayMs >= 0);
+      assert.strictEqual(events[6].args[0].attempt, 3);
+    });
+
+    it('should emit a consentStored event per result', async () => {
+      const client = newClient();
+      const events = record(client);
+      await client.storeConsents([{
+        purposeId: 'marketing',
+        attributeId: 'email',
+        attributeValue: 'jdoe@example.com',
+        state: Privacy.ConsentTypes.OPTIN,
+      }]);
+      await client.revokeConsents(['not-a-consent']);
+
+      const stored = events.filter((e) => e.name == 'consentStored')
+          .map((e) => e.args[0]);
+      assert.strictEqual(stored.length, 2);
+      assert.strictEqual(stored[0].operation, 'storeConsents');
+      assert.strictEqual(stored[0].result, 'success');
+      assert.strictEqual(stored[0].value.attributeValue, '****');
+      assert.strictEqual(stored[1].operation, 'applyConsentOperations');
+      assert.strictEqual(stored[1].result, 'failure');
+      assert.ok(stored[1].error);
+    });
+
+    it('should emit error events if there are listeners', async () => {
+      const client = newClient();
+      const r = await client.assess([{}]);
+      assert.strictEqual(r.status, 'error');
+
+      const events = record(client);
+      await client.assess([{}]);
+      const error = events.find((e) => e.name == 'error');
+      assert.ok(error.args[0] instanceof Privacy.Errors.ValidationError);
+      assert.strictEqual(error.args[1].operation, 'assess');
+    });
+
+    it('should ignore listener errors', async () => {
+      const client = newClient();
+      client.on('response', () => {
+        throw new Error('listener failed');
+      });
+      const r = await client.assess([mobile]);
+      assert.strictEqual(r.status, 'approved');
+    });
+  });
+});
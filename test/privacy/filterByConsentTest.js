@@ -0,0 +1,133 @@
+const assert = require('assert');
+const Privacy = require('../../lib/privacy');
+const MockPrivacyServer = require('../../lib/mock/mockPrivacyServer');
+
+describe('Privacy', () => {
+  let tenant;
+  let client;
+
+  const profile = {
+    id: 'jdoe',
+    name: {givenName: 'Jane', familyName: 'Doe'},
+    emails: [
+      {type: 'work', value: 'jane@example.com'},
+      {type: 'home', value: 'jane@example.org'},
+    ],
+    phoneNumbers: [{type: 'mobile', value: '555-0100'}],
+  };
+
+  const mapping = {
+    'emails[*].value': {purposeId: 'marketing', attributeId: 'email'},
+    'phoneNumbers[0].value': {
+      purposeId: 'marketing',
+      attributeId: 'mobile_number',
+    },
+  };
+
+  before(async () => {
+    tenant = new MockPrivacyServer();
+    const tenantUrl = await tenant.start();
+    client = new Privacy({tenantUrl},
+        {accessToken: 'mock-privileged-token'});
+  });
+
+  after(async () => {
+    await tenant.stop();
+  });
+
+  describe('#filterByConsent', () => {
+    it('should remove fields that are not approved', async () => {
+      const r = await client.filterByConsent(profile, mapping,
+          {context: {subjectId: 'jdoe'}});
+      assert.strictEqual(r.status, 'done');
+      assert.deepStrictEqual(r.object.emails, [
+        {type: 'work'},
+        {type: 'home'},
+      ]);
+      assert.strictEqual(r.object.phoneNumbers[0].value, '555-0100');
+      assert.deepStrictEqual(r.object.name, profile.name);
+      assert.strictEqual(profile.emails[0].value, 'jane@example.com');
+
+      assert.deepStrictEqual(r.redacted.map((f) => f.path),
+          ['emails[0].value', 'emails[1].value']);
+      assert.strictEqual(r.redacted[0].action, 'removed');
+      assert.strictEqual(r.redacted[0].purposeId, 'marketing');
+      assert.strictEqual(r.redacted[0].attributeId, 'email');
+      assert.strictEqual(r.redacted[0].requiresConsent, true);
+      assert.strictEqual(r.redacted[0].reason.messageId,
+          MockPrivacyServer.MessageIds.CONSENT_REQUIRED);
+      assert.strictEqual(r.assessment.length, 2);
+    });
+
+    it('should remove array elements', async () => {
+      const r = await client.filterByConsent(profile, {
+        'emails[*]': {purposeId: 'marketing', attributeId: 'email'},
+        'phoneNumbers[*]': {
+          purposeId: 'marketing',
+          attributeId: 'mobile_number',
+        },
+      }, {context: {subjectId: 'asmith'}});
+      assert.strictEqual(r.status, 'done');
+      assert.deepStrictEqual(r.object.emails, []);
+      assert.deepStrictEqual(r.object.phoneNumbers, []);
+      assert.strictEqual(r.redacted.length, 3);
+    });
+
+    it('should mask fields if requested', async () => {
+      const r = await client.filterByConsent(profile, mapping, {
+        context: {subjectId: 'asmith'},
+        mask: (value, path) => `${path}:${value.length}`,
+      });
+      assert.strictEqual(r.status, 'done');
+      assert.strictEqual(r.object.emails[1].value, 'emails[1].value:16');
+      assert.strictEqual(r.object.phoneNumbers[0].value,
+          'phoneNumbers[0].value:8');
+      assert.ok(r.redacted.every((f) => f.action == 'masked'));
+    });
+
+    it('should report denied fields', async () => {
+      const r = await client.filterByConsent(profile, {
+        'id': {purposeId: 'unknown'},
+        'nickName': {purposeId: 'unknown'},
+      }, {context: {subjectId: 'jdoe'}, mask: '***'});
+      assert.strictEqual(r.status, 'done');
+      assert.strictEqual(r.object.id, '***');
+      assert.strictEqual(r.object.nickName, undefined);
+      assert.strictEqual(r.redacted.length, 1);
+      assert.strictEqual(r.redacted[0].requiresConsent, false);
+      assert.strictEqual(r.redacted[0].category, 'misconfigured');
+      assert.strictEqual(r.redacted[0].reason.messageId,
+          MockPrivacyServer.MessageIds.INVALID_PURPOSE);
+    });
+
+    it('should not call Verify if no mapped field is set', async () => {
+      const r = await client.filterByConsent({id: 'jdoe'}, mapping);
+      assert.strictEqual(r.status, 'done');
+      assert.deepStrictEqual(r.object, {id: 'jdoe'});
+      assert.deepStrictEqual(r.redacted, []);
+    });
+
+    it('should reject an invalid mapping', async () => {
+      const r = await client.filterByConsent(profile, {
+        'emails': {attributeId: 'email'},
+      });
+      assert.strictEqual(r.status, 'error');
+      assert.strictEqual(r.error.messageId, 'INVALID_INPUT');
+      assert.strictEqual(r.error.errors[0].path,
+          'mapping["emails"].purposeId');
+    });
+
+    it('should reject an object that is not an object', async () => {
+      const r = await client.filterByConsent('jdoe', mapping);
+      assert.strictEqual(r.status, 'error');
+      assert.strictEqual(r.error.messageId, 'INVALID_DATATYPE');
+    });
+
+    it('should return assessment errors', async () => {
+      const r = await client.filterByConsent(profile, mapping,
+          {context: {subjectId: 'nobody'}});
+      assert.strictEqual(r.status, 'error');
+      assert.strictEqual(r.object, undefined);
+    });
+  });
+});
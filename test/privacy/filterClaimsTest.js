@@ -0,0 +1,111 @@
+const assert = require('assert');
+const Privacy = require('../../lib/privacy');
+const MockPrivacyServer = require('../../lib/mock/mockPrivacyServer');
+
+describe('Privacy', () => {
+  let tenant;
+  let client;
+
+  const claims = {
+    sub: 'asmith',
+    iss: 'https://abc.verify.ibm.com/oidc/endpoint/default',
+    email: 'anna@example.com',
+    phone_number: '555-0100',
+    emails: ['anna@example.com', 'anna@example.org'],
+  };
+
+  const mapping = {
+    email: 'email',
+    phone_number: {attributeId: 'mobile_number', accessTypeId: 'default'},
+    emails: 'email',
+  };
+
+  const options = {context: {subjectId: 'asmith'}};
+
+  before(async () => {
+    tenant = new MockPrivacyServer();
+    const tenantUrl = await tenant.start();
+    client = new Privacy({tenantUrl},
+        {accessToken: 'mock-privileged-token'});
+
+    const r = await client.storeConsents([{
+      purposeId: 'marketing',
+      attributeId: 'email',
+      accessTypeId: 'default',
+      attributeValue: 'anna@example.com',
+      state: Privacy.ConsentTypes.OPTIN,
+    }], options);
+    assert.strictEqual(r.status, 'success');
+  });
+
+  after(async () => {
+    await tenant.stop();
+  });
+
+  describe('#filterClaims', () => {
+    it('should release approved values of multi-valued claims', async () => {
+      const r = await client.filterClaims(claims, mapping, 'marketing',
+          options);
+      assert.strictEqual(r.status, 'done');
+      assert.deepStrictEqual(r.claims, {
+        sub: 'asmith',
+        iss: claims.iss,
+        emails: ['anna@example.com'],
+      });
+      assert.strictEqual(claims.emails.length, 2);
+    });
+
+    it('should assess empty values without an attribute value', async () => {
+      const r = await client.filterClaims({emails: ['anna@example.com', '']},
+          {emails: 'email'}, 'marketing', options);
+      assert.strictEqual(r.status, 'done');
+      assert.deepStrictEqual(r.claims, {emails: ['anna@example.com']});
+      assert.deepStrictEqual(r.consentRequired.map((e) => e.attributeValue),
+          [undefined]);
+    });
+
+    it('should list the claims that require consent', async () => {
+      const r = await client.filterClaims(claims, mapping, 'marketing',
+          options);
+      assert.deepStrictEqual(r.consentRequired.map((c) =>
+        [c.claim, c.attributeId, c.attributeValue]), [
+        ['email', 'email', undefined],
+        ['phone_number', 'mobile_number', undefined],
+        ['emails', 'email', 'anna@example.org'],
+      ]);
+      assert.strictEqual(r.consentRequired[0].reason.messageId,
+          MockPrivacyServer.MessageIds.CONSENT_REQUIRED);
+      assert.deepStrictEqual(r.denied, []);
+
+      const metadata = await client.getConsentMetadata(r.consentRequired,
+          options);
+      assert.strictEqual(metadata.status, 'done');
+      assert.ok(metadata.metadata.default.length > 0);
+    });
+
+    it('should withhold denied claims', async () => {
+      const r = await client.filterClaims(claims, {email: 'email'},
+          'unknown', options);
+      assert.strictEqual(r.status, 'done');
+      assert.strictEqual(r.claims.email, undefined);
+      assert.deepStrictEqual(r.consentRequired, []);
+      assert.strictEqual(r.denied[0].claim, 'email');
+      assert.strictEqual(r.denied[0].reason.messageId,
+          MockPrivacyServer.MessageIds.INVALID_PURPOSE);
+    });
+
+    it('should not call Verify if no mapped claim is set', async () => {
+      const r = await client.filterClaims({sub: 'asmith'}, mapping,
+          'marketing', options);
+      assert.strictEqual(r.status, 'done');
+      assert.deepStrictEqual(r.claims, {sub: 'asmith'});
+    });
+
+    it('should reject an invalid mapping', async () => {
+      const r = await client.filterClaims(claims, {email: {}}, null);
+      assert.strictEqual(r.status, 'error');
+      assert.deepStrictEqual(r.error.errors.map((e) => e.path),
+          ['purposeId', 'mapping["email"].attributeId']);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const assert = require('assert');
+const createDebug = require('debug');
+const util = require('util');
+const Privacy = require('../../lib/privacy');
+const MockPrivacyServer = require('../../lib/mock/mockPrivacyServer');
+
+describe('Privacy', () => {
+  let server;
+  let tenantUrl;
+  let lines;
+  let log;
+  let namespaces;
+
+  before(async () => {
+    server = new MockPrivacyServer();
+    tenantUrl = await server.start();
+  });
+
+  beforeEach(() => {
+    lines = [];
+    log = createDebug.log;
+    createDebug.log = (...args) => lines.push(util.format(...args));
+    namespaces = createDebug.disable();
+    createDebug.enable('verify:privacy,verify:service,verify:dpcmService');
+  });
+
+  afterEach(() => {
+    createDebug.log = log;
+    createDebug.disable();
+    if (namespaces) {
+      createDebug.enable(namespaces);
+    }
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  const newClient = (config) => new Privacy({tenantUrl, ...config},
+      {accessToken: 'mock-privileged-token'},
+      {subjectId: 'jdoe', ipAddress: '203.0.113.7'});
+
+  const email = {purposeId: 'marketing', attributeId: 'email',
+    attributeValue: 'jdoe@example.com'};
+
+  describe('#redaction', () => {
+    it('should not log personal data by default', async () => {
+      const client = newClient({});
+      await client.assess([email]);
+      await client.getUserConsents({purposeId: 'marketing'});
+      await client.getConsentMetadata([{purposeId: 'marketing'}]);
+      await client.storeConsents([{...email,
+        state: Privacy.ConsentTypes.OPTIN}]);
+
+      const logged = lines.join('\n');
+      assert.ok(lines.length > 0);
+      assert.ok(logged.includes('****'));
+      for (const value of ['jdoe', '203.0.113.7', 'mock-privileged-token']) {
+        assert.ok(!logged.includes(value), value);
+      }
+    });
+
+    it('should not log personal data when batching or caching', async () => {
+      createDebug.enable('verify:*');
+      const client = newClient({batch: true, cache: true});
+      await Promise.all([client.assess([email]), client.assess([email])]);
+      await client.getConsentMetadata([email]);
+      await client.storeConsents([{...email,
+        state: Privacy.ConsentTypes.OPTIN}]);
+
+      const logged = lines.join('\n');
+      assert.ok(logged.includes('sharing request'));
+      assert.ok(logged.includes('purposeIds'));
+      for (const value of ['jdoe', '203.0.113.7', 'mock-privileged-token']) {
+        assert.ok(!logged.includes(value), value);
+      }
+    });
+
+    it('should hash personal data with the hash profile', async () => {
+      const client = newClient({redaction: {profile: 'hash', salt: 'pepper'}});
+      const events = [];
+      client.on('request', (e) => events.push(e));
+      await client.assess([email]);
+
+      const subjectId = events[0].body.subjectId;
+      assert.ok(/^sha256:/.test(subjectId));
+      assert.ok(lines.join('\n').includes(subjectId));
+      assert.ok(!lines.join('\n').includes('jdoe'));
+    });
+
+    it('should reject unsupported profiles', () => {
+      assert.throws(() => newClient({redaction: 'none'}),
+          Privacy.Errors.ConfigurationError);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+const assert = require('assert');
+const Privacy = require('../../lib/privacy');
+const MockPrivacyServer = require('../../lib/mock/mockPrivacyServer');
+
+describe('PrivacyRegistry', () => {
+  let acme;
+  let globex;
+  let requests;
+
+  const axiosTransport = new Privacy.AxiosTransport();
+  const transport = {
+    request: async (request) => {
+      requests.push(request);
+      return await axiosTransport.request(request);
+    },
+  };
+
+  before(async () => {
+    acme = new MockPrivacyServer();
+    globex = new MockPrivacyServer({
+      fixture: {...MockPrivacyServer.loadFixture(), consents: []},
+    });
+    await acme.start();
+    await globex.start();
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  after(async () => {
+    await acme.stop();
+    await globex.stop();
+  });
+
+  const newRegistry = () => new Privacy.PrivacyRegistry({
+    transport,
+    cache: true,
+    defaults: {retry: false},
+    tenants: {
+      acme: {
+        tenantUrl: acme.url,
+        auth: {clientId: 'mock-client', clientSecret: 'mock-secret'},
+      },
+      globex: {
+        tenantUrl: globex.url,
+        auth: {accessToken: 'mock-token'},
+        throwOnError: true,
+      },
+    },
+  });
+
+  const items = [{purposeId: 'marketing', attributeId: 'mobile_number'}];
+
+  it('should return the client for each tenant', async () => {
+    const registry = newRegistry();
+    assert.deepStrictEqual(registry.keys, ['acme', 'globex']);
+
+    const results = await Promise.all([
+      registry.get('acme').assess(items),
+      registry.get('globex').assess(items),
+    ]);
+
+    assert.deepStrictEqual(results.map((r) => r.status),
+        ['approved', 'consent']);
+    assert.ok(requests.some((r) => r.url.startsWith(acme.url)));
+    assert.ok(requests.some((r) => r.url.startsWith(globex.url)));
+  });
+
+  it('should keep cached metadata separate per tenant', async () => {
+    const registry = newRegistry();
+    registry.add('acme-copy', {
+      tenantUrl: acme.url,
+      auth: {accessToken: 'mock-token'},
+      context: {subjectId: 'jdoe'},
+    });
+
+    const options = {context: {subjectId: 'jdoe'}};
+    for (let i = 0; i < 2; i++) {
+      await registry.get('acme').getConsentMetadata(items, options);
+      await registry.get('acme-copy').getConsentMetadata(items);
+    }
+
+    const presentations = requests.filter((r) =>
+      r.url.endsWith('/data-subject-presentation'));
+    assert.strictEqual(presentations.length, 2);
+  });
+
+  it('should apply tenant overrides to the defaults', async () => {
+    const registry = newRegistry();
+    await assert.rejects(registry.get('globex').assess([1]),
+        Privacy.Errors.ValidationError);
+    const result = await registry.get('acme').assess([1]);
+    assert.strictEqual(result.status, 'error');
+  });
+
+  it('should add and remove tenants at runtime', async () => {
+    const registry = newRegistry();
+    assert.ok(await registry.remove('globex'));
+    assert.ok(!registry.has('globex'));
+    assert.ok(!(await registry.remove('globex')));
+    assert.throws(() => registry.get('globex'),
+        Privacy.Errors.ConfigurationError);
+
+    registry.add('globex', {tenantUrl: globex.url,
+      auth: {accessToken: 'mock-token'}});
+    const result = await registry.get('globex').assess(items);
+    assert.strictEqual(result.status, 'consent');
+  });
+
+  it('should reject duplicate and invalid tenants', () => {
+    const registry = newRegistry();
+    assert.throws(() => registry.add('acme', {tenantUrl: acme.url,
+      auth: {accessToken: 'mock-token'}}), Privacy.Errors.ConfigurationError);
+    assert.throws(() => registry.add('initech', {tenantUrl: acme.url}),
+        Privacy.Errors.ConfigurationError);
+  });
+});
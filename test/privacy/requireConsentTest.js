@@ -0,0 +1,127 @@
+const assert = require('assert');
+const http = require('http');
+const Privacy = require('../../lib/privacy');
+const MockPrivacyServer = require('../../lib/mock/mockPrivacyServer');
+
+describe('Privacy', () => {
+  let tenant;
+  let client;
+  let app;
+  let appUrl;
+  let handled;
+  let routes;
+
+  const mobile = {purposeId: 'marketing', attributeId: 'mobile_number'};
+
+  before(async () => {
+    tenant = new MockPrivacyServer();
+    const tenantUrl = await tenant.start();
+    client = new Privacy({tenantUrl},
+        {accessToken: 'mock-privileged-token'});
+
+    routes = {
+      '/phone': ['phone', Privacy.requireConsent(mobile, {
+        client: () => client,
+        consentUrl: (req, result) => `/consent?purposeId=` +
+            result.assessment[0].purposeId,
+      })],
+      '/phone-api': ['phone-api', Privacy.requireConsent([mobile], {
+        client,
+        subject: (req) => req.headers['x-user'],
+        property: 'assessment',
+      })],
+      '/unknown': ['unknown', Privacy.requireConsent(
+          () => ({purposeId: 'unknown'}), {client})],
+      '/invalid': ['invalid', Privacy.requireConsent({}, {client})],
+      '/broken': ['broken', Privacy.requireConsent(mobile, {
+        client,
+        consentUrl: async () => {
+          throw new Error('no consent page');
+        },
+      })],
+    };
+
+    app = http.createServer((req, res) => {
+      const [route, middleware] = routes[req.url];
+      req.user = {id: req.headers['x-user']};
+      middleware(req, res, (error) => {
+        handled = {req, error};
+        res.statusCode = (error) ? 500 : 200;
+        res.end(route);
+      });
+    });
+    await new Promise((resolve) => app.listen(0, '127.0.0.1', resolve));
+    appUrl = `http://127.0.0.1:${app.address().port}`;
+  });
+
+  beforeEach(() => {
+    handled = null;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => app.close(resolve));
+    await tenant.stop();
+  });
+
+
+  const get = (path, user) => new Promise((resolve, reject) => {
+    http.get(`${appUrl}${path}`, {headers: {'x-user': user}}, (res) => {
+      let body = '';
+      res.on('data', (chunk) => body += chunk);
+      res.on('end', () => resolve({res, body}));
+    }).on('error', reject);
+  });
+
+  describe('#requireConsent', () => {
+    it('should continue if the items are approved', async () => {
+      const {res, body} = await get('/phone', 'jdoe');
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(body, 'phone');
+      assert.strictEqual(handled.req.privacy.status, 'approved');
+    });
+
+    it('should redirect if consent is required', async () => {
+      const {res} = await get('/phone', 'asmith');
+      assert.strictEqual(res.statusCode, 302);
+      assert.strictEqual(res.headers.location, '/consent?purposeId=marketing');
+      assert.strictEqual(handled, null);
+    });
+
+    it('should respond with a 403 without a consent URL', async () => {
+      const {res, body} = await get('/phone-api', 'asmith');
+      assert.strictEqual(res.statusCode, 403);
+      assert.strictEqual(res.headers['content-type'], 'application/json');
+
+      const json = JSON.parse(body);
+      assert.strictEqual(json.status, 'consent');
+      assert.strictEqual(json.error.messageId, 'CONSENT_REQUIRED');
+      assert.strictEqual(json.assessment[0].purposeId, 'marketing');
+    });
+
+    it('should respond with a 403 if the items are denied', async () => {
+      const {res, body} = await get('/unknown', 'jdoe');
+      assert.strictEqual(res.statusCode, 403);
+      assert.strictEqual(JSON.parse(body).error.messageId, 'ACCESS_DENIED');
+    });
+
+    it('should pass errors to the error handler', async () => {
+      const {res} = await get('/invalid', 'jdoe');
+      assert.strictEqual(res.statusCode, 500);
+      assert.ok(handled.error instanceof Privacy.Errors.PrivacyError);
+      assert.strictEqual(handled.error.messageId, 'INVALID_INPUT');
+      assert.strictEqual(handled.req.privacy.status, 'error');
+    });
+
+    it('should pass consent URL errors to the error handler', async () => {
+      const {res, body} = await get('/broken', 'asmith');
+      assert.strictEqual(res.statusCode, 500);
+      assert.strictEqual(body, 'broken');
+      assert.strictEqual(handled.error.message, 'no consent page');
+      assert.strictEqual(handled.req.privacy.status, 'consent');
+    });
+
+    it('should require a client', () => {
+      assert.throws(() => Privacy.requireConsent(mobile, {}), TypeError);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+const assert = require('assert');
+const {AsyncLocalStorage} = require('async_hooks');
+const Privacy = require('../../lib/privacy');
+const MockPrivacyServer = require('../../lib/mock/mockPrivacyServer');
+
+/**
+ * Create a minimal OpenTelemetry API that records the spans in memory.
+ * @return {Object} The API and the recorded <code>spans</code>
+ */
+function createApi() {
+  const storage = new AsyncLocalStorage();
+  const spans = [];
+  let nextId = 1;
+  const tracer = {
+    startActiveSpan: (name, options, fn) => {
+      const parent = storage.getStore();
+      const span = {
+        id: nextId++,
+        parentId: (parent) ? parent.id : null,
+        name,
+        kind: options.kind,
+        attributes: {...options.attributes},
+        status: null,
+        exceptions: [],
+        ended: false,
+        setAttribute(key, value) {
+          span.attributes[key] = value;
+        },
+        setStatus(status) {
+          span.status = status;
+        },
+        recordException(error) {
+          span.exceptions.push(error);
+        },
+        end() {
+          span.ended = true;
+        },
+      };
+      spans.push(span);
+      return storage.run(span, () => fn(span));
+    },
+  };
+
+  return {
+    spans,
+    trace: {getTracer: () => tracer},
+    context: {active: () => storage.getStore()},
+    propagation: {
+      inject: (context, carrier) => {
+        carrier.traceparent = `00-trace-${context.id}-01`;
+      },
+    },
+  };
+}
+
+describe('Privacy', () => {
+  let server;
+  let tenantUrl;
+  let headers;
+
+  const axiosTransport = new Privacy.AxiosTransport();
+  const transport = {
+    request: async (request) => {
+      headers.push(request.headers);
+      if (request.body && request.body.includes('"rejected"')) {
+        return {status: 400, headers: {}, body: {
+          messageId: 'CSIBT0004E',
+          messageDescription: 'The request is not valid.',
+        }};
+      }
+
+      return await axiosTransport.request(request);
+    },
+  };
+
+  before(async () => {
+    server = new MockPrivacyServer();
+    tenantUrl = await server.start();
+  });
+
+  beforeEach(() => {
+    headers = [];
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  const newClient = (config) => new Privacy({tenantUrl, transport, ...config},
+      {accessToken: 'mock-privileged-token'}, {subjectId: 'jdoe'});
+
+  const email = {purposeId: 'marketing', attributeId: 'email',
+    attributeValue: 'jdoe@example.com'};
+  const mobile = {purposeId: 'marketing', attributeId: 'mobile_number'};
+
+  describe('#openTelemetry', () => {
+    it('should trace calls and requests', async () => {
+      const api = createApi();
+      const client = newClient({openTelemetry: api});
+      const r = await client.assess([email, mobile, {purposeId: 'unknown'}]);
+
+      const [call, request] = api.spans;
+      assert.strictEqual(api.spans.length, 2);
+      assert.strictEqual(call.name, 'Privacy.assess');
+      assert.strictEqual(call.parentId, null);
+      assert.deepStrictEqual(call.attributes, {
+        'verify.privacy.operation': 'assess',
+        'verify.privacy.purpose_ids': ['marketing', 'unknown'],
+        'verify.privacy.status': r.status,
+      });
+      assert.strictEqual(call.status, null);
+      assert.ok(call.ended);
+
+      assert.strictEqual(request.name, 'POST');
+      assert.strictEqual(request.parentId, call.id);
+      assert.strictEqual(request.kind, 2);
+      assert.strictEqual(request.attributes['url.full'],
+          `${tenantUrl}/v1.0/privacy/data-usage-approval`);
+      assert.strictEqual(request.attributes['http.response.status_code'],
+          207);
+      assert.ok(request.ended);
+      assert.strictEqual(headers[0].traceparent,
+          `00-trace-${request.id}-01`);
+    });
+
+    it('should not record subject IDs or attribute values', async () => {
+      const api = createApi();
+      const client = newClient({openTelemetry: api});
+      await client.assess([email]);
+      await client.getUserConsents({purposeId: 'marketing'});
+
+      const recorded = JSON.stringify(api.spans.map((s) => s.attributes));
+      assert.ok(!recorded.includes('jdoe'));
+      assert.ok(api.spans.some((s) => s.name == 'Privacy.getUserConsents'));
+    });
+
+    it('should mark failed calls', async () => {
+      const api = createApi();
+      const client = newClient({openTelemetry: api, retry: false});
+      const r = await client.storeConsents([{purposeId: 'rejected',
+        state: Privacy.ConsentTypes.OPTIN}]);
+      assert.strictEqual(r.status, 'error');
+
+      const [call, request] = api.spans;
+      assert.strictEqual(call.name, 'Privacy.storeConsents');
+      assert.strictEqual(call.attributes['verify.privacy.status'], 'error');
+      assert.strictEqual(call.attributes['verify.message_id'], 'CSIBT0004E');
+      assert.strictEqual(call.status.code, 2);
+      assert.strictEqual(request.attributes['error.type'], '400');
+      assert.strictEqual(request.attributes['verify.message_id'],
+          'CSIBT0004E');
+      assert.strictEqual(request.status.code, 2);
+    });
+
+    it('should record thrown errors', async () => {
+      const api = createApi();
+      const client = newClient({openTelemetry: api, throwOnError: true});
+      await assert.rejects(client.getConsentMetadata([{}]),
+          Privacy.Errors.ValidationError);
+
+      assert.strictEqual(api.spans[0].attributes['verify.message_id'],
+          'INVALID_INPUT');
+      assert.strictEqual(api.spans[0].exceptions.length, 1);
+      assert.strictEqual(api.spans[0].status.code, 2);
+    });
+
+    it('should not trace if the API is not installed or disabled', async () => {
+      const client = newClient({});
+      const r = await client.assess([mobile]);
+      assert.strictEqual(r.status, 'approved');
+      assert.strictEqual(headers[0].traceparent, undefined);
+
+      await newClient({openTelemetry: false}).assess([mobile]);
+      assert.strictEqual(headers[1].traceparent, undefined);
+    });
+  });
+});
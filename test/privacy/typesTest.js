@@ -0,0 +1,137 @@
+const assert = require('assert');
+const path = require('path');
+const ts = require('typescript');
+const Privacy = require('../../lib/privacy');
+
+const root = path.join(__dirname, '..', '..');
+
+/**
+ * Get the names of the methods and accessors of the objects in the
+ * prototype chain, stopping at the built-in prototypes.
+ * @param {Object} proto The prototype
+ * @return {string[]} The public names, sorted
+ */
+function runtimeMembers(proto) {
+  const names = new Set();
+  while (proto != null && proto !== Object.prototype &&
+      proto !== Error.prototype) {
+    for (const name of Object.getOwnPropertyNames(proto)) {
+      if (name != 'constructor' && !name.startsWith('_')) {
+        names.add(name);
+      }
+    }
+
+    proto = Object.getPrototypeOf(proto);
+  }
+
+  return Array.from(names).sort();
+}
+
+describe('Type declarations', () => {
+  let program;
+  let checker;
+  let exported;
+
+  before(() => {
+    program = ts.createProgram([path.join(root, 'test/types/usage.ts')], {
+      strict: true,
+      noEmit: true,
+      target: ts.ScriptTarget.ES2020,
+      lib: ['lib.es2020.d.ts', 'lib.dom.d.ts'],
+      types: [],
+      module: ts.ModuleKind.CommonJS,
+      moduleResolution: ts.ModuleResolutionKind.Node10,
+    });
+    checker = program.getTypeChecker();
+
+    const source = program.getSourceFile(path.join(root, 'index.d.ts'));
+    assert.ok(source, 'index.d.ts is not resolved from package.json');
+    exported = checker.getExportSymbolOfSymbol(
+        checker.getSymbolAtLocation(source).exports.get('export='));
+  });
+
+  const valueType = (symbol) => checker.getTypeOfSymbolAtLocation(symbol,
+      symbol.valueDeclaration);
+  const propertyNames = (type) => checker.getPropertiesOfType(type)
+      .map((p) => p.getName()).filter((name) => name != 'prototype').sort();
+  const staticType = (name) => valueType(valueType(exported).getProperty(
+      name));
+
+  /**
+   * Check the declared members of an exported class against the runtime.
+   * @param {Type} classType The declared constructor type
+   * @param {Function} runtimeClass The class
+   */
+  function assertMembers(classType, runtimeClass) {
+    const instanceType = classType.getConstructSignatures()[0]
+        .getReturnType();
+    const declared = checker.getPropertiesOfType(instanceType);
+    const runtime = runtimeMembers(runtimeClass.prototype);
+
+    const missing = runtime.filter((name) =>
+      !declared.some((p) => p.getName() == name));
+    assert.deepStrictEqual(missing, [],
+        `${runtimeClass.name} members are not declared`);
+
+    const extra = declared
+        .filter((p) => p.flags & ts.SymbolFlags.Method)
+        .map((p) => p.getName())
+        .filter((name) => !runtime.includes(name) &&
+            !['toString'].includes(name));
+    assert.deepStrictEqual(extra, [],
+        `${runtimeClass.name} methods do not exist`);
+  }
+
+  it('should compile the usage examples without errors', () => {
+    const diagnostics = ts.getPreEmitDiagnostics(program);
+    const messages = diagnostics.map((d) => {
+      const file = (d.file) ? path.relative(root, d.file.fileName) : '';
+      const line = (d.file) ?
+          d.file.getLineAndCharacterOfPosition(d.start).line + 1 : 0;
+      return `${file}:${line} ` +
+          ts.flattenDiagnosticMessageText(d.messageText, ' ');
+    });
+    assert.deepStrictEqual(messages, []);
+  }).timeout(60000);
+
+  it('should declare the static members', () => {
+    const runtime = Object.getOwnPropertyNames(Privacy)
+        .filter((name) => !['length', 'name', 'prototype'].includes(name))
+        .sort();
+    assert.deepStrictEqual(propertyNames(valueType(exported)), runtime);
+  });
+
+  it('should declare the client methods', () => {
+    assertMembers(valueType(exported), Privacy);
+  });
+
+  it('should declare the enum values', () => {
+    for (const name of ['ConsentTypes', 'ConsentDisplayTypes']) {
+      const type = staticType(name);
+      const declared = {};
+      for (const property of checker.getPropertiesOfType(type)) {
+        declared[property.getName()] = valueType(property).value;
+      }
+
+      assert.deepStrictEqual(declared, Privacy[name], name);
+    }
+  });
+
+  it('should declare the exported classes', () => {
+    for (const name of ['ClientCredentialsTokenProvider', 'AxiosTransport',
+      'FetchTransport', 'FixtureTransport', 'MetadataCache',
+      'MemoryCacheStore', 'PrivacyRegistry', 'ConsentForm', 'AuditSink',
+      'FileAuditSink', 'MemoryAuditSink', 'AssessmentPolicy']) {
+      assertMembers(staticType(name), Privacy[name]);
+    }
+  });
+
+  it('should declare the errors', () => {
+    const errors = staticType('Errors');
+    assert.deepStrictEqual(propertyNames(errors),
+        Object.keys(Privacy.Errors).sort());
+    for (const property of checker.getPropertiesOfType(errors)) {
+      assertMembers(valueType(property), Privacy.Errors[property.getName()]);
+    }
+  });
+});
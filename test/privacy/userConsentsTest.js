@@ -0,0 +1,148 @@
+const assert = require('assert');
+const Privacy = require('../../lib/privacy');
+const MockPrivacyServer = require('../../lib/mock/mockPrivacyServer');
+
+describe('Privacy', () => {
+  let server;
+  let tenantUrl;
+  let client;
+  let urls;
+
+  const now = Math.floor(Date.now() / 1000);
+  const consents = [];
+  for (let i = 0; i < 5; i++) {
+    consents.push({
+      id: `email-${i}`,
+      subjectId: 'jdoe',
+      purposeId: 'marketing',
+      applicationId: 'mock-app',
+      attributeId: '3',
+      attributeValue: `jdoe${i}@example.com`,
+      state: (i % 2) ? 4 : 3,
+      startTime: now - 1000 * (i + 1),
+    });
+  }
+
+  consents.push({
+    id: 'expired',
+    subjectId: 'jdoe',
+    purposeId: 'profilemgmt',
+    applicationId: 'mock-app',
+    attributeId: '6',
+    accessTypeId: 'read',
+    state: 3,
+    startTime: now - 86400,
+    endTime: now - 3600,
+  });
+
+  before(async () => {
+    server = new MockPrivacyServer({
+      fixture: {...MockPrivacyServer.loadFixture(), consents},
+    });
+    tenantUrl = await server.start();
+
+    const transport = new Privacy.AxiosTransport();
+    client = new Privacy({
+      tenantUrl,
+      transport: {
+        request: async (request) => {
+          urls.push(decodeURIComponent(request.url.substring(
+              tenantUrl.length)));
+          return await transport.request(request);
+        },
+      },
+    }, {accessToken: 'mock-token'});
+  });
+
+  beforeEach(() => {
+    urls = [];
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  const ids = (list) => list.map((c) => c.id);
+
+  describe('#getUserConsents', () => {
+    it('should filter by purpose, attribute and state', async () => {
+      const result = await client.getUserConsents({
+        purposeId: 'marketing',
+        attributeId: 'email',
+        state: Privacy.ConsentTypes.OPTIN,
+      });
+
+      assert.strictEqual(result.status, 'done');
+      assert.deepStrictEqual(ids(result.consents),
+          ['email-0', 'email-2', 'email-4']);
+      assert.strictEqual(urls[0], '/config/v1.0/privacy/consents?search=' +
+          'purposeId="marketing"&attributeId="email"&state=3');
+    });
+
+    it('should filter by status and time range', async () => {
+      let result = await client.getUserConsents({status: 'expired'});
+      assert.deepStrictEqual(ids(result.consents), ['expired']);
+
+      result = await client.getUserConsents({
+        startTime: {from: now - 3500, to: now - 1500},
+      });
+      assert.deepStrictEqual(ids(result.consents), ['email-1', 'email-2']);
+    });
+
+    it('should sort and page', async () => {
+      const result = await client.getUserConsents({
+        purposeId: 'marketing',
+        sort: 'startTime',
+        limit: 2,
+        offset: 1,
+      });
+
+      assert.deepStrictEqual(ids(result.consents), ['email-3', 'email-2']);
+      assert.strictEqual(result.count, 5);
+    });
+
+    it('should return an error for an invalid filter', async () => {
+      const result = await client.getUserConsents({status: 'pending'});
+      assert.strictEqual(result.status, 'error');
+      assert.strictEqual(result.error.messageId, 'INVALID_FILTER');
+      assert.strictEqual(result.error.errors[0].path, 'status');
+      assert.strictEqual(urls.length, 0);
+    });
+
+    it('should reject values that change the search expression', async () => {
+      for (const purposeId of ['marketing"&subjectId="asmith', 'a&b']) {
+        const result = await client.getUserConsents({purposeId});
+        assert.strictEqual(result.status, 'error');
+        assert.strictEqual(result.error.messageId, 'INVALID_FILTER');
+        assert.strictEqual(result.error.errors[0].path, 'purposeId');
+      }
+
+      const result = await client.getUserConsents({
+        context: {subjectId: 'jdoe"&purposeId="x'},
+      });
+      assert.strictEqual(result.error.errors[0].path, 'subjectId');
+      assert.strictEqual(urls.length, 0);
+    });
+  });
+
+  describe('#iterateUserConsents', () => {
+    it('should fetch every page', async () => {
+      const iterated = [];
+      for await (const consent of client.iterateUserConsents({
+        sort: '-startTime',
+        limit: 2,
+      })) {
+        iterated.push(consent.id);
+      }
+
+      assert.deepStrictEqual(iterated, ['email-0', 'email-1', 'email-2',
+        'email-3', 'email-4', 'expired']);
+      assert.strictEqual(urls.length, 3);
+    });
+
+    it('should throw errors', async () => {
+      const iterator = client.iterateUserConsents({sort: 'unknown'});
+      await assert.rejects(iterator.next(), Privacy.Errors.ValidationError);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const assert = require('assert');
+const Privacy = require('../../lib/privacy');
+
+describe('Privacy', () => {
+  let requests;
+  const client = new Privacy({
+    tenantUrl: 'https://validation.example.com',
+    transport: {
+      request: async (request) => {
+        requests.push(request);
+        return {status: 500, headers: {}, body: {}};
+      },
+    },
+    retry: false,
+  }, {accessToken: 'mock-token'});
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  const paths = (result) => result.error.errors.map((e) => e.path);
+
+  describe('#validation', () => {
+    it('should reject items without a purpose', async () => {
+      const result = await client.assess([
+        {purposeId: 'marketing', attributeId: 'email'},
+        {attributeId: 'email'},
+        'marketing',
+      ]);
+
+      assert.strictEqual(result.status, 'error');
+      assert.strictEqual(result.error.messageId, 'INVALID_INPUT');
+      assert.deepStrictEqual(paths(result),
+          ['items[1].purposeId', 'items[2]']);
+      assert.strictEqual(requests.length, 0);
+    });
+
+    it('should reject empty metadata requests', async () => {
+      const result = await client.getConsentMetadata([]);
+      assert.strictEqual(result.status, 'error');
+      assert.deepStrictEqual(paths(result), ['items']);
+      assert.strictEqual(requests.length, 0);
+    });
+
+    it('should report the path of invalid consent fields', async () => {
+      const result = await client.storeConsents([
+        {purposeId: 'marketing', state: 3},
+        {purposeId: 'marketing', state: 3, startTime: 200, endTime: 100},
+        {purposeId: 'marketing', state: 9},
+        {purposeId: 'marketing', state: 3, startTime: '100',
+          customAttributes: [{name: 'source'}]},
+      ]);
+
+      assert.strictEqual(result.status, 'error');
+      assert.strictEqual(result.error.messageDescription,
+          'consents[1].endTime must be later than startTime ' +
+          '(and 3 more problems)');
+      assert.deepStrictEqual(result.error.errors, [
+        {path: 'consents[1].endTime', message: 'must be later than startTime'},
+        {path: 'consents[2].state',
+          message: 'must be one of Privacy.ConsentTypes'},
+        {path: 'consents[3].startTime',
+          message: 'must be a non-negative number of seconds since Epoch'},
+        {path: 'consents[3].customAttributes[0].value',
+          message: 'must be a string'},
+      ]);
+      assert.strictEqual(requests.length, 0);
+    });
+
+    it('should reject states the display type does not allow', async () => {
+      const types = Privacy.ConsentDisplayTypes;
+      const result = await client.storeConsents([
+        {purposeId: 'marketing', state: Privacy.ConsentTypes.ALLOW,
+          consentType: types.OPTIN_OR_OUT},
+        {purposeId: 'marketing', state: Privacy.ConsentTypes.OPTIN,
+          consentType: types.DO_NOT_SHOW},
+        {purposeId: 'marketing', state: Privacy.ConsentTypes.TRANSPARENT,
+          consentType: types.TRANSPARENT},
+      ]);
+
+      assert.strictEqual(result.status, 'error');
+      assert.deepStrictEqual(paths(result),
+          ['consents[0].state', 'consents[1].consentType']);
+      assert.strictEqual(requests.length, 0);
+    });
+
+    it('should not send the display type to Verify', async () => {
+      await client.storeConsents([{purposeId: 'marketing',
+        state: Privacy.ConsentTypes.OPTIN,
+        consentType: Privacy.ConsentDisplayTypes.OPTIN_OR_OUT}]);
+
+      assert.strictEqual(requests.length, 1);
+      const operations = JSON.parse(requests[0].body);
+      assert.ok(!('consentType' in operations[0].value));
+    });
+
+    it('should report the path of invalid operations', async () => {
+      let result = await client.updateConsents([
+        {target: {attributeId: 'email'}, value: {state: 0}},
+      ]);
+      assert.strictEqual(result.error.messageId, 'INVALID_OPERATION');
+      assert.deepStrictEqual(paths(result),
+          ['updates[0].target.purposeId', 'updates[0].value.state']);
+
+      result = await client.revokeConsents(['']);
+      assert.deepStrictEqual(paths(result), ['targets[0]']);
+
+      result = await client.applyConsentOperations([
+        {op: 'add', value: {purposeId: 'marketing', state: 3, isGlobal: 1}},
+      ]);
+      assert.deepStrictEqual(paths(result), ['operations[0].value.isGlobal']);
+      assert.strictEqual(requests.length, 0);
+    });
+
+    it('should throw the error if configured', async () => {
+      const throwing = new Privacy({
+        tenantUrl: 'https://validation.example.com',
+        throwOnError: true,
+      }, {accessToken: 'mock-token'});
+
+      await assert.rejects(throwing.storeConsents([{purposeId: 'marketing'}]),
+          (error) => error instanceof Privacy.Errors.ValidationError &&
+              error.errors[0].path == 'consents[0].state');
+    });
+  });
+});
@@ -0,0 +1,139 @@
+const assert = require('assert');
+const Privacy = require('../../lib/privacy');
+const AssessmentPolicy = require('../../lib/services/assessmentPolicy');
+const MockPrivacyServer = require('../../lib/mock/mockPrivacyServer');
+
+const Categories = AssessmentPolicy.Categories;
+
+/**
+ * Build a decision that is not approved.
+ * @param {string} messageId The reason message ID
+ * @return {AssessmentDecision} The decision
+ */
+function denied(messageId) {
+  return {approved: false, reason: {messageId}};
+}
+
+describe('AssessmentPolicy', () => {
+  describe('#classify', () => {
+    const policy = new AssessmentPolicy();
+
+    it('should classify the Verify message IDs', () => {
+      assert.strictEqual(policy.classify({approved: true}),
+          Categories.APPROVED);
+      assert.strictEqual(policy.classify(denied('CSIBT0040I')),
+          Categories.OPTED_OUT);
+      assert.strictEqual(policy.classify(denied('CSIBT0041I')),
+          Categories.OPTED_OUT);
+      assert.strictEqual(policy.classify(denied('CSIBT0060I')),
+          Categories.RULE_DENIED);
+      for (const messageId of ['CSIBT0016E', 'CSIBT0022E', 'CSIBT0036E',
+        'CSIBT0037E', 'CSIBT0038E']) {
+        assert.strictEqual(policy.classify(denied(messageId)),
+            Categories.MISCONFIGURED, messageId);
+      }
+    });
+
+    it('should require consent for message IDs that are not mapped', () => {
+      assert.strictEqual(policy.classify(denied('CSIBT0099I')),
+          Categories.CONSENT_REQUIRED);
+      assert.strictEqual(policy.classify({approved: false}),
+          Categories.CONSENT_REQUIRED);
+      assert.strictEqual(new AssessmentPolicy({
+        fallback: 'unknown'}).classify(denied('CSIBT0099I')),
+      Categories.UNKNOWN);
+    });
+
+    it('should apply additional message IDs', () => {
+      const custom = new AssessmentPolicy({categories: {
+        CSIBT0099I: 'opted_out',
+        CSIBT0060I: 'consent_required',
+      }});
+      assert.strictEqual(custom.classify(denied('CSIBT0099I')),
+          Categories.OPTED_OUT);
+      assert.strictEqual(custom.classify(denied('CSIBT0060I')),
+          Categories.CONSENT_REQUIRED);
+    });
+
+    it('should reject unsupported categories', () => {
+      assert.throws(() => new AssessmentPolicy({fallback: 'approved'}),
+          Privacy.Errors.ConfigurationError);
+      assert.throws(() => AssessmentPolicy.from({
+        categories: {CSIBT0099I: 'denied'}}),
+      Privacy.Errors.ConfigurationError);
+    });
+  });
+
+  describe('#assess', () => {
+    let server;
+    let tenantUrl;
+
+    const axiosTransport = new Privacy.AxiosTransport();
+    // replaces the consent required reason with a code Verify may add later
+    const transport = {
+      request: async (request) => {
+        const response = await axiosTransport.request(request);
+        if (Array.isArray(response.body)) {
+          for (const decision of [].concat(...response.body.map((item) =>
+            item.result || []))) {
+            if (decision.reason && decision.reason.messageId ==
+                MockPrivacyServer.MessageIds.CONSENT_REQUIRED) {
+              decision.reason.messageId = 'CSIBT0099I';
+            }
+          }
+        }
+
+        return response;
+      },
+    };
+
+    before(async () => {
+      server = new MockPrivacyServer();
+      tenantUrl = await server.start();
+    });
+
+    after(async () => {
+      await server.stop();
+    });
+
+    const newClient = (config) => new Privacy({tenantUrl, ...config},
+        {accessToken: 'mock-privileged-token'}, {subjectId: 'jdoe'});
+
+    const email = {purposeId: 'marketing', attributeId: 'email'};
+    const mobile = {purposeId: 'marketing', attributeId: 'mobile_number'};
+
+    it('should set the category of each decision', async () => {
+      const events = [];
+      const client = newClient({});
+      client.on('decision', (e) => events.push(e.category));
+      const r = await client.assess([email, mobile, {purposeId: 'unknown'}]);
+
+      assert.deepStrictEqual(r.assessment.map((a) => a.result[0].category), [
+        Categories.CONSENT_REQUIRED, Categories.APPROVED,
+        Categories.MISCONFIGURED,
+      ]);
+      assert.deepStrictEqual(events, r.assessment.map((a) =>
+        a.result[0].category));
+      assert.strictEqual(r.status, 'consent');
+    });
+
+    it('should require consent for message IDs that are not mapped',
+        async () => {
+          const r = await newClient({transport}).assess([email]);
+          assert.strictEqual(r.status, 'consent');
+          assert.strictEqual(r.assessment[0].result[0].category,
+              Categories.CONSENT_REQUIRED);
+          assert.strictEqual(r.assessment[0].result[0].requiresConsent,
+              true);
+        });
+
+    it('should use the configured fallback', async () => {
+      const r = await newClient({transport,
+        assessmentPolicy: {fallback: 'unknown'}}).assess([email]);
+      assert.strictEqual(r.status, 'denied');
+      assert.strictEqual(r.assessment[0].result[0].category,
+          Categories.UNKNOWN);
+      assert.strictEqual(r.assessment[0].result[0].requiresConsent, false);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Privacy = require('../../lib/privacy');
+const MockPrivacyServer = require('../../lib/mock/mockPrivacyServer');
+
+describe('FixtureTransport', () => {
+  let server;
+  let tenantUrl;
+  let dir;
+  let file;
+
+  before(async () => {
+    server = new MockPrivacyServer();
+    tenantUrl = await server.start();
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'privacy-fx-'));
+    file = path.join(dir, 'fixtures', 'tenant.json');
+  });
+
+  after(async () => {
+    await server.stop();
+    await fs.promises.rm(dir, {recursive: true, force: true});
+  });
+
+  const redaction = {profile: 'hash', salt: 'fixtures'};
+  const newClient = (url, transport) => new Privacy({
+    tenantUrl: url,
+    transport,
+    retry: false,
+  }, {accessToken: 'mock-privileged-token'}, {subjectId: 'jdoe'});
+
+  const email = {purposeId: 'marketing', attributeId: 'email'};
+  const mobile = {purposeId: 'marketing', attributeId: 'mobile_number'};
+
+  describe('#request', () => {
+    let recorded;
+
+    before(async () => {
+      const client = newClient(tenantUrl, new Privacy.FixtureTransport({
+        mode: 'record', path: file, redaction}));
+      recorded = [
+        await client.assess([email, mobile]),
+        await client.getUserConsents({purposeId: 'marketing'}),
+        await client.assess([{purposeId: 'unknown'}]),
+      ];
+    });
+
+    it('should record the interactions without secrets', async () => {
+      const text = await fs.promises.readFile(file, 'utf8');
+      const {interactions} = JSON.parse(text);
+      assert.strictEqual(interactions.length, 3);
+      assert.strictEqual(interactions[0].request.method, 'POST');
+      assert.strictEqual(interactions[0].request.path,
+          '/v1.0/privacy/data-usage-approval');
+      assert.ok(/^sha256:/.test(interactions[0].request.body.subjectId));
+      assert.ok(!text.includes('mock-privileged-token'));
+      assert.ok(!text.includes('jdoe'));
+      assert.ok(!text.includes(tenantUrl));
+    });
+
+    it('should replay the responses in order', async () => {
+      const client = newClient('https://replay.invalid',
+          new Privacy.FixtureTransport({mode: 'replay', path: file,
+            redaction}));
+      assert.deepStrictEqual(await client.assess([email, mobile]),
+          recorded[0]);
+      assert.strictEqual((await client.getUserConsents({
+        purposeId: 'marketing'})).consents.length,
+      recorded[1].consents.length);
+      assert.deepStrictEqual(await client.assess([{purposeId: 'unknown'}]),
+          recorded[2]);
+
+      const r = await client.assess([{purposeId: 'unknown'}]);
+      assert.strictEqual(r.status, 'error');
+      assert.strictEqual(r.error.messageId, 'FIXTURE_MISMATCH');
+      assert.ok(r.error.messageDescription.includes('already replayed'));
+    });
+
+    it('should describe requests that were not recorded', async () => {
+      const client = newClient('https://replay.invalid',
+          new Privacy.FixtureTransport({mode: 'replay', path: file,
+            redaction}));
+      const r = await client.assess([{...email, accessTypeId: 'read'},
+        mobile]);
+      assert.strictEqual(r.status, 'error');
+      assert.strictEqual(r.error.messageId, 'FIXTURE_MISMATCH');
+      assert.ok(r.error.messageDescription.startsWith(
+          'No response to POST /v1.0/privacy/data-usage-approval'));
+      assert.ok(r.error.messageDescription.includes(
+          'body.items[0].accessTypeId: recorded nothing, sent "read"'));
+    });
+
+    it('should not replay responses for other subjects', async () => {
+      const client = newClient('https://replay.invalid',
+          new Privacy.FixtureTransport({mode: 'replay', path: file,
+            redaction}));
+      const r = await client.assess([email, mobile],
+          {context: {subjectId: 'asmith'}});
+      assert.strictEqual(r.error.messageId, 'FIXTURE_MISMATCH');
+      assert.ok(r.error.messageDescription.includes('body.subjectId'));
+    });
+  });
+
+  describe('#replay', () => {
+    it('should explain how to record a missing fixture', async () => {
+      const missing = path.join(dir, 'missing.json');
+      const transport = new Privacy.FixtureTransport({mode: 'replay',
+        path: missing});
+      await assert.rejects(transport.request({method: 'GET',
+        url: 'https://replay.invalid/config/v1.0/privacy/consents'}),
+      (error) => error instanceof Privacy.Errors.ConfigurationError &&
+          error.message.includes(missing) &&
+          error.message.includes('record mode'));
+    });
+  });
+
+  describe('#constructor', () => {
+    it('should require a mode and path', () => {
+      assert.throws(() => new Privacy.FixtureTransport({mode: 'play',
+        path: file}), Privacy.Errors.ConfigurationError);
+      assert.throws(() => new Privacy.FixtureTransport({mode: 'replay'}),
+          Privacy.Errors.ConfigurationError);
+    });
+  });
+});
@@ -0,0 +1,213 @@
+const assert = require('assert');
+const Privacy = require('../../lib/privacy');
+const MockPrivacyServer = require('../../lib/mock/mockPrivacyServer');
+
+describe('MetadataCache', () => {
+  let server;
+  let tenantUrl;
+  let requests;
+
+  const transport = new Privacy.AxiosTransport();
+  const countingTransport = {
+    request: async (request) => {
+      requests.push(`${request.method} ${new URL(request.url).pathname}`);
+      return await transport.request(request);
+    },
+  };
+
+  before(async () => {
+    server = new MockPrivacyServer();
+    tenantUrl = await server.start();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    requests = [];
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  const newClient = (cache, context = {subjectId: 'jdoe'}) => new Privacy({
+    tenantUrl,
+    transport: countingTransport,
+    cache,
+  }, {accessToken: 'mock-privileged-token'}, context);
+
+  const items = [
+    {purposeId: 'marketing', attributeId: 'email'},
+    {purposeId: 'marketing', attributeId: 'mobile_number'},
+  ];
+
+  const presentations = () => requests.filter((r) =>
+    r.endsWith('/data-subject-presentation')).length;
+  const consentSearches = () => requests.filter((r) =>
+    r == 'GET /config/v1.0/privacy/consents').length;
+
+  it('should serve repeated calls from the cache', async () => {
+    const client = newClient(true);
+    const first = await client.getConsentMetadata(items);
+    const second = await client.getConsentMetadata(items);
+
+    assert.strictEqual(presentations(), 1);
+    assert.deepStrictEqual(second, first);
+    assert.strictEqual(first.metadata.default[1].status, 'ACTIVE');
+  });
+
+  it('should only request purposes that are not cached', async () => {
+    const client = newClient(true);
+    await client.getConsentMetadata(items);
+    const result = await client.getConsentMetadata([
+      ...items,
+      {purposeId: 'profilemgmt', attributeId: 'given_name',
+        accessTypeId: 'read'},
+    ]);
+
+    assert.strictEqual(presentations(), 2);
+    assert.strictEqual(result.metadata.default.length, 3);
+  });
+
+  it('should cache purposes separately from consents', async () => {
+    const store = new Privacy.MemoryCacheStore();
+    const client = newClient({store, consentTtlMs: 0});
+    await client.getConsentMetadata(items);
+    await client.getConsentMetadata(items);
+
+    assert.strictEqual(presentations(), 1);
+    assert.strictEqual(consentSearches(), 1);
+    assert.strictEqual(store.size, 1);
+    assert.ok(await store.get(`verify-privacy:${tenantUrl}:purpose:marketing`));
+  });
+
+  it('should only request consents when they are not cached', async () => {
+    const client = newClient({consentTtlMs: 0});
+    let result = await client.getConsentMetadata(items);
+    assert.strictEqual(result.metadata.default[0].status, 'NONE');
+
+    await client.storeConsents([{
+      purposeId: 'marketing', attributeId: 'email', state: 3,
+    }]);
+    result = await client.getConsentMetadata(items);
+    assert.strictEqual(result.metadata.default[0].status, 'ACTIVE');
+    await client.getConsentMetadata(items);
+
+    assert.strictEqual(presentations(), 1);
+    assert.strictEqual(consentSearches(), 2);
+  });
+
+  it('should request the consents of all purposes in one search',
+      async () => {
+        const client = newClient({consentTtlMs: 0});
+        const both = [...items, {purposeId: 'profilemgmt',
+          attributeId: 'given_name', accessTypeId: 'read'}];
+        await client.getConsentMetadata(both);
+        const result = await client.getConsentMetadata(both);
+
+        assert.strictEqual(result.status, 'done');
+        assert.strictEqual(presentations(), 1);
+        assert.strictEqual(consentSearches(), 1);
+      });
+
+  it('should bound the consent search by the call timeout', async () => {
+    const client = new Privacy({tenantUrl, cache: {consentTtlMs: 0},
+      transport: {
+        request: async (request) => {
+          if (request.method == 'GET') {
+            await new Promise((resolve) => setTimeout(resolve, 200));
+          }
+
+          return await transport.request(request);
+        },
+      }}, {accessToken: 'mock-privileged-token'}, {subjectId: 'jdoe'});
+    await client.getConsentMetadata(items);
+    const result = await client.getConsentMetadata(items, {timeoutMs: 50});
+    assert.strictEqual(result.status, 'error');
+    assert.strictEqual(result.error.messageId, 'TIMEOUT');
+  });
+
+  it('should request the purposes again when they expire', async () => {
+    const client = newClient({consentTtlMs: 0, purposeTtlMs: -1});
+    await client.getConsentMetadata(items);
+    await client.getConsentMetadata(items);
+
+    assert.strictEqual(presentations(), 2);
+    assert.strictEqual(consentSearches(), 0);
+  });
+
+  it('should refresh consents after they are stored', async () => {
+    const client = newClient(true);
+    let result = await client.getConsentMetadata(items);
+    assert.strictEqual(result.metadata.default[0].status, 'NONE');
+
+    await client.storeConsents([{
+      purposeId: 'marketing', attributeId: 'email', state: 3,
+    }]);
+    result = await client.getConsentMetadata(items);
+
+    assert.strictEqual(presentations(), 1);
+    assert.strictEqual(consentSearches(), 1);
+    assert.strictEqual(result.metadata.default[0].status, 'ACTIVE');
+  });
+
+  it('should bypass and invalidate the cache', async () => {
+    const cache = new Privacy.MetadataCache();
+    const client = newClient(cache);
+    await client.getConsentMetadata(items);
+    await client.getConsentMetadata(items, {cache: false});
+    assert.strictEqual(presentations(), 2);
+
+    await client.invalidateCache({purposeIds: ['marketing']});
+    await client.getConsentMetadata(items);
+    assert.strictEqual(presentations(), 3);
+
+    await client.invalidateCache();
+    await client.getConsentMetadata(items);
+    assert.strictEqual(presentations(), 4);
+  });
+
+  it('should not cache consents when the subject is unknown', async () => {
+    const client = new Privacy({tenantUrl, transport: countingTransport,
+      cache: true}, {accessToken: 'mock-token'}, {});
+    const first = await client.getConsentMetadata(items);
+    const second = await client.getConsentMetadata(items);
+    assert.strictEqual(first.status, 'done');
+    assert.deepStrictEqual(second, first);
+    assert.strictEqual(presentations(), 1);
+    assert.strictEqual(consentSearches(), 1);
+  });
+
+  it('should ignore store failures', async () => {
+    const client = newClient({
+      store: {
+        get: async () => {
+          throw new Error('unavailable');
+        },
+        set: async () => {
+          throw new Error('unavailable');
+        },
+      },
+    });
+
+    const result = await client.getConsentMetadata(items);
+    assert.strictEqual(result.status, 'done');
+  });
+
+  it('should evict the least recently used entry', async () => {
+    const store = new Privacy.MemoryCacheStore({maxEntries: 2});
+    await store.set('a', 1);
+    await store.set('b', 2);
+    await store.get('a');
+    await store.set('c', 3);
+
+    assert.strictEqual(await store.get('a'), 1);
+    assert.strictEqual(await store.get('b'), undefined);
+    assert.strictEqual(await store.get('c'), 3);
+  });
+
+  it('should expire entries', async () => {
+    const store = new Privacy.MemoryCacheStore();
+    await store.set('a', {value: 1}, -1);
+    assert.strictEqual(await store.get('a'), undefined);
+  });
+});
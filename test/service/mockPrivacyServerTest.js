@@ -0,0 +1,115 @@
+const assert = require('assert');
+const Privacy = require('../../lib/privacy');
+const MockPrivacyServer = require('../../lib/mock/mockPrivacyServer');
+
+describe('MockPrivacyServer', () => {
+  let server;
+  let tenantUrl;
+
+  before(async () => {
+    server = new MockPrivacyServer({
+      fixture: {
+        ...MockPrivacyServer.loadFixture(),
+        rules: [{purposeId: 'profilemgmt', attributeId: '7'}],
+      },
+    });
+    tenantUrl = await server.start();
+  });
+
+  beforeEach(() => {
+    server.reset();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  const newClient = (auth = {accessToken: 'mock-token'}) =>
+    new Privacy({tenantUrl, retry: false}, auth);
+
+  it('should issue tokens for the client credentials grant', async () => {
+    const client = newClient({
+      clientId: 'mock-client',
+      clientSecret: 'mock-secret',
+    });
+
+    const result = await client.getUserConsents();
+    assert.strictEqual(result.status, 'done');
+    assert.strictEqual(result.consents.length, 1);
+    assert.strictEqual(result.consents[0].subjectId, 'jdoe');
+  });
+
+  it('should return the message IDs used by the assessment', async () => {
+    const result = await newClient().assess([
+      {purposeId: 'marketing', attributeId: 'mobile_number'},
+      {purposeId: 'marketing', attributeId: 'email'},
+      {purposeId: 'profilemgmt', attributeId: 'family_name',
+        accessTypeId: 'read'},
+      {purposeId: 'profilemgmt', attributeId: 'given_name',
+        accessTypeId: 'delete'},
+      {purposeId: 'unknown'},
+    ]);
+
+    const reasons = result.assessment.map((a) => (a.result[0].approved) ?
+        'approved' : a.result[0].reason.messageId);
+    assert.deepStrictEqual(reasons, [
+      'approved', 'CSIBT0042I', 'CSIBT0060I', 'CSIBT0037E', 'CSIBT0022E',
+    ]);
+    assert.strictEqual(result.status, 'consent');
+  });
+
+  it('should approve items that do not need consent', async () => {
+    const result = await newClient().assess([{
+      purposeId: 'profilemgmt',
+      attributeId: 'given_name',
+      accessTypeId: 'write',
+    }]);
+    assert.strictEqual(result.status, 'approved');
+  });
+
+  it('should apply stored consents to later assessments', async () => {
+    const client = newClient();
+    const items = [{purposeId: 'marketing', attributeId: 'email'}];
+    assert.strictEqual((await client.assess(items)).status, 'consent');
+
+    const stored = await client.storeConsents([{
+      purposeId: 'marketing', attributeId: 'email', state: 4,
+    }]);
+    assert.strictEqual(stored.status, 'success');
+    assert.strictEqual(server.consents.length, 2);
+
+    const result = await client.assess(items);
+    assert.strictEqual(result.status, 'denied');
+    assert.strictEqual(result.assessment[0].result[0].reason.messageId,
+        'CSIBT0040I');
+  });
+
+  it('should replace and remove consents', async () => {
+    const consentId = server.consents[0].id;
+    const client = newClient();
+    const dpcm = client._createService({});
+    const response = await dpcm.patch('/v1.0/privacy/consents', [
+      {op: 'replace', path: `/${consentId}/state`, value: 2},
+      {op: 'remove', path: '/unknown'},
+    ]);
+
+    assert.strictEqual(response.status, 207);
+    assert.strictEqual(response.data.messageId, 'CSIBT0071W');
+    assert.deepStrictEqual(response.data.results.map((r) => r.result),
+        ['success', 'failure']);
+    assert.strictEqual(server.consents[0].state, 2);
+
+    await dpcm.patch('/v1.0/privacy/consents', [
+      {op: 'remove', path: `/${consentId}`},
+    ]);
+    assert.strictEqual(server.consents.length, 0);
+  });
+
+  it('should reject requests without a valid token', async () => {
+    const result = await newClient({accessToken: 'invalid'}).assess([
+      {purposeId: 'marketing'},
+    ]);
+    assert.strictEqual(result.status, 'error');
+    assert.strictEqual(result.error.httpStatus, 401);
+  });
+});
@@ -0,0 +1,157 @@
+const assert = require('assert');
+const Privacy = require('../../lib/privacy');
+const Redactor = require('../../lib/utils/redactor');
+
+describe('Redactor', () => {
+  describe('#redact', () => {
+    const redactor = new Redactor();
+
+    it('should mask nested credentials and personal data', () => {
+      const value = {
+        subjectId: 'jdoe',
+        headers: {authorization: 'Bearer abc'},
+        items: [{purposeId: 'marketing', attributeValue: 'jdoe@example.com'}],
+        context: {ipAddress: '1.2.3.4', isExternalSubject: false},
+      };
+
+      assert.deepStrictEqual(redactor.redact(value), {
+        subjectId: '****',
+        headers: {authorization: '****'},
+        items: [{purposeId: 'marketing', attributeValue: '****'}],
+        context: {ipAddress: '****', isExternalSubject: false},
+      });
+      assert.strictEqual(value.subjectId, 'jdoe');
+    });
+
+    it('should keep empty values', () => {
+      assert.deepStrictEqual(redactor.redact({subjectId: null, otp: ''}),
+          {subjectId: null, otp: ''});
+    });
+
+    it('should redact search expressions and querystrings', () => {
+      assert.strictEqual(
+          redactor.redact('subjectId="jdoe"&purposeId="marketing"'),
+          'subjectId="****"&purposeId="marketing"');
+      assert.strictEqual(
+          redactor.redactUrl('/v1.0/privacy/consents?search=' +
+              encodeURIComponent('subjectId="jdoe"&state=1') + '&limit=10'),
+          '/v1.0/privacy/consents?search=' +
+              encodeURIComponent('subjectId="****"&state=1') + '&limit=10');
+      assert.strictEqual(
+          redactor.redactBody('grant_type=password&password=secret&scope=a'),
+          'grant_type=password&password=****&scope=a');
+    });
+
+    it('should redact JSON bodies', () => {
+      assert.deepStrictEqual(
+          redactor.redactBody('{"subjectId":"jdoe","items":[]}'),
+          {subjectId: '****', items: []});
+    });
+
+    it('should redact errors', () => {
+      const redacted = redactor.redact(
+          new Error('no consents for subjectId=jdoe'));
+      assert.ok(redacted.includes('subjectId=****'));
+      assert.ok(!redacted.includes('jdoe'));
+    });
+  });
+
+  describe('#profiles', () => {
+    it('should hash personal data with the salt', () => {
+      const redactor = new Redactor({profile: 'hash', salt: 'pepper'});
+      const first = redactor.redact({subjectId: 'jdoe', token: 'abc'});
+      assert.ok(/^sha256:[0-9a-f]{16}$/.test(first.subjectId));
+      assert.strictEqual(first.token, '****');
+
+      assert.strictEqual(redactor.redact({subjectId: 'jdoe'}).subjectId,
+          first.subjectId);
+      assert.notStrictEqual(new Redactor({profile: 'hash', salt: 'salt'})
+          .redact({subjectId: 'jdoe'}).subjectId, first.subjectId);
+    });
+
+    it('should partially mask personal data', () => {
+      const redactor = Redactor.from('partial');
+      assert.deepStrictEqual(redactor.redact({
+        attributeValue: 'jdoe@example.com',
+        ipAddress: '::1',
+        password: 'secret',
+      }), {attributeValue: 'j****m', ipAddress: '****', password: '****'});
+    });
+
+    it('should only mask credentials with the credentials profile', () => {
+      assert.deepStrictEqual(Redactor.from('credentials').redact({
+        subjectId: 'jdoe',
+        client_secret: 'secret',
+      }), {subjectId: 'jdoe', client_secret: '****'});
+    });
+
+    it('should redact credentials in strings with the credentials profile',
+        () => {
+          const redactor = Redactor.from('credentials');
+          assert.strictEqual(
+              redactor.redact('subjectId="jdoe"&password="secret"'),
+              'subjectId="jdoe"&password="****"');
+          assert.strictEqual(redactor.redactBody(
+              'grant_type=password&username=jdoe&password=secret'),
+          'grant_type=password&username=jdoe&password=****');
+        });
+
+    it('should mask rules without an action with the credentials profile',
+        () => {
+          const redactor = new Redactor({
+            profile: 'credentials',
+            keys: ['email'],
+            paths: ['items[*].value', {path: 'phone', action: 'partial'}],
+          });
+          assert.deepStrictEqual(redactor.redact({
+            subjectId: 'jdoe',
+            email: 'jdoe@example.com',
+            items: [{value: 'a'}],
+            phone: '555-0100',
+          }), {
+            subjectId: 'jdoe',
+            email: '****',
+            items: [{value: '****'}],
+            phone: '5****0',
+          });
+        });
+
+    it('should apply the action to rules with the credentials profile',
+        () => {
+          const redactor = new Redactor({profile: 'credentials',
+            action: 'hash', keys: ['email'], salt: 'pepper'});
+          const value = redactor.redact({subjectId: 'jdoe',
+            email: 'jdoe@example.com', token: 'abc'});
+          assert.strictEqual(value.subjectId, 'jdoe');
+          assert.ok(/^sha256:[0-9a-f]{16}$/.test(value.email));
+          assert.strictEqual(value.token, '****');
+        });
+
+    it('should apply key and path rules', () => {
+      const redactor = new Redactor({
+        keys: ['Email', {key: 'phone', action: 'partial'}],
+        paths: ['items[*].value', {path: 'access_token', action: 'hash'}],
+      });
+      assert.deepStrictEqual(redactor.redact({
+        email: 'jdoe@example.com',
+        profile: {phone: '555-0100'},
+        items: [{value: 'a'}, {value: {nested: true}}],
+        value: 'kept',
+        access_token: 'abc',
+      }), {
+        email: '****',
+        profile: {phone: '5****0'},
+        items: [{value: '****'}, {value: '****'}],
+        value: 'kept',
+        access_token: '****',
+      });
+    });
+
+    it('should reject unsupported profiles and actions', () => {
+      assert.throws(() => Redactor.from('none'),
+          Privacy.Errors.ConfigurationError);
+      assert.throws(() => new Redactor({keys: [{key: 'a', action: 'drop'}]}),
+          Privacy.Errors.ConfigurationError);
+    });
+  });
+});
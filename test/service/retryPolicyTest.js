@@ -0,0 +1,165 @@
+const assert = require('assert');
+const Privacy = require('../../lib/privacy');
+const RetryPolicy = require('../../lib/services/retryPolicy');
+const TestServer = require('../utils/server');
+
+describe('RetryPolicy', () => {
+  describe('#shouldRetry', () => {
+    const policy = new RetryPolicy({maxAttempts: 3});
+
+    it('should retry transient failures of idempotent requests', () => {
+      assert.strictEqual(policy.shouldRetry(1, {status: 503}, true), true);
+      assert.strictEqual(policy.shouldRetry(1, {status: 504}, true), true);
+      assert.strictEqual(
+          policy.shouldRetry(1, {status: null, code: 'ECONNRESET'}, true),
+          true);
+    });
+
+    it('should not retry client errors', () => {
+      assert.strictEqual(policy.shouldRetry(1, {status: 400}, true), false);
+      assert.strictEqual(policy.shouldRetry(1, {status: 403}, true), false);
+    });
+
+    it('should stop after the maximum attempts', () => {
+      assert.strictEqual(policy.shouldRetry(3, {status: 503}, true), false);
+    });
+
+    it('should only retry non-idempotent requests that were not applied',
+        () => {
+          assert.strictEqual(policy.shouldRetry(1, {status: 502}, false),
+              false);
+          assert.strictEqual(
+              policy.shouldRetry(1, {status: null, code: 'ECONNRESET'}, false),
+              false);
+          assert.strictEqual(policy.shouldRetry(1, {status: 429}, false),
+              true);
+          assert.strictEqual(
+              policy.shouldRetry(1, {status: null, code: 'ECONNREFUSED'},
+                  false),
+              true);
+        });
+
+    it('should not retry if Retry-After is too long', () => {
+      const outcome = {status: 429, headers: {'retry-after': '120'}};
+      assert.strictEqual(policy.shouldRetry(1, outcome, true), false);
+    });
+  });
+
+  describe('#getDelay', () => {
+    it('should back off exponentially', () => {
+      const policy = new RetryPolicy({
+        baseDelayMs: 100, maxDelayMs: 300, jitter: false,
+      });
+      assert.strictEqual(policy.getDelay(1, {status: 503}), 100);
+      assert.strictEqual(policy.getDelay(2, {status: 503}), 200);
+      assert.strictEqual(policy.getDelay(3, {status: 503}), 300);
+    });
+
+    it('should add jitter within the exponential delay', () => {
+      const policy = new RetryPolicy({baseDelayMs: 100});
+      for (let i = 0; i < 20; i++) {
+        const delay = policy.getDelay(2, {status: 503});
+        assert.ok(delay >= 0 && delay < 200, `Unexpected delay ${delay}`);
+      }
+    });
+
+    it('should honor Retry-After', () => {
+      const policy = new RetryPolicy();
+      assert.strictEqual(
+          policy.getDelay(1, {status: 429, headers: {'retry-after': '2'}}),
+          2000);
+    });
+  });
+
+  describe('Privacy', () => {
+    let server;
+    let failures;
+    let requests;
+
+    beforeEach(async () => {
+      requests = [];
+      failures = [];
+      server = await TestServer.start((req, res, body) => {
+        requests.push(req.url);
+        const failure = failures.shift();
+        if (failure) {
+          TestServer.json(res, failure.status, {
+            messageId: 'CSIBT0500E',
+            messageDescription: 'Unavailable',
+          }, failure.headers);
+          return;
+        }
+
+        if (req.url == '/v1.0/privacy/consents') {
+          TestServer.json(res, 200, {
+            messageId: 'CSIBT0070I',
+            results: [{result: 'success'}],
+          });
+          return;
+        }
+
+        TestServer.json(res, 200, [{
+          purposeId: 'marketing',
+          result: [{approved: true}],
+        }]);
+      });
+    });
+
+    afterEach(async () => {
+      await server.close();
+    });
+
+    const newClient = (retry) => new Privacy({
+      tenantUrl: server.url,
+      retry,
+    }, {accessToken: 'token'}, {subjectId: 'user1'});
+
+    it('should retry assess and report the retries', async () => {
+      failures.push({status: 503}, {status: 502});
+      const result = await newClient({baseDelayMs: 1}).assess([{
+        purposeId: 'marketing',
+      }]);
+      assert.strictEqual(result.status, 'approved');
+      assert.strictEqual(result.retries, 2);
+      assert.strictEqual(requests.length, 3);
+    });
+
+    it('should not include retries when none occurred', async () => {
+      const result = await newClient({baseDelayMs: 1}).assess([{
+        purposeId: 'marketing',
+      }]);
+      assert.strictEqual(result.status, 'approved');
+      assert.strictEqual(result.retries, undefined);
+    });
+
+    it('should not retry a consent update that may have been applied',
+        async () => {
+          failures.push({status: 502});
+          const result = await newClient({baseDelayMs: 1}).storeConsents([{
+            purposeId: 'marketing',
+            state: 3,
+          }]);
+          assert.notStrictEqual(result.status, 'success');
+          assert.strictEqual(requests.length, 1);
+        });
+
+    it('should retry a rate limited consent update', async () => {
+      failures.push({status: 429, headers: {'Retry-After': '0'}});
+      const result = await newClient({baseDelayMs: 1}).storeConsents([{
+        purposeId: 'marketing',
+        state: 3,
+      }]);
+      assert.strictEqual(result.status, 'success');
+      assert.strictEqual(result.retries, 1);
+    });
+
+    it('should not retry when disabled', async () => {
+      failures.push({status: 503});
+      const result = await newClient(false).assess([{
+        purposeId: 'marketing',
+      }]);
+      assert.strictEqual(result.status, 'error');
+      assert.strictEqual(requests.length, 1);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const assert = require('assert');
+const querystring = require('querystring');
+const Privacy = require('../../lib/privacy');
+const ClientCredentialsTokenProvider =
+    require('../../lib/auth/clientCredentialsTokenProvider');
+const ConfigurationError = require('../../lib/errors/configurationError');
+const TestServer = require('../utils/server');
+
+describe('ClientCredentialsTokenProvider', () => {
+  let server;
+  let tokenRequests;
+  let expiresIn;
+
+  beforeEach(async () => {
+    tokenRequests = [];
+    expiresIn = 3600;
+    server = await TestServer.start((req, res, body) => {
+      if (req.url == '/oidc/endpoint/default/token') {
+        tokenRequests.push({...querystring.parse(body)});
+        TestServer.json(res, 200, {
+          access_token: `token${tokenRequests.length}`,
+          token_type: 'Bearer',
+          expires_in: expiresIn,
+        });
+        return;
+      }
+
+      // the first token is treated as revoked
+      if (req.headers['authorization'] == 'Bearer token1') {
+        TestServer.json(res, 401, {
+          messageId: 'CSIAH0401E',
+          messageDescription: 'Unauthorized',
+        });
+        return;
+      }
+
+      TestServer.json(res, 200, {consents: [], count: 0});
+    });
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  it('should throw if the client credentials are missing', () => {
+    assert.throws(() => new ClientCredentialsTokenProvider({
+      tenantUrl: server.url,
+      clientId: 'client',
+    }), ConfigurationError);
+  });
+
+  it('should request and cache the token', async () => {
+    const provider = new ClientCredentialsTokenProvider({
+      tenantUrl: server.url,
+      clientId: 'client',
+      clientSecret: 'secret',
+      scope: 'openid',
+    });
+
+    const tokens = await Promise.all([provider.getToken(),
+      provider.getToken()]);
+    assert.deepStrictEqual(tokens, ['token1', 'token1']);
+    assert.strictEqual(await provider.getToken(), 'token1');
+    assert.strictEqual(tokenRequests.length, 1);
+    assert.deepStrictEqual(tokenRequests[0], {
+      grant_type: 'client_credentials',
+      client_id: 'client',
+      client_secret: 'secret',
+      scope: 'openid',
+    });
+  });
+
+  it('should cache a token without expires_in', async () => {
+    for (const value of [undefined, 'soon']) {
+      expiresIn = value;
+      tokenRequests = [];
+      const provider = new ClientCredentialsTokenProvider({
+        tenantUrl: server.url,
+        clientId: 'client',
+        clientSecret: 'secret',
+      });
+
+      assert.strictEqual(await provider.getToken(), 'token1');
+      assert.strictEqual(await provider.getToken(), 'token1');
+      assert.strictEqual(tokenRequests.length, 1);
+      assert.ok(provider._expiresAt - Date.now() > 3500000);
+    }
+  });
+
+  it('should refresh the token ahead of expiry', async () => {
+    expiresIn = 120;
+    const provider = new ClientCredentialsTokenProvider({
+      tenantUrl: server.url,
+      clientId: 'client',
+      clientSecret: 'secret',
+      refreshSkewSeconds: 120,
+    });
+
+    assert.strictEqual(await provider.getToken(), 'token1');
+    // the token is still valid but is inside the refresh window
+    provider._refreshAt = Date.now() - 1;
+    assert.strictEqual(await provider.getToken(), 'token1');
+    await provider._pending;
+    assert.strictEqual(await provider.getToken(), 'token2');
+    assert.strictEqual(tokenRequests.length, 2);
+  });
+
+  it('should force a new token', async () => {
+    const provider = new ClientCredentialsTokenProvider({
+      tenantUrl: server.url,
+      clientId: 'client',
+      clientSecret: 'secret',
+    });
+
+    assert.strictEqual(await provider.getToken(), 'token1');
+    assert.strictEqual(await provider.getToken({forceRefresh: true}),
+        'token2');
+  });
+
+  describe('Privacy', () => {
+    it('should retry once with a new token after a 401', async () => {
+      const client = new Privacy({tenantUrl: server.url}, {
+        clientId: 'client',
+        clientSecret: 'secret',
+      }, {subjectId: 'user1'});
+
+      const result = await client.getUserConsents();
+      assert.strictEqual(result.status, 'done');
+      assert.strictEqual(tokenRequests.length, 2);
+    });
+
+    it('should accept an async function as the token provider', async () => {
+      let calls = 0;
+      const client = new Privacy({tenantUrl: server.url}, {
+        tokenProvider: async (options) => {
+          calls++;
+          return (options.forceRefresh) ? 'fresh' : 'token1';
+        },
+      }, {subjectId: 'user1'});
+
+      const result = await client.getUserConsents();
+      assert.strictEqual(result.status, 'done');
+      assert.strictEqual(calls, 2);
+    });
+
+    it('should not retry a static token after a 401', async () => {
+      const client = new Privacy({tenantUrl: server.url}, {
+        accessToken: 'token1',
+      }, {subjectId: 'user1'});
+
+      const result = await client.getUserConsents();
+      assert.strictEqual(result.status, 'error');
+      assert.strictEqual(result.error.messageId, 'CSIAH0401E');
+    });
+  });
+});
@@ -0,0 +1,135 @@
+const assert = require('assert');
+const Privacy = require('../../lib/privacy');
+const TestServer = require('../utils/server');
+
+describe('Transport', () => {
+  let server;
+  let requests;
+
+  before(async () => {
+    server = await TestServer.start((req, res, body) => {
+      requests.push({method: req.method, url: req.url, body});
+      if (body && body.subjectId == 'unknown') {
+        TestServer.json(res, 400, {
+          messageId: 'CSIBT0004E',
+          messageDescription: 'Invalid subject',
+        });
+        return;
+      }
+
+      TestServer.json(res, 200, [{
+        purposeId: 'marketing',
+        result: [{approved: true}],
+      }]);
+    });
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  const items = [{purposeId: 'marketing'}];
+
+  describe('FetchTransport', () => {
+    const newClient = (tenantUrl, subjectId = 'user1') => new Privacy({
+      tenantUrl,
+      transport: new Privacy.FetchTransport(),
+      retry: false,
+    }, {accessToken: 'token'}, {subjectId});
+
+    it('should send requests using fetch', async () => {
+      const result = await newClient(server.url).assess(items);
+      assert.strictEqual(result.status, 'approved');
+      assert.deepStrictEqual(requests, [{
+        method: 'POST',
+        url: '/v1.0/privacy/data-usage-approval',
+        body: {items, subjectId: 'user1'},
+      }]);
+    });
+
+    it('should return Verify errors', async () => {
+      const result = await newClient(server.url, 'unknown').assess(items);
+      assert.strictEqual(result.status, 'error');
+      assert.strictEqual(result.error.messageId, 'CSIBT0004E');
+      assert.strictEqual(result.error.httpStatus, 400);
+    });
+
+    it('should report network errors', async () => {
+      const closed = await TestServer.start(() => {});
+      await closed.close();
+      const client = new Privacy({
+        tenantUrl: closed.url,
+        transport: new Privacy.FetchTransport(),
+        retry: false,
+        throwOnError: true,
+      }, {accessToken: 'token'}, {subjectId: 'user1'});
+
+      await assert.rejects(client.assess(items), (error) => {
+        assert.ok(error instanceof Privacy.Errors.NetworkError);
+        assert.strictEqual(error.code, 'ECONNREFUSED');
+        return true;
+      });
+    });
+  });
+
+  describe('custom', () => {
+    it('should send all traffic through the injected transport', async () => {
+      const captured = [];
+      const transport = {
+        request: async (request) => {
+          captured.push(request);
+          if (request.url.endsWith('/oidc/endpoint/default/token')) {
+            return {
+              status: 200,
+              headers: {},
+              body: {access_token: 'issued', expires_in: 3600},
+            };
+          }
+
+          return {
+            status: 200,
+            headers: {'content-type': 'application/json'},
+            body: {consents: [{purposeId: 'marketing'}]},
+          };
+        },
+      };
+
+      const client = new Privacy({
+        tenantUrl: 'https://abc.verify.ibm.com',
+        transport,
+      }, {
+        clientId: 'client',
+        clientSecret: 'secret',
+      }, {subjectId: 'user1'});
+
+      const result = await client.getUserConsents();
+      assert.strictEqual(result.status, 'done');
+      assert.strictEqual(result.consents.length, 1);
+      assert.strictEqual(captured.length, 2);
+      assert.strictEqual(captured[0].method, 'POST');
+      assert.strictEqual(captured[1].method, 'GET');
+      assert.ok(captured[1].url.startsWith(
+          'https://abc.verify.ibm.com/config/v1.0/privacy/consents'));
+      assert.strictEqual(captured[1].headers['Authorization'],
+          'Bearer issued');
+    });
+  });
+
+  describe('AxiosTransport', () => {
+    it('should apply the additional request configuration', async () => {
+      const client = new Privacy({
+        tenantUrl: server.url,
+        transport: new Privacy.AxiosTransport({
+          config: {maxRedirects: 0},
+        }),
+      }, {accessToken: 'token'}, {subjectId: 'user1'});
+
+      const result = await client.assess(items);
+      assert.strictEqual(result.status, 'approved');
+    });
+  });
+});
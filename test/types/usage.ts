@@ -0,0 +1,184 @@
+// Compiled by test/privacy/typesTest.js. Every line must type-check, and
+// every @ts-expect-error line must fail to, so the declarations are
+// neither too loose nor too strict for typical usage.
+import Privacy = require('../..');
+
+async function usage(): Promise<void> {
+  const client = new Privacy({
+    tenantUrl: 'https://abc.verify.ibm.com',
+    retry: {maxAttempts: 5},
+    openTelemetry: false,
+    audit: new Privacy.FileAuditSink('/var/log/privacy-audit.jsonl'),
+    redaction: {profile: 'hash', keys: ['email'], paths: ['items[*].value']},
+    cache: true,
+    batch: {windowMs: 5},
+    transport: new Privacy.FetchTransport(),
+  }, {clientId: 'id', clientSecret: 'secret'}, {ipAddress: '1.2.3.4'});
+
+  const items: Privacy.DataItem[] = [
+    {purposeId: 'marketing', attributeId: 'email'},
+  ];
+  const assessment = await client.assess(items, {
+    context: {subjectId: '123456'},
+    timeoutMs: 2000,
+  });
+  if (assessment.status == 'error') {
+    const messageId: string = assessment.error.messageId;
+    void messageId;
+  } else {
+    const approved: boolean = assessment.assessment[0].result[0].approved;
+    const optedOut = assessment.assessment[0].result[0].category ==
+        Privacy.AssessmentPolicy.Categories.OPTED_OUT;
+    void approved, optedOut;
+  }
+
+  new Privacy({
+    tenantUrl: 'https://abc.verify.ibm.com',
+    assessmentPolicy: {categories: {CSIBT0099I: 'opted_out'},
+      fallback: 'unknown'},
+  }, {accessToken: 't'});
+
+  // @ts-expect-error unmapped codes cannot be approved
+  new Privacy.AssessmentPolicy({fallback: 'approved'});
+
+  const filtered = await client.filterByConsent({name: 'Jane', phone: '555'}, {
+    phone: {purposeId: 'marketing', attributeId: 'mobile_number'},
+  }, {mask: '***'});
+  if (filtered.status == 'done') {
+    const name: string = filtered.object.name;
+    const path: string = filtered.redacted[0].path;
+    void name, path;
+  }
+
+  // @ts-expect-error the mapping requires a purposeId
+  await client.filterByConsent({}, {phone: {attributeId: 'mobile_number'}});
+
+  const claims = await client.filterClaims(
+      {sub: '123456', email: 'jane@example.com', groups: ['admin']},
+      {email: 'email', groups: {attributeId: 'groups'}}, 'profilemgmt');
+  if (claims.status == 'done' && claims.consentRequired.length) {
+    const sub: string | undefined = claims.claims.sub;
+    void sub;
+    await client.getConsentMetadata(claims.consentRequired);
+  }
+
+  // @ts-expect-error the purpose is required
+  await client.filterClaims({sub: '123456'}, {email: 'email'});
+
+  client.on('response', (e) => {
+    const latency: number = e.durationMs;
+    void latency;
+  }).on('decision', (e) => {
+    const approved: boolean = e.approved;
+    void approved;
+  }).on('error', (error, e) => {
+    const operation: string = e.operation + error.messageId;
+    void operation;
+  });
+
+  // @ts-expect-error the event does not exist
+  client.on('stored', () => {});
+
+  const sink = new Privacy.MemoryAuditSink();
+  const check = Privacy.AuditSink.verify(await sink.read());
+  if (!check.valid) {
+    const index: number = check.index;
+    void index;
+  }
+
+  await client.assess(items, {correlationId: 'req-1234'});
+
+  const metadata = await client.getConsentMetadata(items, {cache: false});
+  if (metadata.status == 'done') {
+    const records: Privacy.MetadataRecord[] = metadata.metadata.default;
+    const display: Privacy.ConsentDisplayType = records[0].consentType;
+    void display;
+  }
+
+  const consents = Privacy.buildConsents(metadata, [
+    {purposeId: 'marketing', accepted: true},
+  ]);
+  const stored = await client.storeConsents(consents);
+  if (stored.status != 'error') {
+    const result: 'success' | 'failure' | 'error' = stored.results[0].result;
+    const applied: number | undefined = stored.applied;
+    void result;
+    void applied;
+  }
+
+  await client.storeConsents([{purposeId: 'marketing',
+    state: Privacy.ConsentTypes.OPTIN}]);
+  await client.revokeConsents(['id', {purposeId: 'marketing'}]);
+  await client.updateConsents([{target: 'id', value: {endTime: 1}}]);
+  await client.applyConsentOperations([
+    {op: 'add', value: {purposeId: 'marketing', state: 3}},
+    {op: 'remove', target: 'id'},
+  ]);
+
+  const page = await client.getUserConsents({status: 'active', limit: 10});
+  if (page.status == 'done') {
+    const count: number | undefined = page.count;
+    void count;
+  }
+
+  for await (const consent of client.iterateUserConsents({sort: 'state'})) {
+    const state: Privacy.ConsentType = consent.state;
+    void state;
+  }
+
+  const form = new Privacy.ConsentForm({labels: {optIn: 'Oui'}});
+  const html: string = form.render(metadata);
+  const parsed: Privacy.Consent[] = form.parse(metadata, 'consent%3Aa=1');
+  void html;
+  void parsed;
+
+  await client.invalidateCache({purposeIds: ['marketing']});
+
+  const registry = new Privacy.PrivacyRegistry({
+    cache: {purposeTtlMs: 1000, store: new Privacy.MemoryCacheStore()},
+    tenants: {acme: {tenantUrl: 'https://acme', auth: {accessToken: 't'}}},
+  });
+  const acme: Privacy = registry.get('acme');
+  void acme;
+
+  try {
+    await client.assess(items);
+  } catch (error) {
+    if (error instanceof Privacy.Errors.ValidationError) {
+      const path: string = error.errors[0].path;
+      void path;
+    } else if (error instanceof Privacy.Errors.RateLimitError) {
+      const retryAfterMs: number | null = error.retryAfterMs;
+      void retryAfterMs;
+    }
+  }
+
+  // @ts-expect-error tenantUrl is required
+  new Privacy({}, {accessToken: 't'});
+
+  new Privacy({
+    tenantUrl: 'https://abc.verify.ibm.com',
+    transport: new Privacy.FixtureTransport({
+      mode: 'replay',
+      path: 'test/fixtures/tenant.json',
+      redaction: {profile: 'hash', salt: 'ci'},
+    }),
+  }, {accessToken: 't'});
+
+  // @ts-expect-error the redaction profile does not exist
+  new Privacy({tenantUrl: 'x', redaction: 'none'}, {accessToken: 't'});
+
+  // @ts-expect-error the purpose is required
+  await client.assess([{attributeId: 'email'}]);
+
+  // @ts-expect-error 6 is not a consent type
+  await client.storeConsents([{purposeId: 'marketing', state: 6}]);
+
+  // @ts-expect-error the assessment is not set on errors
+  void assessment.assessment;
+
+  // @ts-expect-error replace requires a target
+  await client.applyConsentOperations([{op: 'replace', value: {state: 3}}]);
+}
+
+void usage;
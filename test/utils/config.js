@@ -2,6 +2,8 @@
 const dotEnvPath = __dirname + '/../.env';
 require('dotenv').config({path: dotEnvPath});
 const OAuth = require('./oauth');
+const MockPrivacyServer = require('../../lib/mock/mockPrivacyServer');
+const FixtureTransport = require('../../lib/transport/fixtureTransport');
 
 const Config = {
   tenantUrl: process.env.TENANT_URL,
@@ -18,9 +20,38 @@ const Context = {
       process.env.isExternalSubject == 'true' ? true : false),
 };
 
+// record the tenant interactions to a fixture file, or replay them without
+// network access, e.g. PRIVACY_FIXTURES=replay npm test. The default file is
+// recorded against the mock server with PRIVACY_FIXTURES=record npm test
+const fixtureMode = process.env.PRIVACY_FIXTURES;
+if (fixtureMode && fixtureMode != '') {
+  Config.transport = new FixtureTransport({
+    mode: fixtureMode,
+    path: (process.env.PRIVACY_FIXTURES_PATH) ?
+        process.env.PRIVACY_FIXTURES_PATH :
+        __dirname + '/../fixtures/tenant.json',
+  });
+}
+
+let mockServer = null;
+
 checkConfig = async () => {
+  if (fixtureMode == 'replay') {
+    // the tenant URL and token are not sent anywhere
+    Config.tenantUrl = (Config.tenantUrl) ? Config.tenantUrl :
+        'https://replay.invalid';
+    Auth.accessToken = (Auth.accessToken) ? Auth.accessToken : 'replay-token';
+    return;
+  }
+
   if (!Config.tenantUrl || Config.tenantUrl == '') {
-    throw new Error('TENANT_URL is missing from the env');
+    // run against the in-process mock tenant
+    if (mockServer == null) {
+      mockServer = new MockPrivacyServer({unref: true});
+    }
+
+    Config.tenantUrl = await mockServer.start();
+    Auth.accessToken = 'mock-token';
   }
 
   if (!Auth.accessToken || Auth.accessToken == '') {
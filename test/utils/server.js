@@ -0,0 +1,42 @@
+const http = require('http');
+
+/**
+ * Start a local HTTP server for tests. The request body is read and parsed
+ * before the handler is called.
+ * @param {Function} handler Called with <code>(req, res, body)</code>
+ * @return {Promise<Object>} The server <code>url</code> and a
+ * <code>close</code> function
+ */
+exports.start = async (handler) => {
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => raw += chunk);
+    req.on('end', () => {
+      let body = raw;
+      try {
+        body = (raw.length) ? JSON.parse(raw) : null;
+      } catch (error) {
+        // leave the body as-is, e.g. form-encoded
+      }
+      handler(req, res, body);
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+/**
+ * Write a JSON response.
+ * @param {Object} res The server response
+ * @param {number} status The HTTP status code
+ * @param {Object} body The response body
+ * @param {Object} [headers] Additional response headers
+ */
+exports.json = (res, status, body, headers = {}) => {
+  res.writeHead(status, {'Content-Type': 'application/json', ...headers});
+  res.end(JSON.stringify(body));
+};